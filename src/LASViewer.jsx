@@ -1,193 +1,258 @@
 import React, { useState, useRef, useEffect, useCallback } from 'react';
 import * as THREE from 'three';
+import { describeCRS, crsKindLabel, CRS_PRESETS } from './formats/crs';
+import { frameOffset, sameFrame, fileCoordinates } from './formats/pointCloud';
+import { describePoint } from './formats/pointDescription';
+import { ATTRIBUTE_COLOR_MODES, attributeColors, attributeLegend } from './color/attributeColors';
+import { COLOR_RAMPS, parseRampStops, rampLUT, rampGradient, elevationColors, elevationHistogram, histogramPercentiles } from './color/colorRamps';
+import { parsePointCloudInWorker } from './workers/parsePointCloudInWorker';
+import { ACCEPTED_EXTENSIONS, isSupportedFile } from './formats/fileTypes';
+import { XYZ_COLUMN_ROLES } from './formats/xyz';
+import { exportLASInWorker } from './workers/exportLASInWorker';
+import { downloadBlob, derivedFilename } from './utils/download';
+import { writeMeasurementsCSV, writeMeasurementsGeoJSON } from './formats/measurementWriters';
+import { PointCloudOctree } from './octree/PointCloudOctree';
+import { PointCloudMaterial } from './octree/PointCloudMaterial';
+import { estimateNormalsInWorker } from './workers/estimateNormalsInWorker';
+import { buildPickTreeInWorker } from './workers/buildPickTreeInWorker';
+import { pickAlongRay, surfaceAlongRay } from './analysis/pickTree';
+import { fitPlane, comparePlanes } from './analysis/planes';
+import { detectPlanesInWorker } from './workers/detectPlanesInWorker';
+import { profileFrame, corridorPoints, profileToPlan } from './analysis/profile';
+import { drawProfileChart, writeProfileSVG, chartTransform, fitView } from './render/profileChart';
+import { writeProfileCSV } from './formats/profileWriters';
+import { VOLUME_REFERENCES, MAX_VOLUME_CELLS, volumeGrid, rasterize, referenceSurface, cutFill, insidePolygon } from './analysis/volume';
+import { passesFilter, filterMask } from './octree/pointFilter';
+import { EyeDomeLighting } from './render/EyeDomeLighting';
+import { renderImage, drawScaleBar, drawLabel, drawTitleBlock } from './render/captureImage';
+import { pathDuration, samplePath, turntableView } from './render/cameraPath';
+import { measurePath, formatDistance, formatFeetInches, formatArea, formatAreaImperial, formatVolume, formatVolumeImperial, toFeet } from './analysis/measurement';
+import { MESH_METHODS } from './analysis/meshing';
+import { buildMeshInWorker } from './workers/buildMeshInWorker';
+import { writeOBJ, writePLY, writeGLB } from './formats/meshWriters';
 
-// LAS Parser with EPSG:4326 support (lat/lon degrees + meters elevation)
-class LASParser {
-  constructor(arrayBuffer, options = {}) {
-    this.buffer = arrayBuffer;
-    this.view = new DataView(arrayBuffer);
-    this.header = {};
-    this.isGeographic = options.isGeographic !== false;
-  }
+const LOAD_PHASES = {
+  reading: 'Reading file',
+  decompressing: 'Decompressing LAZ',
+  indexing: 'Building octree'
+};
 
-  parse() {
-    this.parseHeader();
-    const points = this.parsePoints();
-    return { header: this.header, points };
-  }
+const COLOR_MODE_NAMES = { elevation: 'Elevation', ...ATTRIBUTE_COLOR_MODES };
 
-  parseHeader() {
-    const view = this.view;
-    
-    const signature = String.fromCharCode(
-      view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3)
-    );
-    
-    if (signature !== 'LASF') {
-      throw new Error('Invalid LAS file signature: ' + signature);
-    }
-
-    const versionMajor = view.getUint8(24);
-    const versionMinor = view.getUint8(25);
-    const headerSize = view.getUint16(94, true);
-    const offsetToPointData = view.getUint32(96, true);
-    const pointDataRecordFormat = view.getUint8(104);
-    const pointDataRecordLength = view.getUint16(105, true);
-    const legacyNumberOfPoints = view.getUint32(107, true);
-
-    const scaleX = view.getFloat64(131, true);
-    const scaleY = view.getFloat64(139, true);
-    const scaleZ = view.getFloat64(147, true);
-    const offsetX = view.getFloat64(155, true);
-    const offsetY = view.getFloat64(163, true);
-    const offsetZ = view.getFloat64(171, true);
-
-    let numberOfPoints = legacyNumberOfPoints;
-    if (versionMajor >= 1 && versionMinor >= 4 && headerSize >= 375) {
-      const low = view.getUint32(247, true);
-      const high = view.getUint32(251, true);
-      const count64 = low + high * 0x100000000;
-      if (count64 > 0) numberOfPoints = count64;
-    }
-
-    this.header = {
-      signature, versionMajor, versionMinor, headerSize,
-      offsetToPointData, pointDataRecordFormat, pointDataRecordLength,
-      numberOfPoints, scaleX, scaleY, scaleZ, offsetX, offsetY, offsetZ
-    };
-  }
+// Header buttons and layer swatches of the computed color modes
+const COLOR_MODE_BUTTONS = [
+  { mode: 'elevation', label: 'Elev', swatch: rampGradient(COLOR_RAMPS.rainbow.stops, '135deg') },
+  { mode: 'classification', label: 'Class', swatch: 'linear-gradient(135deg, #a0522d 33%, #32cd32 33% 66%, #ff4500 66%)' },
+  { mode: 'intensity', label: 'Int', swatch: 'linear-gradient(135deg, #000000, #ffffff)' },
+  { mode: 'returnNumber', label: 'Ret', swatch: 'linear-gradient(135deg, #e6194b 33%, #3cb44b 33% 66%, #4363d8 66%)' },
+  { mode: 'pointSourceId', label: 'Src', swatch: 'linear-gradient(135deg, #e05ad0 33%, #5ae0a0 33% 66%, #e0b05a 66%)' }
+];
+const ORIGINAL_SWATCH = 'linear-gradient(135deg, #ff0000 25%, #00ff00 50%, #0000ff 75%)';
 
-  parsePoints() {
-    const h = this.header;
-    const view = this.view;
-    const format = h.pointDataRecordFormat;
-    
-    let hasRGB = false, rgbOffset = 0;
-    if (format === 2) { hasRGB = true; rgbOffset = 20; }
-    else if (format === 3 || format === 5) { hasRGB = true; rgbOffset = 28; }
-    else if (format === 7 || format === 8 || format === 10) { hasRGB = true; rgbOffset = 30; }
-
-    const maxPoints = 2000000;
-    const totalPoints = h.numberOfPoints;
-    const step = totalPoints > maxPoints ? Math.ceil(totalPoints / maxPoints) : 1;
-    const recordLen = h.pointDataRecordLength;
-
-    const rawPoints = [];
-    let minLon = Infinity, maxLon = -Infinity;
-    let minLat = Infinity, maxLat = -Infinity;
-    let minZ = Infinity, maxZ = -Infinity;
+function colorSwatch(color) {
+  if (color === 'original') return ORIGINAL_SWATCH;
+  return COLOR_MODE_BUTTONS.find(b => b.mode === color)?.swatch || color;
+}
 
-    for (let i = 0; i < totalPoints; i += step) {
-      const offset = h.offsetToPointData + i * recordLen;
-      if (offset + 12 > this.buffer.byteLength) break;
+const POINT_COLORS = [
+  { color: '#ffffff', name: 'White' },
+  { color: '#000000', name: 'Black' },
+  { color: '#ff3333', name: 'Red' },
+  { color: '#33ff33', name: 'Green' },
+  { color: '#3399ff', name: 'Blue' },
+  { color: '#ffff33', name: 'Yellow' },
+  { color: '#ff33ff', name: 'Magenta' },
+  { color: '#33ffff', name: 'Cyan' },
+  { color: '#ff9933', name: 'Orange' },
+  { color: '#9933ff', name: 'Purple' },
+];
 
-      const rawX = view.getInt32(offset, true);
-      const rawY = view.getInt32(offset + 4, true);
-      const rawZ = view.getInt32(offset + 8, true);
+// Round scale bar length (1, 2 or 5 times a power of ten) at or below `meters`
+function niceLength(meters) {
+  const power = Math.pow(10, Math.floor(Math.log10(meters)));
+  const mantissa = meters / power;
+  return (mantissa >= 5 ? 5 : mantissa >= 2 ? 2 : 1) * power;
+}
 
-      const lon = rawX * h.scaleX + h.offsetX;
-      const lat = rawY * h.scaleY + h.offsetY;
-      const z = rawZ * h.scaleZ + h.offsetZ;
+function formatLength(meters) {
+  if (meters >= 1000) return `${meters / 1000} km`;
+  if (meters >= 1) return `${meters} m`;
+  if (meters >= 0.01) return `${+(meters * 100).toPrecision(3)} cm`;
+  return `${+(meters * 1000).toPrecision(3)} mm`;
+}
 
-      rawPoints.push({ lon, lat, z, offset });
+// Meshing input is thinned evenly to at most this many points
+const MESH_POINT_LIMITS = { delaunay: 2000000, ballPivoting: 300000 };
 
-      if (lon < minLon) minLon = lon;
-      if (lon > maxLon) maxLon = lon;
-      if (lat < minLat) minLat = lat;
-      if (lat > maxLat) maxLat = lat;
-      if (z < minZ) minZ = z;
-      if (z > maxZ) maxZ = z;
-    }
+// The meshing scale, in multiples of the average point spacing (0 = no edge limit)
+const MESH_SCALES = {
+  delaunay: { label: 'Max edge', min: 0, max: 20, step: 1, initial: 5 },
+  ballPivoting: { label: 'Ball radius', min: 1, max: 5, step: 0.25, initial: 2 }
+};
 
-    const centerLon = (minLon + maxLon) / 2;
-    const centerLat = (minLat + maxLat) / 2;
-    const centerZ = (minZ + maxZ) / 2;
+const MESH_FORMATS = {
+  obj: { label: 'OBJ', write: writeOBJ },
+  ply: { label: 'PLY', write: writePLY },
+  glb: { label: 'glTF', write: writeGLB }
+};
 
-    const DEG_TO_RAD = Math.PI / 180;
-    const metersPerDegreeLat = 111320;
-    const metersPerDegreeLon = 111320 * Math.cos(centerLat * DEG_TO_RAD);
+// Direction of north (which turns with the data rotation) on screen at the
+// orbit target, in degrees clockwise from up. Looking along the north axis the
+// arrow would have no length, so `along` says which way it points instead.
+function northOnScreen(camera, controls, rotationZ, width, height) {
+  const rotation = (rotationZ * Math.PI) / 180;
+  const north = new THREE.Vector3(-Math.sin(rotation), Math.cos(rotation), 0);
+  const a = controls.target.clone().project(camera);
+  const b = controls.target.clone().addScaledVector(north, controls.distance * 0.1).project(camera);
+  const dx = ((b.x - a.x) * width) / 2;
+  const dy = ((b.y - a.y) * height) / 2;
+  const view = camera.getWorldDirection(new THREE.Vector3());
+  return {
+    angle: Math.round((Math.atan2(dx, dy) * 180) / Math.PI),
+    along: Math.hypot(dx, dy) < 8 ? (view.dot(north) > 0 ? 'away' : 'toward') : null
+  };
+}
 
-    const numPoints = rawPoints.length;
-    const positions = new Float32Array(numPoints * 3);
-    const colors = new Float32Array(numPoints * 3);
-    const zRange = maxZ - minZ || 1;
+// Longest side of an exported image, within what browsers allow for a canvas
+const MAX_IMAGE_SIDE = 16384;
+const IMAGE_SCALES = [1, 2, 4, 8];
+const IMAGE_BACKGROUNDS = { scene: 'Scene color', white: 'White', black: 'Black', transparent: 'Transparent' };
 
-    for (let i = 0; i < numPoints; i++) {
-      const pt = rawPoints[i];
-      const idx = i * 3;
+// Canvas recording of camera paths
+const VIDEO_FPS = 30;
+const VIDEO_BITRATE = 8000000;
+const VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
 
-      // X = East (longitude), Y = North (latitude), Z = Up (elevation)
-      const xMeters = (pt.lon - centerLon) * metersPerDegreeLon;
-      const yMeters = (pt.lat - centerLat) * metersPerDegreeLat;
-      const zMeters = pt.z - centerZ;
+// Line colors of the measure axes
+const MEASURE_AXIS_COLORS = { '3d': 0xffff00, horizontal: 0x00ffff, vertical: 0xff00ff };
+const MEASURE_AXIS_NAMES = { '3d': '3D', horizontal: 'Horizontal', vertical: 'Vertical' };
+const MEASURE_SHAPE_NAMES = { distance: 'Distance', polyline: 'Path', polygon: 'Area' };
 
-      positions[idx] = xMeters;
-      positions[idx + 1] = yMeters;
-      positions[idx + 2] = zMeters;
+// Line through THREE.Vector3 points drawn over everything, with a cylinder
+// along each segment (line widths are often ignored) and optionally a marker
+// on each point. A two-point horizontal or vertical distance is drawn as the
+// leg it measures. Sizes follow the scene extent; `selected` draws it thicker.
+function measurementObject(points, { closed, axis, extent, markers = false, selected = false }) {
+  const group = new THREE.Group();
+  if (points.length === 0) return group;
+  const color = MEASURE_AXIS_COLORS[axis];
 
-      let r = 0.5, g = 0.5, b = 0.5;
+  let path = closed && points.length >= 3 ? [...points, points[0]] : points;
+  if (points.length === 2 && !closed && axis !== '3d') {
+    const [p1, p2] = points;
+    path = [p1, axis === 'horizontal' ? new THREE.Vector3(p2.x, p2.y, p1.z) : new THREE.Vector3(p1.x, p1.y, p2.z)];
+  }
 
-      if (hasRGB && pt.offset + rgbOffset + 6 <= this.buffer.byteLength) {
-        const red = view.getUint16(pt.offset + rgbOffset, true);
-        const green = view.getUint16(pt.offset + rgbOffset + 2, true);
-        const blue = view.getUint16(pt.offset + rgbOffset + 4, true);
+  if (path.length >= 2) {
+    const line = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(path),
+      new THREE.LineBasicMaterial({ color, depthTest: false })
+    );
+    line.renderOrder = 999;
+    group.add(line);
+  }
 
-        if (red > 255 || green > 255 || blue > 255) {
-          r = red / 65535; g = green / 65535; b = blue / 65535;
-        } else if (red > 0 || green > 0 || blue > 0) {
-          r = red / 255; g = green / 255; b = blue / 255;
-        }
+  const radius = (extent ? extent * 0.002 : 0.1) * (selected ? 2 : 1);
+  for (let i = 1; i < path.length; i++) {
+    const direction = new THREE.Vector3().subVectors(path[i], path[i - 1]);
+    const length = direction.length();
+    if (length === 0) continue;
+    const cylinder = new THREE.Mesh(
+      new THREE.CylinderGeometry(radius, radius, length, 8),
+      new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.8 })
+    );
+    cylinder.position.addVectors(path[i - 1], path[i]).multiplyScalar(0.5);
+    cylinder.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction.normalize());
+    cylinder.renderOrder = 998;
+    group.add(cylinder);
+  }
 
-        if (r === 0 && g === 0 && b === 0) {
-          const t = (pt.z - minZ) / zRange;
-          const c = elevationColor(t);
-          r = c.r; g = c.g; b = c.b;
-        }
-      } else {
-        const t = (pt.z - minZ) / zRange;
-        const c = elevationColor(t);
-        r = c.r; g = c.g; b = c.b;
-      }
+  if (markers) {
+    points.forEach((point, i) => {
+      const marker = new THREE.Mesh(
+        new THREE.SphereGeometry(0.5, 16, 16),
+        new THREE.MeshBasicMaterial({ color: i === 0 ? 0x00ff00 : i === points.length - 1 && !closed ? 0xff0000 : color })
+      );
+      marker.position.copy(point);
+      if (extent) marker.scale.setScalar(extent * (selected ? 0.007 : 0.005));
+      group.add(marker);
+    });
+  }
+  return group;
+}
 
-      colors[idx] = r;
-      colors[idx + 1] = g;
-      colors[idx + 2] = b;
-    }
+function disposeObject(object) {
+  object.traverse((child) => {
+    if (child.geometry) child.geometry.dispose();
+    if (child.material) child.material.dispose();
+  });
+}
 
-    const extentX = (maxLon - minLon) * metersPerDegreeLon;
-    const extentY = (maxLat - minLat) * metersPerDegreeLat;
-    const extentZ = maxZ - minZ;
+// Points up to this many pixels from the cursor can be picked
+const PICK_RADIUS = 8;
 
-    this.header.loadedPoints = numPoints;
-    this.header.bounds = { lon: [minLon, maxLon], lat: [minLat, maxLat], z: [minZ, maxZ] };
-    this.header.center = { lon: centerLon, lat: centerLat, z: centerZ };
-    this.header.extentMeters = { x: extentX, y: extentY, z: extentZ };
+// The loupe shows LOUPE_SIZE / LOUPE_ZOOM pixels around the cursor
+const LOUPE_SIZE = 128;
+const LOUPE_ZOOM = 4;
 
-    return { positions, colors };
-  }
-}
+// Plane detection input is thinned evenly to at most this many points
+const PLANE_POINT_LIMIT = 500000;
+// Radius in pixels of the brush that selects a patch to fit a plane to
+const BRUSH_RADIUS = 24;
+// Above this angle in degrees two planes are not parallel, and the distance
+// between them depends on where it is taken
+const PARALLEL_TOLERANCE = 5;
+const PLANE_COLORS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6', '#bfef45', '#469990', '#9a6324'];
+
+const planeColor = (id) => PLANE_COLORS[(id - 1) % PLANE_COLORS.length];
+
+// Profile panel points at most; corridors with more are thinned evenly
+const PROFILE_POINT_LIMIT = 2000000;
+// Size of an exported profile SVG at least, in pixels; larger panels keep their size
+const PROFILE_SVG_SIZE = { width: 1200, height: 400 };
 
-function elevationColor(t) {
-  t = Math.max(0, Math.min(1, t));
-  let r, g, b;
-  if (t < 0.25) {
-    r = 0; g = t * 4; b = 1;
-  } else if (t < 0.5) {
-    r = 0; g = 1; b = 1 - (t - 0.25) * 4;
-  } else if (t < 0.75) {
-    r = (t - 0.5) * 4; g = 1; b = 0;
-  } else {
-    r = 1; g = 1 - (t - 0.75) * 4; b = 0;
+// Copies the canvas around the cursor into the loupe, magnified, with a
+// crosshair and a ring on the point a click would pick. Called right after a
+// render, while the WebGL canvas still holds the frame.
+function drawLoupe({ canvas, cursor, point }, renderer, camera) {
+  const context = canvas.getContext('2d');
+  const source = LOUPE_SIZE / LOUPE_ZOOM;
+  const center = LOUPE_SIZE / 2;
+  context.imageSmoothingEnabled = false;
+  context.fillStyle = '#000000';
+  context.fillRect(0, 0, LOUPE_SIZE, LOUPE_SIZE);
+  context.drawImage(renderer.domElement, cursor.x - source / 2, cursor.y - source / 2, source, source, 0, 0, LOUPE_SIZE, LOUPE_SIZE);
+
+  context.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+  context.lineWidth = 1;
+  context.beginPath();
+  context.moveTo(center, center - 12);
+  context.lineTo(center, center + 12);
+  context.moveTo(center - 12, center);
+  context.lineTo(center + 12, center);
+  context.stroke();
+
+  if (point) {
+    const p = point.clone().project(camera);
+    const x = center + (((p.x + 1) / 2) * renderer.domElement.clientWidth - cursor.x) * LOUPE_ZOOM;
+    const y = center + (((1 - p.y) / 2) * renderer.domElement.clientHeight - cursor.y) * LOUPE_ZOOM;
+    context.strokeStyle = '#facc15';
+    context.lineWidth = 2;
+    context.beginPath();
+    context.arc(x, y, 6, 0, 2 * Math.PI);
+    context.stroke();
   }
-  return { r, g, b };
 }
 
+const isLASFile = (header) => header.fileType === 'LAS' || header.fileType === 'LAZ';
+
 // Orbit controls for Z-up coordinate system
 class OrbitControls {
   constructor(camera, element) {
     this.camera = camera;
     this.element = element;
     this.target = new THREE.Vector3(0, 0, 0);
+    this.home = new THREE.Vector3(0, 0, 0); // Center of the loaded data
     this.distance = 100;
     
     // Azimuth angle (rotation around Z axis, 0 = looking from +X direction)
@@ -197,6 +262,8 @@ class OrbitControls {
     
     this.dragging = false;
     this.panning = false;
+    // Left drag rotates unless this is off, e.g. while it paints a brush stroke
+    this.rotateEnabled = true;
     this.lastX = 0;
     this.lastY = 0;
     
@@ -208,6 +275,11 @@ class OrbitControls {
     // Set camera up vector to Z
     this.camera.up.set(0, 0, 1);
 
+    // An orthographic camera shows what the perspective one would at the target
+    this.fov = camera.isPerspectiveCamera ? camera.fov : 60;
+    // Called after every camera move
+    this.onChange = null;
+
     this.onMouseDown = this.onMouseDown.bind(this);
     this.onMouseMove = this.onMouseMove.bind(this);
     this.onMouseUp = this.onMouseUp.bind(this);
@@ -224,7 +296,7 @@ class OrbitControls {
   }
 
   onMouseDown(e) {
-    if (e.button === 0) this.dragging = true;
+    if (e.button === 0) this.dragging = this.rotateEnabled;
     else if (e.button === 2) this.panning = true;
     this.lastX = e.clientX;
     this.lastY = e.clientY;
@@ -284,6 +356,23 @@ class OrbitControls {
     
     this.camera.position.set(x, y, z);
     this.camera.lookAt(this.target);
+
+    if (this.camera.isOrthographicCamera) {
+      const halfHeight = this.distance * Math.tan(THREE.MathUtils.degToRad(this.fov) / 2);
+      const aspect = this.element.clientWidth / (this.element.clientHeight || 1);
+      this.camera.top = halfHeight;
+      this.camera.bottom = -halfHeight;
+      this.camera.left = -halfHeight * aspect;
+      this.camera.right = halfHeight * aspect;
+      this.camera.updateProjectionMatrix();
+    }
+    if (this.onChange) this.onChange();
+  }
+
+  setCamera(camera) {
+    this.camera = camera;
+    this.camera.up.set(0, 0, 1);
+    this.update();
   }
 
   setDistance(d) {
@@ -291,8 +380,22 @@ class OrbitControls {
     this.update();
   }
 
-  reset(extent) {
-    this.target.set(0, 0, 0);
+  // The orbit as { target: [x, y, z], azimuth, elevation, distance }, as used by camera paths
+  getView() {
+    return { target: this.target.toArray(), azimuth: this.azimuth, elevation: this.elevation, distance: this.distance };
+  }
+
+  setView({ target, azimuth, elevation, distance }) {
+    this.target.fromArray(target);
+    this.azimuth = azimuth;
+    this.elevation = Math.max(-Math.PI / 3, Math.min(Math.PI / 2 - 0.01, elevation));
+    this.distance = distance;
+    this.update();
+  }
+
+  reset(extent, home = this.home) {
+    this.home.copy(home);
+    this.target.copy(home);
     this.azimuth = Math.PI * 0.75; // Looking from SW
     this.elevation = Math.PI / 6;  // 30 degrees above horizontal
     this.setDistance(extent * 1.5);
@@ -302,7 +405,7 @@ class OrbitControls {
   viewTop() {
     this.azimuth = 0;
     this.elevation = Math.PI / 2 - 0.01; // Almost straight down
-    this.target.set(0, 0, 0);
+    this.target.copy(this.home);
     this.update();
   }
 
@@ -310,7 +413,7 @@ class OrbitControls {
     // Looking from South toward North (camera at -Y)
     this.azimuth = -Math.PI / 2;
     this.elevation = 0.01; // Nearly horizontal
-    this.target.set(0, 0, 0);
+    this.target.copy(this.home);
     this.update();
   }
 
@@ -318,14 +421,14 @@ class OrbitControls {
     // Looking from West toward East (camera at -X)
     this.azimuth = Math.PI;
     this.elevation = 0.01;
-    this.target.set(0, 0, 0);
+    this.target.copy(this.home);
     this.update();
   }
 
   viewIsometric() {
     this.azimuth = Math.PI * 0.75; // From SW
     this.elevation = Math.PI / 6;  // 30 degrees up
-    this.target.set(0, 0, 0);
+    this.target.copy(this.home);
     this.update();
   }
 
@@ -361,17 +464,82 @@ class OrbitControls {
 
 export default function LASViewer() {
   const containerRef = useRef(null);
+  const loupeRef = useRef(null);
+  const brushCursorRef = useRef(null);
+  const profileCanvasRef = useRef(null);
   const threeRef = useRef({});
+  const cancelLoadRef = useRef(null);
+  const meshJobRef = useRef(null);
+  const nextKeyframeIdRef = useRef(1);
+  const nextLayerIdRef = useRef(1);
 
-  const [fileInfo, setFileInfo] = useState(null);
+  // One layer per loaded file; the scene objects of each are kept in threeRef.current.layers
+  const [layers, setLayers] = useState([]);
+  const [activeLayerId, setActiveLayerId] = useState(null); // Layer shown in File Info
+  const [sceneExtent, setSceneExtent] = useState(0); // Largest extent of all layers in meters
   const [loading, setLoading] = useState(false);
+  const [loadProgress, setLoadProgress] = useState(null);
   const [error, setError] = useState(null);
   const [pointSize, setPointSize] = useState(2.0);
+  const [pointShape, setPointShape] = useState('round'); // POINT_SHAPES key
+  const [sizeAttenuation, setSizeAttenuation] = useState(false);
+  const [edlEnabled, setEdlEnabled] = useState(false);
+  const [edlStrength, setEdlStrength] = useState(1);
+  const [edlRadius, setEdlRadius] = useState(1.4);
+  const [orthographic, setOrthographic] = useState(false);
+  const [viewOverlay, setViewOverlay] = useState(null); // Orthographic scale bar and north arrow: { metersPerPixel, north }
+  const [shading, setShading] = useState('none'); // SHADING_MODES key; needs a layer's normals
+  const [lightAzimuth, setLightAzimuth] = useState(315); // Degrees clockwise from north
+  const [lightElevation, setLightElevation] = useState(45); // Degrees above the horizon
   const [opacity, setOpacity] = useState(100);
+  const [pointBudget, setPointBudget] = useState(2000000);
+  const [exportProgress, setExportProgress] = useState(null); // percent while a LAS export runs
   const [measureMode, setMeasureMode] = useState(false);
   const [measurePoints, setMeasurePoints] = useState([]);
-  const [measureDistance, setMeasureDistance] = useState(null);
   const [measureAxis, setMeasureAxis] = useState('3d'); // '3d', 'horizontal', 'vertical'
+  const [measureShape, setMeasureShape] = useState('distance'); // 'distance' (two points), 'polyline' or 'polygon'
+  // Finished measurements: { id, name, shape, axis, points } with the points
+  // ({ x, y, z }) in the cloud group's frame, so they turn with the points
+  const [measurements, setMeasurements] = useState([]);
+  const [selectedMeasurementId, setSelectedMeasurementId] = useState(null);
+  const nextMeasurementIdRef = useRef(1);
+  const [inspectMode, setInspectMode] = useState(false);
+  const [inspectedPoint, setInspectedPoint] = useState(null); // { layerName, sections } of the clicked point
+  const [meshMethod, setMeshMethod] = useState('delaunay'); // MESH_METHODS key
+  const [meshScale, setMeshScale] = useState(MESH_SCALES.delaunay.initial);
+  const [meshProgress, setMeshProgress] = useState(null); // { phase, percent } while meshing
+  const [meshInfo, setMeshInfo] = useState(null); // { points, vertices, triangles } of the shown mesh
+  const [meshView, setMeshView] = useState('both'); // 'points', 'mesh' or 'both'
+  const [volumeRegion, setVolumeRegion] = useState('slicer'); // 'slicer' or 'polygon' (the selected area measurement)
+  const [volumeReference, setVolumeReference] = useState('elevation'); // VOLUME_REFERENCES key
+  const [volumeElevation, setVolumeElevation] = useState(''); // Of the horizontal plane, in the file's Z units
+  const [volumeScanId, setVolumeScanId] = useState(null); // Layer compared with for a 'scan' reference
+  const [volumeCellSize, setVolumeCellSize] = useState(0.5); // Meters
+  const [volumePicking, setVolumePicking] = useState(false); // The next click in the view picks the plane elevation
+  const [volumeResult, setVolumeResult] = useState(null); // { cut, fill, area, cells, range, plane } of the shown heat map
+  const [planes, setPlanes] = useState([]); // [{ id, name, source: 'detected' or 'brush', ...plane }], see analysis/planes
+  const [selectedPlaneIds, setSelectedPlaneIds] = useState([]); // Up to two, compared with each other
+  const [planeThreshold, setPlaneThreshold] = useState(0.01); // Meters from a plane its points may be
+  const [planeMaxCount, setPlaneMaxCount] = useState(10);
+  const [planeProgress, setPlaneProgress] = useState(null); // { phase, percent } while detecting
+  const [brushMode, setBrushMode] = useState(false); // Left drag paints a patch to fit a plane to
+  const planeJobRef = useRef(null);
+  const nextPlaneIdRef = useRef(1);
+  const [profileDrawing, setProfileDrawing] = useState(false); // Clicks in the view place the ends of the profile line
+  const [profileLine, setProfileLine] = useState(null); // { a, b } cloud-frame ends { x, y, z }
+  const [profileWidth, setProfileWidth] = useState(1); // Corridor width in meters
+  const [profileInfo, setProfileInfo] = useState(null); // { count, total, length } of the profile in the panel
+  const [profileTool, setProfileTool] = useState('pick'); // 'pick' or 'measure': what a click in the panel does
+  const [profilePick, setProfilePick] = useState(null); // { station, offset, elevation, plan, layerName, record } as shown
+  const [profileMeasure, setProfileMeasure] = useState(null); // { along, rise, length } between the two measured points
+  const [imageDialog, setImageDialog] = useState(false);
+  const [cameraKeyframes, setCameraKeyframes] = useState([]); // [{ id, ...view, duration }], see render/cameraPath
+  const [pathMode, setPathMode] = useState('keyframes'); // 'keyframes' or 'turntable'
+  const [turntablePeriod, setTurntablePeriod] = useState(20); // Seconds per turn
+  const [playing, setPlaying] = useState(null); // 'play' or 'record' while a camera path runs
+  const [imageOptions, setImageOptions] = useState({
+    scale: 4, background: 'scene', scaleBar: true, northArrow: true, measurements: true, titleBlock: true, title: ''
+  });
   
   // Slicer state - all three axes work together
   const [sliceEnabled, setSliceEnabled] = useState(false);
@@ -384,9 +552,34 @@ export default function LASViewer() {
   
   // Display options
   const [darkBackground, setDarkBackground] = useState(true);
-  const [pointColor, setPointColor] = useState('original'); // 'original' or color hex
+  const [pointColor, setPointColor] = useState('original'); // 'original', a COLOR_MODE_NAMES key or color hex
+  const [elevationRamp, setElevationRamp] = useState('rainbow'); // COLOR_RAMPS key or 'custom'
+  const [customRamp, setCustomRamp] = useState('#0000ff, #ffffff, #ff0000');
+  const [elevationRange, setElevationRange] = useState(null); // { min, max } scene Z in meters; null = full range
+  const [elevationClip, setElevationClip] = useState({ low: 2, high: 98 }); // Percentiles for the histogram clip
+  const [hiddenClasses, setHiddenClasses] = useState([]); // Classification values hidden from the legend
+  const [legends, setLegends] = useState([]); // [{ mode, ...attributeLegend() }] of the attribute modes in use
   const [rotationZ, setRotationZ] = useState(0); // Rotation around Z axis in degrees
 
+  const activeLayer = layers.find(l => l.id === activeLayerId) || null;
+  const measureSummary = measureShape !== 'distance' ? measurePath(measurePoints, measureAxis, measureShape === 'polygon') : null;
+  const selectedMeasurement = measurements.find(m => m.id === selectedMeasurementId) || null;
+  const selectedSummary = selectedMeasurement
+    ? measurePath(selectedMeasurement.points, selectedMeasurement.axis, selectedMeasurement.shape === 'polygon')
+    : null;
+  const selectedPlanes = selectedPlaneIds.map(id => planes.find(p => p.id === id)).filter(Boolean);
+  const planePair = selectedPlanes.length === 2 ? comparePlanes(selectedPlanes[0], selectedPlanes[1]) : null;
+  const fileInfo = activeLayer?.info || null;
+  // Keys that change when layers are added, removed, reloaded, shown or hidden
+  const layerIds = layers.map(l => `${l.id}.${l.revision}`).join(',');
+  const visibleLayerIds = layers.filter(l => l.visible).map(l => l.id).join(',');
+  const layerColors = layers.map(l => `${l.id}.${l.revision}:${l.color || pointColor}`).join(',');
+  const customStops = parseRampStops(customRamp);
+  const rampStops = elevationRamp === 'custom' ? customStops || COLOR_RAMPS.rainbow.stops : COLOR_RAMPS[elevationRamp].stops;
+  const rampKey = JSON.stringify(rampStops);
+  // Hidden classes only apply to layers colored by classification
+  const classFilter = `${layers.filter(l => (l.color || pointColor) === 'classification').map(l => l.id)}|${hiddenClasses}`;
+
   useEffect(() => {
     const container = containerRef.current;
     if (!container) return;
@@ -399,6 +592,8 @@ export default function LASViewer() {
 
     const camera = new THREE.PerspectiveCamera(60, width / height, 0.1, 100000);
     camera.up.set(0, 0, 1); // Z is up
+    // Its frustum follows the orbit distance (see OrbitControls.update)
+    const orthoCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, -100000, 100000);
     
     const renderer = new THREE.WebGLRenderer({ antialias: false });
     renderer.setSize(width, height);
@@ -420,11 +615,44 @@ export default function LASViewer() {
     const axes = new THREE.AxesHelper(50);
     dataGroup.add(axes);
 
-    threeRef.current = { renderer, scene, camera, controls, grid, axes, dataGroup, measureLine: null, measureMarkers: [], measureCylinder: null };
+    // Point clouds of all layers, rotated together by the data rotation
+    const cloudGroup = new THREE.Group();
+    dataGroup.add(cloudGroup);
+
+    // Lights for the surface mesh; the point materials are unlit
+    scene.add(new THREE.HemisphereLight(0xffffff, 0x444444, 1.5));
+    const sun = new THREE.DirectionalLight(0xffffff, 1.5);
+    sun.position.set(1, -1, 2);
+    scene.add(sun);
+
+    // Depth shading pass, used instead of the plain render while enabled
+    const edl = new EyeDomeLighting();
+
+    threeRef.current = {
+      renderer, scene, camera, perspectiveCamera: camera, orthoCamera, controls,
+      grid, axes, dataGroup, cloudGroup, edl, edlEnabled: false,
+      layers: [], origin: null, mesh: null, meshData: null, volumeMap: null, playback: null,
+      measureMarkers: [], measurePolyline: null, measurementGroup: null,
+      hoverMarker: null, hoverEvent: null, hoverFrame: null, loupe: null,
+      planePoints: new Map(), planeCloud: null, brushStroke: null, brushPreview: null,
+      profile: null, profileDraft: null, profileObject: null, profileMarker: null, profileDrag: null, profileFrame: null,
+      darkBackground: true
+    };
 
     const animate = () => {
       threeRef.current.animId = requestAnimationFrame(animate);
-      renderer.render(scene, camera);
+      // A playing camera path moves the orbit before the frame is drawn
+      if (threeRef.current.playback) threeRef.current.playback.step(performance.now());
+      const active = threeRef.current.camera;
+      for (const layer of threeRef.current.layers) {
+        if (layer.octree.visible) layer.octree.update(active, renderer);
+      }
+      if (threeRef.current.edlEnabled) {
+        edl.render(renderer, scene, active);
+      } else {
+        renderer.render(scene, active);
+      }
+      if (threeRef.current.loupe) drawLoupe(threeRef.current.loupe, renderer, active);
     };
     animate();
 
@@ -434,8 +662,11 @@ export default function LASViewer() {
       camera.aspect = w / h;
       camera.updateProjectionMatrix();
       renderer.setSize(w, h);
+      controls.update(); // Refits the orthographic frustum
     };
-    window.addEventListener('resize', handleResize);
+    // Also when the profile panel below the view opens or closes
+    const resizeObserver = new ResizeObserver(handleResize);
+    resizeObserver.observe(container);
 
     // Keyboard controls for panning
     const handleKeyDown = (e) => {
@@ -477,10 +708,22 @@ export default function LASViewer() {
     window.addEventListener('keydown', handleKeyDown);
 
     return () => {
-      window.removeEventListener('resize', handleResize);
+      resizeObserver.disconnect();
       window.removeEventListener('keydown', handleKeyDown);
       cancelAnimationFrame(threeRef.current.animId);
+      if (cancelLoadRef.current) cancelLoadRef.current();
+      if (meshJobRef.current) meshJobRef.current.cancel();
+      if (planeJobRef.current) planeJobRef.current.cancel();
+      for (const layer of threeRef.current.layers) {
+        if (layer.normalsJob) layer.normalsJob.cancel();
+        if (layer.pickTreeJob) layer.pickTreeJob.cancel();
+      }
+      if (threeRef.current.mesh) {
+        threeRef.current.mesh.geometry.dispose();
+        threeRef.current.mesh.material.dispose();
+      }
       controls.dispose();
+      edl.dispose();
       renderer.dispose();
       if (container.contains(renderer.domElement)) {
         container.removeChild(renderer.domElement);
@@ -489,16 +732,152 @@ export default function LASViewer() {
   }, []);
 
   useEffect(() => {
-    if (threeRef.current.points) {
-      threeRef.current.points.material.size = pointSize;
+    for (const layer of threeRef.current.layers || []) {
+      const { material } = layer.octree;
+      material.size = pointSize;
+      material.shape = pointShape;
+      material.sizeAttenuation = sizeAttenuation;
+    }
+  }, [pointSize, pointShape, sizeAttenuation]);
+
+  useEffect(() => {
+    const three = threeRef.current;
+    three.camera = orthographic ? three.orthoCamera : three.perspectiveCamera;
+    three.controls.setCamera(three.camera);
+  }, [orthographic]);
+
+  // Keep the scale bar and north arrow in step with the orthographic view
+  useEffect(() => {
+    const { controls, renderer } = threeRef.current;
+    if (!orthographic) {
+      setViewOverlay(null);
+      return;
+    }
+
+    const update = () => {
+      const camera = threeRef.current.camera;
+      const width = renderer.domElement.clientWidth || 1;
+      const height = renderer.domElement.clientHeight || 1;
+      const metersPerPixel = (camera.top - camera.bottom) / camera.zoom / height;
+      const next = { metersPerPixel, north: northOnScreen(camera, controls, rotationZ, width, height) };
+      setViewOverlay(prev => (prev && prev.metersPerPixel === next.metersPerPixel &&
+        prev.north.angle === next.north.angle && prev.north.along === next.north.along ? prev : next));
+    };
+    controls.onChange = update;
+    update();
+    return () => {
+      controls.onChange = null;
+    };
+  }, [orthographic, rotationZ]);
+
+  // Shading is set on every layer; a layer applies it once its normals are in
+  useEffect(() => {
+    const azimuth = THREE.MathUtils.degToRad(lightAzimuth);
+    const elevation = THREE.MathUtils.degToRad(lightElevation);
+    const light = new THREE.Vector3(
+      Math.cos(elevation) * Math.sin(azimuth),
+      Math.cos(elevation) * Math.cos(azimuth),
+      Math.sin(elevation)
+    );
+    for (const layer of threeRef.current.layers || []) {
+      layer.octree.material.setShading(shading, light);
+    }
+  }, [shading, lightAzimuth, lightElevation, layerIds]);
+
+  useEffect(() => {
+    const { edl } = threeRef.current;
+    threeRef.current.edlEnabled = edlEnabled;
+    edl.strength = edlStrength;
+    edl.radius = edlRadius;
+  }, [edlEnabled, edlStrength, edlRadius]);
+
+  // Apply each layer's visibility and opacity, and share the point
+  // budget between the visible layers by their point counts
+  useEffect(() => {
+    const runtime = threeRef.current.layers;
+    if (!runtime) return;
+
+    const visiblePoints = runtime.reduce((sum, r) => {
+      const layer = layers.find(l => l.id === r.id);
+      return layer?.visible ? sum + r.positions.length / 3 : sum;
+    }, 0);
+
+    for (const layer of layers) {
+      const r = runtime.find(x => x.id === layer.id);
+      if (!r) continue;
+      r.octree.visible = layer.visible;
+      r.octree.material.opacity = (opacity / 100) * (layer.opacity / 100);
+      r.octree.pointBudget = Math.max(1, Math.round(pointBudget * (r.positions.length / 3) / (visiblePoints || 1)));
     }
-  }, [pointSize]);
+  }, [layers, opacity, pointBudget]);
+
+  // Mesh against points. Points are hidden through their material, so picking
+  // and LAS export still see them.
+  useEffect(() => {
+    const { layers: runtime, mesh } = threeRef.current;
+    for (const r of runtime || []) r.octree.material.visible = !mesh || meshView !== 'mesh';
+    if (mesh) mesh.visible = meshView !== 'points';
+  }, [meshView, meshInfo, layerIds]);
 
+  // Color each layer by its own color, or the global one: original colors,
+  // elevation, an attribute or a solid color. Computed colors are only redone
+  // when the mode (or the elevation ramp and range, or the intensity stretch,
+  // which are shared by all layers) changes.
   useEffect(() => {
-    if (threeRef.current.points) {
-      threeRef.current.points.material.opacity = opacity / 100;
+    const runtime = threeRef.current.layers;
+    if (!runtime) return;
+    const modeOf = (r) => {
+      const layer = layers.find(l => l.id === r.id);
+      return layer ? layer.color || pointColor : null;
+    };
+
+    const newLegends = Object.keys(ATTRIBUTE_COLOR_MODES)
+      .map(mode => ({ mode, layers: runtime.filter(r => modeOf(r) === mode) }))
+      .filter(({ layers: used }) => used.length > 0)
+      .map(({ mode, layers: used }) => ({ mode, ...attributeLegend(mode, used.map(r => r.attributes)) }));
+    const stretch = newLegends.find(l => l.mode === 'intensity')?.stretch;
+
+    let elevation = null;
+    let lut = null;
+    const elevationLayers = runtime.filter(r => modeOf(r) === 'elevation');
+    if (elevationLayers.length > 0) {
+      const { origin } = threeRef.current;
+      const full = {
+        min: Math.min(...elevationLayers.map(r => r.bounds.min[2])),
+        max: Math.max(...elevationLayers.map(r => r.bounds.max[2]))
+      };
+      elevation = {
+        mode: 'elevation',
+        full,
+        range: elevationRange || full,
+        stops: rampStops,
+        // Scene Z to elevation in the first layer's vertical unit
+        datum: { z: origin.center.z, scale: origin.metersPerUnit.z, unit: origin.crs.verticalUnit.symbol }
+      };
+    }
+
+    for (const r of runtime) {
+      const mode = modeOf(r);
+      if (!mode) continue;
+      const key = mode === 'intensity' ? `intensity:${stretch.min}:${stretch.max}`
+        : mode === 'elevation' ? `elevation:${rampKey}:${elevation.range.min}:${elevation.range.max}`
+          : mode;
+      if (key === r.colorKey) continue;
+      r.colorKey = key;
+
+      if (mode === 'original') {
+        r.octree.setColors(r.colors);
+      } else if (mode === 'elevation') {
+        lut = lut || rampLUT(rampStops);
+        r.octree.setColors(elevationColors(r.positions, r.offset.z, elevation.range, lut));
+      } else if (ATTRIBUTE_COLOR_MODES[mode]) {
+        r.octree.setColors(attributeColors(mode, r.attributes, r.positions.length / 3, { stretch }));
+      } else {
+        r.octree.setSolidColor(mode);
+      }
     }
-  }, [opacity]);
+    setLegends(elevation ? [elevation, ...newLegends] : newLegends);
+  }, [layerColors, pointColor, rampKey, elevationRange]);
 
   // Update background color
   useEffect(() => {
@@ -518,146 +897,219 @@ export default function LASViewer() {
     }
   }, [darkBackground]);
 
-  // Update point colors
+  // Apply rotation to points only (not grid/axes)
   useEffect(() => {
-    if (!threeRef.current.points || !threeRef.current.originalColors) return;
-    
-    const geometry = threeRef.current.points.geometry;
-    const originalColors = threeRef.current.originalColors;
-    
-    if (pointColor === 'original') {
-      // Restore original colors (but respect current slice)
-      if (sliceEnabled) {
-        // Let the slice effect handle it
-        return;
-      }
-      geometry.setAttribute('color', new THREE.BufferAttribute(originalColors.slice(), 3));
-    } else {
-      // Apply solid color
-      const color = new THREE.Color(pointColor);
-      const positions = geometry.attributes.position.array;
-      const numPoints = positions.length / 3;
-      const newColors = new Float32Array(numPoints * 3);
-      
-      for (let i = 0; i < numPoints; i++) {
-        newColors[i * 3] = color.r;
-        newColors[i * 3 + 1] = color.g;
-        newColors[i * 3 + 2] = color.b;
+    const { cloudGroup, layers: runtime } = threeRef.current;
+    if (!cloudGroup) return;
+    cloudGroup.rotation.z = (rotationZ * Math.PI) / 180;
+
+    // World-space bounds of the visible layers: the corners of their boxes,
+    // turned by the rotation. That can be a little larger than the points
+    // themselves, but no point is visited; the slicer filters on the GPU.
+    const visible = runtime.filter(r => visibleLayerIds.split(',').includes(String(r.id)));
+    if (visible.length === 0) return;
+    const rotRad = (rotationZ * Math.PI) / 180;
+    const cosR = Math.cos(rotRad);
+    const sinR = Math.sin(rotRad);
+
+    let minX = Infinity, maxX = -Infinity;
+    let minY = Infinity, maxY = -Infinity;
+    let minZ = Infinity, maxZ = -Infinity;
+
+    for (const { bounds: { min, max } } of visible) {
+      for (const localX of [min[0], max[0]]) {
+        for (const localY of [min[1], max[1]]) {
+          const worldX = localX * cosR - localY * sinR;
+          const worldY = localX * sinR + localY * cosR;
+          if (worldX < minX) minX = worldX;
+          if (worldX > maxX) maxX = worldX;
+          if (worldY < minY) minY = worldY;
+          if (worldY > maxY) maxY = worldY;
+        }
       }
-      
-      geometry.setAttribute('color', new THREE.BufferAttribute(newColors, 3));
+      // Z is not turned
+      if (min[2] < minZ) minZ = min[2];
+      if (max[2] > maxZ) maxZ = max[2];
     }
-    geometry.attributes.color.needsUpdate = true;
-  }, [pointColor, sliceEnabled]);
 
-  // Apply rotation to points only (not grid/axes)
+    setSliceBoundsX({ min: minX, max: maxX });
+    setSliceBoundsY({ min: minY, max: maxY });
+    setSliceBoundsZ({ min: minZ, max: maxZ });
+  }, [rotationZ, visibleLayerIds]);
+
+  // The point under the cursor among the shown points of the visible layers:
+  // { point (world), layer, index into the layer's arrays } or null. Once every
+  // visible layer has its pick tree, the nearest point to the cursor on the
+  // front-most surface is found in screen space (see analysis/pickTree); until
+  // then the drawn octree nodes are raycast.
+  const pickPoint = (event) => {
+    const picking = pickTargets(event, PICK_RADIUS);
+    if (picking) {
+      const hit = pickAlongRay(picking.targets, picking.cone);
+      if (!hit) return null;
+      const layer = picking.visible[hit.target];
+      const point = layer.octree.localToWorld(new THREE.Vector3().fromArray(layer.positions, hit.index * 3));
+      return { point, layer, index: hit.index };
+    }
+
+    const { layers: runtime } = threeRef.current;
+    const visible = runtime.filter(r => r.octree.visible);
+    const raycaster = cursorRaycaster(event);
+
+    // Set threshold based on point cloud extent for better picking
+    const threshold = sceneExtent ? sceneExtent * 0.01 : 2;
+    raycaster.params.Points.threshold = threshold;
+
+    // Only the octree nodes currently drawn are children of the octrees, and
+    // the raycaster ignores visibility, so hidden layers are left out. Node
+    // geometry holds filtered points too, so hits are checked against the filter.
+    const octrees = visible.map(r => r.octree);
+    const intersects = raycaster.intersectObjects(octrees, true);
+
+    for (const hit of intersects) {
+      const layer = runtime.find(r => r.octree === hit.object.parent);
+      const index = layer.octree.pointIndex(hit.object, hit.index);
+      if (passesFilter(layer, index)) return { point: hit.point.clone(), layer, index };
+    }
+    return null;
+  };
+
+  const cursorRaycaster = (event) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    const x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    const y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(new THREE.Vector2(x, y), threeRef.current.camera);
+    return raycaster;
+  };
+
+  // The cursor's ray in the frame of each visible layer and a cone `pixels`
+  // wide around it on screen, for analysis/pickTree: { visible (layers),
+  // targets, cone }, or null until every visible layer has its pick tree
+  const pickTargets = (event, pixels) => {
+    const { camera, layers: runtime } = threeRef.current;
+    const visible = runtime.filter(r => r.octree.visible);
+    if (visible.length === 0 || !visible.every(r => r.pickTree)) return null;
+
+    const { ray } = cursorRaycaster(event);
+    const height = containerRef.current.clientHeight;
+    const cone = camera.isOrthographicCamera
+      ? { radius: (pixels * (camera.top - camera.bottom)) / camera.zoom / height, slope: 0, near: 0 }
+      : { radius: 0, slope: (pixels * 2 * Math.tan(THREE.MathUtils.degToRad(camera.fov / 2))) / height, near: camera.near };
+    const targets = visible.map((layer) => {
+      // The octree's frame is the world turned and shifted, so the ray keeps its length
+      const toLocal = layer.octree.matrixWorld.clone().invert();
+      return {
+        positions: layer.positions,
+        tree: layer.pickTree,
+        origin: ray.origin.clone().applyMatrix4(toLocal).toArray(),
+        direction: ray.direction.clone().transformDirection(toLocal).toArray(),
+        accept: (i) => passesFilter(layer, i)
+      };
+    });
+    return { visible, targets, cone };
+  };
+
+  // Pick trees of the layers, built in the background once picking is in use
   useEffect(() => {
-    if (threeRef.current.points) {
-      threeRef.current.points.rotation.z = (rotationZ * Math.PI) / 180;
+    if (!measureMode && !inspectMode && !volumePicking && !brushMode && !profileDrawing) return;
+    for (const layer of threeRef.current.layers) {
+      if (layer.pickTree || layer.pickTreeJob) continue;
+      const job = buildPickTreeInWorker(layer.positions);
+      layer.pickTreeJob = job;
+      job.promise.then((tree) => {
+        layer.pickTreeJob = null;
+        layer.pickTree = tree;
+      }).catch((err) => {
+        layer.pickTreeJob = null;
+        if (err.name !== 'AbortError') console.error('Pick index error:', err);
+      });
     }
-    
-    // Recalculate world-space bounds when rotation changes
-    if (threeRef.current.originalPositions) {
-      const positions = threeRef.current.originalPositions;
-      const rotRad = (rotationZ * Math.PI) / 180;
-      const cosR = Math.cos(rotRad);
-      const sinR = Math.sin(rotRad);
-      
-      let minX = Infinity, maxX = -Infinity;
-      let minY = Infinity, maxY = -Infinity;
-      let minZ = Infinity, maxZ = -Infinity;
-      
-      for (let i = 0; i < positions.length; i += 3) {
-        const localX = positions[i];
-        const localY = positions[i + 1];
-        const localZ = positions[i + 2];
-        
-        // Transform to world coordinates
-        const worldX = localX * cosR - localY * sinR;
-        const worldY = localX * sinR + localY * cosR;
-        const worldZ = localZ;
-        
-        if (worldX < minX) minX = worldX;
-        if (worldX > maxX) maxX = worldX;
-        if (worldY < minY) minY = worldY;
-        if (worldY > maxY) maxY = worldY;
-        if (worldZ < minZ) minZ = worldZ;
-        if (worldZ > maxZ) maxZ = worldZ;
-      }
-      
-      setSliceBoundsX({ min: minX, max: maxX });
-      setSliceBoundsY({ min: minY, max: maxY });
-      setSliceBoundsZ({ min: minZ, max: maxZ });
+  }, [measureMode, inspectMode, volumePicking, brushMode, profileDrawing, layerIds]);
+
+  // While measuring, marks the point a click would pick and shows it magnified
+  // in the loupe. This is kept out of React state and done once per frame at
+  // most, as the mouse moves far more often than anything else changes.
+  const handlePickHover = (event) => {
+    const three = threeRef.current;
+    // Not over the panels on top of the view, nor while dragging the view
+    if (!measureMode || three.layers.length === 0 || event.buttons !== 0 || event.target !== three.renderer.domElement) {
+      hidePickHover();
+      return;
     }
-  }, [rotationZ]);
+    three.hoverEvent = { clientX: event.clientX, clientY: event.clientY };
+    if (three.hoverFrame) return;
+    three.hoverFrame = requestAnimationFrame(() => {
+      three.hoverFrame = null;
+      if (three.hoverEvent) updatePickHover(three.hoverEvent);
+    });
+  };
+
+  const updatePickHover = (event) => {
+    const three = threeRef.current;
+    const hit = pickPoint(event);
+    if (!three.hoverMarker) {
+      const marker = new THREE.Mesh(
+        new THREE.SphereGeometry(0.5, 16, 16),
+        new THREE.MeshBasicMaterial({ color: 0xffffff, depthTest: false, transparent: true, opacity: 0.9 })
+      );
+      marker.renderOrder = 1000;
+      three.scene.add(marker);
+      three.hoverMarker = marker;
+    }
+    three.hoverMarker.visible = !!hit;
+    if (hit) {
+      three.hoverMarker.position.copy(hit.point);
+      if (sceneExtent) three.hoverMarker.scale.setScalar(sceneExtent * 0.004);
+    }
+
+    // The loupe sits beside the cursor, on the side with room for it
+    const rect = containerRef.current.getBoundingClientRect();
+    const cursor = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    const loupe = loupeRef.current;
+    loupe.style.left = `${cursor.x + 24 + LOUPE_SIZE < rect.width ? cursor.x + 24 : cursor.x - 24 - LOUPE_SIZE}px`;
+    loupe.style.top = `${cursor.y + 24 + LOUPE_SIZE < rect.height ? cursor.y + 24 : cursor.y - 24 - LOUPE_SIZE}px`;
+    loupe.style.display = 'block';
+    three.loupe = { canvas: loupe, cursor, point: hit ? hit.point : null };
+  };
+
+  const hidePickHover = () => {
+    const three = threeRef.current;
+    three.hoverEvent = null;
+    three.loupe = null;
+    if (three.hoverMarker) three.hoverMarker.visible = false;
+    if (loupeRef.current) loupeRef.current.style.display = 'none';
+  };
+
+  useEffect(() => {
+    if (!measureMode) hidePickHover();
+  }, [measureMode]);
 
   // Handle measurement clicks
   const handleMeasureClick = useCallback((event) => {
-    if (!measureMode || !threeRef.current.points) return;
-
-    const container = containerRef.current;
-    const rect = container.getBoundingClientRect();
-    const x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-    const y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    if (!measureMode || threeRef.current.layers.length === 0) return;
 
-    const { camera, scene, points } = threeRef.current;
+    const hit = pickPoint(event);
     
-    // Raycaster to find closest point
-    const raycaster = new THREE.Raycaster();
-    // Set threshold based on point cloud extent for better picking
-    const threshold = fileInfo ? Math.max(fileInfo.extentMeters.x, fileInfo.extentMeters.y, fileInfo.extentMeters.z) * 0.01 : 2;
-    raycaster.params.Points.threshold = threshold;
-    raycaster.setFromCamera(new THREE.Vector2(x, y), camera);
+    if (hit) {
+      const point = hit.point;
 
-    const intersects = raycaster.intersectObject(points);
-    
-    if (intersects.length > 0) {
-      const point = intersects[0].point.clone();
-      
-      if (measurePoints.length === 0) {
+      if (measureShape !== 'distance') {
+        // Polylines and polygons take any number of points until finished
+        const points = [...measurePoints, point];
+        setMeasurePoints(points);
+        addMeasureMarker(point, measurePoints.length === 0 ? 0x00ff00 : 0xffff00);
+        drawMeasurePolyline(points, measureShape === 'polygon', measureAxis);
+      } else if (measurePoints.length === 0) {
         // First point
         setMeasurePoints([point]);
-        setMeasureDistance(null);
-        
-        // Clear old measurement visuals
-        clearMeasurementVisuals();
-        
-        // Add marker for first point
         addMeasureMarker(point, 0x00ff00);
-      } else if (measurePoints.length === 1) {
-        // Second point - calculate distance
-        const p1 = measurePoints[0];
-        const p2 = point;
-        
-        let dist;
-        if (measureAxis === 'horizontal') {
-          // XY plane distance only
-          dist = Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2));
-        } else if (measureAxis === 'vertical') {
-          // Z axis distance only
-          dist = Math.abs(p2.z - p1.z);
-        } else {
-          // Full 3D distance
-          dist = p1.distanceTo(p2);
-        }
-        
-        setMeasurePoints([p1, p2]);
-        setMeasureDistance(dist);
-        
-        // Add marker for second point
-        addMeasureMarker(point, 0xff0000);
-        
-        // Draw line between points
-        drawMeasureLine(p1, p2);
       } else {
-        // Reset and start new measurement
-        clearMeasurementVisuals();
-        setMeasurePoints([point]);
-        setMeasureDistance(null);
-        addMeasureMarker(point, 0x00ff00);
+        // Second point finishes the distance
+        saveMeasurement([measurePoints[0], point]);
       }
     }
-  }, [measureMode, measurePoints, fileInfo, measureAxis]);
+  }, [measureMode, measurePoints, sceneExtent, measureAxis, measureShape]);
 
   const addMeasureMarker = (position, color) => {
     const { scene } = threeRef.current;
@@ -667,104 +1119,101 @@ export default function LASViewer() {
     marker.position.copy(position);
     
     // Scale marker based on scene size - make them small
-    if (fileInfo) {
-      const ext = fileInfo.extentMeters;
-      const maxExtent = Math.max(ext.x, ext.y, ext.z);
-      marker.scale.setScalar(maxExtent * 0.005);
+    if (sceneExtent) {
+      marker.scale.setScalar(sceneExtent * 0.005);
     }
     
     scene.add(marker);
     threeRef.current.measureMarkers.push(marker);
   };
 
-  const drawMeasureLine = (p1, p2) => {
+  // The polyline or polygon being measured
+  const drawMeasurePolyline = (points, closed, axis) => {
     const { scene } = threeRef.current;
-    
-    // Remove old line if exists
-    if (threeRef.current.measureLine) {
-      scene.remove(threeRef.current.measureLine);
-      threeRef.current.measureLine.geometry.dispose();
-      threeRef.current.measureLine.material.dispose();
-    }
-    
-    // Remove old cylinder if exists
-    if (threeRef.current.measureCylinder) {
-      scene.remove(threeRef.current.measureCylinder);
-      threeRef.current.measureCylinder.geometry.dispose();
-      threeRef.current.measureCylinder.material.dispose();
-    }
-    
-    // Create line points based on axis mode
-    let linePoints;
-    let lineColor = 0xffff00; // Default yellow
-    
-    if (measureAxis === 'horizontal') {
-      // Project to same Z level (use p1's Z)
-      const p2Projected = new THREE.Vector3(p2.x, p2.y, p1.z);
-      linePoints = [p1, p2Projected];
-      lineColor = 0x00ffff; // Cyan for horizontal
-    } else if (measureAxis === 'vertical') {
-      // Vertical line at p1's XY position
-      const p2Projected = new THREE.Vector3(p1.x, p1.y, p2.z);
-      linePoints = [p1, p2Projected];
-      lineColor = 0xff00ff; // Magenta for vertical
-    } else {
-      linePoints = [p1, p2];
-    }
-    
-    const geometry = new THREE.BufferGeometry().setFromPoints(linePoints);
-    const material = new THREE.LineBasicMaterial({ 
-      color: lineColor, 
-      linewidth: 6,
-      depthTest: false 
+    removeMeasurePolyline();
+    if (points.length < 2) return;
+    const polyline = measurementObject(points, { closed, axis, extent: sceneExtent });
+    scene.add(polyline);
+    threeRef.current.measurePolyline = polyline;
+  };
+
+  const removeMeasurePolyline = () => {
+    const { scene, measurePolyline } = threeRef.current;
+    if (!measurePolyline) return;
+    scene.remove(measurePolyline);
+    disposeObject(measurePolyline);
+    threeRef.current.measurePolyline = null;
+  };
+
+  // Adds the measured points to the list, selected, and starts a new measurement
+  const saveMeasurement = (points) => {
+    const { cloudGroup } = threeRef.current;
+    const id = nextMeasurementIdRef.current++;
+    const local = points.map((p) => {
+      const v = cloudGroup.worldToLocal(p.clone());
+      return { x: v.x, y: v.y, z: v.z };
     });
-    const line = new THREE.Line(geometry, material);
-    line.renderOrder = 999;
-    scene.add(line);
-    threeRef.current.measureLine = line;
-    
-    // Add a thicker cylinder for better visibility (LineBasicMaterial linewidth often ignored)
-    const direction = new THREE.Vector3().subVectors(linePoints[1], linePoints[0]);
-    const length = direction.length();
-    if (length > 0) {
-      const cylinderGeom = new THREE.CylinderGeometry(
-        fileInfo ? Math.max(fileInfo.extentMeters.x, fileInfo.extentMeters.y, fileInfo.extentMeters.z) * 0.002 : 0.1,
-        fileInfo ? Math.max(fileInfo.extentMeters.x, fileInfo.extentMeters.y, fileInfo.extentMeters.z) * 0.002 : 0.1,
-        length,
-        8
-      );
-      const cylinderMat = new THREE.MeshBasicMaterial({ color: lineColor, transparent: true, opacity: 0.8 });
-      const cylinder = new THREE.Mesh(cylinderGeom, cylinderMat);
-      
-      // Position at midpoint
-      const midpoint = new THREE.Vector3().addVectors(linePoints[0], linePoints[1]).multiplyScalar(0.5);
-      cylinder.position.copy(midpoint);
-      
-      // Align to direction
-      cylinder.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction.normalize());
-      cylinder.renderOrder = 998;
-      
-      scene.add(cylinder);
-      threeRef.current.measureCylinder = cylinder;
-    }
+    setMeasurements(prev => [...prev, {
+      id, name: `${MEASURE_SHAPE_NAMES[measureShape]} ${id}`, shape: measureShape, axis: measureAxis, points: local
+    }]);
+    setSelectedMeasurementId(id);
+    clearMeasurement();
   };
 
-  const clearMeasurementVisuals = () => {
-    const { scene, measureLine, measureMarkers, measureCylinder } = threeRef.current;
-    
-    if (measureLine) {
-      scene.remove(measureLine);
-      measureLine.geometry.dispose();
-      measureLine.material.dispose();
-      threeRef.current.measureLine = null;
+  const finishMeasurement = () => {
+    if (measurePoints.length >= (measureShape === 'polygon' ? 3 : 2)) saveMeasurement(measurePoints);
+  };
+
+  const selectMeasurement = (id) => {
+    setSelectedMeasurementId(id);
+    const measurement = measurements.find(m => m.id === id);
+    if (measurement) setMeasureAxis(measurement.axis);
+  };
+
+  const renameMeasurement = (id, name) => {
+    setMeasurements(prev => prev.map(m => (m.id === id ? { ...m, name } : m)));
+  };
+
+  const removeMeasurement = (id) => {
+    setMeasurements(prev => prev.filter(m => m.id !== id));
+    if (selectedMeasurementId === id) setSelectedMeasurementId(null);
+  };
+
+  const clearMeasurements = () => {
+    setMeasurements([]);
+    setSelectedMeasurementId(null);
+  };
+
+  // The axis applies to the selected measurement as well as to the next ones
+  const changeMeasureAxis = (axis) => {
+    setMeasureAxis(axis);
+    if (selectedMeasurementId !== null) {
+      setMeasurements(prev => prev.map(m => (m.id === selectedMeasurementId ? { ...m, axis } : m)));
     }
-    
-    if (measureCylinder) {
-      scene.remove(measureCylinder);
-      measureCylinder.geometry.dispose();
-      measureCylinder.material.dispose();
-      threeRef.current.measureCylinder = null;
+  };
+
+  // Removes the last point of a polyline or polygon
+  const undoMeasurePoint = () => {
+    const { scene, measureMarkers } = threeRef.current;
+    const marker = measureMarkers.pop();
+    if (marker) {
+      scene.remove(marker);
+      marker.geometry.dispose();
+      marker.material.dispose();
     }
+    const points = measurePoints.slice(0, -1);
+    setMeasurePoints(points);
+    drawMeasurePolyline(points, measureShape === 'polygon', measureAxis);
+  };
+
+  const changeMeasureShape = (shape) => {
+    clearMeasurement();
+    setMeasureShape(shape);
+  };
+
+  const clearMeasurementVisuals = () => {
+    const { scene, measureMarkers } = threeRef.current;
+    removeMeasurePolyline();
     
     measureMarkers.forEach(marker => {
       scene.remove(marker);
@@ -777,246 +1226,1623 @@ export default function LASViewer() {
   const clearMeasurement = () => {
     clearMeasurementVisuals();
     setMeasurePoints([]);
-    setMeasureDistance(null);
   };
 
   const toggleMeasureMode = () => {
     if (measureMode) {
-      // Turning off - clear everything
+      // Turning off - drop the unfinished measurement; the list stays
       clearMeasurement();
+    } else if (inspectMode) {
+      clearInspection();
+      setInspectMode(false);
+    }
+    if (!measureMode) {
+      setBrushMode(false);
+      stopProfileDrawing();
     }
     setMeasureMode(!measureMode);
   };
 
-  // Recalculate measurement when axis mode changes
+  // Shows what the clicked point is: its file coordinates, record index and attributes
+  const handleInspectClick = (event) => {
+    if (!inspectMode || threeRef.current.layers.length === 0) return;
+
+    const hit = pickPoint(event);
+    if (!hit || hit.index < 0) return;
+    const { layer, index } = hit;
+    const world = layer.octree.localToWorld(new THREE.Vector3().fromArray(layer.positions, index * 3));
+
+    clearInspection();
+    const marker = new THREE.Mesh(new THREE.SphereGeometry(0.5, 16, 16), new THREE.MeshBasicMaterial({ color: 0x00ffff }));
+    marker.position.copy(world);
+    if (sceneExtent) marker.scale.setScalar(sceneExtent * 0.005);
+    threeRef.current.scene.add(marker);
+    threeRef.current.inspectMarker = marker;
+
+    const sections = describePoint(layer.header, layer, index);
+    sections.splice(2, 0, {
+      title: 'Scene (m)',
+      rows: [['X', world.x.toFixed(3)], ['Y', world.y.toFixed(3)], ['Z', world.z.toFixed(3)]]
+    });
+    setInspectedPoint({ layerName: layers.find(l => l.id === layer.id)?.name, sections });
+  };
+
+  const clearInspection = () => {
+    const { scene, inspectMarker } = threeRef.current;
+    if (inspectMarker) {
+      scene.remove(inspectMarker);
+      inspectMarker.geometry.dispose();
+      inspectMarker.material.dispose();
+      threeRef.current.inspectMarker = null;
+    }
+    setInspectedPoint(null);
+  };
+
+  const toggleInspectMode = () => {
+    if (inspectMode) {
+      clearInspection();
+    } else if (measureMode) {
+      clearMeasurement();
+      setMeasureMode(false);
+    }
+    if (!inspectMode) {
+      setBrushMode(false);
+      stopProfileDrawing();
+    }
+    setInspectMode(!inspectMode);
+  };
+
+  // Redraw the unfinished path when the axis changes
   useEffect(() => {
-    if (measurePoints.length === 2) {
-      const p1 = measurePoints[0];
-      const p2 = measurePoints[1];
-      
-      let dist;
-      if (measureAxis === 'horizontal') {
-        dist = Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2));
-      } else if (measureAxis === 'vertical') {
-        dist = Math.abs(p2.z - p1.z);
-      } else {
-        dist = p1.distanceTo(p2);
-      }
-      
-      setMeasureDistance(dist);
-      drawMeasureLine(p1, p2);
+    if (measureShape !== 'distance') {
+      drawMeasurePolyline(measurePoints, measureShape === 'polygon', measureAxis);
     }
   }, [measureAxis]);
 
-  // Apply slicer to point cloud - all three axes combined, in world coordinates
+  // Draw the saved measurements in the cloud group
   useEffect(() => {
-    if (!threeRef.current.points || !threeRef.current.originalPositions) return;
-    
-    const geometry = threeRef.current.points.geometry;
-    const originalPositions = threeRef.current.originalPositions;
-    const originalColors = threeRef.current.originalColors;
-    
-    if (!sliceEnabled) {
-      // Restore all points
-      geometry.setAttribute('position', new THREE.BufferAttribute(originalPositions.slice(), 3));
-      
-      // Apply appropriate colors
-      if (pointColor === 'original') {
-        geometry.setAttribute('color', new THREE.BufferAttribute(originalColors.slice(), 3));
-      } else {
-        const color = new THREE.Color(pointColor);
-        const numPoints = originalPositions.length / 3;
-        const newColors = new Float32Array(numPoints * 3);
-        for (let i = 0; i < numPoints; i++) {
-          newColors[i * 3] = color.r;
-          newColors[i * 3 + 1] = color.g;
-          newColors[i * 3 + 2] = color.b;
-        }
-        geometry.setAttribute('color', new THREE.BufferAttribute(newColors, 3));
+    const { cloudGroup } = threeRef.current;
+    if (!cloudGroup) return;
+    if (threeRef.current.measurementGroup) {
+      cloudGroup.remove(threeRef.current.measurementGroup);
+      disposeObject(threeRef.current.measurementGroup);
+    }
+    const group = new THREE.Group();
+    for (const m of measurements) {
+      group.add(measurementObject(m.points.map(p => new THREE.Vector3(p.x, p.y, p.z)), {
+        closed: m.shape === 'polygon', axis: m.axis, extent: sceneExtent, markers: true, selected: m.id === selectedMeasurementId
+      }));
+    }
+    cloudGroup.add(group);
+    threeRef.current.measurementGroup = group;
+  }, [measurements, selectedMeasurementId, sceneExtent]);
+
+  // Apply slicer to every layer - all three axes combined, in world coordinates -
+  // together with the classes hidden in the legend. The box is tested against
+  // world positions in the vertex shader, so the rotation needs no recompute.
+  useEffect(() => {
+    const runtime = threeRef.current.layers;
+    if (!runtime || runtime.length === 0) return;
+
+    // Calculate actual bounds for each axis (in world/scene coordinates)
+    const box = sliceEnabled ? {
+      min: [
+        sliceBoundsX.min + (sliceX.min / 100) * (sliceBoundsX.max - sliceBoundsX.min),
+        sliceBoundsY.min + (sliceY.min / 100) * (sliceBoundsY.max - sliceBoundsY.min),
+        sliceBoundsZ.min + (sliceZ.min / 100) * (sliceBoundsZ.max - sliceBoundsZ.min)
+      ],
+      max: [
+        sliceBoundsX.min + (sliceX.max / 100) * (sliceBoundsX.max - sliceBoundsX.min),
+        sliceBoundsY.min + (sliceY.max / 100) * (sliceBoundsY.max - sliceBoundsY.min),
+        sliceBoundsZ.min + (sliceZ.max / 100) * (sliceBoundsZ.max - sliceBoundsZ.min)
+      ]
+    } : null;
+    const rotation = (rotationZ * Math.PI) / 180;
+    const [classLayers] = classFilter.split('|');
+
+    // Only uniforms change here; the shader drops the filtered points, and
+    // CPU users build a mask from layer.filter when they need one
+    for (const layer of runtime) {
+      const filtersClasses = hiddenClasses.length > 0 && classLayers.split(',').includes(String(layer.id)) &&
+        !!layer.attributes.classification;
+      layer.filter = { box, rotation, hiddenClasses: filtersClasses ? hiddenClasses : null };
+      layer.octree.material.setFilter(layer.filter);
+    }
+  }, [sliceEnabled, sliceX, sliceY, sliceZ, sliceBoundsX, sliceBoundsY, sliceBoundsZ, rotationZ, layerIds, classFilter]);
+
+  // Makes the first layer the origin of the local frame again, once the layer
+  // the frame came from has been removed or reloaded, and places the others
+  // from it. Returns true if the layers moved in the cloud group.
+  const anchorFrame = () => {
+    const { layers: runtime } = threeRef.current;
+    const origin = runtime[0].header;
+    threeRef.current.origin = origin;
+    let moved = false;
+    for (const layer of runtime) {
+      const offset = frameOffset(origin, layer.header) || { x: 0, y: 0, z: 0 };
+      const shift = [offset.x - layer.offset.x, offset.y - layer.offset.y, offset.z - layer.offset.z];
+      if (shift.every(d => d === 0)) continue;
+      for (let a = 0; a < 3; a++) {
+        layer.bounds.min[a] += shift[a];
+        layer.bounds.max[a] += shift[a];
       }
-      
-      geometry.attributes.position.needsUpdate = true;
-      geometry.attributes.color.needsUpdate = true;
+      layer.offset = offset;
+      layer.octree.position.set(offset.x, offset.y, offset.z);
+      moved = true;
+    }
+    return moved;
+  };
+
+  // Fits the grid, axes and camera clipping to the union of all layers and,
+  // when `resetCamera` is set, frames the view on it
+  const updateSceneFrame = (resetCamera) => {
+    const { perspectiveCamera: camera, orthoCamera, controls, grid, axes, dataGroup, layers: runtime } = threeRef.current;
+    if (runtime.length === 0) {
+      threeRef.current.dataBounds = null;
+      setSceneExtent(0);
       return;
     }
-    
-    // Calculate actual bounds for each axis (in world/scene coordinates)
-    const xMin = sliceBoundsX.min + (sliceX.min / 100) * (sliceBoundsX.max - sliceBoundsX.min);
-    const xMax = sliceBoundsX.min + (sliceX.max / 100) * (sliceBoundsX.max - sliceBoundsX.min);
-    const yMin = sliceBoundsY.min + (sliceY.min / 100) * (sliceBoundsY.max - sliceBoundsY.min);
-    const yMax = sliceBoundsY.min + (sliceY.max / 100) * (sliceBoundsY.max - sliceBoundsY.min);
-    const zMin = sliceBoundsZ.min + (sliceZ.min / 100) * (sliceBoundsZ.max - sliceBoundsZ.min);
-    const zMax = sliceBoundsZ.min + (sliceZ.max / 100) * (sliceBoundsZ.max - sliceBoundsZ.min);
-    
-    // Get rotation in radians
-    const rotRad = (rotationZ * Math.PI) / 180;
-    const cosR = Math.cos(rotRad);
-    const sinR = Math.sin(rotRad);
-    
-    const filteredPositions = [];
-    const filteredColors = [];
-    
-    const solidColor = pointColor !== 'original' ? new THREE.Color(pointColor) : null;
-    
-    for (let i = 0; i < originalPositions.length / 3; i++) {
-      const localX = originalPositions[i * 3];
-      const localY = originalPositions[i * 3 + 1];
-      const localZ = originalPositions[i * 3 + 2];
-      
-      // Transform to world coordinates (apply Z rotation)
-      const worldX = localX * cosR - localY * sinR;
-      const worldY = localX * sinR + localY * cosR;
-      const worldZ = localZ; // Z unchanged when rotating around Z axis
-      
-      // Check all three axes in world coordinates
-      if (worldX >= xMin && worldX <= xMax && worldY >= yMin && worldY <= yMax && worldZ >= zMin && worldZ <= zMax) {
-        // Store local coordinates (Three.js will apply rotation when rendering)
-        filteredPositions.push(localX, localY, localZ);
-        
-        if (solidColor) {
-          filteredColors.push(solidColor.r, solidColor.g, solidColor.b);
-        } else {
-          filteredColors.push(
-            originalColors[i * 3],
-            originalColors[i * 3 + 1],
-            originalColors[i * 3 + 2]
-          );
-        }
+
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (const { bounds } of runtime) {
+      for (let a = 0; a < 3; a++) {
+        min[a] = Math.min(min[a], bounds.min[a]);
+        max[a] = Math.max(max[a], bounds.max[a]);
       }
     }
+    const ext = { x: max[0] - min[0], y: max[1] - min[1], z: max[2] - min[2] };
+    const maxExtent = Math.max(ext.x, ext.y, ext.z) || 1;
+    const center = new THREE.Vector3((min[0] + max[0]) / 2, (min[1] + max[1]) / 2, (min[2] + max[2]) / 2);
+
+    camera.near = maxExtent * 0.0001;
+    camera.far = maxExtent * 100;
+    camera.updateProjectionMatrix();
+    // The orthographic camera sits at the orbit distance, which may be inside
+    // the data, so its near plane is behind it
+    orthoCamera.near = -maxExtent * 50;
+    orthoCamera.far = maxExtent * 50;
+    orthoCamera.updateProjectionMatrix();
+
+    // Update grid to match data extent, positioned at the bottom of the data
+    dataGroup.remove(grid);
+    dataGroup.remove(axes);
+    
+    const gridSize = Math.max(ext.x, ext.y) * 1.5;
+    const newGrid = new THREE.GridHelper(gridSize, 20, 0x444466, 0x333344);
+    newGrid.rotation.x = Math.PI / 2; // XY plane
+    newGrid.position.set(center.x, center.y, min[2]);
+    dataGroup.add(newGrid);
+    
+    const newAxes = new THREE.AxesHelper(maxExtent * 0.3);
+    newAxes.position.set(center.x, center.y, min[2]);
+    dataGroup.add(newAxes);
     
-    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(filteredPositions), 3));
-    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(filteredColors), 3));
-    geometry.attributes.position.needsUpdate = true;
-    geometry.attributes.color.needsUpdate = true;
-    geometry.computeBoundingBox();
-  }, [sliceEnabled, sliceX, sliceY, sliceZ, sliceBoundsX, sliceBoundsY, sliceBoundsZ, pointColor, rotationZ]);
-
-  const loadFile = useCallback(async (file) => {
+    threeRef.current.grid = newGrid;
+    threeRef.current.axes = newAxes;
+    threeRef.current.dataBounds = {
+      x: { min: min[0], max: max[0] },
+      y: { min: min[1], max: max[1] },
+      z: { min: min[2], max: max[2] }
+    };
+
+    setSceneExtent(maxExtent);
+    if (resetCamera) controls.reset(maxExtent, center);
+
+    // Attenuated points keep their set size at the distance the scene is framed from
+    for (const layer of runtime) layer.octree.material.referenceDistance = maxExtent * 1.5;
+  };
+
+  // Loads a file as a new layer, or in place of layer `replaceId` to re-parse it.
+  // options.crsKey picks a CRS_PRESETS entry for files that carry no CRS;
+  // options.columns overrides the column mapping of XYZ/CSV files.
+  // Resolves to false if the load was cancelled.
+  const loadFile = useCallback(async (file, options = {}, replaceId = null) => {
+    if (cancelLoadRef.current) cancelLoadRef.current();
     setLoading(true);
+    setLoadProgress(null);
     setError(null);
 
-    try {
-      const buffer = await file.arrayBuffer();
-      const parser = new LASParser(buffer, { isGeographic: true });
-      const data = parser.parse();
+    const { promise, cancel } = parsePointCloudInWorker(file, { ...options, onProgress: setLoadProgress });
+    cancelLoadRef.current = cancel;
 
-      const { scene, camera, controls, grid, axes, dataGroup } = threeRef.current;
+    try {
+      const data = await promise;
+      const { cloudGroup, layers: runtime } = threeRef.current;
 
-      if (threeRef.current.points) {
-        dataGroup.remove(threeRef.current.points);
-        threeRef.current.points.geometry.dispose();
-        threeRef.current.points.material.dispose();
+      const replaced = runtime.find(r => r.id === replaceId);
+      if (replaced) {
+        if (replaced.normalsJob) replaced.normalsJob.cancel();
+        if (replaced.pickTreeJob) replaced.pickTreeJob.cancel();
+        cloudGroup.remove(replaced.octree);
+        replaced.octree.dispose();
       }
+      const first = runtime.length === (replaced ? 1 : 0);
+      const reloadsOrigin = !!replaced && replaced === runtime[0];
 
-      const geometry = new THREE.BufferGeometry();
-      geometry.setAttribute('position', new THREE.BufferAttribute(data.points.positions, 3));
-      geometry.setAttribute('color', new THREE.BufferAttribute(data.points.colors, 3));
-
-      // Store original data for slicer
-      threeRef.current.originalPositions = data.points.positions.slice();
-      threeRef.current.originalColors = data.points.colors.slice();
+      // Layers share the local frame of the first one, placed by their georeferenced centers
+      const h = data.header;
+      if (first || reloadsOrigin) threeRef.current.origin = h;
+      const origin = threeRef.current.origin;
+      const warnings = h.warnings ? [...h.warnings] : [];
+      let offset = frameOffset(origin, h);
+      if (!offset) {
+        offset = { x: 0, y: 0, z: 0 };
+        warnings.push(`CRS differs from the first layer (${describeCRS(origin.crs)}); shown at the scene center without reprojection`);
+      }
 
-      const material = new THREE.PointsMaterial({
+      const material = new PointCloudMaterial({
         size: pointSize,
-        vertexColors: true,
-        sizeAttenuation: false,
-        transparent: true,
-        opacity: opacity / 100
+        opacity: opacity / 100,
+        shape: pointShape,
+        sizeAttenuation
       });
 
-      const points = new THREE.Points(geometry, material);
-      dataGroup.add(points);
-      threeRef.current.points = points;
-
-      const ext = data.header.extentMeters;
-      const maxExtent = Math.max(ext.x, ext.y, ext.z);
-
-      camera.near = maxExtent * 0.0001;
-      camera.far = maxExtent * 100;
-      camera.updateProjectionMatrix();
-
-      // Update grid to match data extent, positioned at Z = 0 (bottom of data)
-      dataGroup.remove(grid);
-      dataGroup.remove(axes);
-      
-      const gridSize = Math.max(ext.x, ext.y) * 1.5;
-      const newGrid = new THREE.GridHelper(gridSize, 20, 0x444466, 0x333344);
-      newGrid.rotation.x = Math.PI / 2; // XY plane
-      newGrid.position.z = -ext.z / 2;  // At bottom of point cloud
-      dataGroup.add(newGrid);
-      
-      const newAxes = new THREE.AxesHelper(maxExtent * 0.3);
-      newAxes.position.z = -ext.z / 2;
-      dataGroup.add(newAxes);
-      
-      threeRef.current.grid = newGrid;
-      threeRef.current.axes = newAxes;
-
-      controls.reset(maxExtent);
+      const octree = new PointCloudOctree(
+        data.points.positions, data.points.colors, data.octree, material, data.points.attributes.classification
+      );
+      octree.pointBudget = pointBudget;
+      octree.position.set(offset.x, offset.y, offset.z);
+      cloudGroup.add(octree);
 
-      // Calculate and set slice bounds based on extent
+      // Layer bounds in the scene frame
       const positions = data.points.positions;
-      let minX = Infinity, maxX = -Infinity;
-      let minY = Infinity, maxY = -Infinity;
-      let minZ = Infinity, maxZ = -Infinity;
-      
+      const min = [Infinity, Infinity, Infinity];
+      const max = [-Infinity, -Infinity, -Infinity];
       for (let i = 0; i < positions.length; i += 3) {
-        if (positions[i] < minX) minX = positions[i];
-        if (positions[i] > maxX) maxX = positions[i];
-        if (positions[i + 1] < minY) minY = positions[i + 1];
-        if (positions[i + 1] > maxY) maxY = positions[i + 1];
-        if (positions[i + 2] < minZ) minZ = positions[i + 2];
-        if (positions[i + 2] > maxZ) maxZ = positions[i + 2];
+        for (let a = 0; a < 3; a++) {
+          if (positions[i + a] < min[a]) min[a] = positions[i + a];
+          if (positions[i + a] > max[a]) max[a] = positions[i + a];
+        }
       }
-      
-      threeRef.current.dataBounds = { 
-        x: { min: minX, max: maxX },
-        y: { min: minY, max: maxY },
-        z: { min: minZ, max: maxZ }
+      const shift = [offset.x, offset.y, offset.z];
+      for (let a = 0; a < 3; a++) {
+        min[a] += shift[a];
+        max[a] += shift[a];
+      }
+
+      const id = replaced ? replaced.id : nextLayerIdRef.current++;
+      // The octree only hands out views of these arrays, so they double as the originals
+      const layer = {
+        id, file, header: h, octree, offset, bounds: { min, max },
+        positions, colors: data.points.colors, attributes: data.points.attributes,
+        sourceIndex: data.points.sourceIndex, filter: null, colorKey: 'original'
       };
-      
-      // Reset slicer
-      setSliceEnabled(false);
-      setSliceX({ min: 0, max: 100 });
-      setSliceY({ min: 0, max: 100 });
-      setSliceZ({ min: 0, max: 100 });
-      setSliceBoundsX({ min: minX, max: maxX });
-      setSliceBoundsY({ min: minY, max: maxY });
-      setSliceBoundsZ({ min: minZ, max: maxZ });
-      setPointColor('original'); // Reset to original colors
-      setRotationZ(0); // Reset rotation
+      threeRef.current.layers = replaced ? runtime.map(r => (r === replaced ? layer : r)) : [...runtime, layer];
+      // Another CRS can move the other layers, or the frame itself when the
+      // reloaded file gets a different center or scale
+      if (reloadsOrigin && (anchorFrame() || !sameFrame(replaced.header, h))) clearFrameResults();
+      updateSceneFrame(first);
 
-      const h = data.header;
-      setFileInfo({
+      if (first) {
+        // Reset slicer
+        setSliceEnabled(false);
+        setSliceX({ min: 0, max: 100 });
+        setSliceY({ min: 0, max: 100 });
+        setSliceZ({ min: 0, max: 100 });
+        setPointColor('original'); // Reset to original colors
+        setHiddenClasses([]);
+        setElevationRange(null);
+        setRotationZ(0); // Reset rotation
+      }
+
+      const info = {
         name: file.name,
         size: (file.size / 1024 / 1024).toFixed(2),
-        version: `${h.versionMajor}.${h.versionMinor}`,
-        format: h.pointDataRecordFormat,
+        fileType: h.fileType,
+        type: h.versionMajor !== undefined ? `${h.fileType} ${h.versionMajor}.${h.versionMinor}` : h.fileType,
+        format: h.formatName,
+        compressed: !!h.compressed,
+        columns: h.columns || null,
+        warnings: (h.warnings || warnings.length > 0) ? warnings : null,
         totalPoints: h.numberOfPoints.toLocaleString(),
         loadedPoints: h.loadedPoints.toLocaleString(),
+        crs: h.crs,
+        crsDetected: h.crsDetected,
+        crsKey: h.crsKey,
         bounds: h.bounds,
         center: h.center,
         extentMeters: h.extentMeters
-      });
+      };
+      setLayers(prev => (replaced
+        ? prev.map(l => (l.id === id ? { ...l, name: file.name, info, revision: l.revision + 1, normals: 0 } : l))
+        : [...prev, { id, name: file.name, visible: true, color: null, opacity: 100, info, revision: 0, normals: 0 }]));
+      setActiveLayerId(id);
+      estimateLayerNormals(layer);
+      return true;
 
     } catch (err) {
+      // A cancelled load, or one replaced by a newer file, leaves the view as it was
+      if (err.name === 'AbortError') return false;
       console.error('Parse error:', err);
+      setError(`${file.name}: ${err.message}`);
+      return true;
+    } finally {
+      if (cancelLoadRef.current === cancel) {
+        cancelLoadRef.current = null;
+        setLoading(false);
+      }
+    }
+  }, [pointSize, pointShape, sizeAttenuation, opacity, pointBudget]);
+
+  // Starts normal estimation for a runtime layer; the layer's `normals` state
+  // is the progress in percent, then 'ready' or 'failed'
+  const estimateLayerNormals = (layer) => {
+    let reported = 0;
+    const job = estimateNormalsInWorker(layer.positions, {
+      onProgress: ({ percent }) => {
+        // Re-render every few percent only
+        if (percent - reported < 5) return;
+        reported = percent;
+        updateLayer(layer.id, { normals: percent });
+      }
+    });
+    layer.normalsJob = job;
+    job.promise.then((normals) => {
+      layer.normalsJob = null;
+      layer.normals = normals;
+      layer.octree.setNormals(normals);
+      updateLayer(layer.id, { normals: 'ready' });
+    }).catch((err) => {
+      layer.normalsJob = null;
+      if (err.name === 'AbortError') return;
+      console.error('Normal estimation error:', err);
+      updateLayer(layer.id, { normals: 'failed' });
+    });
+  };
+
+  // Files are loaded one after another, each as a new layer
+  const loadFiles = async (files) => {
+    for (const file of files) {
+      if (!(await loadFile(file))) break;
+    }
+  };
+
+  const cancelLoad = () => {
+    if (cancelLoadRef.current) cancelLoadRef.current();
+  };
+
+  const updateLayer = (id, changes) => {
+    setLayers(prev => prev.map(l => (l.id === id ? { ...l, ...changes } : l)));
+  };
+
+  // Sets the elevation range to the given percentiles of the layers colored by elevation
+  const clipElevationRange = () => {
+    const clouds = threeRef.current.layers
+      .filter(r => (layers.find(l => l.id === r.id)?.color || pointColor) === 'elevation')
+      .map(r => ({ positions: r.positions, offsetZ: r.offset.z }));
+    const { min, max } = histogramPercentiles(elevationHistogram(clouds), elevationClip.low, elevationClip.high);
+    if (max > min) setElevationRange({ min, max });
+  };
+
+  // Sets the elevation range to the Z range passing the slicer
+  const fitElevationToSlicer = () => {
+    const span = sliceBoundsZ.max - sliceBoundsZ.min;
+    setElevationRange({
+      min: sliceBoundsZ.min + (sliceZ.min / 100) * span,
+      max: sliceBoundsZ.min + (sliceZ.max / 100) * span
+    });
+  };
+
+  // Sets one end of the elevation range from a value typed in elevation units
+  const setElevationRangeEnd = (legend, end, text) => {
+    const value = parseFloat(text);
+    if (!Number.isFinite(value)) return;
+    const range = { ...legend.range, [end]: (value - legend.datum.z) * legend.datum.scale };
+    if (range.max > range.min) setElevationRange(range);
+  };
+
+  // Shows or hides a class of the layers colored by classification
+  const toggleClass = (value) => {
+    setHiddenClasses(prev => (prev.includes(value) ? prev.filter(v => v !== value) : [...prev, value]));
+  };
+
+  // Measurements, meshes and the rest are kept in the cloud frame, so they go
+  // when it is emptied or moves. Only setters and threeRef are used, as
+  // loadFile calls this from the render it was made in.
+  const clearFrameResults = () => {
+    clearMeasurement();
+    clearMeasurements();
+    clearMesh();
+    clearVolume();
+    clearPlanes();
+    setBrushMode(false);
+    clearProfile();
+    setSliceEnabled(false);
+    setElevationRange(null);
+  };
+
+  const removeLayer = (id) => {
+    const { cloudGroup, layers: runtime } = threeRef.current;
+    const layer = runtime.find(r => r.id === id);
+    if (!layer) return;
+
+    if (layer.normalsJob) layer.normalsJob.cancel();
+    if (layer.pickTreeJob) layer.pickTreeJob.cancel();
+    cloudGroup.remove(layer.octree);
+    layer.octree.dispose();
+    threeRef.current.layers = runtime.filter(r => r !== layer);
+    clearInspection();
+    const last = threeRef.current.layers.length === 0;
+    if (last) threeRef.current.origin = null;
+    if (last || (layer === runtime[0] && anchorFrame())) clearFrameResults();
+    updateSceneFrame(false);
+
+    const remaining = layers.filter(l => l.id !== id);
+    setLayers(remaining);
+    if (activeLayerId === id) setActiveLayerId(remaining.length > 0 ? remaining[0].id : null);
+  };
+
+  // Re-parses the active layer's file with other load options
+  const reloadActiveLayer = (options) => {
+    const layer = threeRef.current.layers.find(r => r.id === activeLayerId);
+    if (layer) loadFile(layer.file, options, layer.id);
+  };
+
+  // Writes the records of the points passing the slicer, read again from the
+  // original files, to one new LAS file per visible LAS/LAZ layer
+  const exportLAS = async () => {
+    const targets = threeRef.current.layers.filter(r => r.octree.visible && r.sourceIndex && isLASFile(r.header));
+    let exported = 0;
+
+    setExportProgress(0);
+    try {
+      for (let t = 0; t < targets.length; t++) {
+        const { file, sourceIndex } = targets[t];
+        const sliceMask = filterMask(targets[t]);
+
+        let count = 0;
+        for (let i = 0; i < sourceIndex.length; i++) if (!sliceMask || sliceMask[i]) count++;
+        if (count === 0) continue;
+        const records = new Uint32Array(count);
+        for (let i = 0, k = 0; i < sourceIndex.length; i++) {
+          if (!sliceMask || sliceMask[i]) records[k++] = sourceIndex[i];
+        }
+        records.sort();
+
+        const onProgress = (p) => setExportProgress(((t + p.percent / 100) / targets.length) * 100);
+        const blob = await exportLASInWorker(file, records, onProgress).promise;
+        downloadBlob(blob, derivedFilename(file.name, sliceMask ? '_slice' : '_subset', 'las'));
+        exported++;
+      }
+      if (exported === 0) setError('No points pass the slicer');
+    } catch (err) {
+      console.error('Export error:', err);
       setError(err.message);
     } finally {
-      setLoading(false);
+      setExportProgress(null);
+    }
+  };
+
+  // Meshes the points of the visible layers that pass the slicer and class
+  // filter, in the scene frame, thinned evenly to the method's point limit
+  const buildSurfaceMesh = async () => {
+    const runtime = threeRef.current.layers.filter(r => layers.find(l => l.id === r.id)?.visible);
+    const masks = runtime.map(r => filterMask(r));
+    const total = runtime.reduce((sum, r, l) => (
+      sum + (masks[l] ? masks[l].reduce((passing, v) => passing + v, 0) : r.positions.length / 3)
+    ), 0);
+    const step = Math.max(1, Math.ceil(total / MESH_POINT_LIMITS[meshMethod]));
+    const count = Math.ceil(total / step);
+    if (count < 3) {
+      setError('Meshing needs at least three points passing the slicer');
+      return;
     }
-  }, [pointSize, opacity]);
+
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    // Ball pivoting estimates normals itself unless every layer has them
+    const normals = runtime.every(r => r.normals) ? new Int8Array(count * 3) : null;
+    let seen = 0, k = 0;
+    runtime.forEach((r, l) => {
+      const mask = masks[l];
+      const shift = [r.offset.x, r.offset.y, r.offset.z];
+      for (let i = 0; i < r.positions.length / 3; i++) {
+        if (mask && !mask[i]) continue;
+        if (seen++ % step !== 0) continue;
+        for (let a = 0; a < 3; a++) {
+          positions[k * 3 + a] = r.positions[i * 3 + a] + shift[a];
+          colors[k * 3 + a] = r.colors[i * 3 + a];
+          if (normals) normals[k * 3 + a] = r.normals[i * 3 + a];
+        }
+        k++;
+      }
+    });
+
+    if (meshJobRef.current) meshJobRef.current.cancel();
+    setMeshProgress({ phase: 'meshing', percent: 0 });
+    const job = buildMeshInWorker(positions, colors, normals, {
+      method: meshMethod,
+      scale: meshScale,
+      onProgress: setMeshProgress
+    });
+    meshJobRef.current = job;
+    try {
+      const mesh = await job.promise;
+      if (mesh.indices.length === 0) {
+        setError(`No triangles were made; try a larger ${MESH_SCALES[meshMethod].label.toLowerCase()}`);
+        return;
+      }
+      showMesh(mesh, count);
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error('Meshing error:', err);
+      setError(err.message);
+    } finally {
+      if (meshJobRef.current === job) {
+        meshJobRef.current = null;
+        setMeshProgress(null);
+      }
+    }
+  };
+
+  const cancelMesh = () => {
+    if (meshJobRef.current) meshJobRef.current.cancel();
+  };
+
+  // Replaces the shown mesh; its positions are in the frame of the cloud group
+  const showMesh = (mesh, points) => {
+    clearMesh();
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(mesh.positions, 3));
+    if (mesh.colors) geometry.setAttribute('color', new THREE.BufferAttribute(mesh.colors, 3));
+    geometry.setIndex(new THREE.BufferAttribute(mesh.indices, 1));
+    geometry.computeVertexNormals();
+    const material = new THREE.MeshLambertMaterial({ vertexColors: !!mesh.colors, side: THREE.DoubleSide });
+    const object = new THREE.Mesh(geometry, material);
+    threeRef.current.cloudGroup.add(object);
+    threeRef.current.mesh = object;
+    threeRef.current.meshData = mesh;
+    setMeshInfo({ points, vertices: mesh.positions.length / 3, triangles: mesh.indices.length / 3 });
+    setMeshView('both');
+  };
+
+  const clearMesh = () => {
+    const { cloudGroup, mesh } = threeRef.current;
+    if (!mesh) return;
+    cloudGroup.remove(mesh);
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+    threeRef.current.mesh = null;
+    threeRef.current.meshData = null;
+    setMeshInfo(null);
+  };
+
+  // Points of a layer in the volume region, in the cloud group's frame: those
+  // passing the slicer and class filter, and inside `polygon` (XY) if given
+  const volumeRegionPoints = (layer, polygon) => {
+    const mask = filterMask(layer);
+    const { positions, offset } = layer;
+    const out = new Float32Array(positions.length);
+    let k = 0;
+    for (let i = 0; i < positions.length / 3; i++) {
+      if (mask && !mask[i]) continue;
+      const x = positions[i * 3] + offset.x;
+      const y = positions[i * 3 + 1] + offset.y;
+      if (polygon && !insidePolygon(x, y, polygon)) continue;
+      out[k++] = x;
+      out[k++] = y;
+      out[k++] = positions[i * 3 + 2] + offset.z;
+    }
+    return out.slice(0, k);
+  };
+
+  // Cut and fill of the active layer's surface in the region against the
+  // chosen reference, shown as a heat map of their difference
+  const computeVolume = () => {
+    const { origin, layers: runtime } = threeRef.current;
+    const layer = runtime.find(r => r.id === activeLayerId);
+    if (!layer || !origin) return;
+
+    let polygon = null;
+    if (volumeRegion === 'slicer') {
+      if (!sliceEnabled) {
+        setError('Turn on the slicer to set the volume region, or use an area measurement');
+        return;
+      }
+    } else {
+      const area = measurements.find(m => m.id === selectedMeasurementId && m.shape === 'polygon');
+      if (!area) {
+        setError('Select an area measurement to use as the volume region');
+        return;
+      }
+      polygon = area.points;
+    }
+
+    const positions = volumeRegionPoints(layer, polygon);
+    if (positions.length < 9) {
+      setError('There are fewer than three points in the volume region');
+      return;
+    }
+    const grid = volumeGrid(positions, volumeCellSize);
+    if (grid.nx * grid.ny > MAX_VOLUME_CELLS) {
+      setError(`A ${volumeCellSize} m grid over this region has too many cells; use larger cells`);
+      return;
+    }
+
+    let reference = { kind: 'fitted' };
+    if (volumeReference === 'elevation') {
+      const elevation = parseFloat(volumeElevation);
+      if (!Number.isFinite(elevation)) {
+        setError('Type or pick the elevation of the reference plane');
+        return;
+      }
+      reference = { kind: 'elevation', z: (elevation - origin.center.z) * origin.metersPerUnit.z };
+    } else if (volumeReference === 'scan') {
+      const scan = runtime.find(r => r.id === volumeScanId);
+      if (!scan || scan === layer) {
+        setError('Choose a second scan to compare with');
+        return;
+      }
+      reference = { kind: 'scan', positions: volumeRegionPoints(scan, polygon) };
+    }
+
+    const surface = rasterize(positions, grid);
+    const referenceCells = referenceSurface(surface, grid, reference);
+    if (!referenceCells) {
+      setError('Too few cells on the edge of the region to fit a plane');
+      return;
+    }
+    const { cut, fill, area, cells, difference } = cutFill(surface, referenceCells.values, grid);
+    if (cells === 0) {
+      setError('The surface and the second scan do not overlap in the region');
+      return;
+    }
+    let range = 0;
+    for (const d of difference) {
+      if (Math.abs(d) > range) range = Math.abs(d);
+    }
+    showVolumeMap(grid, surface, difference, range);
+    setVolumeResult({ cut, fill, area, cells, range, plane: referenceCells.plane });
+  };
+
+  // Heat map of surface minus reference: a quad per cell at the surface's
+  // elevation, blue below the reference and red above, in the cloud group
+  const showVolumeMap = (grid, surface, difference, range) => {
+    removeVolumeMap();
+    const { minX, minY, cellSize, nx, ny } = grid;
+    const lut = rampLUT(COLOR_RAMPS.diverging.stops);
+    const lutSize = lut.length / 3;
+    const cells = difference.reduce((count, d) => count + (Number.isNaN(d) ? 0 : 1), 0);
+    const positions = new Float32Array(cells * 12);
+    const colors = new Float32Array(cells * 12);
+    const indices = new Uint32Array(cells * 6);
+
+    let q = 0;
+    for (let cy = 0; cy < ny; cy++) {
+      for (let cx = 0; cx < nx; cx++) {
+        const c = cy * nx + cx;
+        if (Number.isNaN(difference[c])) continue;
+        const x = minX + cx * cellSize, y = minY + cy * cellSize;
+        const t = range > 0 ? (difference[c] / range + 1) / 2 : 0.5;
+        const l = Math.round(Math.max(0, Math.min(1, t)) * (lutSize - 1));
+        [[x, y], [x + cellSize, y], [x + cellSize, y + cellSize], [x, y + cellSize]].forEach(([vx, vy], v) => {
+          positions.set([vx, vy, surface[c]], (q * 4 + v) * 3);
+          colors.set(lut.subarray(l * 3, l * 3 + 3), (q * 4 + v) * 3);
+        });
+        indices.set([q * 4, q * 4 + 1, q * 4 + 2, q * 4, q * 4 + 2, q * 4 + 3], q * 6);
+        q++;
+      }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+    const material = new THREE.MeshBasicMaterial({ vertexColors: true, side: THREE.DoubleSide, transparent: true, opacity: 0.85 });
+    const map = new THREE.Mesh(geometry, material);
+    threeRef.current.cloudGroup.add(map);
+    threeRef.current.volumeMap = map;
+  };
+
+  const removeVolumeMap = () => {
+    const { cloudGroup, volumeMap } = threeRef.current;
+    if (!volumeMap) return;
+    cloudGroup.remove(volumeMap);
+    volumeMap.geometry.dispose();
+    volumeMap.material.dispose();
+    threeRef.current.volumeMap = null;
+  };
+
+  const clearVolume = () => {
+    removeVolumeMap();
+    setVolumeResult(null);
+  };
+
+  // Sets the reference plane to the elevation of the clicked point
+  const handleVolumePick = (event) => {
+    const { cloudGroup, origin } = threeRef.current;
+    const hit = pickPoint(event);
+    if (!hit || !origin) return;
+    const local = cloudGroup.worldToLocal(hit.point.clone());
+    setVolumeElevation(fileCoordinates(origin, local.x, local.y, local.z).z.toFixed(3));
+    setVolumePicking(false);
+  };
+
+  // Gives a plane an id and name and keeps the cloud-frame positions of its
+  // points, which are colored in the view while it is listed
+  const registerPlane = (plane, points, source) => {
+    const id = nextPlaneIdRef.current++;
+    threeRef.current.planePoints.set(id, points);
+    return { id, name: `${source === 'brush' ? 'Patch' : 'Plane'} ${id}`, source, ...plane };
+  };
+
+  // Finds planes in the points of the visible layers that pass the slicer and
+  // class filter, in the scene frame, thinned evenly to PLANE_POINT_LIMIT. They
+  // replace the planes found before; those fitted to brushed patches stay.
+  const detectScenePlanes = async () => {
+    const runtime = threeRef.current.layers.filter(r => layers.find(l => l.id === r.id)?.visible);
+    const masks = runtime.map(r => filterMask(r));
+    const total = runtime.reduce((sum, r, l) => (
+      sum + (masks[l] ? masks[l].reduce((passing, v) => passing + v, 0) : r.positions.length / 3)
+    ), 0);
+    const step = Math.max(1, Math.ceil(total / PLANE_POINT_LIMIT));
+    const count = Math.ceil(total / step);
+    if (count < 3) {
+      setError('Plane detection needs at least three points passing the slicer');
+      return;
+    }
+
+    const positions = new Float32Array(count * 3);
+    let seen = 0, k = 0;
+    runtime.forEach((r, l) => {
+      const mask = masks[l];
+      const shift = [r.offset.x, r.offset.y, r.offset.z];
+      for (let i = 0; i < r.positions.length / 3; i++) {
+        if (mask && !mask[i]) continue;
+        if (seen++ % step !== 0) continue;
+        for (let a = 0; a < 3; a++) positions[k * 3 + a] = r.positions[i * 3 + a] + shift[a];
+        k++;
+      }
+    });
+
+    if (planeJobRef.current) planeJobRef.current.cancel();
+    setPlaneProgress({ phase: 'planes', percent: 0 });
+    const job = detectPlanesInWorker(positions, {
+      threshold: planeThreshold,
+      // Smaller planes are mostly clutter that happens to line up
+      minPoints: Math.max(30, Math.round(count * 0.01)),
+      maxPlanes: planeMaxCount,
+      onProgress: setPlaneProgress
+    });
+    planeJobRef.current = job;
+    try {
+      const { planes: found, labels } = await job.promise;
+      if (found.length === 0) {
+        setError('No planes were found; try a larger tolerance');
+        return;
+      }
+      const members = found.map(plane => new Float32Array(plane.count * 3));
+      const filled = new Uint32Array(found.length);
+      for (let i = 0; i < labels.length; i++) {
+        const p = labels[i];
+        if (p < 0) continue;
+        members[p].set(positions.subarray(i * 3, i * 3 + 3), filled[p]++ * 3);
+      }
+      const detected = found.map((plane, p) => registerPlane(plane, members[p], 'detected'));
+      setPlanes(prev => [...prev.filter(p => p.source !== 'detected'), ...detected]);
+      setSelectedPlaneIds([]);
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error('Plane detection error:', err);
+      setError(err.message);
+    } finally {
+      if (planeJobRef.current === job) {
+        planeJobRef.current = null;
+        setPlaneProgress(null);
+      }
+    }
+  };
+
+  const cancelPlanes = () => {
+    if (planeJobRef.current) planeJobRef.current.cancel();
+  };
+
+  const togglePlaneSelection = (id) => {
+    setSelectedPlaneIds(prev => (prev.includes(id) ? prev.filter(p => p !== id) : [...prev, id].slice(-2)));
+  };
+
+  const removePlane = (id) => {
+    setPlanes(prev => prev.filter(p => p.id !== id));
+    setSelectedPlaneIds(prev => prev.filter(p => p !== id));
+  };
+
+  const clearPlanes = () => {
+    cancelPlanes();
+    setPlanes([]);
+    setSelectedPlaneIds([]);
+  };
+
+  // Color the points of the listed planes; while some are selected, the
+  // others are dimmed
+  useEffect(() => {
+    const three = threeRef.current;
+    if (!three.cloudGroup) return;
+    for (const id of [...three.planePoints.keys()]) {
+      if (!planes.some(p => p.id === id)) three.planePoints.delete(id);
+    }
+    if (three.planeCloud) {
+      three.cloudGroup.remove(three.planeCloud);
+      disposeObject(three.planeCloud);
+      three.planeCloud = null;
+    }
+    const total = planes.reduce((sum, p) => sum + three.planePoints.get(p.id).length, 0);
+    if (total === 0) return;
+
+    const positions = new Float32Array(total);
+    const colors = new Float32Array(total);
+    const color = new THREE.Color();
+    let offset = 0;
+    for (const plane of planes) {
+      const points = three.planePoints.get(plane.id);
+      color.set(planeColor(plane.id));
+      if (selectedPlaneIds.length > 0 && !selectedPlaneIds.includes(plane.id)) color.multiplyScalar(0.3);
+      positions.set(points, offset);
+      for (let i = 0; i < points.length; i += 3) colors.set([color.r, color.g, color.b], offset + i);
+      offset += points.length;
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    const cloud = new THREE.Points(geometry, new THREE.PointsMaterial({ size: 4, sizeAttenuation: false, vertexColors: true }));
+    three.cloudGroup.add(cloud);
+    three.planeCloud = cloud;
+  }, [planes, selectedPlaneIds]);
+
+  const toggleBrushMode = () => {
+    if (!brushMode) {
+      if (measureMode) {
+        clearMeasurement();
+        setMeasureMode(false);
+      }
+      if (inspectMode) {
+        clearInspection();
+        setInspectMode(false);
+      }
+      stopProfileDrawing();
+    }
+    setBrushMode(!brushMode);
+  };
+
+  // The left button paints with the brush instead of turning the view
+  useEffect(() => {
+    threeRef.current.controls.rotateEnabled = !brushMode;
+    if (!brushMode) hideBrushCursor();
+  }, [brushMode]);
+
+  // A brush stroke collects the points of the surface under the brush while
+  // the left button is held, and fits a plane to them when it is let go
+  const handleBrushStart = (event) => {
+    const three = threeRef.current;
+    if (!brushMode || event.button !== 0 || event.target !== three.renderer.domElement) return;
+    three.brushStroke = new Map(); // Runtime layer -> Set of point indices
+    paintBrush(event);
+  };
+
+  const handleBrushMove = (event) => {
+    if (!brushMode) return;
+    const circle = brushCursorRef.current;
+    if (event.target !== threeRef.current.renderer.domElement) {
+      circle.style.display = 'none';
+      return;
+    }
+    const rect = containerRef.current.getBoundingClientRect();
+    circle.style.left = `${event.clientX - rect.left - BRUSH_RADIUS}px`;
+    circle.style.top = `${event.clientY - rect.top - BRUSH_RADIUS}px`;
+    circle.style.display = 'block';
+    if (threeRef.current.brushStroke) paintBrush(event);
+  };
+
+  const hideBrushCursor = () => {
+    if (brushCursorRef.current) brushCursorRef.current.style.display = 'none';
+  };
+
+  const paintBrush = (event) => {
+    const stroke = threeRef.current.brushStroke;
+    // Until the pick trees are built there is nothing to paint
+    const picking = pickTargets(event, BRUSH_RADIUS);
+    if (!picking) return;
+    for (const { target, index } of surfaceAlongRay(picking.targets, picking.cone)) {
+      const layer = picking.visible[target];
+      if (!stroke.has(layer)) stroke.set(layer, new Set());
+      stroke.get(layer).add(index);
+    }
+    showBrushStroke(strokePositions(stroke));
+  };
+
+  // Cloud-frame positions of the points of a brush stroke
+  const strokePositions = (stroke) => {
+    let count = 0;
+    for (const indices of stroke.values()) count += indices.size;
+    const positions = new Float32Array(count * 3);
+    let k = 0;
+    for (const [layer, indices] of stroke) {
+      const { x, y, z } = layer.offset;
+      for (const i of indices) {
+        positions[k++] = layer.positions[i * 3] + x;
+        positions[k++] = layer.positions[i * 3 + 1] + y;
+        positions[k++] = layer.positions[i * 3 + 2] + z;
+      }
+    }
+    return positions;
+  };
+
+  const handleBrushEnd = () => {
+    const stroke = threeRef.current.brushStroke;
+    if (!stroke) return;
+    threeRef.current.brushStroke = null;
+    showBrushStroke(null);
+    const positions = strokePositions(stroke);
+    if (positions.length < 9) return;
+    const plane = registerPlane(fitPlane(positions), positions, 'brush');
+    setPlanes(prev => [...prev, plane]);
+    setSelectedPlaneIds(prev => [...prev, plane.id].slice(-2));
+  };
+
+  // Highlights the points painted so far (null removes the highlight)
+  const showBrushStroke = (positions) => {
+    const three = threeRef.current;
+    if (three.brushPreview) {
+      three.cloudGroup.remove(three.brushPreview);
+      disposeObject(three.brushPreview);
+      three.brushPreview = null;
+    }
+    if (!positions || positions.length === 0) return;
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    three.brushPreview = new THREE.Points(geometry, new THREE.PointsMaterial({ color: 0xffff00, size: 4, sizeAttenuation: false }));
+    three.cloudGroup.add(three.brushPreview);
+  };
+
+  // Profile line: two clicks in the view place its ends, on the cloud or,
+  // where there is none, on the level of the orbit target
+  const toggleProfileDrawing = () => {
+    if (profileDrawing) {
+      stopProfileDrawing();
+      return;
+    }
+    if (measureMode) {
+      clearMeasurement();
+      setMeasureMode(false);
+    }
+    if (inspectMode) {
+      clearInspection();
+      setInspectMode(false);
+    }
+    setBrushMode(false);
+    setVolumePicking(false);
+    // The line is drawn in plan
+    threeRef.current.controls?.viewTop();
+    setProfileDrawing(true);
+  };
+
+  const stopProfileDrawing = () => {
+    const three = threeRef.current;
+    if (three.profileDraft) {
+      three.profileDraft = null;
+      showProfileLine();
+    }
+    setProfileDrawing(false);
+  };
+
+  // Cloud-frame point under the cursor, on the plane z = `level` (world) where no point is picked
+  const profileLinePoint = (event, level) => {
+    const three = threeRef.current;
+    const hit = pickPoint(event);
+    const world = hit ? hit.point : cursorRaycaster(event).ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 0, 1), -level), new THREE.Vector3());
+    return world ? three.cloudGroup.worldToLocal(world.clone()) : null;
+  };
+
+  const handleProfileLineClick = (event) => {
+    const three = threeRef.current;
+    if (three.layers.length === 0 || event.target !== three.renderer.domElement) return;
+    const point = profileLinePoint(event, three.controls.target.z);
+    if (!point) return;
+    const a = three.profileDraft;
+    if (!a) {
+      three.profileDraft = point;
+      showProfileLine({ a: point, b: point });
+      return;
+    }
+    if (Math.hypot(point.x - a.x, point.y - a.y) < 1e-3) return;
+    three.profileDraft = null;
+    setProfileDrawing(false);
+    setProfileLine({ a: { x: a.x, y: a.y, z: a.z }, b: { x: point.x, y: point.y, z: point.z } });
+  };
+
+  // Rubber band from the first end to the cursor
+  const handleProfileLineHover = (event) => {
+    const three = threeRef.current;
+    if (!profileDrawing || !three.profileDraft || event.target !== three.renderer.domElement) return;
+    const a = three.profileDraft;
+    const level = three.cloudGroup.localToWorld(a.clone()).z;
+    const ray = cursorRaycaster(event).ray;
+    const world = ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 0, 1), -level), new THREE.Vector3());
+    if (world) showProfileLine({ a, b: three.cloudGroup.worldToLocal(world) });
+  };
+
+  // The profile line in the cloud group, with the corridor around it as a box
+  // from `bottom` to `top` once there is one (no argument removes it)
+  const showProfileLine = (line = null, corridor = null) => {
+    const three = threeRef.current;
+    if (three.profileObject) {
+      three.cloudGroup.remove(three.profileObject);
+      disposeObject(three.profileObject);
+      three.profileObject = null;
+    }
+    if (!line) return;
+    const group = new THREE.Group();
+    const material = () => new THREE.LineBasicMaterial({ color: 0xff8800, depthTest: false });
+    const ends = [new THREE.Vector3(line.a.x, line.a.y, line.a.z), new THREE.Vector3(line.b.x, line.b.y, line.a.z)];
+    group.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(ends), material()));
+    if (corridor) {
+      const { frame, width, bottom, top } = corridor;
+      const corners = [[0, -1], [frame.length, -1], [frame.length, 1], [0, 1]].map(([station, side]) => profileToPlan(frame, station, (side * width) / 2));
+      const edges = [];
+      corners.forEach((c, k) => {
+        const d = corners[(k + 1) % 4];
+        for (const z of [bottom, top]) edges.push(new THREE.Vector3(c.x, c.y, z), new THREE.Vector3(d.x, d.y, z));
+        edges.push(new THREE.Vector3(c.x, c.y, bottom), new THREE.Vector3(c.x, c.y, top));
+      });
+      group.add(new THREE.LineSegments(new THREE.BufferGeometry().setFromPoints(edges), material()));
+    }
+    group.traverse((child) => { child.renderOrder = 999; });
+    three.cloudGroup.add(group);
+    three.profileObject = group;
+  };
+
+  // Projects the points of the visible layers that pass the slicer and class
+  // filter and lie in the corridor into the profile panel, thinned evenly to
+  // PROFILE_POINT_LIMIT, in the colors they are shown in
+  useEffect(() => {
+    const three = threeRef.current;
+    setProfilePick(null);
+    setProfileMeasure(null);
+    removeProfileMarker();
+    if (!profileLine || three.layers.length === 0) {
+      three.profile = null;
+      setProfileInfo(null);
+      showProfileLine();
+      return;
+    }
+
+    const frame = profileFrame(profileLine.a, profileLine.b);
+    const runtime = three.layers.filter(r => r.octree.visible);
+    const parts = runtime.map(r => corridorPoints(r.positions, frame, profileWidth, { shift: r.offset, accept: (i) => passesFilter(r, i) }));
+    const total = parts.reduce((sum, part) => sum + part.indices.length, 0);
+    const step = Math.max(1, Math.ceil(total / PROFILE_POINT_LIMIT));
+    const count = Math.ceil(total / step);
+
+    const profile = {
+      frame, count, total,
+      stations: new Float32Array(count),
+      offsets: new Float32Array(count),
+      elevations: new Float32Array(count),
+      positions: new Float32Array(count * 3),
+      colors: new Uint8Array(count * 3),
+      layerOf: new Uint16Array(count),
+      indices: new Uint32Array(count),
+      layers: runtime,
+      marker: null,
+      measure: []
+    };
+    let seen = 0, k = 0;
+    runtime.forEach((r, l) => {
+      const { indices, stations, offsets } = parts[l];
+      // Layers in a solid color have no per-point colors to copy
+      const material = r.octree.material;
+      const solid = material.vertexColors ? null : material.color.getHex();
+      for (let j = 0; j < indices.length; j++) {
+        if (seen++ % step !== 0) continue;
+        const i = indices[j];
+        profile.stations[k] = stations[j];
+        profile.offsets[k] = offsets[j];
+        profile.positions[k * 3] = r.positions[i * 3] + r.offset.x;
+        profile.positions[k * 3 + 1] = r.positions[i * 3 + 1] + r.offset.y;
+        profile.positions[k * 3 + 2] = profile.elevations[k] = r.positions[i * 3 + 2] + r.offset.z;
+        for (let a = 0; a < 3; a++) {
+          profile.colors[k * 3 + a] = solid === null
+            ? Math.round(Math.min(1, Math.max(0, r.octree.colors[i * 3 + a])) * 255)
+            : (solid >> (16 - a * 8)) & 255;
+        }
+        profile.layerOf[k] = l;
+        profile.indices[k] = i;
+        k++;
+      }
+    });
+    profile.view = fitView(profile);
+    three.profile = profile;
+
+    let bottom = profileLine.a.z, top = profileLine.a.z;
+    for (let i = 0; i < count; i++) {
+      if (profile.elevations[i] < bottom) bottom = profile.elevations[i];
+      if (profile.elevations[i] > top) top = profile.elevations[i];
+    }
+    showProfileLine(profileLine, { frame, width: profileWidth, bottom, top });
+    setProfileInfo({ count, total, length: frame.length });
+  }, [profileLine, profileWidth, visibleLayerIds, layerIds, layerColors, rampKey, elevationRange,
+    sliceEnabled, sliceX, sliceY, sliceZ, rotationZ, classFilter]);
+
+  const clearProfile = () => {
+    stopProfileDrawing();
+    setProfileLine(null);
+  };
+
+  useEffect(() => {
+    threeRef.current.darkBackground = darkBackground;
+    drawProfilePanel();
+  }, [darkBackground, profileInfo]);
+
+  // Redraws the profile panel from threeRef alone, so that it can be called
+  // from handlers and observers made in earlier renders
+  const drawProfilePanel = () => {
+    const three = threeRef.current;
+    const canvas = profileCanvasRef.current;
+    if (!canvas || !three.profile || !three.origin) return;
+    if (canvas.width !== canvas.clientWidth || canvas.height !== canvas.clientHeight) {
+      canvas.width = canvas.clientWidth;
+      canvas.height = canvas.clientHeight;
+    }
+    const { view, marker, measure } = three.profile;
+    drawProfileChart(canvas.getContext('2d'), three.profile, {
+      view, marker, measure, elevation: profileElevation(three.origin), dark: three.darkBackground
+    });
+  };
+
+  const scheduleProfileDraw = () => {
+    const three = threeRef.current;
+    if (three.profileFrame) return;
+    three.profileFrame = requestAnimationFrame(() => {
+      three.profileFrame = null;
+      drawProfilePanel();
+    });
+  };
+
+  // Scene Z to and from elevations in the first layer's vertical unit
+  const profileElevation = (origin) => ({
+    toFile: (z) => origin.center.z + z / origin.metersPerUnit.z,
+    fromFile: (value) => (value - origin.center.z) * origin.metersPerUnit.z,
+    unit: origin.crs.verticalUnit.symbol
+  });
+
+  // The panel keeps its canvas the size it is shown at
+  useEffect(() => {
+    const canvas = profileCanvasRef.current;
+    if (!canvas) return;
+    const observer = new ResizeObserver(drawProfilePanel);
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, [profileInfo !== null]);
+
+  // Panel canvas position of a mouse event
+  const profileCursor = (event) => {
+    const rect = profileCanvasRef.current.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  };
+
+  // Either button drags the chart; a left click without a drag picks or measures
+  const handleProfileMouseDown = (event) => {
+    const profile = threeRef.current.profile;
+    if (!profile) return;
+    const cursor = profileCursor(event);
+    threeRef.current.profileDrag = { ...cursor, view: profile.view, button: event.button, moved: false };
+  };
+
+  const handleProfileMouseMove = (event) => {
+    const { profile, profileDrag: drag } = threeRef.current;
+    if (!profile || !drag) return;
+    const cursor = profileCursor(event);
+    const dx = cursor.x - drag.x, dy = cursor.y - drag.y;
+    if (!drag.moved && Math.hypot(dx, dy) < 3) return;
+    drag.moved = true;
+    const canvas = profileCanvasRef.current;
+    const { plotWidth, plotHeight } = chartTransform(drag.view, canvas.width, canvas.height);
+    const { x0, x1, z0, z1 } = drag.view;
+    const ds = (-dx * (x1 - x0)) / plotWidth, dz = (dy * (z1 - z0)) / plotHeight;
+    profile.view = { x0: x0 + ds, x1: x1 + ds, z0: z0 + dz, z1: z1 + dz };
+    scheduleProfileDraw();
+  };
+
+  const handleProfileMouseUp = (event) => {
+    const drag = threeRef.current.profileDrag;
+    threeRef.current.profileDrag = null;
+    if (drag && !drag.moved && drag.button === 0) handleProfileClick(profileCursor(event));
+  };
+
+  // Wheel zooms about the cursor; with Shift only the elevation axis, which
+  // changes the vertical exaggeration
+  const handleProfileWheel = (event) => {
+    const profile = threeRef.current.profile;
+    if (!profile) return;
+    const canvas = profileCanvasRef.current;
+    const t = chartTransform(profile.view, canvas.width, canvas.height);
+    const cursor = profileCursor(event);
+    const station = t.station(cursor.x), z = t.z(cursor.y);
+    const factor = event.deltaY > 0 ? 1.15 : 1 / 1.15;
+    const { x0, x1, z0, z1 } = profile.view;
+    const sx = event.shiftKey ? 1 : factor;
+    profile.view = {
+      x0: station + (x0 - station) * sx, x1: station + (x1 - station) * sx,
+      z0: z + (z0 - z) * factor, z1: z + (z1 - z) * factor
+    };
+    scheduleProfileDraw();
+  };
+
+  // Fits the chart to the points, or with `trueScale` keeps its station range
+  // and sets the elevation range for no vertical exaggeration
+  const fitProfileView = (trueScale = false) => {
+    const profile = threeRef.current.profile;
+    const canvas = profileCanvasRef.current;
+    if (!profile || !canvas) return;
+    if (trueScale) {
+      const t = chartTransform(profile.view, canvas.width, canvas.height);
+      const { x0, x1, z0, z1 } = profile.view;
+      const half = ((x1 - x0) * t.plotHeight) / t.plotWidth / 2;
+      profile.view = { x0, x1, z0: (z0 + z1) / 2 - half, z1: (z0 + z1) / 2 + half };
+    } else {
+      profile.view = fitView(profile);
+    }
+    drawProfilePanel();
+  };
+
+  // Nearest profile point to a panel position, within PICK_RADIUS pixels
+  const nearestProfilePoint = (cursor) => {
+    const profile = threeRef.current.profile;
+    const canvas = profileCanvasRef.current;
+    const t = chartTransform(profile.view, canvas.width, canvas.height);
+    let best = -1, bestDistance = PICK_RADIUS * PICK_RADIUS;
+    for (let i = 0; i < profile.count; i++) {
+      const dx = t.x(profile.stations[i]) - cursor.x, dy = t.y(profile.elevations[i]) - cursor.y;
+      const d = dx * dx + dy * dy;
+      if (d <= bestDistance) {
+        best = i;
+        bestDistance = d;
+      }
+    }
+    return { index: best, transform: t };
+  };
+
+  const handleProfileClick = (cursor) => {
+    const three = threeRef.current;
+    const { profile, origin } = three;
+    const { index, transform } = nearestProfilePoint(cursor);
+    if (!transform.inPlot(cursor.x, cursor.y)) return;
+
+    if (profileTool === 'measure') {
+      // Snaps to a point when there is one under the cursor
+      const p = index >= 0
+        ? { station: profile.stations[index], z: profile.elevations[index] }
+        : { station: transform.station(cursor.x), z: transform.z(cursor.y) };
+      profile.measure = profile.measure.length === 1 ? [profile.measure[0], p] : [p];
+      if (profile.measure.length === 2) {
+        const [a, b] = profile.measure;
+        const along = Math.abs(b.station - a.station);
+        const rise = (b.station >= a.station ? 1 : -1) * (b.z - a.z);
+        setProfileMeasure({ along, rise, length: Math.hypot(along, rise) });
+      } else {
+        setProfileMeasure(null);
+      }
+      drawProfilePanel();
+      return;
+    }
+
+    removeProfileMarker();
+    if (index < 0) {
+      profile.marker = null;
+      setProfilePick(null);
+      drawProfilePanel();
+      return;
+    }
+    const layer = profile.layers[profile.layerOf[index]];
+    const record = profile.indices[index];
+    const position = new THREE.Vector3().fromArray(profile.positions, index * 3);
+    profile.marker = { station: profile.stations[index], z: profile.elevations[index] };
+    drawProfilePanel();
+
+    const marker = new THREE.Mesh(new THREE.SphereGeometry(0.5, 16, 16), new THREE.MeshBasicMaterial({ color: 0xff8800, depthTest: false }));
+    marker.position.copy(position);
+    marker.renderOrder = 1000;
+    if (sceneExtent) marker.scale.setScalar(sceneExtent * 0.005);
+    three.cloudGroup.add(marker);
+    three.profileMarker = marker;
+
+    const file = fileCoordinates(origin, position.x, position.y, position.z);
+    const decimals = origin.crs.kind === 'geographic' ? 8 : 3;
+    setProfilePick({
+      station: profile.stations[index],
+      offset: profile.offsets[index],
+      elevation: `${file.z.toFixed(3)} ${origin.crs.verticalUnit.symbol}`,
+      plan: `${file.x.toFixed(decimals)}, ${file.y.toFixed(decimals)}`,
+      layerName: layers.find(l => l.id === layer.id)?.name,
+      record: layer.sourceIndex ? layer.sourceIndex[record] : record
+    });
+  };
+
+  const removeProfileMarker = () => {
+    const three = threeRef.current;
+    if (!three.profileMarker) return;
+    three.cloudGroup.remove(three.profileMarker);
+    disposeObject(three.profileMarker);
+    three.profileMarker = null;
+  };
+
+  const changeProfileTool = (tool) => {
+    const profile = threeRef.current.profile;
+    if (profile) {
+      profile.measure = [];
+      drawProfilePanel();
+    }
+    setProfileMeasure(null);
+    setProfileTool(tool);
+  };
+
+  // Saves the profile points with their file coordinates, or the chart as
+  // shown in the panel as an SVG
+  const exportProfile = (format) => {
+    const { profile, origin } = threeRef.current;
+    if (!profile || !origin) return;
+    const name = profile.layers[0]?.file.name || 'profile';
+    if (format === 'csv') {
+      const decimals = origin.crs.kind === 'geographic' ? 9 : 4;
+      const names = profile.layers.map(r => layers.find(l => l.id === r.id)?.name || '');
+      const blob = writeProfileCSV(profile.count, (i) => {
+        const layer = profile.layers[profile.layerOf[i]];
+        const record = profile.indices[i];
+        return {
+          station: profile.stations[i],
+          offset: profile.offsets[i],
+          ...fileCoordinates(origin, profile.positions[i * 3], profile.positions[i * 3 + 1], profile.positions[i * 3 + 2]),
+          layer: names[profile.layerOf[i]],
+          record: layer.sourceIndex ? layer.sourceIndex[record] : record
+        };
+      }, { decimals });
+      downloadBlob(blob, derivedFilename(name, '_profile', 'csv'));
+      return;
+    }
+    const canvas = profileCanvasRef.current;
+    const blob = writeProfileSVG(profile, {
+      view: profile.view,
+      elevation: profileElevation(origin),
+      width: Math.max(PROFILE_SVG_SIZE.width, canvas.width),
+      height: Math.max(PROFILE_SVG_SIZE.height, canvas.height),
+      measure: profile.measure,
+      title: [
+        `Profile of ${layers.filter(l => l.visible).map(l => l.name).join(', ')}`,
+        `Length ${formatDistance(profile.frame.length)}, corridor ${formatDistance(profileWidth)}, ${profile.count.toLocaleString()} points`,
+        describeCRS(origin.crs)
+      ]
+    });
+    downloadBlob(blob, derivedFilename(name, '_profile', 'svg'));
+  };
+
+  // Saves the mesh in the first layer's file coordinates. Geographic ones stay
+  // in local meters, as a mesh in degrees would be distorted.
+  const exportMesh = (format) => {
+    const { meshData, origin, layers: runtime } = threeRef.current;
+    if (!meshData || !origin) return;
+    const geographic = origin.crs.kind === 'geographic';
+    const toFile = geographic ? undefined : (x, y, z) => fileCoordinates(origin, x, y, z);
+    const comments = [geographic
+      ? `Local meters (Z up) from ${origin.center.x}, ${origin.center.y}, ${origin.center.z} in ${describeCRS(origin.crs)}`
+      : describeCRS(origin.crs)];
+    const blob = MESH_FORMATS[format].write(meshData, { toFile, comments });
+    downloadBlob(blob, derivedFilename(runtime[0].file.name, '_mesh', format));
+  };
+
+  // Saves the measurement list in the first layer's file coordinates, the
+  // frame the measured points are kept in
+  const exportMeasurements = (format) => {
+    const { origin, layers: runtime } = threeRef.current;
+    if (!origin || measurements.length === 0) return;
+    const geographic = origin.crs.kind === 'geographic';
+    const rows = measurements.map((m) => {
+      const { total, area } = measurePath(m.points, m.axis, m.shape === 'polygon');
+      return {
+        name: m.name, shape: m.shape, axis: m.axis, length: total, area,
+        points: m.points.map(p => fileCoordinates(origin, p.x, p.y, p.z))
+      };
+    });
+    const decimals = geographic ? 9 : 4;
+    const blob = format === 'csv'
+      ? writeMeasurementsCSV(rows, { decimals })
+      : writeMeasurementsGeoJSON(rows, { decimals, epsg: geographic ? null : origin.crs.epsg });
+    downloadBlob(blob, derivedFilename(runtime[0].file.name, '_measurements', format));
+  };
+
+  // Renders the current view offscreen at imageOptions.scale times the screen
+  // size, draws the chosen overlays on it and saves it as a PNG
+  const exportImage = () => {
+    hidePickHover();
+    const three = threeRef.current;
+    const { renderer, scene, camera, controls, edl, cloudGroup, layers: runtime } = three;
+    const screenWidth = renderer.domElement.clientWidth;
+    const screenHeight = renderer.domElement.clientHeight;
+    const fit = Math.min(1, MAX_IMAGE_SIDE / (Math.max(screenWidth, screenHeight) * imageOptions.scale));
+    const scale = imageOptions.scale * fit;
+    const width = Math.round(screenWidth * scale);
+    const height = Math.round(screenHeight * scale);
+
+    const backgrounds = { scene: scene.background, white: new THREE.Color(0xffffff), black: new THREE.Color(0x000000), transparent: null };
+    const measureObjects = [three.measurePolyline, three.measurementGroup, ...three.measureMarkers].filter(Boolean);
+
+    // Point sizes and the EDL radius are in pixels, so they grow with the image
+    for (const r of runtime) {
+      r.octree.material.size = pointSize * scale;
+      r.octree.material.updateView(camera, height);
+    }
+    edl.radius = edlRadius * scale;
+    if (!imageOptions.measurements) measureObjects.forEach(object => { object.visible = false; });
+
+    let canvas;
+    try {
+      canvas = renderImage(renderer, scene, camera, {
+        width, height, background: backgrounds[imageOptions.background], edl: three.edlEnabled ? edl : null
+      });
+    } finally {
+      for (const r of runtime) {
+        r.octree.material.size = pointSize;
+        r.octree.material.updateView(camera, screenHeight);
+      }
+      edl.radius = edlRadius;
+      measureObjects.forEach(object => { object.visible = true; });
+    }
+
+    const context = canvas.getContext('2d');
+    const lightOverlay = imageOptions.background === 'white' || (imageOptions.background === 'scene' && !darkBackground);
+    const ink = lightOverlay ? '#111827' : '#e5e7eb';
+    const paper = lightOverlay ? 'rgba(255, 255, 255, 0.9)' : 'rgba(0, 0, 0, 0.7)';
+
+    if (imageOptions.measurements) {
+      // Each measurement's value at the middle of its points
+      const label = (points, axis, text) => {
+        const middle = points.reduce((sum, p) => sum.add(p), new THREE.Vector3())
+          .divideScalar(points.length)
+          .project(camera);
+        drawLabel(context, {
+          text,
+          x: ((middle.x + 1) / 2) * width,
+          y: ((1 - middle.y) / 2) * height,
+          scale,
+          color: `#${new THREE.Color(MEASURE_AXIS_COLORS[axis]).getHexString()}`,
+          paper
+        });
+      };
+      const valueText = ({ total, area }) => (area
+        ? `${formatArea(area.planar)} / ${formatAreaImperial(area.planar)}, perimeter ${total.toFixed(3)} m`
+        : `${total.toFixed(3)} m / ${toFeet(total).toFixed(3)} ft`);
+
+      for (const m of measurements) {
+        const points = m.points.map(p => cloudGroup.localToWorld(new THREE.Vector3(p.x, p.y, p.z)));
+        label(points, m.axis, `${m.name}: ${valueText(measurePath(m.points, m.axis, m.shape === 'polygon'))}`);
+      }
+      if (measureSummary && measureSummary.segments.length > 0) {
+        label(measurePoints, measureAxis, valueText(measureSummary));
+      }
+    }
+
+    // The scale bar only holds everywhere in an orthographic view
+    const metersPerPixel = camera.isOrthographicCamera ? (camera.top - camera.bottom) / camera.zoom / screenHeight : null;
+    const barMeters = imageOptions.scaleBar && metersPerPixel ? niceLength(metersPerPixel * 120) : null;
+    const north = imageOptions.northArrow ? northOnScreen(camera, controls, rotationZ, screenWidth, screenHeight) : null;
+    if (barMeters || north) {
+      drawScaleBar(context, {
+        length: barMeters ? barMeters / metersPerPixel : 0,
+        label: barMeters ? formatLength(barMeters) : '',
+        north, scale, ink, paper
+      });
+    }
+
+    if (imageOptions.titleBlock && fileInfo) {
+      // Center of the view (the orbit target) in the active layer's file coordinates
+      const layer = runtime.find(r => r.id === activeLayerId);
+      const local = cloudGroup.worldToLocal(controls.target.clone());
+      const p = fileCoordinates(layer.header, local.x - layer.offset.x, local.y - layer.offset.y, local.z - layer.offset.z);
+      const { crs } = fileInfo;
+      const center = crs.kind === 'geographic'
+        ? `${p.y.toFixed(7)}°, ${p.x.toFixed(7)}°, ${p.z.toFixed(2)} ${crs.verticalUnit.symbol}`
+        : `${p.x.toFixed(2)}, ${p.y.toFixed(2)}, ${p.z.toFixed(2)} ${crs.horizontalUnit.symbol}`;
+      drawTitleBlock(context, {
+        lines: [
+          ...(imageOptions.title ? [imageOptions.title, fileInfo.name] : [fileInfo.name]),
+          new Date().toLocaleString(),
+          `Center: ${center}`,
+          describeCRS(crs)
+        ],
+        scale, ink, paper
+      });
+    }
+
+    canvas.toBlob((blob) => {
+      if (blob) downloadBlob(blob, derivedFilename(fileInfo ? fileInfo.name : 'view', '_view', 'png'));
+      else setError('The image is too large for this browser; try a smaller scale');
+    }, 'image/png');
+  };
+
+  const addKeyframe = () => {
+    const view = threeRef.current.controls.getView();
+    setCameraKeyframes(prev => [...prev, { id: nextKeyframeIdRef.current++, ...view, duration: 3 }]);
+  };
+
+  const updateKeyframe = (id, changes) => {
+    setCameraKeyframes(prev => prev.map(k => (k.id === id ? { ...k, ...changes } : k)));
+  };
+
+  const moveKeyframe = (index, step) => {
+    setCameraKeyframes(prev => {
+      const other = index + step;
+      if (other < 0 || other >= prev.length) return prev;
+      const next = [...prev];
+      [next[index], next[other]] = [next[other], next[index]];
+      return next;
+    });
+  };
+
+  const removeKeyframe = (id) => {
+    setCameraKeyframes(prev => prev.filter(k => k.id !== id));
+  };
+
+  // Plays the keyframe path, or one turntable turn from the current view. With
+  // `record` the canvas is recorded while it plays and saved as WebM at the end.
+  const playCameraPath = (record = false) => {
+    const three = threeRef.current;
+    const { controls, renderer } = three;
+    const turntable = pathMode === 'turntable';
+    if (!turntable && cameraKeyframes.length < 2) return;
+    const keyframes = cameraKeyframes;
+    const start = controls.getView();
+    const duration = turntable ? turntablePeriod : pathDuration(keyframes);
+
+    let recorder = null;
+    if (record) {
+      const mimeType = typeof MediaRecorder !== 'undefined' && VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+      if (!mimeType || !renderer.domElement.captureStream) {
+        setError('This browser cannot record WebM video');
+        return;
+      }
+      const chunks = [];
+      recorder = new MediaRecorder(renderer.domElement.captureStream(VIDEO_FPS), { mimeType, videoBitsPerSecond: VIDEO_BITRATE });
+      recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+      };
+      recorder.onstop = () => {
+        const name = derivedFilename(fileInfo ? fileInfo.name : 'view', turntable ? '_turntable' : '_flythrough', 'webm');
+        downloadBlob(new Blob(chunks, { type: 'video/webm' }), name);
+      };
+      recorder.start();
+    }
+
+    let startTime = null;
+    three.playback = {
+      recorder,
+      step: (now) => {
+        if (startTime === null) startTime = now;
+        const time = (now - startTime) / 1000;
+        controls.setView(turntable ? turntableView(start, time, duration) : samplePath(keyframes, time));
+        if (time >= duration) stopCameraPath();
+      }
+    };
+    setPlaying(record ? 'record' : 'play');
+  };
+
+  // Stops playback where it is; a recording is saved up to here
+  const stopCameraPath = () => {
+    const { playback } = threeRef.current;
+    if (!playback) return;
+    threeRef.current.playback = null;
+    if (playback.recorder && playback.recorder.state !== 'inactive') playback.recorder.stop();
+    setPlaying(null);
+  };
 
   const handleFile = (e) => {
-    const file = e.target.files?.[0];
-    if (file) loadFile(file);
+    const files = Array.from(e.target.files || []);
+    e.target.value = ''; // Lets the same file be picked again
+    loadFiles(files);
   };
 
   const handleDrop = (e) => {
     e.preventDefault();
-    const file = e.dataTransfer.files?.[0];
-    if (file?.name.toLowerCase().endsWith('.las')) loadFile(file);
+    const files = Array.from(e.dataTransfer.files || []).filter(file => isSupportedFile(file.name));
+    loadFiles(files);
   };
 
   // View controls
@@ -1026,10 +2852,8 @@ export default function LASViewer() {
   const viewIsometric = () => threeRef.current.controls?.viewIsometric();
   
   const resetView = () => {
-    if (fileInfo && threeRef.current.controls) {
-      const ext = fileInfo.extentMeters;
-      const maxExtent = Math.max(ext.x, ext.y, ext.z);
-      threeRef.current.controls.reset(maxExtent);
+    if (sceneExtent && threeRef.current.controls) {
+      threeRef.current.controls.reset(sceneExtent);
     }
   };
 
@@ -1046,8 +2870,8 @@ export default function LASViewer() {
         
         <div className="flex items-center gap-4 flex-wrap">
           <label className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded cursor-pointer text-sm">
-            Load LAS
-            <input type="file" accept=".las" onChange={handleFile} className="hidden" />
+            Load Point Cloud
+            <input type="file" accept={ACCEPTED_EXTENSIONS} multiple onChange={handleFile} className="hidden" />
           </label>
 
           <div className="flex items-center gap-2">
@@ -1078,6 +2902,20 @@ export default function LASViewer() {
             <span className="text-sm w-8">{opacity}%</span>
           </div>
 
+          <div className="flex items-center gap-2">
+            <span className="text-sm text-gray-400">Budget:</span>
+            <input
+              type="range"
+              min="500000"
+              max="10000000"
+              step="500000"
+              value={pointBudget}
+              onChange={(e) => setPointBudget(parseInt(e.target.value))}
+              className="w-20"
+            />
+            <span className="text-sm w-10">{(pointBudget / 1000000).toFixed(1)}M</span>
+          </div>
+
           <div className="flex items-center gap-2">
             <span className="text-sm text-gray-400">BG:</span>
             <button
@@ -1097,21 +2935,22 @@ export default function LASViewer() {
               className={`w-6 h-6 rounded text-xs border-2 ${
                 pointColor === 'original' ? 'border-yellow-400' : 'border-transparent'
               }`}
-              style={{ background: 'linear-gradient(135deg, #ff0000 25%, #00ff00 50%, #0000ff 75%)' }}
+              style={{ background: ORIGINAL_SWATCH }}
               title="Original colors"
             />
-            {[
-              { color: '#ffffff', name: 'White' },
-              { color: '#000000', name: 'Black' },
-              { color: '#ff3333', name: 'Red' },
-              { color: '#33ff33', name: 'Green' },
-              { color: '#3399ff', name: 'Blue' },
-              { color: '#ffff33', name: 'Yellow' },
-              { color: '#ff33ff', name: 'Magenta' },
-              { color: '#33ffff', name: 'Cyan' },
-              { color: '#ff9933', name: 'Orange' },
-              { color: '#9933ff', name: 'Purple' },
-            ].map(({ color, name }) => (
+            {COLOR_MODE_BUTTONS.map(({ mode, label }) => (
+              <button
+                key={mode}
+                onClick={() => setPointColor(mode)}
+                className={`h-6 px-1 rounded text-xs border-2 ${
+                  pointColor === mode ? 'border-yellow-400 bg-gray-600' : 'border-transparent bg-gray-700 hover:bg-gray-600'
+                }`}
+                title={`Color by ${COLOR_MODE_NAMES[mode].toLowerCase()}`}
+              >
+                {label}
+              </button>
+            ))}
+            {POINT_COLORS.map(({ color, name }) => (
               <button
                 key={color}
                 onClick={() => setPointColor(color)}
@@ -1137,356 +2976,1632 @@ export default function LASViewer() {
             </button>
             {measureMode && (
               <>
+                <div className="flex rounded overflow-hidden text-xs">
+                  {[['distance', 'Line'], ['polyline', 'Path'], ['polygon', 'Area']].map(([shape, label]) => (
+                    <button
+                      key={shape}
+                      onClick={() => changeMeasureShape(shape)}
+                      className={`px-2 py-1 ${measureShape === shape ? 'bg-yellow-600' : 'bg-gray-600 hover:bg-gray-500'}`}
+                      title={shape === 'distance' ? 'Two points' : shape === 'polyline' ? 'Any number of points' : 'Closed polygon with its area'}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
                 <div className="flex rounded overflow-hidden text-xs">
                   <button
-                    onClick={() => setMeasureAxis('3d')}
+                    onClick={() => changeMeasureAxis('3d')}
                     className={`px-2 py-1 ${measureAxis === '3d' ? 'bg-yellow-600' : 'bg-gray-600 hover:bg-gray-500'}`}
                   >
                     3D
                   </button>
                   <button
-                    onClick={() => setMeasureAxis('horizontal')}
+                    onClick={() => changeMeasureAxis('horizontal')}
                     className={`px-2 py-1 ${measureAxis === 'horizontal' ? 'bg-cyan-600' : 'bg-gray-600 hover:bg-gray-500'}`}
                   >
                     Horiz
                   </button>
                   <button
-                    onClick={() => setMeasureAxis('vertical')}
+                    onClick={() => changeMeasureAxis('vertical')}
                     className={`px-2 py-1 ${measureAxis === 'vertical' ? 'bg-fuchsia-600' : 'bg-gray-600 hover:bg-gray-500'}`}
                   >
-                    Vert
-                  </button>
+                    Vert
+                  </button>
+                </div>
+                <button
+                  onClick={clearMeasurement}
+                  className="px-2 py-2 bg-gray-600 hover:bg-gray-500 rounded text-sm"
+                >
+                  Clear
+                </button>
+              </>
+            )}
+          </div>
+
+          <button
+            onClick={toggleInspectMode}
+            className={`px-3 py-2 rounded text-sm ${
+              inspectMode 
+                ? 'bg-cyan-600 hover:bg-cyan-700' 
+                : 'bg-gray-600 hover:bg-gray-500'
+            }`}
+          >
+            🔍 Inspect {inspectMode ? 'ON' : 'OFF'}
+          </button>
+
+          <button
+            onClick={() => setImageDialog(!imageDialog)}
+            disabled={layers.length === 0}
+            className={`px-3 py-2 rounded text-sm disabled:opacity-50 ${
+              imageDialog ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-600 hover:bg-gray-500'
+            }`}
+            title="Save the view as a high-resolution image"
+          >
+            📷 Image
+          </button>
+        </div>
+      </div>
+
+      {/* Main */}
+      <div className="flex flex-1 overflow-hidden">
+        <div className="flex-1 flex flex-col min-w-0">
+          <div
+            ref={containerRef}
+            className="flex-1 relative min-h-0"
+            onDrop={handleDrop}
+            onDragOver={(e) => e.preventDefault()}
+            onClick={profileDrawing ? handleProfileLineClick : volumePicking ? handleVolumePick : inspectMode ? handleInspectClick : handleMeasureClick}
+            onMouseDown={handleBrushStart}
+            onMouseMove={(e) => { handlePickHover(e); handleBrushMove(e); handleProfileLineHover(e); }}
+            onMouseUp={handleBrushEnd}
+            onMouseLeave={() => { hidePickHover(); handleBrushEnd(); hideBrushCursor(); }}
+            style={{ cursor: measureMode || inspectMode || volumePicking || brushMode || profileDrawing ? 'crosshair' : 'default' }}
+          >
+            {layers.length === 0 && !loading && (
+              <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+                <div className={`text-center p-6 border-2 border-dashed rounded-lg ${
+                  darkBackground ? 'border-gray-600' : 'border-gray-400'
+                }`}>
+                  <p className={darkBackground ? 'text-gray-400' : 'text-gray-600'}>Drop LAS/LAZ, PLY, PCD or XYZ/CSV file here</p>
+                  <p className={`text-sm ${darkBackground ? 'text-gray-500' : 'text-gray-500'}`}>Geographic or projected CRS (GeoTIFF keys / WKT)</p>
+                </div>
+              </div>
+            )}
+
+            {loading && (
+              <div className={`absolute inset-0 flex items-center justify-center ${
+                darkBackground ? 'bg-black/50' : 'bg-white/50'
+              }`}>
+                <div className="text-center">
+                  <div className="w-10 h-10 border-4 border-blue-500 border-t-transparent rounded-full animate-spin mx-auto mb-2"></div>
+                  <p className={darkBackground ? 'text-white' : 'text-gray-800'}>
+                    {LOAD_PHASES[loadProgress?.phase] || 'Parsing point cloud'}
+                    {loadProgress?.percent !== undefined ? ` ${loadProgress.percent.toFixed(0)}%` : '...'}
+                  </p>
+                  {loadProgress?.phase === 'reading' && (
+                    <p className={`text-xs ${darkBackground ? 'text-gray-400' : 'text-gray-600'}`}>
+                      {(loadProgress.bytesRead / 1024 / 1024).toFixed(1)} / {(loadProgress.totalBytes / 1024 / 1024).toFixed(1)} MB
+                    </p>
+                  )}
+                  <div className={`w-48 h-1.5 mx-auto mt-2 rounded ${darkBackground ? 'bg-gray-700' : 'bg-gray-300'}`}>
+                    <div className="h-full bg-blue-500 rounded" style={{ width: `${loadProgress?.percent || 0}%` }}></div>
+                  </div>
+                  <button
+                    onClick={cancelLoad}
+                    className={`mt-3 px-3 py-1 rounded text-sm ${
+                      darkBackground ? 'bg-gray-700 hover:bg-gray-600 text-white' : 'bg-gray-200 hover:bg-gray-300 text-gray-800'
+                    }`}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {error && (
+              <div className="absolute top-2 left-2 right-2 bg-red-900 border border-red-600 p-2 rounded text-sm">
+                Error: {error}
+                <button onClick={() => setError(null)} className="float-right">✕</button>
+              </div>
+            )}
+
+            {/* Image export */}
+            {imageDialog && layers.length > 0 && (
+              <div
+                className={`absolute top-2 left-1/2 -translate-x-1/2 p-3 rounded text-xs w-64 space-y-2 ${
+                  darkBackground ? 'bg-black/90 text-gray-300' : 'bg-white/95 text-gray-700 border border-gray-300'
+                }`}
+                onClick={(e) => e.stopPropagation()}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="text-blue-400 font-semibold text-sm">📷 Export Image</span>
+                  <button onClick={() => setImageDialog(false)} className="text-gray-400 hover:text-red-400">✕</button>
+                </div>
+                <div>
+                  <div className="mb-1">Resolution</div>
+                  <div className="flex gap-1">
+                    {IMAGE_SCALES.map(scale => (
+                      <button
+                        key={scale}
+                        onClick={() => setImageOptions(o => ({ ...o, scale }))}
+                        className={`flex-1 px-1 py-0.5 rounded ${
+                          imageOptions.scale === scale ? 'bg-blue-600 text-white' : 'bg-gray-600 hover:bg-gray-500 text-white'
+                        }`}
+                      >
+                        {scale}×
+                      </button>
+                    ))}
+                  </div>
+                  {(() => {
+                    const canvas = threeRef.current.renderer?.domElement;
+                    if (!canvas) return null;
+                    const fit = Math.min(1, MAX_IMAGE_SIDE / (Math.max(canvas.clientWidth, canvas.clientHeight) * imageOptions.scale));
+                    const scale = imageOptions.scale * fit;
+                    return (
+                      <div className="mt-1 font-mono text-gray-500">
+                        {Math.round(canvas.clientWidth * scale)} × {Math.round(canvas.clientHeight * scale)} px
+                      </div>
+                    );
+                  })()}
+                </div>
+                <label className="flex items-center justify-between gap-2">
+                  <span>Background</span>
+                  <select
+                    value={imageOptions.background}
+                    onChange={(e) => setImageOptions(o => ({ ...o, background: e.target.value }))}
+                    className={`rounded px-1 py-0.5 ${darkBackground ? 'bg-gray-700' : 'bg-gray-200'}`}
+                  >
+                    {Object.entries(IMAGE_BACKGROUNDS).map(([key, name]) => (
+                      <option key={key} value={key}>{name}</option>
+                    ))}
+                  </select>
+                </label>
+                <div className="grid grid-cols-2 gap-1">
+                  {[
+                    ['scaleBar', 'Scale bar', !orthographic && 'Orthographic views only'],
+                    ['northArrow', 'North arrow'],
+                    ['measurements', 'Measurements'],
+                    ['titleBlock', 'Title block']
+                  ].map(([key, label, disabled]) => (
+                    <label key={key} className={`flex items-center gap-1 ${disabled ? 'opacity-50' : ''}`} title={disabled || ''}>
+                      <input
+                        type="checkbox"
+                        checked={imageOptions[key]}
+                        disabled={!!disabled}
+                        onChange={(e) => setImageOptions(o => ({ ...o, [key]: e.target.checked }))}
+                      />
+                      {label}
+                    </label>
+                  ))}
                 </div>
+                {imageOptions.titleBlock && (
+                  <input
+                    type="text"
+                    value={imageOptions.title}
+                    onChange={(e) => setImageOptions(o => ({ ...o, title: e.target.value }))}
+                    placeholder={fileInfo ? fileInfo.name : 'Title'}
+                    className={`w-full rounded px-1 py-0.5 ${darkBackground ? 'bg-gray-700' : 'bg-gray-200'}`}
+                    title="Title; the file name, date and view center are added below it"
+                  />
+                )}
                 <button
-                  onClick={clearMeasurement}
-                  className="px-2 py-2 bg-gray-600 hover:bg-gray-500 rounded text-sm"
+                  onClick={exportImage}
+                  className="w-full px-2 py-1 bg-blue-600 hover:bg-blue-700 rounded text-sm text-white"
                 >
-                  Clear
+                  Save PNG
                 </button>
-              </>
-            )}
-          </div>
-        </div>
-      </div>
-
-      {/* Main */}
-      <div className="flex flex-1 overflow-hidden">
-        <div
-          ref={containerRef}
-          className="flex-1 relative"
-          onDrop={handleDrop}
-          onDragOver={(e) => e.preventDefault()}
-          onClick={handleMeasureClick}
-          style={{ cursor: measureMode ? 'crosshair' : 'default' }}
-        >
-          {!fileInfo && !loading && (
-            <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
-              <div className={`text-center p-6 border-2 border-dashed rounded-lg ${
-                darkBackground ? 'border-gray-600' : 'border-gray-400'
-              }`}>
-                <p className={darkBackground ? 'text-gray-400' : 'text-gray-600'}>Drop LAS file here</p>
-                <p className={`text-sm ${darkBackground ? 'text-gray-500' : 'text-gray-500'}`}>Supports EPSG:4326 (lat/lon + meters Z)</p>
               </div>
-            </div>
-          )}
+            )}
 
-          {loading && (
-            <div className={`absolute inset-0 flex items-center justify-center ${
-              darkBackground ? 'bg-black/50' : 'bg-white/50'
+            {/* Controls help */}
+            <div className={`absolute bottom-2 left-2 p-2 rounded text-xs ${
+              darkBackground ? 'bg-black/80 text-gray-400' : 'bg-white/90 text-gray-600 border border-gray-300'
             }`}>
-              <div className="text-center">
-                <div className="w-10 h-10 border-4 border-blue-500 border-t-transparent rounded-full animate-spin mx-auto mb-2"></div>
-                <p className={darkBackground ? 'text-white' : 'text-gray-800'}>Parsing point cloud...</p>
-              </div>
+              <div>{brushMode ? 'Left drag: Brush a patch' : 'Left drag: Rotate'}</div>
+              <div>Right drag: Pan</div>
+              <div>Scroll: Zoom</div>
+              <div>←/→: Pan left/right</div>
+              <div>↑/↓: Pan up/down (Z)</div>
             </div>
-          )}
 
-          {error && (
-            <div className="absolute top-2 left-2 right-2 bg-red-900 border border-red-600 p-2 rounded text-sm">
-              Error: {error}
-              <button onClick={() => setError(null)} className="float-right">✕</button>
-            </div>
-          )}
+            {/* Loupe under the cursor while measuring, placed and drawn by the pick hover */}
+            <canvas
+              ref={loupeRef}
+              width={LOUPE_SIZE}
+              height={LOUPE_SIZE}
+              className="absolute pointer-events-none rounded-full border-2 border-yellow-500 shadow-lg"
+              style={{ display: 'none', width: LOUPE_SIZE, height: LOUPE_SIZE }}
+            />
 
-          {/* Controls help */}
-          <div className={`absolute bottom-2 left-2 p-2 rounded text-xs ${
-            darkBackground ? 'bg-black/80 text-gray-400' : 'bg-white/90 text-gray-600 border border-gray-300'
-          }`}>
-            <div>Left drag: Rotate</div>
-            <div>Right drag: Pan</div>
-            <div>Scroll: Zoom</div>
-            <div>←/→: Pan left/right</div>
-            <div>↑/↓: Pan up/down (Z)</div>
-          </div>
+            {/* Brush outline under the cursor, placed by the brush handlers */}
+            <div
+              ref={brushCursorRef}
+              className="absolute pointer-events-none rounded-full border-2 border-yellow-400"
+              style={{ display: 'none', width: BRUSH_RADIUS * 2, height: BRUSH_RADIUS * 2 }}
+            />
 
-          {/* Measure mode overlay */}
-          {measureMode && (
-            <div className={`absolute top-2 right-2 p-3 rounded text-sm ${
-              darkBackground ? 'bg-black/90' : 'bg-white/95 border border-gray-300'
-            }`} style={{ marginRight: fileInfo ? '288px' : '0' }}>
-              <div className="text-yellow-500 font-semibold mb-2">📏 Measure Mode</div>
-              <div className={`text-xs mb-2 ${
-                measureAxis === '3d' ? 'text-yellow-400' : 
-                measureAxis === 'horizontal' ? 'text-cyan-400' : 'text-fuchsia-400'
-              }`}>
-                {measureAxis === '3d' ? '3D Distance' : 
-                 measureAxis === 'horizontal' ? 'Horizontal (XY) Only' : 'Vertical (Z) Only'}
-              </div>
-              {measurePoints.length === 0 && (
-                <div className={darkBackground ? 'text-gray-300' : 'text-gray-700'}>Click first point</div>
-              )}
-              {measurePoints.length === 1 && (
-                <div className={darkBackground ? 'text-gray-300' : 'text-gray-700'}>Click second point</div>
-              )}
-              {measureDistance !== null && (
-                <div className="mt-2">
-                  <div className={`text-xs ${darkBackground ? 'text-gray-400' : 'text-gray-500'}`}>Distance:</div>
-                  <div className={`text-lg font-mono ${
-                    measureAxis === '3d' ? 'text-yellow-500' : 
-                    measureAxis === 'horizontal' ? 'text-cyan-500' : 'text-fuchsia-500'
-                  }`}>
-                    {measureDistance < 1 
-                      ? `${(measureDistance * 100).toFixed(2)} cm`
-                      : measureDistance < 1000
-                        ? `${measureDistance.toFixed(3)} m`
-                        : `${(measureDistance / 1000).toFixed(3)} km`
-                    }
+            {/* Measure mode overlay */}
+            {measureMode && (
+              <div className={`absolute top-2 right-2 p-3 rounded text-sm w-64 max-h-[80%] overflow-auto ${
+                darkBackground ? 'bg-black/90' : 'bg-white/95 border border-gray-300'
+              }`} style={{ marginRight: layers.length > 0 ? '288px' : '0' }}>
+                <div className="text-yellow-500 font-semibold mb-2">📏 Measure Mode</div>
+                <div className={`text-xs mb-2 ${
+                  measureAxis === '3d' ? 'text-yellow-400' : 
+                  measureAxis === 'horizontal' ? 'text-cyan-400' : 'text-fuchsia-400'
+                }`}>
+                  {measureAxis === '3d' ? '3D Distance' : 
+                   measureAxis === 'horizontal' ? 'Horizontal (XY) Only' : 'Vertical (Z) Only'}
+                </div>
+                {measureShape === 'distance' && measurePoints.length === 0 && (
+                  <div className={darkBackground ? 'text-gray-300' : 'text-gray-700'}>Click first point</div>
+                )}
+                {measureShape === 'distance' && measurePoints.length === 1 && (
+                  <div className={darkBackground ? 'text-gray-300' : 'text-gray-700'}>Click second point</div>
+                )}
+                {measureSummary && (
+                  <div>
+                    <div className={darkBackground ? 'text-gray-300' : 'text-gray-700'}>
+                      {measurePoints.length === 0 ? 'Click the first point' : 'Click to add points'}
+                    </div>
+                    {measureSummary.segments.length > 0 && (
+                      <table className="w-full text-xs font-mono mt-2">
+                        <tbody className="block max-h-32 overflow-auto">
+                          {measureSummary.segments.map((length, i) => (
+                            <tr key={i} className={darkBackground ? 'text-gray-300' : 'text-gray-700'}>
+                              <td className="pr-2 text-gray-500">
+                                {i + 1}→{i + 1 < measurePoints.length ? i + 2 : 1}
+                              </td>
+                              <td className="pr-2">{formatDistance(length)}</td>
+                              <td className="text-gray-500">{formatFeetInches(length)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                    {measureSummary.segments.length > 0 && (
+                      <div className="mt-2">
+                        <div className={`text-xs ${darkBackground ? 'text-gray-400' : 'text-gray-500'}`}>
+                          {measureShape === 'polygon' && measureSummary.area ? 'Perimeter:' : 'Total:'}
+                        </div>
+                        <div className={`text-lg font-mono ${
+                          measureAxis === '3d' ? 'text-yellow-500' :
+                          measureAxis === 'horizontal' ? 'text-cyan-500' : 'text-fuchsia-500'
+                        }`}>
+                          {formatDistance(measureSummary.total)}
+                        </div>
+                        <div className={`text-sm font-mono ${
+                          measureAxis === '3d' ? 'text-yellow-400' :
+                          measureAxis === 'horizontal' ? 'text-cyan-400' : 'text-fuchsia-400'
+                        }`}>
+                          {formatFeetInches(measureSummary.total)}
+                        </div>
+                      </div>
+                    )}
+                    {measureSummary.area && (
+                      <div className="mt-2 text-xs font-mono space-y-1">
+                        <div>
+                          <div className={darkBackground ? 'text-gray-400' : 'text-gray-500'} title="Area in the plane that fits the polygon best">Area (3D plane):</div>
+                          <div className="text-green-400 text-sm">
+                            {formatArea(measureSummary.area.planar)} / {formatAreaImperial(measureSummary.area.planar)}
+                          </div>
+                        </div>
+                        <div>
+                          <div className={darkBackground ? 'text-gray-400' : 'text-gray-500'}>Area (horizontal):</div>
+                          <div className="text-green-400 text-sm">
+                            {formatArea(measureSummary.area.horizontal)} / {formatAreaImperial(measureSummary.area.horizontal)}
+                          </div>
+                        </div>
+                      </div>
+                    )}
+                    {measurePoints.length > 0 && (
+                      <div className="flex gap-1 mt-2">
+                        <button
+                          onClick={undoMeasurePoint}
+                          className="px-2 py-0.5 bg-gray-600 hover:bg-gray-500 rounded text-xs"
+                        >
+                          Undo point
+                        </button>
+                        <button
+                          onClick={finishMeasurement}
+                          disabled={measurePoints.length < (measureShape === 'polygon' ? 3 : 2)}
+                          className="px-2 py-0.5 bg-yellow-600 hover:bg-yellow-700 disabled:opacity-50 rounded text-xs"
+                        >
+                          Finish
+                        </button>
+                      </div>
+                    )}
                   </div>
-                  <div className={`text-sm font-mono mt-1 ${
-                    measureAxis === '3d' ? 'text-yellow-400' : 
-                    measureAxis === 'horizontal' ? 'text-cyan-400' : 'text-fuchsia-400'
-                  }`}>
-                    {(() => {
-                      const totalFeet = measureDistance * 3.28084;
-                      const feet = Math.floor(totalFeet);
-                      const inches = ((totalFeet - feet) * 12).toFixed(1);
-                      if (totalFeet < 1) {
-                        return `${(measureDistance * 39.3701).toFixed(2)} in`;
-                      } else {
-                        return `${feet}' ${inches}"`;
-                      }
-                    })()}
+                )}
+                {selectedMeasurement && (
+                  <div className={`mt-3 pt-2 border-t ${darkBackground ? 'border-gray-700' : 'border-gray-300'}`}>
+                    <div className={`text-xs ${darkBackground ? 'text-gray-400' : 'text-gray-500'}`}>
+                      {selectedMeasurement.name} · {MEASURE_AXIS_NAMES[selectedMeasurement.axis]} {MEASURE_SHAPE_NAMES[selectedMeasurement.shape].toLowerCase()}
+                      {selectedSummary.area ? ' (perimeter)' : ''}:
+                    </div>
+                    <div className={`text-lg font-mono ${
+                      selectedMeasurement.axis === '3d' ? 'text-yellow-500' :
+                      selectedMeasurement.axis === 'horizontal' ? 'text-cyan-500' : 'text-fuchsia-500'
+                    }`}>
+                      {formatDistance(selectedSummary.total)}
+                    </div>
+                    <div className={`text-sm font-mono mt-1 ${
+                      selectedMeasurement.axis === '3d' ? 'text-yellow-400' :
+                      selectedMeasurement.axis === 'horizontal' ? 'text-cyan-400' : 'text-fuchsia-400'
+                    }`}>
+                      {formatFeetInches(selectedSummary.total)}
+                    </div>
+                    <div className={`text-xs mt-1 ${darkBackground ? 'text-gray-500' : 'text-gray-400'}`}>
+                      ({selectedSummary.total.toFixed(4)} m / {toFeet(selectedSummary.total).toFixed(4)} ft)
+                    </div>
+                    {selectedSummary.area && (
+                      <div className="mt-2 text-xs font-mono space-y-1">
+                        <div>
+                          <div className={darkBackground ? 'text-gray-400' : 'text-gray-500'}>Area (3D plane):</div>
+                          <div className="text-green-400 text-sm">
+                            {formatArea(selectedSummary.area.planar)} / {formatAreaImperial(selectedSummary.area.planar)}
+                          </div>
+                        </div>
+                        <div>
+                          <div className={darkBackground ? 'text-gray-400' : 'text-gray-500'}>Area (horizontal):</div>
+                          <div className="text-green-400 text-sm">
+                            {formatArea(selectedSummary.area.horizontal)} / {formatAreaImperial(selectedSummary.area.horizontal)}
+                          </div>
+                        </div>
+                      </div>
+                    )}
                   </div>
-                  <div className={`text-xs mt-1 ${darkBackground ? 'text-gray-500' : 'text-gray-400'}`}>
-                    ({measureDistance.toFixed(4)} m / {(measureDistance * 3.28084).toFixed(4)} ft)
+                )}
+                {measurements.length > 0 && (
+                  <div className={`mt-3 pt-2 border-t ${darkBackground ? 'border-gray-700' : 'border-gray-300'}`}>
+                    <div className={`text-xs mb-1 ${darkBackground ? 'text-gray-400' : 'text-gray-500'}`}>
+                      Measurements ({measurements.length})
+                    </div>
+                    <div className="space-y-1">
+                      {measurements.map((m) => {
+                        const { total, area } = measurePath(m.points, m.axis, m.shape === 'polygon');
+                        const selected = m.id === selectedMeasurementId;
+                        return (
+                          <div
+                            key={m.id}
+                            onClick={() => selectMeasurement(m.id)}
+                            className={`flex items-center gap-1 px-1 py-0.5 rounded cursor-pointer text-xs ${
+                              selected ? (darkBackground ? 'bg-gray-700' : 'bg-gray-200') : ''
+                            }`}
+                          >
+                            <span
+                              className="w-2 h-2 rounded-full flex-shrink-0"
+                              style={{ background: `#${new THREE.Color(MEASURE_AXIS_COLORS[m.axis]).getHexString()}` }}
+                            />
+                            {selected ? (
+                              <input
+                                value={m.name}
+                                onChange={(e) => renameMeasurement(m.id, e.target.value)}
+                                className={`flex-1 min-w-0 px-1 rounded ${darkBackground ? 'bg-gray-800 text-white' : 'bg-white text-gray-900 border border-gray-300'}`}
+                              />
+                            ) : (
+                              <span className={`flex-1 min-w-0 truncate ${darkBackground ? 'text-gray-300' : 'text-gray-700'}`}>{m.name}</span>
+                            )}
+                            <span className="font-mono text-gray-500">
+                              {area ? formatArea(area.planar) : formatDistance(total)}
+                            </span>
+                            <button
+                              onClick={(e) => { e.stopPropagation(); removeMeasurement(m.id); }}
+                              className="px-1 text-gray-500 hover:text-red-500"
+                              title="Delete measurement"
+                            >
+                              ×
+                            </button>
+                          </div>
+                        );
+                      })}
+                    </div>
+                    <div className="flex gap-1 mt-2">
+                      <button
+                        onClick={() => exportMeasurements('csv')}
+                        className="px-2 py-0.5 bg-gray-600 hover:bg-gray-500 rounded text-xs"
+                        title="One row per measurement in the file's coordinates"
+                      >
+                        CSV
+                      </button>
+                      <button
+                        onClick={() => exportMeasurements('geojson')}
+                        className="px-2 py-0.5 bg-gray-600 hover:bg-gray-500 rounded text-xs"
+                        title="Lines and polygons in the file's coordinates"
+                      >
+                        GeoJSON
+                      </button>
+                      <button
+                        onClick={clearMeasurements}
+                        className="px-2 py-0.5 bg-gray-600 hover:bg-gray-500 rounded text-xs ml-auto"
+                      >
+                        Clear all
+                      </button>
+                    </div>
                   </div>
-                </div>
-              )}
-            </div>
-          )}
+                )}
+              </div>
+            )}
 
-          {/* View controls */}
-          {fileInfo && (
-            <div className="absolute top-2 left-2 flex flex-col gap-2">
-              {/* View presets */}
-              <div className={`rounded p-2 flex flex-col gap-1 ${
-                darkBackground ? 'bg-black/80' : 'bg-white/90 border border-gray-300'
-              }`}>
-                <span className={`text-xs mb-1 ${darkBackground ? 'text-gray-400' : 'text-gray-600'}`}>Views</span>
-                <div className="grid grid-cols-2 gap-1">
-                  <button onClick={viewTop} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs">
-                    Top
-                  </button>
-                  <button onClick={viewFront} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs">
-                    Front (S)
-                  </button>
-                  <button onClick={viewRight} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs">
-                    Right (W)
-                  </button>
-                  <button onClick={viewIsometric} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs">
-                    Iso
-                  </button>
-                </div>
-                <button onClick={resetView} className="px-2 py-1 bg-blue-700 hover:bg-blue-600 rounded text-xs mt-1">
-                  Reset
-                </button>
+            {/* Inspect mode overlay */}
+            {inspectMode && (
+              <div className={`absolute top-2 right-2 p-3 rounded text-sm w-64 max-h-[80%] overflow-auto ${
+                darkBackground ? 'bg-black/90' : 'bg-white/95 border border-gray-300'
+              }`} style={{ marginRight: layers.length > 0 ? '288px' : '0' }}>
+                <div className="text-cyan-500 font-semibold mb-2">🔍 Inspect Point</div>
+                {!inspectedPoint && (
+                  <div className={darkBackground ? 'text-gray-300' : 'text-gray-700'}>Click a point</div>
+                )}
+                {inspectedPoint && (
+                  <div className="space-y-2">
+                    <div className={`text-xs break-all ${darkBackground ? 'text-gray-400' : 'text-gray-500'}`}>
+                      {inspectedPoint.layerName}
+                    </div>
+                    {inspectedPoint.sections.map(section => (
+                      <div key={section.title}>
+                        <div className="text-xs text-cyan-400">{section.title}</div>
+                        <table className="w-full text-xs font-mono">
+                          <tbody>
+                            {section.rows.map(([label, value]) => (
+                              <tr key={label}>
+                                <td className={`pr-2 align-top ${darkBackground ? 'text-gray-400' : 'text-gray-500'}`}>{label}</td>
+                                <td className={`text-right break-all ${darkBackground ? 'text-gray-200' : 'text-gray-800'}`}>{value}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    ))}
+                  </div>
+                )}
               </div>
+            )}
 
-              {/* Rotation controls */}
-              <div className={`rounded p-2 ${
-                darkBackground ? 'bg-black/80' : 'bg-white/90 border border-gray-300'
-              }`}>
-                <span className={`text-xs mb-1 block ${darkBackground ? 'text-gray-400' : 'text-gray-600'}`}>Rotate</span>
-                <div className="grid grid-cols-3 gap-1 w-24">
-                  <div></div>
-                  <button onClick={rotateUp} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs">
-                    ↑
-                  </button>
-                  <div></div>
-                  <button onClick={rotateLeft} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs">
-                    ←
-                  </button>
-                  <div></div>
-                  <button onClick={rotateRight} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs">
-                    →
-                  </button>
-                  <div></div>
-                  <button onClick={rotateDown} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs">
-                    ↓
-                  </button>
-                  <div></div>
+            {/* Scale bar and north arrow (orthographic views) */}
+            {viewOverlay && layers.length > 0 && (() => {
+              const meters = niceLength(viewOverlay.metersPerPixel * 120);
+              const pixels = meters / viewOverlay.metersPerPixel;
+              const { north } = viewOverlay;
+              const ink = darkBackground ? '#e5e7eb' : '#111827';
+              return (
+                <div className={`absolute bottom-2 left-1/2 -translate-x-1/2 px-3 py-2 rounded flex items-end gap-4 pointer-events-none ${
+                  darkBackground ? 'bg-black/70 text-gray-200' : 'bg-white/90 text-gray-900 border border-gray-300'
+                }`}>
+                  <div className="flex flex-col items-center text-xs font-bold w-8" title="North">
+                    {north.along ? (
+                      <span className="text-lg leading-none">{north.along === 'away' ? '⊗' : '⊙'}</span>
+                    ) : (
+                      <svg width="20" height="24" viewBox="-10 -12 20 24" style={{ transform: `rotate(${north.angle}deg)` }}>
+                        <polygon points="0,-11 7,9 0,4 -7,9" fill={ink} />
+                      </svg>
+                    )}
+                    <span>N</span>
+                  </div>
+                  <div className="flex flex-col items-start text-xs">
+                    <span className="font-mono mb-0.5">{formatLength(meters)}</span>
+                    <div className="flex h-2" style={{ width: `${pixels}px`, border: `1px solid ${ink}` }}>
+                      <div className="flex-1" style={{ background: ink }} />
+                      <div className="flex-1" />
+                      <div className="flex-1" style={{ background: ink }} />
+                      <div className="flex-1" />
+                    </div>
+                  </div>
                 </div>
+              );
+            })()}
+
+            {/* Legends of the attribute color modes */}
+            {legends.length > 0 && (
+              <div className={`absolute bottom-2 right-2 p-2 rounded text-xs w-52 max-h-[60%] overflow-auto space-y-2 ${
+                darkBackground ? 'bg-black/80 text-gray-300' : 'bg-white/90 text-gray-700 border border-gray-300'
+              }`} style={{ marginRight: layers.length > 0 ? '288px' : '0' }}>
+                {legends.map(legend => (
+                  <div key={legend.mode}>
+                    <div className={`font-semibold mb-1 ${darkBackground ? 'text-gray-200' : 'text-gray-800'}`}>
+                      {COLOR_MODE_NAMES[legend.mode]}
+                    </div>
+                    {legend.mode === 'elevation' && (() => {
+                      const { range, datum } = legend;
+                      const toElevation = (z) => datum.z + z / datum.scale;
+                      const digits = Math.max(0, Math.min(3, 2 - Math.floor(Math.log10((range.max - range.min) / datum.scale || 1))));
+                      const inputClass = `rounded px-1 py-0.5 font-mono ${darkBackground ? 'bg-gray-700 text-white' : 'bg-gray-100 text-black border border-gray-300'}`;
+                      const buttonClass = `px-1.5 py-0.5 rounded ${darkBackground ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`;
+                      return (
+                        <div className="space-y-1">
+                          <select
+                            value={elevationRamp}
+                            onChange={(e) => setElevationRamp(e.target.value)}
+                            className={`w-full rounded px-1 py-0.5 ${darkBackground ? 'bg-gray-700 text-white' : 'bg-gray-100 text-black border border-gray-300'}`}
+                          >
+                            {Object.entries(COLOR_RAMPS).map(([key, { name }]) => (
+                              <option key={key} value={key}>{name}</option>
+                            ))}
+                            <option value="custom">Custom stops</option>
+                          </select>
+                          {elevationRamp === 'custom' && (
+                            <input
+                              type="text"
+                              value={customRamp}
+                              onChange={(e) => setCustomRamp(e.target.value)}
+                              className={`w-full rounded px-1 py-0.5 font-mono ${customStops ? '' : 'border border-red-500'} ${
+                                darkBackground ? 'bg-gray-700 text-white' : 'bg-gray-100 text-black'
+                              }`}
+                              title="Comma separated colors (#00f, #fff, #f00) or stops (0 #0000ff, 0.3 #00ff00, 1 #ff0000)"
+                            />
+                          )}
+                          <div className="h-3 rounded-sm" style={{ background: rampGradient(legend.stops) }} />
+                          <div className="flex justify-between font-mono">
+                            {[0, 0.25, 0.5, 0.75, 1].map(t => (
+                              <span key={t}>{toElevation(range.min + t * (range.max - range.min)).toFixed(digits)}</span>
+                            ))}
+                          </div>
+                          <div className="flex items-center gap-1">
+                            <input
+                              key={`min${range.min}`}
+                              type="number"
+                              step="any"
+                              defaultValue={toElevation(range.min).toFixed(digits)}
+                              onBlur={(e) => setElevationRangeEnd(legend, 'min', e.target.value)}
+                              onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                              className={`${inputClass} w-16`}
+                              title="Lowest elevation of the ramp"
+                            />
+                            <span>→</span>
+                            <input
+                              key={`max${range.max}`}
+                              type="number"
+                              step="any"
+                              defaultValue={toElevation(range.max).toFixed(digits)}
+                              onBlur={(e) => setElevationRangeEnd(legend, 'max', e.target.value)}
+                              onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                              className={`${inputClass} w-16`}
+                              title="Highest elevation of the ramp"
+                            />
+                            <span>{datum.unit}</span>
+                          </div>
+                          <div className="flex flex-wrap items-center gap-1">
+                            <button onClick={() => setElevationRange(null)} className={buttonClass} title="Lowest to highest point">
+                              Full
+                            </button>
+                            <button onClick={clipElevationRange} className={buttonClass} title="Clip to percentiles of the elevation histogram">
+                              Clip
+                            </button>
+                            <input
+                              type="number"
+                              min="0"
+                              max="49"
+                              value={elevationClip.low}
+                              onChange={(e) => setElevationClip({ ...elevationClip, low: Math.max(0, Math.min(49, parseFloat(e.target.value) || 0)) })}
+                              className={`${inputClass} w-10`}
+                              title="Low percentile"
+                            />
+                            <span>-</span>
+                            <input
+                              type="number"
+                              min="51"
+                              max="100"
+                              value={elevationClip.high}
+                              onChange={(e) => setElevationClip({ ...elevationClip, high: Math.max(51, Math.min(100, parseFloat(e.target.value) || 100)) })}
+                              className={`${inputClass} w-10`}
+                              title="High percentile"
+                            />
+                            <span>%</span>
+                            {sliceEnabled && (
+                              <button onClick={fitElevationToSlicer} className={buttonClass} title="Fit to the slicer Z range">
+                                Slicer Z
+                              </button>
+                            )}
+                          </div>
+                        </div>
+                      );
+                    })()}
+                    {legend.stretch && (
+                      <div>
+                        <div className="h-3 rounded-sm" style={{ background: 'linear-gradient(90deg, #000000, #ffffff)' }} />
+                        <div className="flex justify-between font-mono mt-0.5">
+                          <span>{Number(legend.stretch.min.toFixed(2))}</span>
+                          <span>{Number(legend.stretch.max.toFixed(2))}</span>
+                        </div>
+                        <div className={darkBackground ? 'text-gray-500' : 'text-gray-400'}>
+                          Stretched to {legend.stretch.percentiles[0]}-{legend.stretch.percentiles[1]}th percentile
+                        </div>
+                      </div>
+                    )}
+                    {legend.entries && legend.entries.length === 0 && (
+                      <div className={darkBackground ? 'text-gray-500' : 'text-gray-400'}>Not in these files</div>
+                    )}
+                    {legend.entries && legend.entries.map(entry => {
+                      const hidden = legend.mode === 'classification' && hiddenClasses.includes(entry.value);
+                      const content = (
+                        <>
+                          <span className="w-3 h-3 rounded-sm flex-shrink-0" style={{ backgroundColor: entry.color, opacity: hidden ? 0.3 : 1 }} />
+                          <span className={`flex-1 truncate text-left ${hidden ? 'line-through opacity-50' : ''}`}>{entry.label}</span>
+                          <span className={`font-mono ${darkBackground ? 'text-gray-500' : 'text-gray-400'}`}>{entry.count.toLocaleString()}</span>
+                        </>
+                      );
+                      return legend.mode === 'classification' ? (
+                        <button
+                          key={entry.value}
+                          onClick={() => toggleClass(entry.value)}
+                          className={`w-full flex items-center gap-1 rounded px-0.5 ${darkBackground ? 'hover:bg-gray-700' : 'hover:bg-gray-200'}`}
+                          title={hidden ? 'Show class' : 'Hide class'}
+                        >
+                          {content}
+                        </button>
+                      ) : (
+                        <div key={entry.value} className="flex items-center gap-1 px-0.5">{content}</div>
+                      );
+                    })}
+                    {legend.more > 0 && (
+                      <div className={darkBackground ? 'text-gray-500' : 'text-gray-400'}>+{legend.more} more</div>
+                    )}
+                  </div>
+                ))}
               </div>
+            )}
 
-              {/* Slicer controls */}
-              <div className={`rounded p-2 ${
-                darkBackground ? 'bg-black/80' : 'bg-white/90 border border-gray-300'
-              }`}>
-                <div className="flex items-center justify-between mb-2">
-                  <span className={`text-xs ${darkBackground ? 'text-gray-400' : 'text-gray-600'}`}>Slicer</span>
+            {/* View controls */}
+            {layers.length > 0 && (
+              <div className="absolute top-2 left-2 flex flex-col gap-2 max-h-[calc(100%-1rem)] overflow-y-auto">
+                {/* View presets */}
+                <div className={`rounded p-2 flex flex-col gap-1 ${
+                  darkBackground ? 'bg-black/80' : 'bg-white/90 border border-gray-300'
+                }`}>
+                  <span className={`text-xs mb-1 ${darkBackground ? 'text-gray-400' : 'text-gray-600'}`}>Views</span>
+                  <div className="grid grid-cols-2 gap-1">
+                    <button onClick={viewTop} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs">
+                      Top
+                    </button>
+                    <button onClick={viewFront} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs">
+                      Front (S)
+                    </button>
+                    <button onClick={viewRight} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs">
+                      Right (W)
+                    </button>
+                    <button onClick={viewIsometric} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs">
+                      Iso
+                    </button>
+                  </div>
+                  <button onClick={resetView} className="px-2 py-1 bg-blue-700 hover:bg-blue-600 rounded text-xs mt-1">
+                    Reset
+                  </button>
                   <button
-                    onClick={() => setSliceEnabled(!sliceEnabled)}
-                    className={`px-2 py-0.5 rounded text-xs ${
-                      sliceEnabled ? 'bg-green-600' : 'bg-gray-600 hover:bg-gray-500'
-                    }`}
+                    onClick={() => setOrthographic(!orthographic)}
+                    className={`px-2 py-1 rounded text-xs ${orthographic ? 'bg-green-600' : 'bg-gray-700 hover:bg-gray-600'}`}
+                    title="Switch between perspective and orthographic projection"
                   >
-                    {sliceEnabled ? 'ON' : 'OFF'}
+                    {orthographic ? 'Orthographic' : 'Perspective'}
                   </button>
                 </div>
-                
-                {sliceEnabled && (
-                  <div className="space-y-2">
-                    {/* X axis */}
-                    <div>
-                      <div className="flex items-center gap-1 mb-1">
-                        <span className="text-xs text-red-400 w-4 font-bold">X</span>
+
+                {/* Rotation controls */}
+                <div className={`rounded p-2 ${
+                  darkBackground ? 'bg-black/80' : 'bg-white/90 border border-gray-300'
+                }`}>
+                  <span className={`text-xs mb-1 block ${darkBackground ? 'text-gray-400' : 'text-gray-600'}`}>Rotate</span>
+                  <div className="grid grid-cols-3 gap-1 w-24">
+                    <div></div>
+                    <button onClick={rotateUp} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs">
+                      ↑
+                    </button>
+                    <div></div>
+                    <button onClick={rotateLeft} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs">
+                      ←
+                    </button>
+                    <div></div>
+                    <button onClick={rotateRight} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs">
+                      →
+                    </button>
+                    <div></div>
+                    <button onClick={rotateDown} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs">
+                      ↓
+                    </button>
+                    <div></div>
+                  </div>
+                </div>
+
+                {/* Camera path */}
+                <div className={`rounded p-2 w-40 ${
+                  darkBackground ? 'bg-black/80' : 'bg-white/90 border border-gray-300'
+                }`}>
+                  <div className="flex items-center justify-between mb-1">
+                    <span className={`text-xs ${darkBackground ? 'text-gray-400' : 'text-gray-600'}`}>Camera Path</span>
+                    <div className="flex rounded overflow-hidden text-xs">
+                      {[['keyframes', 'Keys'], ['turntable', 'Turn']].map(([mode, label]) => (
+                        <button
+                          key={mode}
+                          onClick={() => setPathMode(mode)}
+                          disabled={playing !== null}
+                          className={`px-1.5 py-0.5 ${pathMode === mode ? 'bg-blue-600' : 'bg-gray-600 hover:bg-gray-500'}`}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+
+                  {pathMode === 'keyframes' ? (
+                    <div className="space-y-1">
+                      {cameraKeyframes.map((keyframe, index) => (
+                        <div key={keyframe.id} className="flex items-center gap-1 text-xs">
+                          <button
+                            onClick={() => threeRef.current.controls.setView(keyframe)}
+                            className="w-6 px-1 bg-gray-700 hover:bg-gray-600 rounded"
+                            title="Go to this view"
+                          >
+                            {index + 1}
+                          </button>
+                          {index < cameraKeyframes.length - 1 ? (
+                            <input
+                              type="number"
+                              min="0.5"
+                              max="60"
+                              step="0.5"
+                              value={keyframe.duration}
+                              onChange={(e) => {
+                                const duration = parseFloat(e.target.value);
+                                if (duration > 0) updateKeyframe(keyframe.id, { duration });
+                              }}
+                              className={`w-10 rounded px-1 ${darkBackground ? 'bg-gray-700' : 'bg-gray-200 text-black'}`}
+                              title="Seconds to the next keyframe"
+                            />
+                          ) : (
+                            <span className={`w-10 ${darkBackground ? 'text-gray-500' : 'text-gray-400'}`}>end</span>
+                          )}
+                          <button onClick={() => moveKeyframe(index, -1)} className="text-gray-400 hover:text-white" title="Move up">↑</button>
+                          <button onClick={() => moveKeyframe(index, 1)} className="text-gray-400 hover:text-white" title="Move down">↓</button>
+                          <button onClick={() => removeKeyframe(keyframe.id)} className="text-gray-400 hover:text-red-400" title="Remove">✕</button>
+                        </div>
+                      ))}
+                      <button
+                        onClick={addKeyframe}
+                        disabled={playing !== null}
+                        className="w-full px-1 py-0.5 bg-gray-700 hover:bg-gray-600 rounded text-xs"
+                        title="Add the current view as a keyframe"
+                      >
+                        + Keyframe
+                      </button>
+                      {cameraKeyframes.length >= 2 && (
+                        <div className={`text-xs ${darkBackground ? 'text-gray-500' : 'text-gray-600'}`} style={{ fontSize: '9px' }}>
+                          {pathDuration(cameraKeyframes).toFixed(1)} s
+                        </div>
+                      )}
+                    </div>
+                  ) : (
+                    <div className="flex items-center gap-1">
+                      <input
+                        type="range"
+                        min="5"
+                        max="60"
+                        step="1"
+                        value={turntablePeriod}
+                        onChange={(e) => setTurntablePeriod(parseInt(e.target.value))}
+                        disabled={playing !== null}
+                        className="flex-1 h-1 min-w-0"
+                        title="Seconds per turn around the view center"
+                      />
+                      <span className={`text-xs font-mono ${darkBackground ? 'text-gray-500' : 'text-gray-600'}`}>{turntablePeriod} s</span>
+                    </div>
+                  )}
+
+                  {playing ? (
+                    <button
+                      onClick={stopCameraPath}
+                      className={`w-full px-1 py-0.5 rounded text-xs mt-1 ${playing === 'record' ? 'bg-red-600 hover:bg-red-700' : 'bg-gray-600 hover:bg-gray-500'}`}
+                    >
+                      {playing === 'record' ? '● Recording, stop' : '■ Stop'}
+                    </button>
+                  ) : (
+                    <div className="flex gap-1 mt-1">
+                      <button
+                        onClick={() => playCameraPath(false)}
+                        disabled={pathMode === 'keyframes' && cameraKeyframes.length < 2}
+                        className="flex-1 px-1 py-0.5 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 disabled:opacity-50 rounded text-xs"
+                      >
+                        ▶ Play
+                      </button>
+                      <button
+                        onClick={() => playCameraPath(true)}
+                        disabled={pathMode === 'keyframes' && cameraKeyframes.length < 2}
+                        className="flex-1 px-1 py-0.5 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded text-xs"
+                        title="Play and save the view as a WebM video"
+                      >
+                        ● WebM
+                      </button>
+                    </div>
+                  )}
+                </div>
+
+                {/* Point rendering */}
+                <div className={`rounded p-2 w-32 ${
+                  darkBackground ? 'bg-black/80' : 'bg-white/90 border border-gray-300'
+                }`}>
+                  <span className={`text-xs mb-1 block ${darkBackground ? 'text-gray-400' : 'text-gray-600'}`}>Points</span>
+                  <div className="grid grid-cols-3 gap-1">
+                    {[['square', '■', 'Square points'], ['round', '●', 'Round points'], ['paraboloid', '◉', 'Paraboloid points (depth-shaped)']].map(([shape, icon, title]) => (
+                      <button
+                        key={shape}
+                        onClick={() => setPointShape(shape)}
+                        className={`px-2 py-1 rounded text-xs ${pointShape === shape ? 'bg-blue-600' : 'bg-gray-700 hover:bg-gray-600'}`}
+                        title={title}
+                      >
+                        {icon}
+                      </button>
+                    ))}
+                  </div>
+                  <label className={`flex items-center gap-1 mt-1 text-xs ${darkBackground ? 'text-gray-300' : 'text-gray-700'}`}>
+                    <input type="checkbox" checked={sizeAttenuation} onChange={(e) => setSizeAttenuation(e.target.checked)} />
+                    Scale with distance
+                  </label>
+                  <div className="flex items-center gap-1 mt-1">
+                    <span className={`text-xs ${darkBackground ? 'text-gray-400' : 'text-gray-600'}`}>Shade</span>
+                    <select
+                      value={shading}
+                      onChange={(e) => setShading(e.target.value)}
+                      className="flex-1 min-w-0 bg-gray-700 text-white rounded px-1 py-0.5 text-xs"
+                      title="Shading from point normals"
+                    >
+                      <option value="none">None</option>
+                      <option value="lit">Lit</option>
+                      <option value="normal">Normals</option>
+                      <option value="verticality">Verticality</option>
+                    </select>
+                  </div>
+                  {shading !== 'none' && !layers.some(l => l.normals === 'ready') && (
+                    <div className="text-xs text-yellow-400 mt-1">Estimating normals…</div>
+                  )}
+                  {shading === 'lit' && (
+                    <div className={`mt-1 space-y-1 text-xs ${darkBackground ? 'text-gray-400' : 'text-gray-600'}`}>
+                      <div className="flex items-center gap-1">
+                        <span className="w-12">Azimuth</span>
                         <input
                           type="range"
                           min="0"
-                          max="100"
-                          value={sliceX.min}
-                          onChange={(e) => setSliceX(s => ({ ...s, min: Math.min(parseInt(e.target.value), s.max - 1) }))}
-                          className="flex-1 h-1"
+                          max="360"
+                          step="5"
+                          value={lightAzimuth}
+                          onChange={(e) => setLightAzimuth(parseInt(e.target.value))}
+                          className="flex-1 h-1 min-w-0"
+                          title={`Light from ${lightAzimuth}°`}
                         />
+                      </div>
+                      <div className="flex items-center gap-1">
+                        <span className="w-12">Altitude</span>
                         <input
                           type="range"
                           min="0"
-                          max="100"
-                          value={sliceX.max}
-                          onChange={(e) => setSliceX(s => ({ ...s, max: Math.max(parseInt(e.target.value), s.min + 1) }))}
-                          className="flex-1 h-1"
+                          max="90"
+                          step="5"
+                          value={lightElevation}
+                          onChange={(e) => setLightElevation(parseInt(e.target.value))}
+                          className="flex-1 h-1 min-w-0"
+                          title={`Light ${lightElevation}° above the horizon`}
                         />
                       </div>
-                      <div className={`text-xs font-mono ${darkBackground ? 'text-gray-500' : 'text-gray-500'}`} style={{ fontSize: '9px' }}>
-                        {(sliceBoundsX.min + (sliceX.min / 100) * (sliceBoundsX.max - sliceBoundsX.min)).toFixed(1)} → {(sliceBoundsX.min + (sliceX.max / 100) * (sliceBoundsX.max - sliceBoundsX.min)).toFixed(1)}m
-                      </div>
                     </div>
-                    
-                    {/* Y axis */}
-                    <div>
-                      <div className="flex items-center gap-1 mb-1">
-                        <span className="text-xs text-green-400 w-4 font-bold">Y</span>
+                  )}
+                  {shading === 'verticality' && (
+                    <div className="h-2 rounded-sm mt-1" style={{ background: 'linear-gradient(90deg, #1a4dff, #1ae633, #ff2619)' }} title="Horizontal → vertical" />
+                  )}
+                  <div className="flex items-center justify-between mt-1">
+                    <span className={`text-xs ${darkBackground ? 'text-gray-400' : 'text-gray-600'}`} title="Eye-Dome Lighting">EDL</span>
+                    <button
+                      onClick={() => setEdlEnabled(!edlEnabled)}
+                      className={`px-2 py-0.5 rounded text-xs ${edlEnabled ? 'bg-green-600' : 'bg-gray-600 hover:bg-gray-500'}`}
+                    >
+                      {edlEnabled ? 'ON' : 'OFF'}
+                    </button>
+                  </div>
+                  {edlEnabled && (
+                    <div className={`mt-1 space-y-1 text-xs ${darkBackground ? 'text-gray-400' : 'text-gray-600'}`}>
+                      <div className="flex items-center gap-1">
+                        <span className="w-12">Strength</span>
                         <input
                           type="range"
-                          min="0"
-                          max="100"
-                          value={sliceY.min}
-                          onChange={(e) => setSliceY(s => ({ ...s, min: Math.min(parseInt(e.target.value), s.max - 1) }))}
-                          className="flex-1 h-1"
+                          min="0.1"
+                          max="5"
+                          step="0.1"
+                          value={edlStrength}
+                          onChange={(e) => setEdlStrength(parseFloat(e.target.value))}
+                          className="flex-1 h-1 min-w-0"
+                          title={edlStrength.toFixed(1)}
                         />
+                      </div>
+                      <div className="flex items-center gap-1">
+                        <span className="w-12">Radius</span>
                         <input
                           type="range"
-                          min="0"
-                          max="100"
-                          value={sliceY.max}
-                          onChange={(e) => setSliceY(s => ({ ...s, max: Math.max(parseInt(e.target.value), s.min + 1) }))}
-                          className="flex-1 h-1"
+                          min="1"
+                          max="5"
+                          step="0.1"
+                          value={edlRadius}
+                          onChange={(e) => setEdlRadius(parseFloat(e.target.value))}
+                          className="flex-1 h-1 min-w-0"
+                          title={`${edlRadius.toFixed(1)} px`}
                         />
                       </div>
-                      <div className={`text-xs font-mono ${darkBackground ? 'text-gray-500' : 'text-gray-500'}`} style={{ fontSize: '9px' }}>
-                        {(sliceBoundsY.min + (sliceY.min / 100) * (sliceBoundsY.max - sliceBoundsY.min)).toFixed(1)} → {(sliceBoundsY.min + (sliceY.max / 100) * (sliceBoundsY.max - sliceBoundsY.min)).toFixed(1)}m
-                      </div>
                     </div>
-                    
-                    {/* Z axis */}
-                    <div>
-                      <div className="flex items-center gap-1 mb-1">
-                        <span className="text-xs text-blue-400 w-4 font-bold">Z</span>
-                        <input
-                          type="range"
-                          min="0"
-                          max="100"
-                          value={sliceZ.min}
-                          onChange={(e) => setSliceZ(s => ({ ...s, min: Math.min(parseInt(e.target.value), s.max - 1) }))}
-                          className="flex-1 h-1"
-                        />
-                        <input
-                          type="range"
-                          min="0"
-                          max="100"
-                          value={sliceZ.max}
-                          onChange={(e) => setSliceZ(s => ({ ...s, max: Math.max(parseInt(e.target.value), s.min + 1) }))}
-                          className="flex-1 h-1"
-                        />
+                  )}
+                </div>
+
+                {/* Slicer controls */}
+                <div className={`rounded p-2 ${
+                  darkBackground ? 'bg-black/80' : 'bg-white/90 border border-gray-300'
+                }`}>
+                  <div className="flex items-center justify-between mb-2">
+                    <span className={`text-xs ${darkBackground ? 'text-gray-400' : 'text-gray-600'}`}>Slicer</span>
+                    <button
+                      onClick={() => setSliceEnabled(!sliceEnabled)}
+                      className={`px-2 py-0.5 rounded text-xs ${
+                        sliceEnabled ? 'bg-green-600' : 'bg-gray-600 hover:bg-gray-500'
+                      }`}
+                    >
+                      {sliceEnabled ? 'ON' : 'OFF'}
+                    </button>
+                  </div>
+                  
+                  {sliceEnabled && (
+                    <div className="space-y-2">
+                      {/* X axis */}
+                      <div>
+                        <div className="flex items-center gap-1 mb-1">
+                          <span className="text-xs text-red-400 w-4 font-bold">X</span>
+                          <input
+                            type="range"
+                            min="0"
+                            max="100"
+                            value={sliceX.min}
+                            onChange={(e) => setSliceX(s => ({ ...s, min: Math.min(parseInt(e.target.value), s.max - 1) }))}
+                            className="flex-1 h-1"
+                          />
+                          <input
+                            type="range"
+                            min="0"
+                            max="100"
+                            value={sliceX.max}
+                            onChange={(e) => setSliceX(s => ({ ...s, max: Math.max(parseInt(e.target.value), s.min + 1) }))}
+                            className="flex-1 h-1"
+                          />
+                        </div>
+                        <div className={`text-xs font-mono ${darkBackground ? 'text-gray-500' : 'text-gray-500'}`} style={{ fontSize: '9px' }}>
+                          {(sliceBoundsX.min + (sliceX.min / 100) * (sliceBoundsX.max - sliceBoundsX.min)).toFixed(1)} → {(sliceBoundsX.min + (sliceX.max / 100) * (sliceBoundsX.max - sliceBoundsX.min)).toFixed(1)}m
+                        </div>
                       </div>
-                      <div className={`text-xs font-mono ${darkBackground ? 'text-gray-500' : 'text-gray-500'}`} style={{ fontSize: '9px' }}>
-                        {(sliceBoundsZ.min + (sliceZ.min / 100) * (sliceBoundsZ.max - sliceBoundsZ.min)).toFixed(1)} → {(sliceBoundsZ.min + (sliceZ.max / 100) * (sliceBoundsZ.max - sliceBoundsZ.min)).toFixed(1)}m
+                      
+                      {/* Y axis */}
+                      <div>
+                        <div className="flex items-center gap-1 mb-1">
+                          <span className="text-xs text-green-400 w-4 font-bold">Y</span>
+                          <input
+                            type="range"
+                            min="0"
+                            max="100"
+                            value={sliceY.min}
+                            onChange={(e) => setSliceY(s => ({ ...s, min: Math.min(parseInt(e.target.value), s.max - 1) }))}
+                            className="flex-1 h-1"
+                          />
+                          <input
+                            type="range"
+                            min="0"
+                            max="100"
+                            value={sliceY.max}
+                            onChange={(e) => setSliceY(s => ({ ...s, max: Math.max(parseInt(e.target.value), s.min + 1) }))}
+                            className="flex-1 h-1"
+                          />
+                        </div>
+                        <div className={`text-xs font-mono ${darkBackground ? 'text-gray-500' : 'text-gray-500'}`} style={{ fontSize: '9px' }}>
+                          {(sliceBoundsY.min + (sliceY.min / 100) * (sliceBoundsY.max - sliceBoundsY.min)).toFixed(1)} → {(sliceBoundsY.min + (sliceY.max / 100) * (sliceBoundsY.max - sliceBoundsY.min)).toFixed(1)}m
+                        </div>
                       </div>
+                      
+                      {/* Z axis */}
+                      <div>
+                        <div className="flex items-center gap-1 mb-1">
+                          <span className="text-xs text-blue-400 w-4 font-bold">Z</span>
+                          <input
+                            type="range"
+                            min="0"
+                            max="100"
+                            value={sliceZ.min}
+                            onChange={(e) => setSliceZ(s => ({ ...s, min: Math.min(parseInt(e.target.value), s.max - 1) }))}
+                            className="flex-1 h-1"
+                          />
+                          <input
+                            type="range"
+                            min="0"
+                            max="100"
+                            value={sliceZ.max}
+                            onChange={(e) => setSliceZ(s => ({ ...s, max: Math.max(parseInt(e.target.value), s.min + 1) }))}
+                            className="flex-1 h-1"
+                          />
+                        </div>
+                        <div className={`text-xs font-mono ${darkBackground ? 'text-gray-500' : 'text-gray-500'}`} style={{ fontSize: '9px' }}>
+                          {(sliceBoundsZ.min + (sliceZ.min / 100) * (sliceBoundsZ.max - sliceBoundsZ.min)).toFixed(1)} → {(sliceBoundsZ.min + (sliceZ.max / 100) * (sliceBoundsZ.max - sliceBoundsZ.min)).toFixed(1)}m
+                        </div>
+                      </div>
+                      
+                      <button
+                        onClick={() => {
+                          setSliceX({ min: 0, max: 100 });
+                          setSliceY({ min: 0, max: 100 });
+                          setSliceZ({ min: 0, max: 100 });
+                        }}
+                        className="w-full px-1 py-0.5 bg-gray-700 hover:bg-gray-600 rounded text-xs mt-1"
+                      >
+                        Reset All
+                      </button>
                     </div>
-                    
+                  )}
+
+                  {layers.some(l => l.visible && isLASFile(l.info)) && (
                     <button
-                      onClick={() => {
-                        setSliceX({ min: 0, max: 100 });
-                        setSliceY({ min: 0, max: 100 });
-                        setSliceZ({ min: 0, max: 100 });
+                      onClick={exportLAS}
+                      disabled={exportProgress !== null}
+                      className="w-full px-1 py-0.5 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 rounded text-xs mt-2"
+                      title="Save the points passing the slicer as a LAS file"
+                    >
+                      {exportProgress !== null ? `Exporting ${exportProgress.toFixed(0)}%` : 'Export LAS'}
+                    </button>
+                  )}
+                </div>
+
+                {/* Surface mesh */}
+                <div className={`rounded p-2 ${
+                  darkBackground ? 'bg-black/80' : 'bg-white/90 border border-gray-300'
+                }`}>
+                  <div className="flex items-center justify-between gap-2 mb-2">
+                    <span className={`text-xs ${darkBackground ? 'text-gray-400' : 'text-gray-600'}`}>Mesh</span>
+                    <select
+                      value={meshMethod}
+                      onChange={(e) => {
+                        setMeshMethod(e.target.value);
+                        setMeshScale(MESH_SCALES[e.target.value].initial);
                       }}
-                      className="w-full px-1 py-0.5 bg-gray-700 hover:bg-gray-600 rounded text-xs mt-1"
+                      className={`flex-1 min-w-0 rounded px-1 py-0.5 text-xs ${darkBackground ? 'bg-gray-700' : 'bg-gray-200 text-black'}`}
                     >
-                      Reset All
+                      {Object.entries(MESH_METHODS).map(([method, name]) => (
+                        <option key={method} value={method}>{name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="flex items-center gap-1 mb-1">
+                    <span
+                      className={`text-xs w-16 ${darkBackground ? 'text-gray-400' : 'text-gray-600'}`}
+                      title="In multiples of the average point spacing"
+                    >
+                      {MESH_SCALES[meshMethod].label}
+                    </span>
+                    <input
+                      type="range"
+                      min={MESH_SCALES[meshMethod].min}
+                      max={MESH_SCALES[meshMethod].max}
+                      step={MESH_SCALES[meshMethod].step}
+                      value={meshScale}
+                      onChange={(e) => setMeshScale(parseFloat(e.target.value))}
+                      className="flex-1 h-1 min-w-0"
+                    />
+                    <span className={`text-xs font-mono w-8 text-right ${darkBackground ? 'text-gray-500' : 'text-gray-600'}`}>
+                      {meshScale === 0 ? 'any' : `×${meshScale}`}
+                    </span>
+                  </div>
+                  {meshProgress ? (
+                    <div className="flex gap-1">
+                      <div className="flex-1 px-1 py-0.5 bg-gray-700 rounded text-xs text-center">
+                        {meshProgress.phase === 'normals' ? 'Normals' : 'Meshing'} {meshProgress.percent.toFixed(0)}%
+                      </div>
+                      <button onClick={cancelMesh} className="px-2 py-0.5 bg-gray-600 hover:bg-gray-500 rounded text-xs">
+                        Cancel
+                      </button>
+                    </div>
+                  ) : (
+                    <button
+                      onClick={buildSurfaceMesh}
+                      className="w-full px-1 py-0.5 bg-blue-600 hover:bg-blue-700 rounded text-xs"
+                      title="Mesh the visible points that pass the slicer"
+                    >
+                      Build Mesh
                     </button>
+                  )}
+                  {meshInfo && (
+                    <div className="mt-2 space-y-1">
+                      <div className={`text-xs ${darkBackground ? 'text-gray-500' : 'text-gray-600'}`} style={{ fontSize: '9px' }}>
+                        {meshInfo.triangles.toLocaleString()} triangles from {meshInfo.points.toLocaleString()} points
+                      </div>
+                      <div className="flex gap-1">
+                        {['points', 'mesh', 'both'].map(view => (
+                          <button
+                            key={view}
+                            onClick={() => setMeshView(view)}
+                            className={`flex-1 px-1 py-0.5 rounded text-xs capitalize ${
+                              meshView === view ? 'bg-blue-600' : 'bg-gray-600 hover:bg-gray-500'
+                            }`}
+                          >
+                            {view}
+                          </button>
+                        ))}
+                      </div>
+                      <div className="flex gap-1">
+                        {Object.entries(MESH_FORMATS).map(([format, { label }]) => (
+                          <button
+                            key={format}
+                            onClick={() => exportMesh(format)}
+                            className="flex-1 px-1 py-0.5 bg-gray-700 hover:bg-gray-600 rounded text-xs"
+                            title={`Save the mesh as ${label}`}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                        <button onClick={clearMesh} className="px-2 py-0.5 bg-gray-700 hover:bg-gray-600 rounded text-xs" title="Remove the mesh">
+                          ✕
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+
+                {/* Volume */}
+                <div className={`rounded p-2 ${
+                  darkBackground ? 'bg-black/80' : 'bg-white/90 border border-gray-300'
+                }`}>
+                  <div className="flex items-center justify-between gap-2 mb-2">
+                    <span className={`text-xs ${darkBackground ? 'text-gray-400' : 'text-gray-600'}`}>Volume</span>
+                    <select
+                      value={volumeRegion}
+                      onChange={(e) => setVolumeRegion(e.target.value)}
+                      className={`flex-1 min-w-0 rounded px-1 py-0.5 text-xs ${darkBackground ? 'bg-gray-700' : 'bg-gray-200 text-black'}`}
+                      title="Points of the active layer the volume is computed over"
+                    >
+                      <option value="slicer">In slicer box</option>
+                      <option value="polygon">In selected area</option>
+                    </select>
                   </div>
-                )}
+                  <select
+                    value={volumeReference}
+                    onChange={(e) => setVolumeReference(e.target.value)}
+                    className={`w-full rounded px-1 py-0.5 text-xs mb-1 ${darkBackground ? 'bg-gray-700' : 'bg-gray-200 text-black'}`}
+                  >
+                    {Object.entries(VOLUME_REFERENCES).map(([kind, name]) => (
+                      <option key={kind} value={kind}>{name}</option>
+                    ))}
+                  </select>
+                  {volumeReference === 'elevation' && (
+                    <div className="flex items-center gap-1 mb-1">
+                      <input
+                        type="number"
+                        value={volumeElevation}
+                        onChange={(e) => setVolumeElevation(e.target.value)}
+                        placeholder="Elevation"
+                        className={`flex-1 min-w-0 rounded px-1 py-0.5 text-xs ${darkBackground ? 'bg-gray-700' : 'bg-gray-200 text-black'}`}
+                      />
+                      <span className={`text-xs ${darkBackground ? 'text-gray-500' : 'text-gray-600'}`}>{fileInfo?.crs.verticalUnit.symbol}</span>
+                      <button
+                        onClick={() => setVolumePicking(!volumePicking)}
+                        className={`px-1 py-0.5 rounded text-xs ${volumePicking ? 'bg-yellow-600' : 'bg-gray-600 hover:bg-gray-500'}`}
+                        title="Click a point in the view to take its elevation"
+                      >
+                        Pick
+                      </button>
+                    </div>
+                  )}
+                  {volumeReference === 'fitted' && (
+                    <div className={`text-xs mb-1 ${darkBackground ? 'text-gray-500' : 'text-gray-600'}`} style={{ fontSize: '9px' }}>
+                      Plane through the edge of the region
+                    </div>
+                  )}
+                  {volumeReference === 'scan' && (
+                    <select
+                      value={volumeScanId ?? ''}
+                      onChange={(e) => setVolumeScanId(e.target.value === '' ? null : Number(e.target.value))}
+                      className={`w-full rounded px-1 py-0.5 text-xs mb-1 ${darkBackground ? 'bg-gray-700' : 'bg-gray-200 text-black'}`}
+                    >
+                      <option value="">Second scan…</option>
+                      {layers.filter(l => l.id !== activeLayerId).map(l => (
+                        <option key={l.id} value={l.id}>{l.name}</option>
+                      ))}
+                    </select>
+                  )}
+                  <div className="flex items-center gap-1 mb-1">
+                    <span className={`text-xs flex-1 ${darkBackground ? 'text-gray-400' : 'text-gray-600'}`}>Cell size</span>
+                    <input
+                      type="number"
+                      min="0.01"
+                      step="0.05"
+                      value={volumeCellSize}
+                      onChange={(e) => setVolumeCellSize(Math.max(0.01, parseFloat(e.target.value) || 0.01))}
+                      className={`w-16 rounded px-1 py-0.5 text-xs ${darkBackground ? 'bg-gray-700' : 'bg-gray-200 text-black'}`}
+                    />
+                    <span className={`text-xs ${darkBackground ? 'text-gray-500' : 'text-gray-600'}`}>m</span>
+                  </div>
+                  <button
+                    onClick={computeVolume}
+                    className="w-full px-1 py-0.5 bg-blue-600 hover:bg-blue-700 rounded text-xs"
+                    title="Cut and fill of the active layer against the reference"
+                  >
+                    Compute Volume
+                  </button>
+                  {volumeResult && (
+                    <div className="mt-2 space-y-1 text-xs font-mono">
+                      {[['Cut', volumeResult.cut, 'text-red-400'], ['Fill', volumeResult.fill, 'text-blue-400'], ['Net', volumeResult.cut - volumeResult.fill, darkBackground ? 'text-gray-200' : 'text-gray-800']].map(([label, value, color]) => (
+                        <div key={label} className="flex justify-between gap-2" title={label === 'Cut' ? 'Above the reference' : label === 'Fill' ? 'Below the reference' : 'Cut minus fill'}>
+                          <span className={darkBackground ? 'text-gray-400' : 'text-gray-600'}>{label}</span>
+                          <span className={`text-right ${color}`}>
+                            {formatVolume(value)}<br />{formatVolumeImperial(value)}
+                          </span>
+                        </div>
+                      ))}
+                      <div className={darkBackground ? 'text-gray-500' : 'text-gray-600'} style={{ fontSize: '9px' }}>
+                        Over {formatArea(volumeResult.area)} ({volumeResult.cells.toLocaleString()} cells)
+                      </div>
+                      {volumeResult.plane && (
+                        <div className={darkBackground ? 'text-gray-500' : 'text-gray-600'} style={{ fontSize: '9px' }}>
+                          Fitted plane slope {(Math.atan(Math.hypot(volumeResult.plane.a, volumeResult.plane.b)) * 180 / Math.PI).toFixed(2)}°
+                        </div>
+                      )}
+                      <div className="h-2 rounded" style={{ background: rampGradient(COLOR_RAMPS.diverging.stops) }} />
+                      <div className={`flex justify-between ${darkBackground ? 'text-gray-500' : 'text-gray-600'}`} style={{ fontSize: '9px' }}>
+                        <span>-{formatDistance(volumeResult.range)}</span>
+                        <span>0</span>
+                        <span>+{formatDistance(volumeResult.range)}</span>
+                      </div>
+                      <button onClick={clearVolume} className="w-full px-1 py-0.5 bg-gray-700 hover:bg-gray-600 rounded text-xs font-sans">
+                        Clear heat map
+                      </button>
+                    </div>
+                  )}
+                </div>
+
+                {/* Planes */}
+                <div className={`rounded p-2 ${
+                  darkBackground ? 'bg-black/80' : 'bg-white/90 border border-gray-300'
+                }`}>
+                  <div className={`text-xs mb-2 ${darkBackground ? 'text-gray-400' : 'text-gray-600'}`}>Planes</div>
+                  <div className="flex items-center gap-1 mb-1">
+                    <span
+                      className={`text-xs flex-1 ${darkBackground ? 'text-gray-400' : 'text-gray-600'}`}
+                      title="Largest distance from a plane of the points that belong to it"
+                    >
+                      Tolerance
+                    </span>
+                    <input
+                      type="number"
+                      min="0.001"
+                      step="0.005"
+                      value={planeThreshold}
+                      onChange={(e) => setPlaneThreshold(Math.max(0.001, parseFloat(e.target.value) || 0.001))}
+                      className={`w-16 rounded px-1 py-0.5 text-xs ${darkBackground ? 'bg-gray-700' : 'bg-gray-200 text-black'}`}
+                    />
+                    <span className={`text-xs ${darkBackground ? 'text-gray-500' : 'text-gray-600'}`}>m</span>
+                  </div>
+                  <div className="flex items-center gap-1 mb-1">
+                    <span className={`text-xs flex-1 ${darkBackground ? 'text-gray-400' : 'text-gray-600'}`}>Max planes</span>
+                    <input
+                      type="number"
+                      min="1"
+                      max="50"
+                      value={planeMaxCount}
+                      onChange={(e) => setPlaneMaxCount(Math.max(1, Math.min(50, parseInt(e.target.value) || 1)))}
+                      className={`w-16 rounded px-1 py-0.5 text-xs ${darkBackground ? 'bg-gray-700' : 'bg-gray-200 text-black'}`}
+                    />
+                    <span className="text-xs w-2" />
+                  </div>
+                  {planeProgress ? (
+                    <div className="flex gap-1">
+                      <div className="flex-1 px-1 py-0.5 bg-gray-700 rounded text-xs text-center">
+                        Detecting {planeProgress.percent.toFixed(0)}%
+                      </div>
+                      <button onClick={cancelPlanes} className="px-2 py-0.5 bg-gray-600 hover:bg-gray-500 rounded text-xs">
+                        Cancel
+                      </button>
+                    </div>
+                  ) : (
+                    <div className="flex gap-1">
+                      <button
+                        onClick={detectScenePlanes}
+                        className="flex-1 px-1 py-0.5 bg-blue-600 hover:bg-blue-700 rounded text-xs"
+                        title="Find planes in the visible points that pass the slicer"
+                      >
+                        Detect Planes
+                      </button>
+                      <button
+                        onClick={toggleBrushMode}
+                        className={`px-2 py-0.5 rounded text-xs ${brushMode ? 'bg-yellow-600' : 'bg-gray-600 hover:bg-gray-500'}`}
+                        title="Drag over a flat patch to fit a plane to it"
+                      >
+                        🖌 Brush
+                      </button>
+                    </div>
+                  )}
+                  {planes.length > 0 && (
+                    <div className="mt-2 space-y-1">
+                      <div className={darkBackground ? 'text-gray-500' : 'text-gray-600'} style={{ fontSize: '9px' }}>
+                        Select two to compare them
+                      </div>
+                      {planes.map(plane => (
+                        <div
+                          key={plane.id}
+                          onClick={() => togglePlaneSelection(plane.id)}
+                          className={`flex items-center gap-1 px-1 rounded cursor-pointer text-xs ${
+                            selectedPlaneIds.includes(plane.id)
+                              ? darkBackground ? 'bg-gray-600' : 'bg-gray-300'
+                              : darkBackground ? 'hover:bg-gray-700' : 'hover:bg-gray-200'
+                          }`}
+                          title={`${plane.count.toLocaleString()} points${plane.source === 'brush' ? ', brushed' : ''}`}
+                        >
+                          <span className="w-2 h-2 rounded-full flex-shrink-0" style={{ background: planeColor(plane.id) }} />
+                          <span className="flex-1 truncate">{plane.name}</span>
+                          <span className={`font-mono ${darkBackground ? 'text-gray-400' : 'text-gray-600'}`} title="RMS distance of its points from the plane">
+                            ±{formatDistance(plane.rms)}
+                          </span>
+                          <button
+                            onClick={(e) => { e.stopPropagation(); removePlane(plane.id); }}
+                            className="text-gray-400 hover:text-red-400"
+                            title="Remove"
+                          >
+                            ✕
+                          </button>
+                        </div>
+                      ))}
+                      {planePair && (
+                        <div className="text-xs font-mono space-y-1 pt-1">
+                          <div className="flex justify-between gap-2">
+                            <span className={darkBackground ? 'text-gray-400' : 'text-gray-600'}>Angle</span>
+                            <span>{planePair.angle.toFixed(2)}°</span>
+                          </div>
+                          <div className="flex justify-between gap-2" title="Between the planes along their normals">
+                            <span className={darkBackground ? 'text-gray-400' : 'text-gray-600'}>Distance</span>
+                            <span className="text-right">
+                              {formatDistance(planePair.distance)}<br />{formatFeetInches(planePair.distance)}
+                            </span>
+                          </div>
+                          {planePair.angle > PARALLEL_TOLERANCE && (
+                            <div className="text-yellow-500 font-sans" style={{ fontSize: '9px' }}>
+                              Not parallel: the distance is taken at their centers
+                            </div>
+                          )}
+                        </div>
+                      )}
+                      <button onClick={clearPlanes} className="w-full px-1 py-0.5 bg-gray-700 hover:bg-gray-600 rounded text-xs">
+                        Clear planes
+                      </button>
+                    </div>
+                  )}
+                </div>
+
+                {/* Profile */}
+                <div className={`rounded p-2 ${
+                  darkBackground ? 'bg-black/80' : 'bg-white/90 border border-gray-300'
+                }`}>
+                  <div className={`text-xs mb-2 ${darkBackground ? 'text-gray-400' : 'text-gray-600'}`}>Profile</div>
+                  <div className="flex items-center gap-1 mb-1">
+                    <span
+                      className={`text-xs flex-1 ${darkBackground ? 'text-gray-400' : 'text-gray-600'}`}
+                      title="Points this far across the line, half on each side, are shown"
+                    >
+                      Corridor
+                    </span>
+                    <input
+                      type="number"
+                      min="0.01"
+                      step="0.1"
+                      value={profileWidth}
+                      onChange={(e) => setProfileWidth(Math.max(0.01, parseFloat(e.target.value) || 0.01))}
+                      className={`w-16 rounded px-1 py-0.5 text-xs ${darkBackground ? 'bg-gray-700' : 'bg-gray-200 text-black'}`}
+                    />
+                    <span className={`text-xs ${darkBackground ? 'text-gray-500' : 'text-gray-600'}`}>m</span>
+                  </div>
+                  <div className="flex gap-1">
+                    <button
+                      onClick={toggleProfileDrawing}
+                      className={`flex-1 px-1 py-0.5 rounded text-xs ${profileDrawing ? 'bg-yellow-600' : 'bg-blue-600 hover:bg-blue-700'}`}
+                      title="Click the two ends of the line in the view"
+                    >
+                      {profileDrawing ? 'Click two ends…' : 'Draw Line'}
+                    </button>
+                    {profileLine && (
+                      <button onClick={clearProfile} className="px-2 py-0.5 bg-gray-700 hover:bg-gray-600 rounded text-xs" title="Remove the profile">
+                        ✕
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {/* Data rotation controls */}
+                <div className={`rounded p-2 ${
+                  darkBackground ? 'bg-black/80' : 'bg-white/90 border border-gray-300'
+                }`}>
+                  <div className="flex items-center justify-between mb-2">
+                    <span className={`text-xs ${darkBackground ? 'text-gray-400' : 'text-gray-600'}`}>Rotate Data (Z)</span>
+                    <span className={`text-xs font-mono ${darkBackground ? 'text-gray-500' : 'text-gray-600'}`}>{rotationZ}°</span>
+                  </div>
+                  
+                  <div className="flex gap-1 mb-1">
+                    <button
+                      onClick={() => setRotationZ(r => r - 10)}
+                      className="flex-1 px-1 py-0.5 bg-gray-600 hover:bg-gray-500 rounded text-xs"
+                    >
+                      -10°
+                    </button>
+                    <button
+                      onClick={() => setRotationZ(r => r - 1)}
+                      className="flex-1 px-1 py-0.5 bg-gray-600 hover:bg-gray-500 rounded text-xs"
+                    >
+                      -1°
+                    </button>
+                    <button
+                      onClick={() => setRotationZ(r => r + 1)}
+                      className="flex-1 px-1 py-0.5 bg-gray-600 hover:bg-gray-500 rounded text-xs"
+                    >
+                      +1°
+                    </button>
+                    <button
+                      onClick={() => setRotationZ(r => r + 10)}
+                      className="flex-1 px-1 py-0.5 bg-gray-600 hover:bg-gray-500 rounded text-xs"
+                    >
+                      +10°
+                    </button>
+                  </div>
+                  <button
+                    onClick={() => setRotationZ(0)}
+                    className="w-full px-1 py-0.5 bg-gray-700 hover:bg-gray-600 rounded text-xs"
+                  >
+                    Reset
+                  </button>
+                </div>
               </div>
+            )}
+          </div>
 
-              {/* Data rotation controls */}
-              <div className={`rounded p-2 ${
-                darkBackground ? 'bg-black/80' : 'bg-white/90 border border-gray-300'
-              }`}>
-                <div className="flex items-center justify-between mb-2">
-                  <span className={`text-xs ${darkBackground ? 'text-gray-400' : 'text-gray-600'}`}>Rotate Data (Z)</span>
-                  <span className={`text-xs font-mono ${darkBackground ? 'text-gray-500' : 'text-gray-600'}`}>{rotationZ}°</span>
+          {/* Profile panel: distance along the profile line against elevation */}
+          {profileInfo && (
+            <div className={`h-64 flex flex-col border-t ${darkBackground ? 'bg-gray-900 border-gray-700' : 'bg-white border-gray-300 text-gray-800'}`}>
+              <div className="flex items-center gap-2 px-2 py-1 text-xs flex-wrap">
+                <span className="font-semibold">Profile</span>
+                <span className={darkBackground ? 'text-gray-400' : 'text-gray-600'}>
+                  {formatDistance(profileInfo.length)} × {formatDistance(profileWidth)}, {profileInfo.count.toLocaleString()} points
+                  {profileInfo.count < profileInfo.total && ` of ${profileInfo.total.toLocaleString()}`}
+                </span>
+                <div className="flex gap-1">
+                  {[['pick', 'Pick'], ['measure', 'Measure']].map(([tool, label]) => (
+                    <button
+                      key={tool}
+                      onClick={() => changeProfileTool(tool)}
+                      className={`px-2 py-0.5 rounded ${profileTool === tool ? 'bg-blue-600 text-white' : darkBackground ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
                 </div>
-                
-                <div className="flex gap-1 mb-1">
+                <div className="flex gap-1">
                   <button
-                    onClick={() => setRotationZ(r => r - 10)}
-                    className="flex-1 px-1 py-0.5 bg-gray-600 hover:bg-gray-500 rounded text-xs"
+                    onClick={() => fitProfileView()}
+                    className={`px-2 py-0.5 rounded ${darkBackground ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}
+                    title="Show all points (or double-click the chart)"
                   >
-                    -10°
+                    Fit
                   </button>
                   <button
-                    onClick={() => setRotationZ(r => r - 1)}
-                    className="flex-1 px-1 py-0.5 bg-gray-600 hover:bg-gray-500 rounded text-xs"
+                    onClick={() => fitProfileView(true)}
+                    className={`px-2 py-0.5 rounded ${darkBackground ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}
+                    title="No vertical exaggeration"
                   >
-                    -1°
+                    1:1
                   </button>
                   <button
-                    onClick={() => setRotationZ(r => r + 1)}
-                    className="flex-1 px-1 py-0.5 bg-gray-600 hover:bg-gray-500 rounded text-xs"
+                    onClick={() => exportProfile('svg')}
+                    className={`px-2 py-0.5 rounded ${darkBackground ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}
+                    title="Save the chart as shown"
                   >
-                    +1°
+                    SVG
                   </button>
                   <button
-                    onClick={() => setRotationZ(r => r + 10)}
-                    className="flex-1 px-1 py-0.5 bg-gray-600 hover:bg-gray-500 rounded text-xs"
+                    onClick={() => exportProfile('csv')}
+                    className={`px-2 py-0.5 rounded ${darkBackground ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}
+                    title="Save the profile points with their file coordinates"
                   >
-                    +10°
+                    CSV
                   </button>
                 </div>
-                <button
-                  onClick={() => setRotationZ(0)}
-                  className="w-full px-1 py-0.5 bg-gray-700 hover:bg-gray-600 rounded text-xs"
-                >
-                  Reset
+                <span className="flex-1" />
+                {profileTool === 'pick' && profilePick && (
+                  <span className="font-mono" title={`${profilePick.layerName}, record #${profilePick.record.toLocaleString()}`}>
+                    {profilePick.station.toFixed(3)} m, offset {profilePick.offset.toFixed(3)} m,
+                    elev. {profilePick.elevation} ({profilePick.plan})
+                  </span>
+                )}
+                {profileTool === 'measure' && (
+                  <span className="font-mono">
+                    {profileMeasure
+                      ? `Along ${formatDistance(profileMeasure.along)}, rise ${profileMeasure.rise < 0 ? '-' : '+'}${formatDistance(Math.abs(profileMeasure.rise))}, ${formatDistance(profileMeasure.length)} (${formatFeetInches(profileMeasure.length)})${profileMeasure.along > 0 ? `, slope ${((profileMeasure.rise / profileMeasure.along) * 100).toFixed(1)}%` : ''}`
+                      : 'Click two places in the chart'}
+                  </span>
+                )}
+                <button onClick={clearProfile} className="text-gray-400 hover:text-red-400" title="Close the profile">
+                  ✕
                 </button>
               </div>
+              <div className="flex-1 relative min-h-0">
+                <canvas
+                  ref={profileCanvasRef}
+                  className="absolute inset-0 w-full h-full"
+                  style={{ cursor: profileTool === 'measure' ? 'crosshair' : 'default' }}
+                  onMouseDown={handleProfileMouseDown}
+                  onMouseMove={handleProfileMouseMove}
+                  onMouseUp={handleProfileMouseUp}
+                  onMouseLeave={() => { threeRef.current.profileDrag = null; }}
+                  onWheel={handleProfileWheel}
+                  onDoubleClick={() => fitProfileView()}
+                  onContextMenu={(e) => e.preventDefault()}
+                />
+              </div>
             </div>
           )}
         </div>
 
         {/* Info Panel */}
-        {fileInfo && (
+        {layers.length > 0 && (
           <div className="w-72 bg-gray-800 p-3 border-l border-gray-700 text-sm overflow-auto">
+            <h2 className="font-semibold text-blue-400 mb-2">Layers</h2>
+            <div className="space-y-1 mb-4">
+              {layers.map(layer => (
+                <div
+                  key={layer.id}
+                  className={`p-2 rounded border ${layer.id === activeLayerId ? 'border-blue-500 bg-gray-900' : 'border-gray-700'}`}
+                >
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={layer.visible}
+                      onChange={(e) => updateLayer(layer.id, { visible: e.target.checked })}
+                      title="Show layer"
+                    />
+                    <button
+                      onClick={() => setActiveLayerId(layer.id)}
+                      className={`flex-1 text-left truncate ${layer.visible ? 'text-white' : 'text-gray-500'}`}
+                      title={layer.name}
+                    >
+                      {layer.name}
+                    </button>
+                    <button onClick={() => removeLayer(layer.id)} className="text-gray-400 hover:text-red-400" title="Remove layer">
+                      ✕
+                    </button>
+                  </div>
+                  <div className="flex items-center gap-2 mt-1">
+                    <span
+                      className="w-3 h-3 rounded-sm flex-shrink-0"
+                      style={{ background: colorSwatch(layer.color || pointColor) }}
+                    />
+                    <select
+                      value={layer.color || ''}
+                      onChange={(e) => updateLayer(layer.id, { color: e.target.value || null })}
+                      className="w-24 bg-gray-700 rounded px-1 py-0.5 text-xs"
+                    >
+                      <option value="">Global color</option>
+                      <option value="original">Original</option>
+                      {Object.entries(COLOR_MODE_NAMES).map(([mode, name]) => (
+                        <option key={mode} value={mode}>{name}</option>
+                      ))}
+                      {POINT_COLORS.map(({ color, name }) => (
+                        <option key={color} value={color}>{name}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="range"
+                      min="0"
+                      max="100"
+                      step="5"
+                      value={layer.opacity}
+                      onChange={(e) => updateLayer(layer.id, { opacity: parseInt(e.target.value) })}
+                      className="flex-1 h-1 min-w-0"
+                      title="Layer opacity"
+                    />
+                    <span className="text-xs w-8 text-right">{layer.opacity}%</span>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {fileInfo && (
+            <>
             <h2 className="font-semibold text-blue-400 mb-3">File Info</h2>
             <div className="space-y-2">
               <div>
@@ -1499,14 +4614,39 @@ export default function LASViewer() {
                   <div>{fileInfo.size} MB</div>
                 </div>
                 <div>
-                  <span className="text-gray-400">Version:</span>
-                  <div>{fileInfo.version}</div>
+                  <span className="text-gray-400">Type:</span>
+                  <div>{fileInfo.type}</div>
                 </div>
               </div>
               <div>
                 <span className="text-gray-400">Format:</span>
                 <span className="ml-1">{fileInfo.format}</span>
               </div>
+              {fileInfo.columns && (
+                <div className="pt-2 border-t border-gray-700">
+                  <span className="text-gray-400">Columns:</span>
+                  <div className="grid grid-cols-2 gap-1 mt-1">
+                    {XYZ_COLUMN_ROLES.map(role => (
+                      <label key={role} className="flex items-center justify-between gap-1 text-xs">
+                        <span className="text-gray-400 capitalize">{role}</span>
+                        <select
+                          value={fileInfo.columns.mapping[role]}
+                          onChange={(e) => reloadActiveLayer({
+                            crsKey: fileInfo.crsDetected ? null : fileInfo.crsKey,
+                            columns: { ...fileInfo.columns.mapping, [role]: parseInt(e.target.value) }
+                          })}
+                          className="w-20 bg-gray-700 rounded px-1 py-0.5"
+                        >
+                          <option value={-1}>—</option>
+                          {fileInfo.columns.names.map((name, c) => (
+                            <option key={c} value={c}>{name}</option>
+                          ))}
+                        </select>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
               <div>
                 <span className="text-gray-400">Total Points:</span>
                 <div>{fileInfo.totalPoints}</div>
@@ -1517,23 +4657,68 @@ export default function LASViewer() {
               </div>
 
               <div className="pt-2 border-t border-gray-700">
-                <span className="text-gray-400">Geographic Bounds:</span>
+                <span className="text-gray-400">Coordinate System:</span>
+                <div className="text-white break-words">{describeCRS(fileInfo.crs)}</div>
+                <div className="text-xs text-gray-400">
+                  Units: {fileInfo.crs.horizontalUnit.name}, Z {fileInfo.crs.verticalUnit.name}
+                  {fileInfo.crs.vertical ? ` (${fileInfo.crs.vertical})` : ''}
+                </div>
+                {fileInfo.crsDetected ? (
+                  <div className="text-xs text-gray-500">From {fileInfo.crs.source}</div>
+                ) : (
+                  <div className="mt-1">
+                    <div className="text-xs text-yellow-400 mb-1">No CRS in file, interpret as:</div>
+                    <select
+                      value={fileInfo.crsKey || ''}
+                      onChange={(e) => reloadActiveLayer({ crsKey: e.target.value, columns: fileInfo.columns?.mapping })}
+                      className="w-full bg-gray-700 rounded px-2 py-1 text-xs"
+                    >
+                      {Object.entries(CRS_PRESETS).map(([key, preset]) => (
+                        <option key={key} value={key}>{preset.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+              </div>
+
+              <div className="pt-2 border-t border-gray-700">
+                <span className="text-gray-400">{crsKindLabel(fileInfo.crs)} Bounds:</span>
                 <div className="font-mono text-xs mt-1 bg-gray-900 p-2 rounded">
-                  <div className="text-yellow-400">Lon: {fileInfo.bounds.lon[0].toFixed(6)}°</div>
-                  <div className="text-yellow-400 pl-4">→ {fileInfo.bounds.lon[1].toFixed(6)}°</div>
-                  <div className="text-green-400">Lat: {fileInfo.bounds.lat[0].toFixed(6)}°</div>
-                  <div className="text-green-400 pl-4">→ {fileInfo.bounds.lat[1].toFixed(6)}°</div>
-                  <div className="text-blue-400">Elev: {fileInfo.bounds.z[0].toFixed(2)}m</div>
-                  <div className="text-blue-400 pl-4">→ {fileInfo.bounds.z[1].toFixed(2)}m</div>
+                  {fileInfo.crs.kind === 'geographic' ? (
+                    <>
+                      <div className="text-yellow-400">Lon: {fileInfo.bounds.x[0].toFixed(6)}°</div>
+                      <div className="text-yellow-400 pl-4">→ {fileInfo.bounds.x[1].toFixed(6)}°</div>
+                      <div className="text-green-400">Lat: {fileInfo.bounds.y[0].toFixed(6)}°</div>
+                      <div className="text-green-400 pl-4">→ {fileInfo.bounds.y[1].toFixed(6)}°</div>
+                    </>
+                  ) : (
+                    <>
+                      <div className="text-yellow-400">X: {fileInfo.bounds.x[0].toFixed(3)} {fileInfo.crs.horizontalUnit.symbol}</div>
+                      <div className="text-yellow-400 pl-4">→ {fileInfo.bounds.x[1].toFixed(3)} {fileInfo.crs.horizontalUnit.symbol}</div>
+                      <div className="text-green-400">Y: {fileInfo.bounds.y[0].toFixed(3)} {fileInfo.crs.horizontalUnit.symbol}</div>
+                      <div className="text-green-400 pl-4">→ {fileInfo.bounds.y[1].toFixed(3)} {fileInfo.crs.horizontalUnit.symbol}</div>
+                    </>
+                  )}
+                  <div className="text-blue-400">{fileInfo.crs.kind === 'local' ? 'Z' : 'Elev'}: {fileInfo.bounds.z[0].toFixed(2)} {fileInfo.crs.verticalUnit.symbol}</div>
+                  <div className="text-blue-400 pl-4">→ {fileInfo.bounds.z[1].toFixed(2)} {fileInfo.crs.verticalUnit.symbol}</div>
                 </div>
               </div>
 
               <div className="pt-2 border-t border-gray-700">
                 <span className="text-gray-400">Center:</span>
                 <div className="font-mono text-xs mt-1 bg-gray-900 p-2 rounded">
-                  <div>{fileInfo.center.lat.toFixed(6)}°N</div>
-                  <div>{fileInfo.center.lon.toFixed(6)}°E</div>
-                  <div>{fileInfo.center.z.toFixed(2)}m</div>
+                  {fileInfo.crs.kind === 'geographic' ? (
+                    <>
+                      <div>{fileInfo.center.y.toFixed(6)}°N</div>
+                      <div>{fileInfo.center.x.toFixed(6)}°E</div>
+                    </>
+                  ) : (
+                    <>
+                      <div>X: {fileInfo.center.x.toFixed(3)} {fileInfo.crs.horizontalUnit.symbol}</div>
+                      <div>Y: {fileInfo.center.y.toFixed(3)} {fileInfo.crs.horizontalUnit.symbol}</div>
+                    </>
+                  )}
+                  <div>{fileInfo.center.z.toFixed(2)} {fileInfo.crs.verticalUnit.symbol}</div>
                 </div>
               </div>
 
@@ -1545,7 +4730,35 @@ export default function LASViewer() {
                   <div>Z (Up): {fileInfo.extentMeters.z.toFixed(2)}m</div>
                 </div>
               </div>
+
+              <div className="pt-2 border-t border-gray-700">
+                <span className="text-gray-400">Normals:</span>{' '}
+                {activeLayer.normals === 'ready' ? (
+                  <span className="text-green-400">Ready</span>
+                ) : activeLayer.normals === 'failed' ? (
+                  <span className="text-red-400">Estimation failed</span>
+                ) : (
+                  <span className="text-yellow-400">Estimating {activeLayer.normals.toFixed(0)}%</span>
+                )}
+              </div>
+
+              {fileInfo.warnings && (
+                <div className="pt-2 border-t border-gray-700">
+                  <span className="text-gray-400">Diagnostics:</span>
+                  {fileInfo.warnings.length === 0 ? (
+                    <div className="text-xs text-green-400 mt-1">Header checks passed</div>
+                  ) : (
+                    <ul className="text-xs mt-1 space-y-1">
+                      {fileInfo.warnings.map((warning, i) => (
+                        <li key={i} className="text-yellow-400 bg-gray-900 p-2 rounded break-words">⚠ {warning}</li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
             </div>
+            </>
+            )}
           </div>
         )}
       </div>
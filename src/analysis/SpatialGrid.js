@@ -0,0 +1,150 @@
+// Hashed uniform grid over a cloud's positions for neighbour queries. Points
+// are counting-sorted by the hash of their cell, so a cell's points are one
+// range of `order` (shared with any cells that collide in the table; queries
+// check each point's own cell).
+
+const MAX_RINGS = 8;
+
+export class SpatialGrid {
+  // cellSize defaults to one that puts about `perCell` points in each occupied cell
+  constructor(positions, { cellSize = 0, perCell = 16 } = {}) {
+    const n = positions.length / 3;
+    this.positions = positions;
+    this.count = n;
+
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < n; i++) {
+      for (let a = 0; a < 3; a++) {
+        const v = positions[i * 3 + a];
+        if (v < min[a]) min[a] = v;
+        if (v > max[a]) max[a] = v;
+      }
+    }
+    if (n === 0) {
+      min.fill(0);
+      max.fill(0);
+    }
+    this.min = min;
+    this.cellSize = cellSize || estimateCellSize(positions, min, max, perCell);
+
+    let tableSize = 1;
+    while (tableSize < Math.max(1, (2 * n) / perCell)) tableSize *= 2;
+    this.mask = tableSize - 1;
+
+    const buckets = new Uint32Array(n);
+    this.start = new Uint32Array(tableSize + 1);
+    for (let i = 0; i < n; i++) {
+      const b = this.bucket(this.cellOf(positions[i * 3], 0), this.cellOf(positions[i * 3 + 1], 1), this.cellOf(positions[i * 3 + 2], 2));
+      buckets[i] = b;
+      this.start[b + 1]++;
+    }
+    for (let b = 0; b < tableSize; b++) this.start[b + 1] += this.start[b];
+
+    const fill = this.start.slice(0, tableSize);
+    this.order = new Uint32Array(n);
+    for (let i = 0; i < n; i++) this.order[fill[buckets[i]]++] = i;
+  }
+
+  cellOf(value, axis) {
+    return Math.floor((value - this.min[axis]) / this.cellSize);
+  }
+
+  bucket(cx, cy, cz) {
+    return (Math.imul(cx, 73856093) ^ Math.imul(cy, 19349663) ^ Math.imul(cz, 83492791)) & this.mask;
+  }
+
+  // Calls visit(i) for every point in cell (cx, cy, cz)
+  forEachInCell(cx, cy, cz, visit) {
+    const { positions, order } = this;
+    const b = this.bucket(cx, cy, cz);
+    for (let k = this.start[b]; k < this.start[b + 1]; k++) {
+      const i = order[k];
+      if (this.cellOf(positions[i * 3], 0) === cx && this.cellOf(positions[i * 3 + 1], 1) === cy &&
+        this.cellOf(positions[i * 3 + 2], 2) === cz) {
+        visit(i);
+      }
+    }
+  }
+
+  // Indices of the (up to) k points nearest to (x, y, z), nearest first, written
+  // to `out` (with squared distances in `outDistances`); returns how many were found.
+  // The search stops MAX_RINGS cells out, so isolated points may get fewer.
+  nearest(x, y, z, k, out, outDistances) {
+    const cx = this.cellOf(x, 0), cy = this.cellOf(y, 1), cz = this.cellOf(z, 2);
+    const { positions } = this;
+    let found = 0;
+
+    const visit = (i) => {
+      const dx = positions[i * 3] - x, dy = positions[i * 3 + 1] - y, dz = positions[i * 3 + 2] - z;
+      const d = dx * dx + dy * dy + dz * dz;
+      if (found === k && d >= outDistances[k - 1]) return;
+      // Insertion into the sorted list of the best so far
+      let j = found < k ? found++ : k - 1;
+      while (j > 0 && outDistances[j - 1] > d) {
+        outDistances[j] = outDistances[j - 1];
+        out[j] = out[j - 1];
+        j--;
+      }
+      outDistances[j] = d;
+      out[j] = i;
+    };
+
+    for (let ring = 0; ring <= MAX_RINGS; ring++) {
+      // Visit the shell of cells `ring` steps from the query's cell
+      for (let dz = -ring; dz <= ring; dz++) {
+        for (let dy = -ring; dy <= ring; dy++) {
+          const onShell = Math.abs(dz) === ring || Math.abs(dy) === ring;
+          for (let dx = -ring; dx <= ring; dx += onShell || ring === 0 ? 1 : 2 * ring) {
+            this.forEachInCell(cx + dx, cy + dy, cz + dz, visit);
+          }
+        }
+      }
+      // Every unvisited point is at least `ring` cells away
+      const reach = ring * this.cellSize;
+      if (found === k && outDistances[k - 1] <= reach * reach) break;
+    }
+    return found;
+  }
+
+  // Calls visit(i) for every point within `radius` of (x, y, z)
+  withinRadius(x, y, z, radius, visit) {
+    const { positions } = this;
+    const r2 = radius * radius;
+    const lo = [this.cellOf(x - radius, 0), this.cellOf(y - radius, 1), this.cellOf(z - radius, 2)];
+    const hi = [this.cellOf(x + radius, 0), this.cellOf(y + radius, 1), this.cellOf(z + radius, 2)];
+    for (let cz = lo[2]; cz <= hi[2]; cz++) {
+      for (let cy = lo[1]; cy <= hi[1]; cy++) {
+        for (let cx = lo[0]; cx <= hi[0]; cx++) {
+          this.forEachInCell(cx, cy, cz, (i) => {
+            const dx = positions[i * 3] - x, dy = positions[i * 3 + 1] - y, dz = positions[i * 3 + 2] - z;
+            if (dx * dx + dy * dy + dz * dz <= r2) visit(i);
+          });
+        }
+      }
+    }
+  }
+}
+
+// Scans usually sample surfaces, so the cell size comes from the area the
+// points cover: the occupied cells of a coarse grid stand in for it
+function estimateCellSize(positions, min, max, perCell) {
+  const n = positions.length / 3;
+  const COARSE = 64;
+  const size = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]) || 1;
+  const coarse = size / COARSE;
+  const occupied = new Uint8Array(COARSE * COARSE * COARSE);
+  let cells = 0;
+  for (let i = 0; i < n; i++) {
+    const gx = Math.min(COARSE - 1, Math.floor((positions[i * 3] - min[0]) / coarse));
+    const gy = Math.min(COARSE - 1, Math.floor((positions[i * 3 + 1] - min[1]) / coarse));
+    const gz = Math.min(COARSE - 1, Math.floor((positions[i * 3 + 2] - min[2]) / coarse));
+    const c = gx + (gy + gz * COARSE) * COARSE;
+    if (!occupied[c]) {
+      occupied[c] = 1;
+      cells++;
+    }
+  }
+  // Points per unit area ~ n / (cells * coarse^2); a cell of side s holds ~perCell
+  return Math.max(size * 1e-6, coarse * Math.sqrt((perCell * Math.max(1, cells)) / Math.max(1, n)));
+}
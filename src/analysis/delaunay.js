@@ -0,0 +1,366 @@
+// 2D Delaunay triangulation by sweep-hull: points are added in order of
+// distance from a seed triangle, each connected to the hull edges it sees,
+// then edges are flipped until every triangle passes the empty-circumcircle
+// test (the approach of the Delaunator library).
+
+const EPSILON = Math.pow(2, -52);
+const EDGE_STACK = new Uint32Array(512);
+
+// coords: x, y interleaved. Returns vertex indices, three per triangle, all
+// counter-clockwise (seen with y up).
+export function delaunay2D(coords) {
+  const n = coords.length >> 1;
+  if (n < 3) return new Uint32Array(0);
+  const d = new Triangulation(coords);
+  const triangles = d.triangles.subarray(0, d.trianglesLength);
+  // The sweep builds them clockwise
+  for (let t = 0; t < triangles.length; t += 3) {
+    const tmp = triangles[t + 1];
+    triangles[t + 1] = triangles[t + 2];
+    triangles[t + 2] = tmp;
+  }
+  return triangles;
+}
+
+class Triangulation {
+  constructor(coords) {
+    const n = coords.length >> 1;
+    const maxTriangles = Math.max(2 * n - 5, 0);
+    this.coords = coords;
+    this.triangles = new Uint32Array(maxTriangles * 3);
+    this.halfedges = new Int32Array(maxTriangles * 3);
+    this.trianglesLength = 0;
+
+    this.hashSize = Math.ceil(Math.sqrt(n));
+    this.hullPrev = new Uint32Array(n);
+    this.hullNext = new Uint32Array(n);
+    this.hullTri = new Uint32Array(n);
+    this.hullHash = new Int32Array(this.hashSize).fill(-1);
+    this.hullStart = 0;
+
+    this.triangulate();
+  }
+
+  triangulate() {
+    const { coords, hullPrev, hullNext, hullTri, hullHash } = this;
+    const n = coords.length >> 1;
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    const ids = new Uint32Array(n);
+    for (let i = 0; i < n; i++) {
+      const x = coords[2 * i], y = coords[2 * i + 1];
+      if (x < minX) minX = x;
+      if (y < minY) minY = y;
+      if (x > maxX) maxX = x;
+      if (y > maxY) maxY = y;
+      ids[i] = i;
+    }
+    const cx = (minX + maxX) / 2, cy = (minY + maxY) / 2;
+
+    // Seed triangle: the point nearest the center, its nearest neighbour and
+    // the point making the smallest circumcircle with them
+    let i0 = 0, i1 = 0, i2 = 0;
+    let minDist = Infinity;
+    for (let i = 0; i < n; i++) {
+      const dd = dist(cx, cy, coords[2 * i], coords[2 * i + 1]);
+      if (dd < minDist) {
+        i0 = i;
+        minDist = dd;
+      }
+    }
+    const i0x = coords[2 * i0], i0y = coords[2 * i0 + 1];
+
+    minDist = Infinity;
+    for (let i = 0; i < n; i++) {
+      if (i === i0) continue;
+      const dd = dist(i0x, i0y, coords[2 * i], coords[2 * i + 1]);
+      if (dd < minDist && dd > 0) {
+        i1 = i;
+        minDist = dd;
+      }
+    }
+    let i1x = coords[2 * i1], i1y = coords[2 * i1 + 1];
+
+    let minRadius = Infinity;
+    for (let i = 0; i < n; i++) {
+      if (i === i0 || i === i1) continue;
+      const r = circumradius(i0x, i0y, i1x, i1y, coords[2 * i], coords[2 * i + 1]);
+      if (r < minRadius) {
+        i2 = i;
+        minRadius = r;
+      }
+    }
+    let i2x = coords[2 * i2], i2y = coords[2 * i2 + 1];
+
+    // All points on a line: no triangles
+    if (minRadius === Infinity) return;
+
+    if (orient(i0x, i0y, i1x, i1y, i2x, i2y)) {
+      [i1, i2] = [i2, i1];
+      [i1x, i2x] = [i2x, i1x];
+      [i1y, i2y] = [i2y, i1y];
+    }
+
+    const center = circumcenter(i0x, i0y, i1x, i1y, i2x, i2y);
+    this.cx = center.x;
+    this.cy = center.y;
+
+    const dists = new Float64Array(n);
+    for (let i = 0; i < n; i++) dists[i] = dist(coords[2 * i], coords[2 * i + 1], center.x, center.y);
+    quicksort(ids, dists, 0, n - 1);
+
+    this.hullStart = i0;
+    hullNext[i0] = hullPrev[i2] = i1;
+    hullNext[i1] = hullPrev[i0] = i2;
+    hullNext[i2] = hullPrev[i1] = i0;
+
+    hullTri[i0] = 0;
+    hullTri[i1] = 1;
+    hullTri[i2] = 2;
+
+    hullHash[this.hashKey(i0x, i0y)] = i0;
+    hullHash[this.hashKey(i1x, i1y)] = i1;
+    hullHash[this.hashKey(i2x, i2y)] = i2;
+
+    this.addTriangle(i0, i1, i2, -1, -1, -1);
+
+    let xp = 0, yp = 0;
+    for (let k = 0; k < n; k++) {
+      const i = ids[k];
+      const x = coords[2 * i], y = coords[2 * i + 1];
+
+      // Skip near-duplicate points and the seed triangle
+      if (k > 0 && Math.abs(x - xp) <= EPSILON && Math.abs(y - yp) <= EPSILON) continue;
+      xp = x;
+      yp = y;
+      if (i === i0 || i === i1 || i === i2) continue;
+
+      // Find a visible edge on the hull, starting from the hash of the point's angle
+      let start = 0;
+      for (let j = 0, key = this.hashKey(x, y); j < this.hashSize; j++) {
+        start = hullHash[(key + j) % this.hashSize];
+        if (start !== -1 && start !== hullNext[start]) break;
+      }
+
+      start = hullPrev[start];
+      let e = start, q;
+      while ((q = hullNext[e]), !orient(x, y, coords[2 * e], coords[2 * e + 1], coords[2 * q], coords[2 * q + 1])) {
+        e = q;
+        if (e === start) {
+          e = -1;
+          break;
+        }
+      }
+      // Likely a near-duplicate point
+      if (e === -1) continue;
+
+      let t = this.addTriangle(e, i, hullNext[e], -1, -1, hullTri[e]);
+      hullTri[i] = this.legalize(t + 2);
+      hullTri[e] = t;
+
+      // Walk forward through the hull, adding triangles and flipping
+      let next = hullNext[e];
+      while ((q = hullNext[next]), orient(x, y, coords[2 * next], coords[2 * next + 1], coords[2 * q], coords[2 * q + 1])) {
+        t = this.addTriangle(next, i, q, hullTri[i], -1, hullTri[next]);
+        hullTri[i] = this.legalize(t + 2);
+        hullNext[next] = next; // Removed from the hull
+        next = q;
+      }
+
+      // Walk backward from the other side
+      if (e === start) {
+        while ((q = hullPrev[e]), orient(x, y, coords[2 * q], coords[2 * q + 1], coords[2 * e], coords[2 * e + 1])) {
+          t = this.addTriangle(q, i, e, -1, hullTri[e], hullTri[q]);
+          this.legalize(t + 2);
+          hullTri[q] = t;
+          hullNext[e] = e;
+          e = q;
+        }
+      }
+
+      this.hullStart = hullPrev[i] = e;
+      hullNext[e] = hullPrev[next] = i;
+      hullNext[i] = next;
+
+      hullHash[this.hashKey(x, y)] = i;
+      hullHash[this.hashKey(coords[2 * e], coords[2 * e + 1])] = e;
+    }
+  }
+
+  hashKey(x, y) {
+    return Math.floor(pseudoAngle(x - this.cx, y - this.cy) * this.hashSize) % this.hashSize;
+  }
+
+  // Flips edge `a` and the edges behind it until the triangles around them
+  // are Delaunay
+  legalize(a) {
+    const { triangles, halfedges, coords } = this;
+    let i = 0;
+    let ar = 0;
+
+    while (true) {
+      const b = halfedges[a];
+      const a0 = a - (a % 3);
+      ar = a0 + ((a + 2) % 3);
+
+      if (b === -1) {
+        if (i === 0) break;
+        a = EDGE_STACK[--i];
+        continue;
+      }
+
+      const b0 = b - (b % 3);
+      const al = a0 + ((a + 1) % 3);
+      const bl = b0 + ((b + 2) % 3);
+
+      const p0 = triangles[ar];
+      const pr = triangles[a];
+      const pl = triangles[al];
+      const p1 = triangles[bl];
+
+      const illegal = inCircle(
+        coords[2 * p0], coords[2 * p0 + 1],
+        coords[2 * pr], coords[2 * pr + 1],
+        coords[2 * pl], coords[2 * pl + 1],
+        coords[2 * p1], coords[2 * p1 + 1]
+      );
+
+      if (illegal) {
+        triangles[a] = p1;
+        triangles[b] = p0;
+
+        const hbl = halfedges[bl];
+        // The flipped edge was on the hull; fix the hull's reference to it
+        if (hbl === -1) {
+          let e = this.hullStart;
+          do {
+            if (this.hullTri[e] === bl) {
+              this.hullTri[e] = a;
+              break;
+            }
+            e = this.hullPrev[e];
+          } while (e !== this.hullStart);
+        }
+        this.link(a, hbl);
+        this.link(b, halfedges[ar]);
+        this.link(ar, bl);
+
+        const br = b0 + ((b + 1) % 3);
+        if (i < EDGE_STACK.length) EDGE_STACK[i++] = br;
+      } else {
+        if (i === 0) break;
+        a = EDGE_STACK[--i];
+      }
+    }
+    return ar;
+  }
+
+  link(a, b) {
+    this.halfedges[a] = b;
+    if (b !== -1) this.halfedges[b] = a;
+  }
+
+  addTriangle(i0, i1, i2, a, b, c) {
+    const t = this.trianglesLength;
+    this.triangles[t] = i0;
+    this.triangles[t + 1] = i1;
+    this.triangles[t + 2] = i2;
+    this.link(t, a);
+    this.link(t + 1, b);
+    this.link(t + 2, c);
+    this.trianglesLength += 3;
+    return t;
+  }
+}
+
+// Monotonic in the angle of (dx, dy), from 0 to 1
+function pseudoAngle(dx, dy) {
+  const p = dx / (Math.abs(dx) + Math.abs(dy));
+  return (dy > 0 ? 3 - p : 1 + p) / 4;
+}
+
+function dist(ax, ay, bx, by) {
+  const dx = ax - bx, dy = ay - by;
+  return dx * dx + dy * dy;
+}
+
+// True when p, q, r turn clockwise (y up)
+function orient(px, py, qx, qy, rx, ry) {
+  return (qy - py) * (rx - qx) - (qx - px) * (ry - qy) < 0;
+}
+
+function inCircle(ax, ay, bx, by, cx, cy, px, py) {
+  const dx = ax - px, dy = ay - py;
+  const ex = bx - px, ey = by - py;
+  const fx = cx - px, fy = cy - py;
+  const ap = dx * dx + dy * dy;
+  const bp = ex * ex + ey * ey;
+  const cp = fx * fx + fy * fy;
+  return dx * (ey * cp - bp * fy) - dy * (ex * cp - bp * fx) + ap * (ex * fy - ey * fx) < 0;
+}
+
+function circumradius(ax, ay, bx, by, cx, cy) {
+  const dx = bx - ax, dy = by - ay;
+  const ex = cx - ax, ey = cy - ay;
+  const bl = dx * dx + dy * dy;
+  const cl = ex * ex + ey * ey;
+  const d = 0.5 / (dx * ey - dy * ex);
+  const x = (ey * bl - dy * cl) * d;
+  const y = (dx * cl - ex * bl) * d;
+  return x * x + y * y;
+}
+
+function circumcenter(ax, ay, bx, by, cx, cy) {
+  const dx = bx - ax, dy = by - ay;
+  const ex = cx - ax, ey = cy - ay;
+  const bl = dx * dx + dy * dy;
+  const cl = ex * ex + ey * ey;
+  const d = 0.5 / (dx * ey - dy * ex);
+  return { x: ax + (ey * bl - dy * cl) * d, y: ay + (dx * cl - ex * bl) * d };
+}
+
+function quicksort(ids, dists, left, right) {
+  if (right - left <= 20) {
+    for (let i = left + 1; i <= right; i++) {
+      const temp = ids[i];
+      const tempDist = dists[temp];
+      let j = i - 1;
+      while (j >= left && dists[ids[j]] > tempDist) ids[j + 1] = ids[j--];
+      ids[j + 1] = temp;
+    }
+    return;
+  }
+
+  const median = (left + right) >> 1;
+  let i = left + 1;
+  let j = right;
+  swap(ids, median, i);
+  if (dists[ids[left]] > dists[ids[right]]) swap(ids, left, right);
+  if (dists[ids[i]] > dists[ids[right]]) swap(ids, i, right);
+  if (dists[ids[left]] > dists[ids[i]]) swap(ids, left, i);
+
+  const temp = ids[i];
+  const tempDist = dists[temp];
+  while (true) {
+    do i++; while (dists[ids[i]] < tempDist);
+    do j--; while (dists[ids[j]] > tempDist);
+    if (j < i) break;
+    swap(ids, i, j);
+  }
+  ids[left + 1] = ids[j];
+  ids[j] = temp;
+
+  if (right - i + 1 >= j - left) {
+    quicksort(ids, dists, i, right);
+    quicksort(ids, dists, left, j - 1);
+  } else {
+    quicksort(ids, dists, left, j - 1);
+    quicksort(ids, dists, i, right);
+  }
+}
+
+function swap(array, i, j) {
+  const tmp = array[i];
+  array[i] = array[j];
+  array[j] = tmp;
+}
@@ -0,0 +1,84 @@
+// Lengths and areas of measured points ({ x, y, z } in scene meters, Z up).
+// Lengths follow the measure axis: '3d', 'horizontal' (XY only) or
+// 'vertical' (Z only).
+
+const FEET_PER_METER = 3.28084;
+const SQUARE_FEET_PER_SQUARE_METER = 10.7639;
+const CUBIC_FEET_PER_CUBIC_METER = 35.3147;
+
+export function segmentLength(a, b, axis) {
+  const dx = b.x - a.x, dy = b.y - a.y, dz = b.z - a.z;
+  if (axis === 'horizontal') return Math.sqrt(dx * dx + dy * dy);
+  if (axis === 'vertical') return Math.abs(dz);
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+// Segments of a polyline (with the closing one for a polygon), their total,
+// and for a polygon of three or more points its areas: `planar` in the plane
+// that fits it best (Newell's method; exact for a flat polygon at any tilt)
+// and `horizontal` projected onto XY
+export function measurePath(points, axis, closed) {
+  const segments = [];
+  for (let i = 1; i < points.length; i++) segments.push(segmentLength(points[i - 1], points[i], axis));
+  const isPolygon = closed && points.length >= 3;
+  if (isPolygon) segments.push(segmentLength(points[points.length - 1], points[0], axis));
+  const total = segments.reduce((sum, length) => sum + length, 0);
+  if (!isPolygon) return { segments, total, area: null };
+
+  // Relative to the first point, to keep the products small
+  const o = points[0];
+  let nx = 0, ny = 0, nz = 0;
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i], q = points[(i + 1) % points.length];
+    const px = p.x - o.x, py = p.y - o.y, pz = p.z - o.z;
+    const qx = q.x - o.x, qy = q.y - o.y, qz = q.z - o.z;
+    nx += py * qz - pz * qy;
+    ny += pz * qx - px * qz;
+    nz += px * qy - py * qx;
+  }
+  return {
+    segments,
+    total,
+    area: {
+      planar: Math.sqrt(nx * nx + ny * ny + nz * nz) / 2,
+      horizontal: Math.abs(nz) / 2
+    }
+  };
+}
+
+export function formatDistance(meters) {
+  if (meters < 1) return `${(meters * 100).toFixed(2)} cm`;
+  if (meters < 1000) return `${meters.toFixed(3)} m`;
+  return `${(meters / 1000).toFixed(3)} km`;
+}
+
+// Feet and inches, or inches under a foot
+export function formatFeetInches(meters) {
+  const totalFeet = meters * FEET_PER_METER;
+  if (totalFeet < 1) return `${(totalFeet * 12).toFixed(2)} in`;
+  const feet = Math.floor(totalFeet);
+  return `${feet}' ${((totalFeet - feet) * 12).toFixed(1)}"`;
+}
+
+export function formatArea(squareMeters) {
+  if (squareMeters < 1) return `${(squareMeters * 10000).toFixed(1)} cm²`;
+  return `${squareMeters.toFixed(3)} m²`;
+}
+
+export function formatAreaImperial(squareMeters) {
+  const squareFeet = squareMeters * SQUARE_FEET_PER_SQUARE_METER;
+  if (squareFeet < 1) return `${(squareFeet * 144).toFixed(1)} in²`;
+  return `${squareFeet.toFixed(2)} ft²`;
+}
+
+export function formatVolume(cubicMeters) {
+  return `${cubicMeters.toFixed(3)} m³`;
+}
+
+export function formatVolumeImperial(cubicMeters) {
+  return `${(cubicMeters * CUBIC_FEET_PER_CUBIC_METER).toFixed(2)} ft³`;
+}
+
+export function toFeet(meters) {
+  return meters * FEET_PER_METER;
+}
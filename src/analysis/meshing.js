@@ -0,0 +1,271 @@
+import { SpatialGrid } from './SpatialGrid';
+import { delaunay2D } from './delaunay';
+
+// Surface reconstruction from points. '2.5D' triangulates the points seen from
+// above, which suits floors and terrain but folds walls flat. 'Ball pivoting'
+// rolls a ball of a fixed radius over the points and makes a triangle of every
+// three it rests on without falling through, so it follows walls and
+// overhangs; it needs normals to tell the outside of the surface.
+export const MESH_METHODS = {
+  delaunay: '2.5D Delaunay',
+  ballPivoting: 'Ball pivoting'
+};
+
+const SPACING_SAMPLES = 2000;
+
+// Mean distance from a point to its nearest neighbour, from a sample of points
+export function averageSpacing(positions, grid = new SpatialGrid(positions)) {
+  const n = positions.length / 3;
+  const step = Math.max(1, Math.floor(n / SPACING_SAMPLES));
+  const neighbours = new Uint32Array(2);
+  const distances = new Float64Array(2);
+  let sum = 0, count = 0;
+  for (let i = 0; i < n; i += step) {
+    const found = grid.nearest(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2], 2, neighbours, distances);
+    if (found < 2) continue;
+    sum += Math.sqrt(distances[1]);
+    count++;
+  }
+  return count > 0 ? sum / count : 0;
+}
+
+// Triangulates the XY projection and drops triangles with an edge longer than
+// maxEdge (0 keeps them all), which would bridge gaps and the concave outline
+export function triangulate25D(positions, { maxEdge = 0 } = {}) {
+  const n = positions.length / 3;
+  const coords = new Float64Array(n * 2);
+  for (let i = 0; i < n; i++) {
+    coords[i * 2] = positions[i * 3];
+    coords[i * 2 + 1] = positions[i * 3 + 1];
+  }
+  const triangles = delaunay2D(coords);
+  if (!maxEdge) return triangles;
+
+  const max2 = maxEdge * maxEdge;
+  const edge2 = (a, b) => {
+    const dx = positions[a * 3] - positions[b * 3];
+    const dy = positions[a * 3 + 1] - positions[b * 3 + 1];
+    const dz = positions[a * 3 + 2] - positions[b * 3 + 2];
+    return dx * dx + dy * dy + dz * dz;
+  };
+  const kept = new Uint32Array(triangles.length);
+  let length = 0;
+  for (let t = 0; t < triangles.length; t += 3) {
+    const a = triangles[t], b = triangles[t + 1], c = triangles[t + 2];
+    if (edge2(a, b) > max2 || edge2(b, c) > max2 || edge2(c, a) > max2) continue;
+    kept[length++] = a;
+    kept[length++] = b;
+    kept[length++] = c;
+  }
+  return kept.slice(0, length);
+}
+
+// Ball-pivoting (Bernardini et al. 1999). normals: x, y, z per point (any
+// scale, e.g. the quantized Int8Array of estimateNormals); triangles face the
+// same way as the normals of their corners.
+export function ballPivot(positions, normals, { radius, onProgress } = {}) {
+  const n = positions.length / 3;
+  const grid = new SpatialGrid(positions, { cellSize: radius });
+  const used = new Uint8Array(n);
+  // Front edges touching each point; a used point with none is inside the mesh
+  const frontCount = new Uint16Array(n);
+  // Directed edges of the front, key a * n + b: { a, b, opposite, center, boundary }
+  const front = new Map();
+  // Directed edges of the triangles made so far, to keep the mesh manifold
+  const meshEdges = new Set();
+  const triangles = [];
+  const stack = [];
+  const center = [0, 0, 0];
+
+  const key = (a, b) => a * n + b;
+
+  // Center of the ball of `radius` through points i, j, k, on the side their
+  // (counter-clockwise) normal points to; false if there is none or the
+  // triangle faces against the point normals
+  const ballCenter = (i, j, k, out) => {
+    const ix = positions[i * 3], iy = positions[i * 3 + 1], iz = positions[i * 3 + 2];
+    const ax = positions[j * 3] - ix, ay = positions[j * 3 + 1] - iy, az = positions[j * 3 + 2] - iz;
+    const bx = positions[k * 3] - ix, by = positions[k * 3 + 1] - iy, bz = positions[k * 3 + 2] - iz;
+    const nx = ay * bz - az * by, ny = az * bx - ax * bz, nz = ax * by - ay * bx;
+    const n2 = nx * nx + ny * ny + nz * nz;
+    if (n2 < 1e-20) return false;
+
+    for (const v of [i, j, k]) {
+      if (nx * normals[v * 3] + ny * normals[v * 3 + 1] + nz * normals[v * 3 + 2] <= 0) return false;
+    }
+
+    // Circumcenter relative to point i
+    const a2 = ax * ax + ay * ay + az * az, b2 = bx * bx + by * by + bz * bz;
+    const ux = a2 * bx - b2 * ax, uy = a2 * by - b2 * ay, uz = a2 * bz - b2 * az;
+    const cx = (uy * nz - uz * ny) / (2 * n2);
+    const cy = (uz * nx - ux * nz) / (2 * n2);
+    const cz = (ux * ny - uy * nx) / (2 * n2);
+    const h2 = radius * radius - (cx * cx + cy * cy + cz * cz);
+    if (h2 < 0) return false;
+
+    const h = Math.sqrt(h2 / n2);
+    out[0] = ix + cx + nx * h;
+    out[1] = iy + cy + ny * h;
+    out[2] = iz + cz + nz * h;
+    return true;
+  };
+
+  const emptyBall = (c, i, j, k) => {
+    let empty = true;
+    grid.withinRadius(c[0], c[1], c[2], radius * (1 - 1e-6), (v) => {
+      if (v !== i && v !== j && v !== k) empty = false;
+    });
+    return empty;
+  };
+
+  const addTriangle = (a, b, c, ballCenterAt) => {
+    triangles.push(a, b, c);
+    meshEdges.add(key(a, b));
+    meshEdges.add(key(b, c));
+    meshEdges.add(key(c, a));
+    used[a] = used[b] = used[c] = 1;
+    addFrontEdge(a, b, c, ballCenterAt);
+    addFrontEdge(b, c, a, ballCenterAt);
+    addFrontEdge(c, a, b, ballCenterAt);
+  };
+
+  // A new edge meeting the front edge running the other way closes the gap between them
+  const addFrontEdge = (a, b, opposite, c) => {
+    const reverse = key(b, a);
+    if (front.has(reverse)) {
+      removeFrontEdge(reverse);
+      return;
+    }
+    if (meshEdges.has(reverse)) return;
+    const k = key(a, b);
+    front.set(k, { a, b, opposite, center: [c[0], c[1], c[2]], boundary: false });
+    frontCount[a]++;
+    frontCount[b]++;
+    stack.push(k);
+  };
+
+  const removeFrontEdge = (k) => {
+    const edge = front.get(k);
+    front.delete(k);
+    frontCount[edge.a]--;
+    frontCount[edge.b]--;
+  };
+
+  const findSeed = (i) => {
+    const candidates = [];
+    const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+    grid.withinRadius(x, y, z, 2 * radius, (v) => {
+      if (v === i || used[v]) return;
+      const dx = positions[v * 3] - x, dy = positions[v * 3 + 1] - y, dz = positions[v * 3 + 2] - z;
+      candidates.push({ v, d: dx * dx + dy * dy + dz * dz });
+    });
+    candidates.sort((p, q) => p.d - q.d);
+    const count = Math.min(candidates.length, 24);
+    for (let p = 0; p < count; p++) {
+      for (let q = p + 1; q < count; q++) {
+        const j = candidates[p].v, k = candidates[q].v;
+        for (const [b, c] of [[j, k], [k, j]]) {
+          if (ballCenter(i, b, c, center) && emptyBall(center, i, b, c)) {
+            addTriangle(i, b, c, center);
+            return true;
+          }
+        }
+      }
+    }
+    return false;
+  };
+
+  // Rolls the ball of front edge a -> b over it, away from the edge's triangle,
+  // to the first point it touches. The new triangle (b, a, v) shares the edge.
+  const pivot = (edge) => {
+    const { a, b, opposite } = edge;
+    const ax = positions[a * 3], ay = positions[a * 3 + 1], az = positions[a * 3 + 2];
+    const mx = (ax + positions[b * 3]) / 2, my = (ay + positions[b * 3 + 1]) / 2, mz = (az + positions[b * 3 + 2]) / 2;
+    let ex = positions[b * 3] - ax, ey = positions[b * 3 + 1] - ay, ez = positions[b * 3 + 2] - az;
+    const eLength = Math.hypot(ex, ey, ez);
+    ex /= eLength; ey /= eLength; ez /= eLength;
+    const ux = edge.center[0] - mx, uy = edge.center[1] - my, uz = edge.center[2] - mz;
+
+    const hits = [];
+    grid.withinRadius(mx, my, mz, 2 * radius, (v) => {
+      if (v === a || v === b || v === opposite) return;
+      if (used[v] && frontCount[v] === 0) return;
+      if (!ballCenter(b, a, v, center)) return;
+      const wx = center[0] - mx, wy = center[1] - my, wz = center[2] - mz;
+      // Rotation from u to w about the edge; positive turns away from the old triangle
+      const sin = ex * (uy * wz - uz * wy) + ey * (uz * wx - ux * wz) + ez * (ux * wy - uy * wx);
+      const cos = ux * wx + uy * wy + uz * wz;
+      let angle = Math.atan2(sin, cos);
+      if (angle < 0) angle += 2 * Math.PI;
+      hits.push({ v, angle, center: [center[0], center[1], center[2]] });
+    });
+    hits.sort((p, q) => p.angle - q.angle);
+
+    for (const hit of hits) {
+      if (!emptyBall(hit.center, a, b, hit.v)) continue;
+      const v = hit.v;
+      if (meshEdges.has(key(a, v)) || meshEdges.has(key(v, b))) return false;
+      return { v, center: hit.center };
+    }
+    return false;
+  };
+
+  const progressStep = Math.max(1, Math.floor(n / 100));
+  for (let seed = 0; seed < n; seed++) {
+    if (onProgress && seed % progressStep === 0) onProgress((seed / n) * 100);
+    if (used[seed] || !findSeed(seed)) continue;
+
+    while (stack.length > 0) {
+      const k = stack.pop();
+      const edge = front.get(k);
+      if (!edge || edge.boundary) continue;
+      const hit = pivot(edge);
+      if (!hit) {
+        edge.boundary = true;
+        continue;
+      }
+      removeFrontEdge(k);
+      triangles.push(edge.b, edge.a, hit.v);
+      meshEdges.add(key(edge.b, edge.a));
+      meshEdges.add(key(edge.a, hit.v));
+      meshEdges.add(key(hit.v, edge.b));
+      used[hit.v] = 1;
+      addFrontEdge(edge.a, hit.v, edge.b, hit.center);
+      addFrontEdge(hit.v, edge.b, edge.a, hit.center);
+    }
+  }
+  return Uint32Array.from(triangles);
+}
+
+// Meshes `positions` by `method` (a key of MESH_METHODS). scale sets the ball
+// radius or the longest 2.5D edge, in multiples of the average point spacing.
+// Returns the used points only: { positions, colors, indices, spacing }.
+export function buildMesh(positions, colors, normals, { method, scale, onProgress }) {
+  const grid = new SpatialGrid(positions);
+  const spacing = averageSpacing(positions, grid);
+  const indices = method === 'ballPivoting'
+    ? ballPivot(positions, normals, { radius: scale * spacing, onProgress })
+    : triangulate25D(positions, { maxEdge: scale * spacing });
+  return { ...compactMesh(positions, colors, indices), spacing };
+}
+
+function compactMesh(positions, colors, indices) {
+  const remap = new Int32Array(positions.length / 3).fill(-1);
+  let count = 0;
+  for (const i of indices) {
+    if (remap[i] === -1) remap[i] = count++;
+  }
+  const outPositions = new Float32Array(count * 3);
+  const outColors = colors ? new Float32Array(count * 3) : null;
+  for (let i = 0; i < remap.length; i++) {
+    const j = remap[i];
+    if (j === -1) continue;
+    for (let a = 0; a < 3; a++) {
+      outPositions[j * 3 + a] = positions[i * 3 + a];
+      if (outColors) outColors[j * 3 + a] = colors[i * 3 + a];
+    }
+  }
+  const outIndices = new Uint32Array(indices.length);
+  for (let t = 0; t < indices.length; t++) outIndices[t] = remap[indices[t]];
+  return { positions: outPositions, colors: outColors, indices: outIndices };
+}
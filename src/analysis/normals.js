@@ -0,0 +1,122 @@
+import { SpatialGrid } from './SpatialGrid';
+
+// Point normals by PCA over each point's k nearest neighbours: the normal is
+// the direction of least spread of the neighbourhood. PCA leaves the sign
+// open, so normals are turned towards a viewpoint above the middle of the
+// cloud, which makes floors face up and the walls of a pit face inwards.
+
+const DEFAULT_NEIGHBOURS = 16;
+
+// Returns normals quantized to an Int8Array (x, y, z per point, scaled by 127)
+export function estimateNormals(positions, { k = DEFAULT_NEIGHBOURS, onProgress } = {}) {
+  const n = positions.length / 3;
+  const normals = new Int8Array(n * 3);
+  if (n === 0) return normals;
+
+  const grid = new SpatialGrid(positions, { perCell: k });
+  const neighbours = new Uint32Array(k);
+  const distances = new Float64Array(k);
+  const normal = [0, 0, 1];
+
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < n; i++) {
+    for (let a = 0; a < 3; a++) {
+      min[a] = Math.min(min[a], positions[i * 3 + a]);
+      max[a] = Math.max(max[a], positions[i * 3 + a]);
+    }
+  }
+  const size = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+  const viewpoint = [(min[0] + max[0]) / 2, (min[1] + max[1]) / 2, max[2] + size];
+
+  const progressStep = Math.max(1, Math.floor(n / 100));
+  for (let i = 0; i < n; i++) {
+    const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+    const found = grid.nearest(x, y, z, k, neighbours, distances);
+    if (found >= 3) {
+      fitNormal(positions, neighbours, found, normal);
+    } else {
+      normal[0] = 0; normal[1] = 0; normal[2] = 1;
+    }
+
+    const toView = (viewpoint[0] - x) * normal[0] + (viewpoint[1] - y) * normal[1] + (viewpoint[2] - z) * normal[2];
+    const sign = toView < 0 ? -127 : 127;
+    normals[i * 3] = Math.round(normal[0] * sign);
+    normals[i * 3 + 1] = Math.round(normal[1] * sign);
+    normals[i * 3 + 2] = Math.round(normal[2] * sign);
+
+    if (onProgress && i % progressStep === 0) onProgress((i / n) * 100);
+  }
+  return normals;
+}
+
+// Unit eigenvector of the smallest eigenvalue of the neighbourhood's covariance
+export function fitNormal(positions, indices, count, out) {
+  let cx = 0, cy = 0, cz = 0;
+  for (let j = 0; j < count; j++) {
+    const i = indices[j];
+    cx += positions[i * 3];
+    cy += positions[i * 3 + 1];
+    cz += positions[i * 3 + 2];
+  }
+  cx /= count; cy /= count; cz /= count;
+
+  let xx = 0, xy = 0, xz = 0, yy = 0, yz = 0, zz = 0;
+  for (let j = 0; j < count; j++) {
+    const i = indices[j];
+    const dx = positions[i * 3] - cx, dy = positions[i * 3 + 1] - cy, dz = positions[i * 3 + 2] - cz;
+    xx += dx * dx; xy += dx * dy; xz += dx * dz;
+    yy += dy * dy; yz += dy * dz; zz += dz * dz;
+  }
+  return smallestEigenvector(xx, xy, xz, yy, yz, zz, out);
+}
+
+// Symmetric 3x3 matrix [[a, b, c], [b, d, e], [c, e, f]]: the smallest
+// eigenvalue in closed form, then its eigenvector as the longest cross product
+// of two rows of (M - lambda I)
+export function smallestEigenvector(a, b, c, d, e, f, out) {
+  const scale = Math.max(Math.abs(a), Math.abs(b), Math.abs(c), Math.abs(d), Math.abs(e), Math.abs(f));
+  if (scale === 0) {
+    out[0] = 0; out[1] = 0; out[2] = 1;
+    return out;
+  }
+  a /= scale; b /= scale; c /= scale; d /= scale; e /= scale; f /= scale;
+
+  const q = (a + d + f) / 3;
+  const p1 = b * b + c * c + e * e;
+  const p2 = (a - q) ** 2 + (d - q) ** 2 + (f - q) ** 2 + 2 * p1;
+  const p = Math.sqrt(p2 / 6);
+  let lambda = q;
+  if (p > 1e-12) {
+    const ba = (a - q) / p, bd = (d - q) / p, bf = (f - q) / p, bb = b / p, bc = c / p, be = e / p;
+    const det = ba * (bd * bf - be * be) - bb * (bb * bf - be * bc) + bc * (bb * be - bd * bc);
+    const phi = Math.acos(Math.max(-1, Math.min(1, det / 2))) / 3;
+    lambda = q + 2 * p * Math.cos(phi + (2 * Math.PI) / 3);
+  }
+
+  const r0 = [a - lambda, b, c], r1 = [b, d - lambda, e], r2 = [c, e, f - lambda];
+  const candidates = [cross(r0, r1), cross(r0, r2), cross(r1, r2)];
+  let best = candidates[0], bestLength = 0;
+  for (const v of candidates) {
+    const length = v[0] * v[0] + v[1] * v[1] + v[2] * v[2];
+    if (length > bestLength) {
+      best = v;
+      bestLength = length;
+    }
+  }
+  if (bestLength < 1e-24) {
+    // Two or three equal small eigenvalues (a line or an isotropic blob) leave
+    // no single normal; fall back to straight up
+    out[0] = 0; out[1] = 0; out[2] = 1;
+    return out;
+  }
+  const length = Math.sqrt(bestLength);
+  out[0] = best[0] / length;
+  out[1] = best[1] / length;
+  out[2] = best[2] / length;
+  return out;
+}
+
+function cross(u, v) {
+  return [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+}
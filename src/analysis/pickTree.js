@@ -0,0 +1,154 @@
+// Picking the point under the cursor. buildPickTree makes a balanced k-d tree
+// over a cloud's positions: node k covers a range of `order` and has children
+// 2k + 1 and 2k + 2 splitting the range at its middle, so only the bounding
+// box of each node is stored. surfaceAlongRay walks it for the points inside
+// the cone around a ray, i.e. within a few pixels of the cursor on screen.
+
+const LEAF_SIZE = 32;
+
+// Depth range behind the front-most point in the cone, in cone widths at that
+// depth, whose points count as the same surface
+const SURFACE_DEPTH = 2;
+
+// Returns { order (point indices), bounds (min x, y, z, max x, y, z per node), leafSize }
+export function buildPickTree(positions, { leafSize = LEAF_SIZE } = {}) {
+  const n = positions.length / 3;
+  const order = new Uint32Array(n);
+  for (let i = 0; i < n; i++) order[i] = i;
+
+  let depth = 0;
+  while (Math.ceil(n / 2 ** depth) > leafSize) depth++;
+  const bounds = new Float32Array((2 ** (depth + 1) - 1) * 6);
+
+  const stack = [[0, 0, n]];
+  while (stack.length > 0) {
+    const [node, lo, hi] = stack.pop();
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let k = lo; k < hi; k++) {
+      const i = order[k] * 3;
+      for (let a = 0; a < 3; a++) {
+        const v = positions[i + a];
+        if (v < min[a]) min[a] = v;
+        if (v > max[a]) max[a] = v;
+      }
+    }
+    bounds.set(min, node * 6);
+    bounds.set(max, node * 6 + 3);
+    if (hi - lo <= leafSize) continue;
+
+    let axis = 0;
+    for (let a = 1; a < 3; a++) {
+      if (max[a] - min[a] > max[axis] - min[axis]) axis = a;
+    }
+    const mid = (lo + hi) >> 1;
+    select(order, positions, axis, lo, hi - 1, mid);
+    stack.push([node * 2 + 1, lo, mid], [node * 2 + 2, mid, hi]);
+  }
+  return { order, bounds, leafSize };
+}
+
+// The point to pick along a ray, over one or more clouds: targets are
+// { positions, tree, origin: [x, y, z], direction: [x, y, z] (unit), accept }
+// with the ray in the cloud's own frame and accept(i) false for points that
+// are not shown. The cone is `radius + slope * t` wide at distance t along the
+// ray (t >= near). Of the points in it, those within SURFACE_DEPTH of the
+// front-most one are the surface under the cursor, and the one of them nearest
+// the ray (relative to the cone width) is picked.
+// Returns { target, index, distance (along the ray), offset (0 on the ray, 1 at the cone edge) } or null.
+export function pickAlongRay(targets, cone) {
+  let best = null;
+  for (const c of surfaceAlongRay(targets, cone)) {
+    if (!best || c.offset < best.offset) best = c;
+  }
+  return best;
+}
+
+// All the points of the surface under the cursor (as for pickAlongRay), e.g.
+// for a brush
+export function surfaceAlongRay(targets, { radius, slope, near = 0 }) {
+  const width = (t) => radius + slope * t;
+  const candidates = [];
+  let front = Infinity;
+  let cutoff = Infinity;
+
+  targets.forEach((target, targetIndex) => {
+    const { positions, tree, origin, direction, accept } = target;
+    const { order, bounds, leafSize } = tree;
+    const [ox, oy, oz] = origin;
+    const [dx, dy, dz] = direction;
+    const n = order.length;
+    if (n === 0) return;
+
+    // Distance along the ray and squared distance from it of a point
+    let along = 0, across2 = 0;
+    const measure = (x, y, z) => {
+      const vx = x - ox, vy = y - oy, vz = z - oz;
+      along = vx * dx + vy * dy + vz * dz;
+      across2 = Math.max(0, vx * vx + vy * vy + vz * vz - along * along);
+    };
+
+    // Nodes by their bounding spheres, nearer child first
+    const stack = [[0, 0, n]];
+    while (stack.length > 0) {
+      const [node, lo, hi] = stack.pop();
+      const b = node * 6;
+      const ex = bounds[b + 3] - bounds[b], ey = bounds[b + 4] - bounds[b + 1], ez = bounds[b + 5] - bounds[b + 2];
+      const r = Math.sqrt(ex * ex + ey * ey + ez * ez) / 2;
+      measure(bounds[b] + ex / 2, bounds[b + 1] + ey / 2, bounds[b + 2] + ez / 2);
+      if (along + r < near || along - r > cutoff) continue;
+      if (Math.sqrt(across2) - r > width(along + r)) continue;
+
+      if (hi - lo > leafSize) {
+        const mid = (lo + hi) >> 1;
+        const left = node * 2 + 1, right = node * 2 + 2;
+        const l = left * 6, rr = right * 6;
+        const leftAlong = (bounds[l] + bounds[l + 3]) * dx + (bounds[l + 1] + bounds[l + 4]) * dy + (bounds[l + 2] + bounds[l + 5]) * dz;
+        const rightAlong = (bounds[rr] + bounds[rr + 3]) * dx + (bounds[rr + 1] + bounds[rr + 4]) * dy + (bounds[rr + 2] + bounds[rr + 5]) * dz;
+        if (leftAlong <= rightAlong) stack.push([right, mid, hi], [left, lo, mid]);
+        else stack.push([left, lo, mid], [right, mid, hi]);
+        continue;
+      }
+
+      for (let k = lo; k < hi; k++) {
+        const i = order[k];
+        measure(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+        if (along < near || along > cutoff) continue;
+        const w = width(along);
+        if (across2 > w * w || !accept(i)) continue;
+        candidates.push({ target: targetIndex, index: i, distance: along, offset: w > 0 ? Math.sqrt(across2) / w : 0 });
+        if (along < front) {
+          front = along;
+          cutoff = front + SURFACE_DEPTH * width(front);
+        }
+      }
+    }
+  });
+
+  return candidates.filter(c => c.distance <= cutoff);
+}
+
+// Reorders order[lo..hi] so that order[k] holds the point with the k-th
+// smallest coordinate on `axis`, smaller ones before it and larger ones after
+// (Hoare's selection)
+function select(order, positions, axis, lo, hi, k) {
+  const value = (m) => positions[order[m] * 3 + axis];
+  while (hi > lo) {
+    const pivot = value((lo + hi) >> 1);
+    let i = lo, j = hi;
+    while (i <= j) {
+      while (value(i) < pivot) i++;
+      while (value(j) > pivot) j--;
+      if (i <= j) {
+        const t = order[i];
+        order[i] = order[j];
+        order[j] = t;
+        i++;
+        j--;
+      }
+    }
+    if (k <= j) hi = j;
+    else if (k >= i) lo = i;
+    else return;
+  }
+}
@@ -0,0 +1,130 @@
+import { SpatialGrid } from './SpatialGrid';
+import { smallestEigenvector } from './normals';
+
+// Planes in a cloud. A plane is { normal: [x, y, z] (unit), point: [x, y, z]
+// (the centroid of its points), rms (of their distances to it), count }.
+
+// Points drawn for each RANSAC hypothesis: a random point and two of its
+// nearest neighbours, so that hypotheses come from one surface
+const SAMPLE_NEIGHBOURS = 24;
+// Points a hypothesis is scored on
+const SCORE_SAMPLE = 20000;
+
+// Least-squares plane through the points `indices` (all points if null)
+export function fitPlane(positions, indices = null) {
+  const count = indices ? indices.length : positions.length / 3;
+  let cx = 0, cy = 0, cz = 0;
+  for (let j = 0; j < count; j++) {
+    const i = indices ? indices[j] : j;
+    cx += positions[i * 3];
+    cy += positions[i * 3 + 1];
+    cz += positions[i * 3 + 2];
+  }
+  cx /= count; cy /= count; cz /= count;
+
+  let xx = 0, xy = 0, xz = 0, yy = 0, yz = 0, zz = 0;
+  for (let j = 0; j < count; j++) {
+    const i = indices ? indices[j] : j;
+    const dx = positions[i * 3] - cx, dy = positions[i * 3 + 1] - cy, dz = positions[i * 3 + 2] - cz;
+    xx += dx * dx; xy += dx * dy; xz += dx * dz;
+    yy += dy * dy; yz += dy * dz; zz += dz * dz;
+  }
+  const normal = smallestEigenvector(xx, xy, xz, yy, yz, zz, [0, 0, 0]);
+
+  let sum2 = 0;
+  for (let j = 0; j < count; j++) {
+    const i = indices ? indices[j] : j;
+    const d = (positions[i * 3] - cx) * normal[0] + (positions[i * 3 + 1] - cy) * normal[1] + (positions[i * 3 + 2] - cz) * normal[2];
+    sum2 += d * d;
+  }
+  return { normal, point: [cx, cy, cz], rms: count > 0 ? Math.sqrt(sum2 / count) : 0, count };
+}
+
+// Sequential RANSAC: finds the plane with the most points within `threshold`
+// (meters) of it, refits it to them by least squares, takes them out and
+// repeats while a plane keeps at least `minPoints` points, up to maxPlanes.
+// Returns { planes, labels } with labels[i] the plane of point i, or -1.
+export function detectPlanes(positions, { threshold, minPoints, maxPlanes = 10, iterations = 300, onProgress } = {}) {
+  const n = positions.length / 3;
+  const labels = new Int16Array(n).fill(-1);
+  const planes = [];
+  const grid = new SpatialGrid(positions);
+  const neighbours = new Uint32Array(SAMPLE_NEIGHBOURS);
+  const distances = new Float64Array(SAMPLE_NEIGHBOURS);
+  let remaining = new Uint32Array(n);
+  for (let i = 0; i < n; i++) remaining[i] = i;
+
+  const distance = (plane, i) => (
+    (positions[i * 3] - plane.point[0]) * plane.normal[0] +
+    (positions[i * 3 + 1] - plane.point[1]) * plane.normal[1] +
+    (positions[i * 3 + 2] - plane.point[2]) * plane.normal[2]
+  );
+  const inliersOf = (plane) => remaining.filter(i => Math.abs(distance(plane, i)) <= threshold);
+
+  while (planes.length < maxPlanes && remaining.length >= Math.max(3, minPoints)) {
+    const sample = remaining.length <= SCORE_SAMPLE
+      ? remaining
+      : Uint32Array.from({ length: SCORE_SAMPLE }, () => remaining[Math.floor(Math.random() * remaining.length)]);
+
+    let best = null, bestScore = 0;
+    for (let it = 0; it < iterations; it++) {
+      const a = sample[Math.floor(Math.random() * sample.length)];
+      const found = grid.nearest(positions[a * 3], positions[a * 3 + 1], positions[a * 3 + 2], SAMPLE_NEIGHBOURS, neighbours, distances);
+      const free = [];
+      for (let k = 1; k < found; k++) {
+        if (labels[neighbours[k]] === -1) free.push(neighbours[k]);
+      }
+      if (free.length < 2) continue;
+      const b = free[Math.floor(Math.random() * free.length)];
+      const c = free[Math.floor(Math.random() * free.length)];
+      if (b === c) continue;
+
+      const ux = positions[b * 3] - positions[a * 3], uy = positions[b * 3 + 1] - positions[a * 3 + 1], uz = positions[b * 3 + 2] - positions[a * 3 + 2];
+      const vx = positions[c * 3] - positions[a * 3], vy = positions[c * 3 + 1] - positions[a * 3 + 1], vz = positions[c * 3 + 2] - positions[a * 3 + 2];
+      const nx = uy * vz - uz * vy, ny = uz * vx - ux * vz, nz = ux * vy - uy * vx;
+      const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+      if (length < 1e-12) continue;
+      const plane = { normal: [nx / length, ny / length, nz / length], point: [positions[a * 3], positions[a * 3 + 1], positions[a * 3 + 2]] };
+
+      let score = 0;
+      for (let k = 0; k < sample.length; k++) {
+        if (Math.abs(distance(plane, sample[k])) <= threshold) score++;
+      }
+      if (score > bestScore) {
+        best = plane;
+        bestScore = score;
+      }
+    }
+    if (!best) break;
+
+    // Refit twice: to the hypothesis' inliers, then to the refit plane's
+    let inliers = inliersOf(best);
+    for (let pass = 0; pass < 2 && inliers.length >= 3; pass++) {
+      best = fitPlane(positions, inliers);
+      inliers = inliersOf(best);
+    }
+    if (inliers.length < Math.max(3, minPoints)) break;
+
+    const plane = fitPlane(positions, inliers);
+    const id = planes.length;
+    for (const i of inliers) labels[i] = id;
+    planes.push(plane);
+    remaining = remaining.filter(i => labels[i] === -1);
+    if (onProgress) onProgress((planes.length / maxPlanes) * 100);
+  }
+  return { planes, labels };
+}
+
+// Angle between two planes in degrees (0 to 90), and the distance between
+// them along their normals: the mean of each centroid's distance to the other
+// plane, which is the wall-to-wall distance for parallel planes
+export function comparePlanes(p, q) {
+  const dot = p.normal[0] * q.normal[0] + p.normal[1] * q.normal[1] + p.normal[2] * q.normal[2];
+  const angle = (Math.acos(Math.min(1, Math.abs(dot))) * 180) / Math.PI;
+  const offset = (from, to) => Math.abs(
+    (to.point[0] - from.point[0]) * from.normal[0] +
+    (to.point[1] - from.point[1]) * from.normal[1] +
+    (to.point[2] - from.point[2]) * from.normal[2]
+  );
+  return { angle, distance: (offset(p, q) + offset(q, p)) / 2 };
+}
@@ -0,0 +1,46 @@
+// Cross-section profiles: the points in a corridor along a line drawn in
+// plan, seen side on as distance along the line (station) against elevation.
+// Positions are x, y, z in meters with Z up; the line's ends are { x, y } in
+// the same frame.
+
+// Length of the line and unit vectors along it and to its left
+export function profileFrame(a, b) {
+  const dx = b.x - a.x, dy = b.y - a.y;
+  const length = Math.hypot(dx, dy);
+  return {
+    origin: { x: a.x, y: a.y },
+    length,
+    along: { x: dx / length, y: dy / length },
+    across: { x: -dy / length, y: dx / length }
+  };
+}
+
+// The points between the ends of the line and within width / 2 of it, as
+// { indices, stations, offsets } (offsets positive to the left of the line).
+// shift is added to the positions first; accept(i) false leaves a point out.
+export function corridorPoints(positions, frame, width, { shift = { x: 0, y: 0 }, accept = null } = {}) {
+  const { origin, length, along, across } = frame;
+  const half = width / 2;
+  const indices = [], stations = [], offsets = [];
+  for (let i = 0; i < positions.length / 3; i++) {
+    const dx = positions[i * 3] + shift.x - origin.x;
+    const dy = positions[i * 3 + 1] + shift.y - origin.y;
+    const station = dx * along.x + dy * along.y;
+    if (station < 0 || station > length) continue;
+    const offset = dx * across.x + dy * across.y;
+    if (Math.abs(offset) > half || (accept && !accept(i))) continue;
+    indices.push(i);
+    stations.push(station);
+    offsets.push(offset);
+  }
+  return { indices: Uint32Array.from(indices), stations: Float32Array.from(stations), offsets: Float32Array.from(offsets) };
+}
+
+// Plan position of a station and offset
+export function profileToPlan(frame, station, offset) {
+  const { origin, along, across } = frame;
+  return {
+    x: origin.x + station * along.x + offset * across.x,
+    y: origin.y + station * along.y + offset * across.y
+  };
+}
@@ -0,0 +1,138 @@
+// Cut and fill volumes between a cloud's surface and a reference, on a grid
+// over XY. The surface of a grid cell is the mean elevation of its points;
+// cells without points count for neither volume. Positions are x, y, z in
+// meters with Z up, all in the same frame.
+
+export const VOLUME_REFERENCES = {
+  elevation: 'Horizontal plane',
+  fitted: 'Fitted plane',
+  scan: 'Second scan'
+};
+
+// Grids larger than this are refused rather than run out of memory
+export const MAX_VOLUME_CELLS = 4000000;
+
+// Grid of `cellSize` cells covering the XY extent of `positions`
+export function volumeGrid(positions, cellSize) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (let i = 0; i < positions.length; i += 3) {
+    if (positions[i] < minX) minX = positions[i];
+    if (positions[i] > maxX) maxX = positions[i];
+    if (positions[i + 1] < minY) minY = positions[i + 1];
+    if (positions[i + 1] > maxY) maxY = positions[i + 1];
+  }
+  return {
+    minX,
+    minY,
+    cellSize,
+    nx: Math.max(1, Math.ceil((maxX - minX) / cellSize + 1e-9)),
+    ny: Math.max(1, Math.ceil((maxY - minY) / cellSize + 1e-9))
+  };
+}
+
+// Mean elevation of the points in each cell of `grid`, NaN where there are none
+export function rasterize(positions, grid) {
+  const { minX, minY, cellSize, nx, ny } = grid;
+  const sum = new Float64Array(nx * ny);
+  const count = new Uint32Array(nx * ny);
+  for (let i = 0; i < positions.length; i += 3) {
+    const cx = Math.floor((positions[i] - minX) / cellSize);
+    const cy = Math.floor((positions[i + 1] - minY) / cellSize);
+    if (cx < 0 || cy < 0 || cx >= nx || cy >= ny) continue;
+    sum[cy * nx + cx] += positions[i + 2];
+    count[cy * nx + cx]++;
+  }
+  const surface = new Float64Array(nx * ny);
+  for (let c = 0; c < surface.length; c++) surface[c] = count[c] > 0 ? sum[c] / count[c] : NaN;
+  return surface;
+}
+
+// Least-squares plane z = a x + b y + c through the centers of the cells on
+// the rim of the surface: those with a value next to an empty cell or the grid
+// edge. For a pit or a pile cut out by the region, that is the ground around it.
+export function fitRimPlane(surface, grid) {
+  const { minX, minY, cellSize, nx, ny } = grid;
+  const empty = (cx, cy) => cx < 0 || cy < 0 || cx >= nx || cy >= ny || Number.isNaN(surface[cy * nx + cx]);
+
+  // Normal equations, relative to the first rim cell to keep them well conditioned
+  let x0 = null, y0 = 0;
+  let sxx = 0, sxy = 0, sx = 0, syy = 0, sy = 0, n = 0, sxz = 0, syz = 0, sz = 0;
+  for (let cy = 0; cy < ny; cy++) {
+    for (let cx = 0; cx < nx; cx++) {
+      const z = surface[cy * nx + cx];
+      if (Number.isNaN(z)) continue;
+      if (!empty(cx - 1, cy) && !empty(cx + 1, cy) && !empty(cx, cy - 1) && !empty(cx, cy + 1)) continue;
+      if (x0 === null) {
+        x0 = cx;
+        y0 = cy;
+      }
+      const x = (cx - x0) * cellSize, y = (cy - y0) * cellSize;
+      sxx += x * x; sxy += x * y; sx += x;
+      syy += y * y; sy += y; n++;
+      sxz += x * z; syz += y * z; sz += z;
+    }
+  }
+  if (n < 3) return null;
+
+  // Solve [[sxx sxy sx] [sxy syy sy] [sx sy n]] [a b c] = [sxz syz sz] by Cramer's rule
+  const det3 = (m) => m[0] * (m[4] * m[8] - m[5] * m[7]) - m[1] * (m[3] * m[8] - m[5] * m[6]) + m[2] * (m[3] * m[7] - m[4] * m[6]);
+  const m = [sxx, sxy, sx, sxy, syy, sy, sx, sy, n];
+  const det = det3(m);
+  if (Math.abs(det) < 1e-12 * Math.max(1, sxx * syy * n)) {
+    // The rim is a line (e.g. one row of cells): a level plane at its mean
+    return { a: 0, b: 0, c: sz / n };
+  }
+  const a = det3([sxz, sxy, sx, syz, syy, sy, sz, sy, n]) / det;
+  const b = det3([sxx, sxz, sx, sxy, syz, sy, sx, sz, n]) / det;
+  const c = det3([sxx, sxy, sxz, sxy, syy, syz, sx, sy, sz]) / det;
+  // Back to the grid frame, at cell centers
+  const ox = minX + (x0 + 0.5) * cellSize, oy = minY + (y0 + 0.5) * cellSize;
+  return { a, b, c: c - a * ox - b * oy };
+}
+
+// Reference elevation per cell: `reference` is { kind: 'elevation', z },
+// { kind: 'fitted' } (see fitRimPlane) or { kind: 'scan', positions }.
+// Returns { values, plane } (plane for a fitted reference), or null when a
+// fitted plane cannot be made.
+export function referenceSurface(surface, grid, reference) {
+  const { minX, minY, cellSize, nx, ny } = grid;
+  if (reference.kind === 'scan') return { values: rasterize(reference.positions, grid), plane: null };
+
+  const plane = reference.kind === 'fitted' ? fitRimPlane(surface, grid) : { a: 0, b: 0, c: reference.z };
+  if (!plane) return null;
+  const values = new Float64Array(nx * ny);
+  for (let cy = 0; cy < ny; cy++) {
+    for (let cx = 0; cx < nx; cx++) {
+      values[cy * nx + cx] = plane.a * (minX + (cx + 0.5) * cellSize) + plane.b * (minY + (cy + 0.5) * cellSize) + plane.c;
+    }
+  }
+  return { values, plane: reference.kind === 'fitted' ? plane : null };
+}
+
+// Volumes of the surface above (cut) and below (fill) the reference, over
+// the cells where both have a value. difference is surface - reference per
+// cell (NaN elsewhere); area is the area of the cells counted.
+export function cutFill(surface, reference, grid) {
+  const cellArea = grid.cellSize * grid.cellSize;
+  const difference = new Float64Array(surface.length);
+  let cut = 0, fill = 0, cells = 0;
+  for (let c = 0; c < surface.length; c++) {
+    const d = surface[c] - reference[c];
+    difference[c] = d;
+    if (Number.isNaN(d)) continue;
+    cells++;
+    if (d > 0) cut += d * cellArea;
+    else fill -= d * cellArea;
+  }
+  return { cut, fill, area: cells * cellArea, cells, difference };
+}
+
+// Whether (x, y) is inside the polygon of { x, y } points (even-odd rule)
+export function insidePolygon(x, y, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i], b = polygon[j];
+    if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
+}
@@ -0,0 +1,155 @@
+// Point colors computed from decoded attributes, and the legends that go with
+// them. Points without the attribute (e.g. an XYZ file colored by
+// classification) are drawn gray.
+
+export const ATTRIBUTE_COLOR_MODES = {
+  classification: 'Classification',
+  intensity: 'Intensity',
+  returnNumber: 'Return Number',
+  pointSourceId: 'Point Source ID'
+};
+
+// ASPRS standard classes (LAS 1.4 R15); 23-63 are reserved, 64-255 user definable
+export const ASPRS_CLASSES = {
+  0: { name: 'Never Classified', color: '#9e9e9e' },
+  1: { name: 'Unclassified', color: '#d4d4d4' },
+  2: { name: 'Ground', color: '#a0522d' },
+  3: { name: 'Low Vegetation', color: '#9acd32' },
+  4: { name: 'Medium Vegetation', color: '#32cd32' },
+  5: { name: 'High Vegetation', color: '#006400' },
+  6: { name: 'Building', color: '#ff4500' },
+  7: { name: 'Low Point (Noise)', color: '#ff00ff' },
+  8: { name: 'Model Key-point', color: '#ffd700' },
+  9: { name: 'Water', color: '#1e90ff' },
+  10: { name: 'Rail', color: '#8b4513' },
+  11: { name: 'Road Surface', color: '#696969' },
+  12: { name: 'Overlap', color: '#ffa07a' },
+  13: { name: 'Wire - Guard', color: '#f0e68c' },
+  14: { name: 'Wire - Conductor', color: '#ffff00' },
+  15: { name: 'Transmission Tower', color: '#dc143c' },
+  16: { name: 'Wire-structure Connector', color: '#ff8c00' },
+  17: { name: 'Bridge Deck', color: '#4682b4' },
+  18: { name: 'High Noise', color: '#c71585' },
+  19: { name: 'Overhead Structure', color: '#b0c4de' },
+  20: { name: 'Ignored Ground', color: '#deb887' },
+  21: { name: 'Snow', color: '#f0ffff' },
+  22: { name: 'Temporal Exclusion', color: '#708090' }
+};
+
+const RETURN_COLORS = ['#808080', '#e6194b', '#3cb44b', '#4363d8', '#ffe119', '#f58231', '#911eb4', '#46f0f0'];
+const MISSING_COLOR = 0.5;
+const INTENSITY_PERCENTILES = [2, 98];
+const MAX_LEGEND_SOURCES = 12;
+
+export function classificationName(value) {
+  return ASPRS_CLASSES[value]?.name || (value >= 64 ? `User Class ${value}` : `Reserved ${value}`);
+}
+
+export function classificationColor(value) {
+  return ASPRS_CLASSES[value]?.color || categoricalColor(value);
+}
+
+export function returnColor(value) {
+  return RETURN_COLORS[Math.min(value, RETURN_COLORS.length - 1)];
+}
+
+// Spreads ids around the hue circle so neighbouring ids get distinct colors
+export function categoricalColor(id) {
+  const hue = (id * 0.618033988749895) % 1;
+  return hslToHex(hue, 0.75, 0.55);
+}
+
+// Intensity range from the low and high percentiles of all the given arrays,
+// so a few very bright returns do not darken the rest
+export function intensityStretch(arrays) {
+  const total = arrays.reduce((sum, a) => sum + a.length, 0);
+  if (total === 0) return { min: 0, max: 1, percentiles: INTENSITY_PERCENTILES };
+
+  // A sample of at most a million values is enough for the percentiles
+  const step = Math.max(1, Math.floor(total / 1000000));
+  const sample = new Float32Array(Math.ceil(total / step) + arrays.length);
+  let n = 0;
+  for (const a of arrays) {
+    for (let i = 0; i < a.length; i += step) sample[n++] = a[i];
+  }
+  const sorted = sample.subarray(0, n).sort();
+  const at = (p) => sorted[Math.min(n - 1, Math.floor((p / 100) * n))];
+  const min = at(INTENSITY_PERCENTILES[0]);
+  const max = at(INTENSITY_PERCENTILES[1]);
+  return { min, max: max > min ? max : min + 1, percentiles: INTENSITY_PERCENTILES };
+}
+
+// RGB (0-1) per point for one of the ATTRIBUTE_COLOR_MODES
+export function attributeColors(mode, attributes, count, { stretch } = {}) {
+  const colors = new Float32Array(count * 3);
+  const values = attributes[mode];
+  if (!values) return colors.fill(MISSING_COLOR);
+
+  if (mode === 'intensity') {
+    const range = stretch.max - stretch.min;
+    for (let i = 0; i < count; i++) {
+      const t = Math.max(0, Math.min(1, (values[i] - stretch.min) / range));
+      colors[i * 3] = colors[i * 3 + 1] = colors[i * 3 + 2] = t;
+    }
+    return colors;
+  }
+
+  const colorOf = mode === 'classification' ? classificationColor
+    : mode === 'returnNumber' ? returnColor
+      : categoricalColor;
+  // Categorical values repeat a lot, so each color is parsed once
+  const lookup = new Map();
+  for (let i = 0; i < count; i++) {
+    let rgb = lookup.get(values[i]);
+    if (!rgb) {
+      rgb = hexToRGB(colorOf(values[i]));
+      lookup.set(values[i], rgb);
+    }
+    colors[i * 3] = rgb[0];
+    colors[i * 3 + 1] = rgb[1];
+    colors[i * 3 + 2] = rgb[2];
+  }
+  return colors;
+}
+
+// Legend entries for a mode over the attribute arrays of every layer drawn in
+// it: { stretch } for intensity, otherwise { entries: [{ value, label, color, count }] }
+export function attributeLegend(mode, attributeSets) {
+  const arrays = attributeSets.map(a => a[mode]).filter(Boolean);
+  if (mode === 'intensity') return { stretch: intensityStretch(arrays) };
+
+  const counts = new Map();
+  for (const values of arrays) {
+    for (let i = 0; i < values.length; i++) counts.set(values[i], (counts.get(values[i]) || 0) + 1);
+  }
+
+  let entries = [...counts.entries()].map(([value, count]) => {
+    if (mode === 'classification') return { value, label: `${value} ${classificationName(value)}`, color: classificationColor(value), count };
+    if (mode === 'returnNumber') return { value, label: value === 0 ? 'Unknown' : `Return ${value}`, color: returnColor(value), count };
+    return { value, label: `Source ${value}`, color: categoricalColor(value), count };
+  });
+
+  let more = 0;
+  if (mode === 'pointSourceId') {
+    entries.sort((a, b) => b.count - a.count);
+    more = Math.max(0, entries.length - MAX_LEGEND_SOURCES);
+    entries = entries.slice(0, MAX_LEGEND_SOURCES);
+  } else {
+    entries.sort((a, b) => a.value - b.value);
+  }
+  return { entries, more };
+}
+
+function hexToRGB(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [((value >> 16) & 0xff) / 255, ((value >> 8) & 0xff) / 255, (value & 0xff) / 255];
+}
+
+function hslToHex(h, s, l) {
+  const f = (n) => {
+    const k = (n + h * 12) % 12;
+    const c = l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(c * 255).toString(16).padStart(2, '0');
+  };
+  return `#${f(0)}${f(8)}${f(4)}`;
+}
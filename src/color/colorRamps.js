@@ -0,0 +1,134 @@
+// Color ramps for elevation coloring and the elevation statistics used to pick
+// their range. A ramp is a list of [t, hex] stops with t from 0 to 1.
+
+export const COLOR_RAMPS = {
+  rainbow: { name: 'Rainbow', stops: evenStops(['#0000ff', '#00ffff', '#00ff00', '#ffff00', '#ff0000']) },
+  viridis: {
+    name: 'Viridis',
+    stops: evenStops(['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'])
+  },
+  grayscale: { name: 'Grayscale', stops: evenStops(['#000000', '#ffffff']) },
+  terrain: {
+    name: 'Terrain',
+    stops: [[0, '#333399'], [0.15, '#0099ff'], [0.25, '#00cc66'], [0.5, '#ffff99'], [0.75, '#805c54'], [1, '#ffffff']]
+  },
+  diverging: { name: 'Diverging', stops: evenStops(['#2166ac', '#67a9cf', '#d1e5f0', '#f7f7f7', '#fddbc7', '#ef8a62', '#b2182b']) }
+};
+
+const LUT_SIZE = 256;
+const HISTOGRAM_BINS = 4096;
+
+function evenStops(colors) {
+  return colors.map((color, i) => [i / (colors.length - 1), color]);
+}
+
+// User-defined stops: comma separated colors, spread evenly ("#00f, #fff, #f00"),
+// or with positions ("0 #0000ff, 0.3 #00ff00, 1 #ff0000"). Returns null when
+// the text is not a valid ramp.
+export function parseRampStops(text) {
+  const parts = text.split(',').map(p => p.trim()).filter(Boolean);
+  if (parts.length < 2) return null;
+
+  const stops = [];
+  for (const part of parts) {
+    const match = part.match(/^(?:(-?[\d.]+)\s*:?\s+|(-?[\d.]+):)?\s*(#[0-9a-f]{3}|#[0-9a-f]{6})$/i);
+    if (!match) return null;
+    const position = match[1] ?? match[2];
+    stops.push([position === undefined ? null : parseFloat(position), expandHex(match[3])]);
+  }
+
+  const positioned = stops.filter(s => s[0] !== null).length;
+  if (positioned === 0) return evenStops(stops.map(s => s[1]));
+  if (positioned !== stops.length) return null;
+  if (stops.some(([t], i) => !(t >= 0 && t <= 1) || (i > 0 && t < stops[i - 1][0]))) return null;
+  return stops;
+}
+
+// Table of LUT_SIZE colors (RGB 0-1) sampled along the ramp
+export function rampLUT(stops) {
+  const lut = new Float32Array(LUT_SIZE * 3);
+  const rgb = stops.map(([t, hex]) => [t, hexToRGB(hex)]);
+  for (let i = 0; i < LUT_SIZE; i++) {
+    const t = i / (LUT_SIZE - 1);
+    let k = 1;
+    while (k < rgb.length - 1 && rgb[k][0] < t) k++;
+    const [t0, c0] = rgb[k - 1];
+    const [t1, c1] = rgb[k];
+    const f = t1 > t0 ? Math.max(0, Math.min(1, (t - t0) / (t1 - t0))) : 1;
+    for (let c = 0; c < 3; c++) lut[i * 3 + c] = c0[c] + (c1[c] - c0[c]) * f;
+  }
+  return lut;
+}
+
+// CSS gradient of a ramp, for the colorbar and the ramp swatches
+export function rampGradient(stops, direction = '90deg') {
+  return `linear-gradient(${direction}, ${stops.map(([t, hex]) => `${hex} ${(t * 100).toFixed(1)}%`).join(', ')})`;
+}
+
+// Colors `count` points by their z (plus `offsetZ`) between range.min and range.max
+export function elevationColors(positions, offsetZ, range, lut) {
+  const count = positions.length / 3;
+  const colors = new Float32Array(count * 3);
+  const scale = (LUT_SIZE - 1) / (range.max - range.min || 1);
+  for (let i = 0; i < count; i++) {
+    const k = Math.max(0, Math.min(LUT_SIZE - 1, Math.round((positions[i * 3 + 2] + offsetZ - range.min) * scale))) * 3;
+    colors[i * 3] = lut[k];
+    colors[i * 3 + 1] = lut[k + 1];
+    colors[i * 3 + 2] = lut[k + 2];
+  }
+  return colors;
+}
+
+// Histogram of z over several clouds ({ positions, offsetZ }) in HISTOGRAM_BINS
+// bins between the lowest and highest point
+export function elevationHistogram(clouds) {
+  let min = Infinity, max = -Infinity;
+  for (const { positions, offsetZ } of clouds) {
+    for (let i = 2; i < positions.length; i += 3) {
+      const z = positions[i] + offsetZ;
+      if (z < min) min = z;
+      if (z > max) max = z;
+    }
+  }
+  const counts = new Float64Array(HISTOGRAM_BINS);
+  if (min > max) return { min: 0, max: 0, counts, total: 0 };
+
+  const scale = HISTOGRAM_BINS / (max - min || 1);
+  let total = 0;
+  for (const { positions, offsetZ } of clouds) {
+    for (let i = 2; i < positions.length; i += 3) {
+      counts[Math.min(HISTOGRAM_BINS - 1, Math.floor((positions[i] + offsetZ - min) * scale))]++;
+      total++;
+    }
+  }
+  return { min, max, counts, total };
+}
+
+// z values below which `low` and `high` percent of the points lie
+export function histogramPercentiles(histogram, low, high) {
+  const { min, max, counts, total } = histogram;
+  const binWidth = (max - min) / counts.length;
+  const at = (percent) => {
+    const target = (percent / 100) * total;
+    let sum = 0;
+    for (let b = 0; b < counts.length; b++) {
+      if (sum + counts[b] >= target) {
+        // Interpolate within the bin
+        const f = counts[b] > 0 ? (target - sum) / counts[b] : 0;
+        return min + (b + f) * binWidth;
+      }
+      sum += counts[b];
+    }
+    return max;
+  };
+  return { min: at(low), max: at(high) };
+}
+
+function expandHex(hex) {
+  return hex.length === 4 ? `#${hex[1]}${hex[1]}${hex[2]}${hex[2]}${hex[3]}${hex[3]}`.toLowerCase() : hex.toLowerCase();
+}
+
+function hexToRGB(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [((value >> 16) & 0xff) / 255, ((value >> 8) & 0xff) / 255, (value & 0xff) / 255];
+}
@@ -0,0 +1,292 @@
+import { LAZDecoder, parseLASzipVLR, LASZIP_USER_ID, LASZIP_RECORD_ID } from './LAZDecoder';
+import { detectCRS } from './crs';
+import { placeInLocalFrame, trimAttributes, elevationColor, checkPointCount, MAX_POINTS } from './pointCloud';
+import { readString } from './binary';
+import { validateHeader, checkBounds } from './lasValidation';
+import {
+  pointFormatLayout, parseExtraBytes, createAttributeArrays, readAttributes,
+  EXTRA_BYTES_USER_ID, EXTRA_BYTES_RECORD_ID
+} from './pointAttributes';
+
+const LAZ_BATCH_SIZE = 65536;
+
+// LAS Parser: reads the CRS from the projection VLRs and converts points into
+// a local metric frame centered on the data.
+//
+// The file is fed in pieces so it can be streamed: readHeader, readVLRs and
+// readEVLRs take the matching byte ranges, then begin() allocates the typed
+// arrays, addRecords() is called for consecutive runs of point records (or
+// decodeLAZ() for compressed files) and finish() builds the result.
+export class LASParser {
+  constructor(options = {}) {
+    this.header = {};
+    this.vlrs = [];
+    // Only used when the file has no CRS of its own
+    this.crsOverride = options.crs || null;
+    this.maxPoints = options.maxPoints || MAX_POINTS;
+  }
+
+  // `buffer` holds at least the first headerSize bytes of the file
+  readHeader(buffer) {
+    const view = new DataView(buffer);
+
+    if (view.byteLength < 4) {
+      throw new Error('File is too small to be a LAS file');
+    }
+    const signature = readString(view, 0, 4);
+    if (signature !== 'LASF') {
+      throw new Error('Invalid LAS file signature: ' + signature);
+    }
+    if (view.byteLength < 227) {
+      throw new Error('File is too small to hold a LAS header');
+    }
+
+    const versionMajor = view.getUint8(24);
+    const versionMinor = view.getUint8(25);
+    const globalEncoding = view.getUint16(6, true);
+    const headerSize = view.getUint16(94, true);
+    const offsetToPointData = view.getUint32(96, true);
+    const numberOfVLRs = view.getUint32(100, true);
+    // LAZ files flag compressed point data in the top two bits of the format
+    const rawPointFormat = view.getUint8(104);
+    const compressed = (rawPointFormat & 0xc0) !== 0;
+    const pointDataRecordFormat = rawPointFormat & 0x3f;
+    const pointDataRecordLength = view.getUint16(105, true);
+    const legacyNumberOfPoints = view.getUint32(107, true);
+
+    const scaleX = view.getFloat64(131, true);
+    const scaleY = view.getFloat64(139, true);
+    const scaleZ = view.getFloat64(147, true);
+    const offsetX = view.getFloat64(155, true);
+    const offsetY = view.getFloat64(163, true);
+    const offsetZ = view.getFloat64(171, true);
+    const headerBounds = {
+      x: [view.getFloat64(187, true), view.getFloat64(179, true)],
+      y: [view.getFloat64(203, true), view.getFloat64(195, true)],
+      z: [view.getFloat64(219, true), view.getFloat64(211, true)]
+    };
+
+    let numberOfPoints = legacyNumberOfPoints;
+    let startOfFirstEVLR = 0, numberOfEVLRs = 0;
+    if (versionMajor >= 1 && versionMinor >= 4 && headerSize >= 375 && view.byteLength >= 375) {
+      const low = view.getUint32(247, true);
+      const high = view.getUint32(251, true);
+      const count64 = low + high * 0x100000000;
+      if (count64 > 0) numberOfPoints = count64;
+      startOfFirstEVLR = view.getUint32(235, true) + view.getUint32(239, true) * 0x100000000;
+      numberOfEVLRs = view.getUint32(243, true);
+    }
+
+    this.header = {
+      fileType: compressed ? 'LAZ' : 'LAS',
+      formatName: `Point format ${pointDataRecordFormat}`,
+      signature, versionMajor, versionMinor, globalEncoding, headerSize,
+      offsetToPointData, numberOfVLRs, pointDataRecordFormat, pointDataRecordLength,
+      compressed, numberOfPoints, legacyNumberOfPoints, scaleX, scaleY, scaleZ, offsetX, offsetY, offsetZ,
+      headerBounds, startOfFirstEVLR, numberOfEVLRs,
+      warnings: []
+    };
+    return this.header;
+  }
+
+  // Throws for headers whose points cannot be read and collects warnings for
+  // the rest
+  validateHeader(fileSize) {
+    this.header.warnings.push(...validateHeader(this.header, fileSize));
+  }
+
+  // `buffer` holds the bytes between the header and the point data
+  readVLRs(buffer) {
+    const view = new DataView(buffer);
+    let offset = 0;
+
+    for (let i = 0; i < this.header.numberOfVLRs; i++) {
+      if (offset + 54 > view.byteLength) {
+        this.header.warnings.push(`Only ${i} of ${this.header.numberOfVLRs} VLRs fit before the point data`);
+        break;
+      }
+      const length = Math.min(view.getUint16(offset + 20, true), view.byteLength - offset - 54);
+      this.vlrs.push({
+        userId: readString(view, offset + 2, 16),
+        recordId: view.getUint16(offset + 18, true),
+        description: readString(view, offset + 22, 32),
+        data: new DataView(buffer, offset + 54, length),
+        length
+      });
+      offset += 54 + length;
+    }
+  }
+
+  // LAS 1.4 extended VLRs follow the point data (WKT is often stored there).
+  // `buffer` starts at startOfFirstEVLR.
+  readEVLRs(buffer) {
+    const view = new DataView(buffer);
+    let offset = 0;
+
+    for (let i = 0; i < this.header.numberOfEVLRs; i++) {
+      if (offset + 60 > view.byteLength) {
+        this.header.warnings.push(`Only ${i} of ${this.header.numberOfEVLRs} extended VLRs fit in the file`);
+        break;
+      }
+      const fullLength = view.getUint32(offset + 20, true) + view.getUint32(offset + 24, true) * 0x100000000;
+      const length = Math.min(fullLength, view.byteLength - offset - 60);
+      this.vlrs.push({
+        userId: readString(view, offset + 2, 16),
+        recordId: view.getUint16(offset + 18, true),
+        description: readString(view, offset + 28, 32),
+        data: new DataView(buffer, offset + 60, length),
+        length,
+        extended: true
+      });
+      offset += 60 + fullLength;
+    }
+  }
+
+  findVLR(userId, recordId) {
+    return this.vlrs.find(v => v.userId === userId && v.recordId === recordId);
+  }
+
+  // Allocates the output arrays for every record; files above maxPoints are refused
+  begin() {
+    const h = this.header;
+    this.crs = detectCRS(this.vlrs);
+    this.layout = pointFormatLayout(h.pointDataRecordFormat);
+
+    // Extra Bytes fields must fit in the record after the standard attributes
+    const extraVLR = this.findVLR(EXTRA_BYTES_USER_ID, EXTRA_BYTES_RECORD_ID);
+    this.extraFields = extraVLR
+      ? parseExtraBytes(extraVLR, this.layout.baseLength).filter(f => f.offset + f.size <= h.pointDataRecordLength)
+      : [];
+
+    checkPointCount(h.numberOfPoints, this.maxPoints);
+    this.capacity = h.numberOfPoints;
+    this.count = 0;
+    this.raw = new Int32Array(this.capacity * 3);
+    this.rgb = this.layout.rgbOffset !== null ? new Uint16Array(this.capacity * 3) : null;
+    this.attributes = createAttributeArrays(this.capacity, this.layout, this.extraFields);
+    this.rawMin = [Infinity, Infinity, Infinity];
+    this.rawMax = [-Infinity, -Infinity, -Infinity];
+  }
+
+  // Adds `count` consecutive records starting at `offset` in `view`; the first
+  // one is record number `firstIndex` of the file
+  addRecords(view, offset, firstIndex, count) {
+    const recordLen = this.header.pointDataRecordLength;
+    const { layout, raw, rgb, attributes, extraFields, rawMin, rawMax } = this;
+
+    for (let i = firstIndex; i < firstIndex + count; i++) {
+      const o = offset + (i - firstIndex) * recordLen;
+      if (i >= this.capacity || o + layout.baseLength > view.byteLength) break;
+
+      for (let a = 0; a < 3; a++) {
+        const v = view.getInt32(o + a * 4, true);
+        raw[i * 3 + a] = v;
+        if (v < rawMin[a]) rawMin[a] = v;
+        if (v > rawMax[a]) rawMax[a] = v;
+      }
+
+      if (rgb && o + layout.rgbOffset + 6 <= view.byteLength) {
+        rgb[i * 3] = view.getUint16(o + layout.rgbOffset, true);
+        rgb[i * 3 + 1] = view.getUint16(o + layout.rgbOffset + 2, true);
+        rgb[i * 3 + 2] = view.getUint16(o + layout.rgbOffset + 4, true);
+      }
+
+      readAttributes(view, o, i, layout, attributes, extraFields);
+      this.count = i + 1;
+    }
+  }
+
+  // Decompresses the point data of a LAZ file. `buffer` is the whole file;
+  // onProgress(decoded, total) is called after every batch.
+  decodeLAZ(buffer, onProgress) {
+    const h = this.header;
+    const vlr = this.findVLR(LASZIP_USER_ID, LASZIP_RECORD_ID);
+    if (!vlr) {
+      throw new Error('LAZ file has no LASzip VLR describing its compression');
+    }
+
+    const recordLen = h.pointDataRecordLength;
+    const decoder = new LAZDecoder(buffer, h, parseLASzipVLR(vlr.data, 0));
+    const batch = new DataView(new ArrayBuffer(LAZ_BATCH_SIZE * recordLen));
+
+    for (let first = 0; first < h.numberOfPoints; first += LAZ_BATCH_SIZE) {
+      const count = Math.min(LAZ_BATCH_SIZE, h.numberOfPoints - first);
+      let j = 0;
+      try {
+        for (; j < count; j++) decoder.readPoint(batch, j * recordLen);
+      } catch (err) {
+        // A truncated file keeps the points decoded before the damage
+        if (first + j === 0) throw err;
+        this.addRecords(batch, 0, first, j);
+        h.warnings.push(
+          `${err.message}: decoded ${(first + j).toLocaleString()} of ${h.numberOfPoints.toLocaleString()} points`
+        );
+        break;
+      }
+      this.addRecords(batch, 0, first, count);
+      if (onProgress) onProgress(first + count, h.numberOfPoints);
+    }
+  }
+
+  finish() {
+    const h = this.header;
+    const n = this.count;
+    const { raw, rgb, rawMin, rawMax } = this;
+    const scales = [h.scaleX, h.scaleY, h.scaleZ];
+    const offsets = [h.offsetX, h.offsetY, h.offsetZ];
+
+    // Bounds in file coordinates (a negative scale flips min and max)
+    const range = (a) => {
+      if (n === 0) return [0, 0];
+      const lo = rawMin[a] * scales[a] + offsets[a];
+      const hi = rawMax[a] * scales[a] + offsets[a];
+      return lo <= hi ? [lo, hi] : [hi, lo];
+    };
+    const bounds = { x: range(0), y: range(1), z: range(2) };
+
+    if (n > 0) h.warnings.push(...checkBounds(h, bounds));
+
+    h.loadedPoints = n;
+    const scale = placeInLocalFrame(h, bounds, this.crs, this.crsOverride);
+    const { center } = h;
+
+    const positions = new Float32Array(n * 3);
+    const colors = new Float32Array(n * 3);
+    const minZ = bounds.z[0];
+    const zRange = bounds.z[1] - minZ || 1;
+
+    for (let i = 0; i < n; i++) {
+      const idx = i * 3;
+      const x = raw[idx] * h.scaleX + h.offsetX;
+      const y = raw[idx + 1] * h.scaleY + h.offsetY;
+      const z = raw[idx + 2] * h.scaleZ + h.offsetZ;
+
+      positions[idx] = (x - center.x) * scale.x;
+      positions[idx + 1] = (y - center.y) * scale.y;
+      positions[idx + 2] = (z - center.z) * scale.z;
+
+      let r = 0, g = 0, b = 0;
+      if (rgb) {
+        const red = rgb[idx], green = rgb[idx + 1], blue = rgb[idx + 2];
+        if (red > 255 || green > 255 || blue > 255) {
+          r = red / 65535; g = green / 65535; b = blue / 65535;
+        } else {
+          r = red / 255; g = green / 255; b = blue / 255;
+        }
+      }
+
+      if (r === 0 && g === 0 && b === 0) {
+        const c = elevationColor((z - minZ) / zRange);
+        r = c.r; g = c.g; b = c.b;
+      }
+
+      colors[idx] = r;
+      colors[idx + 1] = g;
+      colors[idx + 2] = b;
+    }
+
+    // The record integers are kept so the inspector can show the exact coordinates
+    const attributes = trimAttributes({ ...this.attributes, rgb, xyz: raw }, n);
+    return { header: h, points: { positions, colors, attributes } };
+  }
+}
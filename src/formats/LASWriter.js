@@ -0,0 +1,150 @@
+import { LASParser } from './LASParser';
+import { LAZDecoder, parseLASzipVLR, LASZIP_USER_ID, LASZIP_RECORD_ID } from './LAZDecoder';
+import { readWhole } from './binary';
+
+// Writes a subset of the records of a LAS/LAZ file to a new, uncompressed LAS
+// file. Header fields, scale/offset, VLRs, EVLRs and the record bytes are
+// copied as they are; point counts, bounds and data offsets are updated. LAZ
+// input loses its LASzip VLR and compression flag.
+
+const SLICE_BYTES = 16 * 1024 * 1024;
+const LAZ_BATCH_SIZE = 65536;
+
+// `recordIndices` lists the record numbers to keep in ascending order
+export async function writeLASSubset(file, recordIndices, onProgress) {
+  const read = (start, end) => file.slice(start, end).arrayBuffer();
+  const parser = new LASParser();
+  const h = parser.readHeader(await read(0, 375));
+  const header = new Uint8Array(await read(0, h.headerSize));
+  const vlrBytes = new Uint8Array(await read(h.headerSize, h.offsetToPointData));
+  parser.readVLRs(vlrBytes.buffer);
+
+  const recordLen = h.pointDataRecordLength;
+  const n = recordIndices.length;
+  const records = new Uint8Array(n * recordLen);
+
+  let vlrBlock = vlrBytes;
+  let numberOfVLRs = h.numberOfVLRs;
+
+  if (h.compressed) {
+    // The VLRs are kept without the LASzip one, along with any bytes after the last VLR
+    const laszip = parser.findVLR(LASZIP_USER_ID, LASZIP_RECORD_ID);
+    if (!laszip) throw new Error('LAZ file has no LASzip VLR describing its compression');
+    const vlrEnd = Math.max(0, ...parser.vlrs.map(v => v.data.byteOffset + v.length));
+    const parts = parser.vlrs
+      .filter(v => v !== laszip)
+      .map(v => vlrBytes.subarray(v.data.byteOffset - 54, v.data.byteOffset + v.length));
+    parts.push(vlrBytes.subarray(vlrEnd));
+    vlrBlock = concat(parts);
+    numberOfVLRs--;
+
+    const buffer = await readWhole(file, onProgress || (() => {}));
+    const decoder = new LAZDecoder(buffer, h, parseLASzipVLR(laszip.data, 0));
+    const out = new DataView(records.buffer);
+    const scratch = new DataView(new ArrayBuffer(recordLen));
+    const last = n > 0 ? recordIndices[n - 1] : -1;
+
+    for (let i = 0, p = 0; i <= last; i++) {
+      if (i === recordIndices[p]) {
+        decoder.readPoint(out, p * recordLen);
+        p++;
+      } else {
+        decoder.readPoint(scratch, 0);
+      }
+      if (onProgress && i % LAZ_BATCH_SIZE === LAZ_BATCH_SIZE - 1) {
+        onProgress({ phase: 'decompressing', percent: last > 0 ? (i / last) * 100 : 100 });
+      }
+    }
+  } else {
+    const recordsPerSlice = Math.max(1, Math.floor(SLICE_BYTES / recordLen));
+    let p = 0;
+    while (p < n) {
+      const first = recordIndices[p];
+      const count = Math.min(recordsPerSlice, h.numberOfPoints - first);
+      const slice = new Uint8Array(await read(h.offsetToPointData + first * recordLen, h.offsetToPointData + (first + count) * recordLen));
+      while (p < n && recordIndices[p] < first + count) {
+        const o = (recordIndices[p] - first) * recordLen;
+        if (o + recordLen > slice.length) throw new Error('File ends before the last point record');
+        records.set(slice.subarray(o, o + recordLen), p * recordLen);
+        p++;
+      }
+      if (onProgress) onProgress({ phase: 'reading', percent: (p / n) * 100 });
+    }
+  }
+
+  const evlrs = h.numberOfEVLRs > 0 && h.startOfFirstEVLR > 0
+    ? new Uint8Array(await read(h.startOfFirstEVLR, file.size))
+    : new Uint8Array(0);
+
+  const offsetToPointData = h.headerSize + vlrBlock.length;
+  updateHeader(new DataView(header.buffer), h, records, {
+    offsetToPointData,
+    numberOfVLRs,
+    startOfFirstEVLR: evlrs.length > 0 ? offsetToPointData + records.length : 0
+  });
+
+  return new Blob([header, vlrBlock, records, evlrs], { type: 'application/octet-stream' });
+}
+
+function updateHeader(view, h, records, { offsetToPointData, numberOfVLRs, startOfFirstEVLR }) {
+  const recordLen = h.pointDataRecordLength;
+  const n = records.length / recordLen;
+  const extended = h.pointDataRecordFormat >= 6;
+  const points = new DataView(records.buffer);
+
+  const byReturn = new Array(15).fill(0);
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  const scales = [h.scaleX, h.scaleY, h.scaleZ];
+  const offsets = [h.offsetX, h.offsetY, h.offsetZ];
+
+  for (let i = 0; i < n; i++) {
+    const o = i * recordLen;
+    for (let a = 0; a < 3; a++) {
+      const v = points.getInt32(o + a * 4, true) * scales[a] + offsets[a];
+      if (v < min[a]) min[a] = v;
+      if (v > max[a]) max[a] = v;
+    }
+    const returnNumber = points.getUint8(o + 14) & (extended ? 0x0f : 0x07);
+    if (returnNumber >= 1 && returnNumber <= 15) byReturn[returnNumber - 1]++;
+  }
+  if (n === 0) {
+    min.fill(0);
+    max.fill(0);
+  }
+
+  view.setUint32(96, offsetToPointData, true);
+  view.setUint32(100, numberOfVLRs, true);
+  view.setUint8(104, h.pointDataRecordFormat);
+
+  // Legacy counts stay zero for the LAS 1.4 point formats
+  const legacy = !extended && n <= 0xffffffff;
+  view.setUint32(107, legacy ? n : 0, true);
+  for (let r = 0; r < 5; r++) view.setUint32(111 + r * 4, legacy ? byReturn[r] : 0, true);
+
+  for (let a = 0; a < 3; a++) {
+    view.setFloat64(179 + a * 16, max[a], true);
+    view.setFloat64(187 + a * 16, min[a], true);
+  }
+
+  if (h.versionMinor >= 4 && view.byteLength >= 375) {
+    setUint64(view, 235, startOfFirstEVLR);
+    setUint64(view, 247, n);
+    for (let r = 0; r < 15; r++) setUint64(view, 255 + r * 8, byReturn[r]);
+  }
+}
+
+function setUint64(view, offset, value) {
+  view.setUint32(offset, value % 0x100000000, true);
+  view.setUint32(offset + 4, Math.floor(value / 0x100000000), true);
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  for (const p of parts) {
+    out.set(p, offset);
+    offset += p.length;
+  }
+  return out;
+}
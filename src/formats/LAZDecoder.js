@@ -0,0 +1,1507 @@
+// LAZ (LASzip) decompressor in plain JS, so compressed files can be read
+// locally without a WASM build. Follows the reference LASzip implementation:
+// pointwise chunked compression (item version 2) for point formats 0-5 and
+// layered chunked compression (item version 3) for the LAS 1.4 formats 6-10.
+
+const AC_MIN_LENGTH = 0x01000000;
+const AC_MAX_LENGTH = 0xffffffff;
+const BM_LENGTH_SHIFT = 13;
+const BM_MAX_COUNT = 1 << BM_LENGTH_SHIFT;
+const DM_LENGTH_SHIFT = 15;
+const DM_MAX_COUNT = 1 << DM_LENGTH_SHIFT;
+
+const COMPRESSOR_NONE = 0;
+const COMPRESSOR_POINTWISE = 1;
+const COMPRESSOR_POINTWISE_CHUNKED = 2;
+const COMPRESSOR_LAYERED_CHUNKED = 3;
+
+const ITEM_BYTE = 0;
+const ITEM_POINT10 = 6;
+const ITEM_GPSTIME11 = 7;
+const ITEM_RGB12 = 8;
+const ITEM_WAVEPACKET13 = 9;
+const ITEM_POINT14 = 10;
+const ITEM_RGB14 = 11;
+const ITEM_RGBNIR14 = 12;
+const ITEM_WAVEPACKET14 = 13;
+const ITEM_BYTE14 = 14;
+
+const GPSTIME_MULTI = 500;
+const GPSTIME_MULTI_MINUS = -10;
+
+const U32_MAX = 0xffffffff;
+
+export const LASZIP_USER_ID = 'laszip encoded';
+export const LASZIP_RECORD_ID = 22204;
+
+// Context tables for point formats 0-5, indexed by [number of returns][return number]
+const NUMBER_RETURN_MAP = [
+  [15, 14, 13, 12, 11, 10, 9, 8],
+  [14, 0, 1, 3, 6, 10, 10, 9],
+  [13, 1, 2, 4, 7, 11, 11, 10],
+  [12, 3, 4, 5, 8, 12, 12, 11],
+  [11, 6, 7, 8, 9, 13, 13, 12],
+  [10, 10, 11, 12, 13, 14, 14, 13],
+  [9, 10, 11, 12, 13, 14, 15, 14],
+  [8, 9, 10, 11, 12, 13, 14, 15],
+];
+
+const NUMBER_RETURN_LEVEL = [
+  [0, 1, 2, 3, 4, 5, 6, 7],
+  [1, 0, 1, 2, 3, 4, 5, 6],
+  [2, 1, 0, 1, 2, 3, 4, 5],
+  [3, 2, 1, 0, 1, 2, 3, 4],
+  [4, 3, 2, 1, 0, 1, 2, 3],
+  [5, 4, 3, 2, 1, 0, 1, 2],
+  [6, 5, 4, 3, 2, 1, 0, 1],
+  [7, 6, 5, 4, 3, 2, 1, 0],
+];
+
+// Context tables for the LAS 1.4 formats, with up to 15 returns per pulse
+const NUMBER_RETURN_MAP_6CTX = [
+  [0, 1, 2, 3, 4, 5, 3, 4, 4, 5, 5, 5, 5, 5, 5, 5],
+  [1, 0, 1, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3],
+  [2, 1, 2, 4, 4, 4, 4, 4, 4, 4, 4, 3, 3, 3, 3, 3],
+  [3, 3, 4, 5, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4],
+  [4, 3, 4, 4, 5, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4],
+  [5, 3, 4, 4, 4, 5, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4],
+  [3, 3, 4, 4, 4, 4, 5, 4, 4, 4, 4, 4, 4, 4, 4, 4],
+  [4, 3, 4, 4, 4, 4, 4, 5, 4, 4, 4, 4, 4, 4, 4, 4],
+  [4, 3, 4, 4, 4, 4, 4, 4, 5, 4, 4, 4, 4, 4, 4, 4],
+  [5, 3, 4, 4, 4, 4, 4, 4, 4, 5, 4, 4, 4, 4, 4, 4],
+  [5, 3, 4, 4, 4, 4, 4, 4, 4, 4, 5, 4, 4, 4, 4, 4],
+  [5, 3, 3, 4, 4, 4, 4, 4, 4, 4, 4, 5, 5, 4, 4, 4],
+  [5, 3, 3, 4, 4, 4, 4, 4, 4, 4, 4, 5, 5, 5, 4, 4],
+  [5, 3, 3, 4, 4, 4, 4, 4, 4, 4, 4, 4, 5, 5, 5, 4],
+  [5, 3, 3, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 5, 5, 5],
+  [5, 3, 3, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 5, 5],
+];
+
+const NUMBER_RETURN_LEVEL_8CTX = Array.from({ length: 16 }, (_, n) =>
+  Array.from({ length: 16 }, (_, r) => Math.min(Math.abs(n - r), 7))
+);
+
+const u8Fold = (n) => (n < 0 ? n + 256 : n > 255 ? n - 256 : n);
+const u8Clamp = (n) => (n <= 0 ? 0 : n >= 255 ? 255 : n);
+const zeroBit0 = (n) => n & ~1;
+
+// 64-bit values (GPS time bits, waveform offsets) are kept as uint32 hi/lo pairs
+function add64(pair, diff) {
+  const sum = pair.lo + diff;
+  pair.lo = sum >>> 0;
+  pair.hi = (pair.hi + Math.floor(sum / 4294967296)) >>> 0;
+}
+
+class ArithmeticModel {
+  constructor(symbols) {
+    this.symbols = symbols;
+    this.distribution = null;
+  }
+
+  init() {
+    if (!this.distribution) {
+      this.distribution = new Uint32Array(this.symbols);
+      this.symbolCount = new Uint32Array(this.symbols);
+      this.lastSymbol = this.symbols - 1;
+    }
+    this.totalCount = 0;
+    this.updateCycle = this.symbols;
+    this.symbolCount.fill(1);
+    this.update();
+    this.symbolsUntilUpdate = this.updateCycle = (this.symbols + 6) >>> 1;
+  }
+
+  update() {
+    // Halve counts when a threshold is reached
+    if ((this.totalCount += this.updateCycle) > DM_MAX_COUNT) {
+      this.totalCount = 0;
+      for (let n = 0; n < this.symbols; n++) {
+        this.totalCount += (this.symbolCount[n] = (this.symbolCount[n] + 1) >>> 1);
+      }
+    }
+
+    const scale = Math.floor(0x80000000 / this.totalCount);
+    let sum = 0;
+    for (let k = 0; k < this.symbols; k++) {
+      this.distribution[k] = (scale * sum) >>> (31 - DM_LENGTH_SHIFT);
+      sum += this.symbolCount[k];
+    }
+
+    this.updateCycle = (5 * this.updateCycle) >>> 2;
+    const maxCycle = (this.symbols + 6) << 3;
+    if (this.updateCycle > maxCycle) this.updateCycle = maxCycle;
+    this.symbolsUntilUpdate = this.updateCycle;
+  }
+}
+
+class ArithmeticBitModel {
+  init() {
+    this.bit0Count = 1;
+    this.bitCount = 2;
+    this.bit0Prob = 1 << (BM_LENGTH_SHIFT - 1);
+    this.updateCycle = this.bitsUntilUpdate = 4;
+  }
+
+  update() {
+    if ((this.bitCount += this.updateCycle) > BM_MAX_COUNT) {
+      this.bitCount = (this.bitCount + 1) >>> 1;
+      this.bit0Count = (this.bit0Count + 1) >>> 1;
+      if (this.bit0Count === this.bitCount) ++this.bitCount;
+    }
+
+    const scale = Math.floor(0x80000000 / this.bitCount);
+    this.bit0Prob = (this.bit0Count * scale) >>> (31 - BM_LENGTH_SHIFT);
+
+    this.updateCycle = (5 * this.updateCycle) >>> 2;
+    if (this.updateCycle > 64) this.updateCycle = 64;
+    this.bitsUntilUpdate = this.updateCycle;
+  }
+}
+
+// Reads from a byte range of the file. Past the end it yields zeros, matching
+// the padding LASzip writes after each arithmetic-coded stream.
+class ArithmeticDecoder {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.pos = 0;
+    this.end = 0;
+    this.overrun = 0;
+  }
+
+  // Point the decoder at [start, end) and, unless only the stream is handed
+  // over (layered compression), read the initial 4-byte value
+  init(start, end, readValue = true) {
+    this.pos = start;
+    this.end = end;
+    this.overrun = 0;
+    this.length = AC_MAX_LENGTH;
+    this.value = 0;
+    if (readValue) {
+      this.value = (
+        (this.getByte() << 24) | (this.getByte() << 16) | (this.getByte() << 8) | this.getByte()
+      ) >>> 0;
+    }
+  }
+
+  getByte() {
+    if (this.pos < this.end) return this.bytes[this.pos++];
+    this.overrun++;
+    return 0;
+  }
+
+  decodeBit(m) {
+    const x = m.bit0Prob * (this.length >>> BM_LENGTH_SHIFT);
+    let sym;
+    if (this.value < x) {
+      sym = 0;
+      this.length = x;
+      ++m.bit0Count;
+    } else {
+      sym = 1;
+      this.value -= x;
+      this.length -= x;
+    }
+    if (this.length < AC_MIN_LENGTH) this.renormalize();
+    if (--m.bitsUntilUpdate === 0) m.update();
+    return sym;
+  }
+
+  decodeSymbol(m) {
+    const dist = m.distribution;
+    const length = this.length >>> DM_LENGTH_SHIFT;
+    let sym = 0;
+    let n = m.symbols;
+    let x = 0;
+    let y = this.length;
+    let k = n >>> 1;
+
+    // Bisection search for the symbol interval containing the value
+    do {
+      const z = length * dist[k];
+      if (z > this.value) {
+        n = k;
+        y = z;
+      } else {
+        sym = k;
+        x = z;
+      }
+    } while ((k = (sym + n) >>> 1) !== sym);
+
+    this.value -= x;
+    this.length = y - x;
+    if (this.length < AC_MIN_LENGTH) this.renormalize();
+
+    ++m.symbolCount[sym];
+    if (--m.symbolsUntilUpdate === 0) m.update();
+    return sym;
+  }
+
+  readBits(bits) {
+    if (bits > 19) {
+      const low = this.readShort();
+      const high = this.readBits(bits - 16);
+      return ((high << 16) | low) >>> 0;
+    }
+    this.length = this.length >>> bits;
+    const sym = Math.floor(this.value / this.length);
+    this.value -= this.length * sym;
+    if (this.length < AC_MIN_LENGTH) this.renormalize();
+    if (sym >= 2 ** bits) throw new Error('Corrupt LAZ data (raw bits out of range)');
+    return sym;
+  }
+
+  readShort() {
+    this.length = this.length >>> 16;
+    const sym = Math.floor(this.value / this.length);
+    this.value -= this.length * sym;
+    if (this.length < AC_MIN_LENGTH) this.renormalize();
+    return sym & 0xffff;
+  }
+
+  readInt() {
+    const low = this.readShort();
+    const high = this.readShort();
+    return ((high << 16) | low) >>> 0;
+  }
+
+  renormalize() {
+    do {
+      this.value = ((this.value << 8) | this.getByte()) >>> 0;
+      this.length = (this.length << 8) >>> 0;
+    } while (this.length < AC_MIN_LENGTH);
+  }
+}
+
+// Decodes integers as a prediction plus an arithmetic-coded corrector
+class IntegerDecompressor {
+  constructor(dec, bits = 16, contexts = 1, bitsHigh = 8, range = 0) {
+    this.dec = dec;
+    this.contexts = contexts;
+    this.bitsHigh = bitsHigh;
+
+    if (range) {
+      this.corrBits = 0;
+      this.corrRange = range;
+      while (range) {
+        range = range >>> 1;
+        this.corrBits++;
+      }
+      if (this.corrRange === 2 ** (this.corrBits - 1)) this.corrBits--;
+      this.corrMin = -Math.floor(this.corrRange / 2);
+    } else if (bits && bits < 32) {
+      this.corrBits = bits;
+      this.corrRange = 2 ** bits;
+      this.corrMin = -Math.floor(this.corrRange / 2);
+    } else {
+      this.corrBits = 32;
+      this.corrRange = 0;
+      this.corrMin = -0x80000000;
+    }
+
+    this.k = 0;
+    this.mBits = null;
+    this.mCorrector = null;
+  }
+
+  init() {
+    if (!this.mBits) {
+      this.mBits = [];
+      for (let i = 0; i < this.contexts; i++) {
+        this.mBits.push(new ArithmeticModel(this.corrBits + 1));
+      }
+      this.mCorrector = [new ArithmeticBitModel()];
+      for (let i = 1; i <= this.corrBits; i++) {
+        this.mCorrector.push(new ArithmeticModel(i <= this.bitsHigh ? 1 << i : 1 << this.bitsHigh));
+      }
+    }
+    for (let i = 0; i < this.contexts; i++) this.mBits[i].init();
+    for (let i = 0; i <= this.corrBits; i++) this.mCorrector[i].init();
+  }
+
+  decompress(pred, context = 0) {
+    let real = (pred + this.readCorrector(this.mBits[context])) | 0;
+    if (real < 0) real += this.corrRange;
+    else if (real >= this.corrRange && this.corrRange) real -= this.corrRange;
+    return real;
+  }
+
+  readCorrector(mBits) {
+    const dec = this.dec;
+    let c;
+    const k = this.k = dec.decodeSymbol(mBits);
+
+    if (k) {
+      if (k < 32) {
+        if (k <= this.bitsHigh) {
+          c = dec.decodeSymbol(this.mCorrector[k]);
+        } else {
+          // Higher bits come from the model, the lower k1 bits are raw
+          const k1 = k - this.bitsHigh;
+          c = dec.decodeSymbol(this.mCorrector[k]);
+          const c1 = dec.readBits(k1);
+          c = c * 2 ** k1 + c1;
+        }
+        // Translate c back into its correct interval
+        if (c >= 2 ** (k - 1)) {
+          c += 1;
+        } else {
+          c -= 2 ** k - 1;
+        }
+      } else {
+        c = this.corrMin;
+      }
+    } else {
+      c = dec.decodeBit(this.mCorrector[0]);
+    }
+    return c;
+  }
+}
+
+// Running median of the last five values, used to predict coordinate deltas
+class StreamingMedian5 {
+  constructor() {
+    this.values = new Int32Array(5);
+    this.high = true;
+  }
+
+  init() {
+    this.values.fill(0);
+    this.high = true;
+  }
+
+  add(v) {
+    const values = this.values;
+    if (this.high) {
+      if (v < values[2]) {
+        values[4] = values[3];
+        values[3] = values[2];
+        if (v < values[0]) {
+          values[2] = values[1];
+          values[1] = values[0];
+          values[0] = v;
+        } else if (v < values[1]) {
+          values[2] = values[1];
+          values[1] = v;
+        } else {
+          values[2] = v;
+        }
+      } else {
+        if (v < values[3]) {
+          values[4] = values[3];
+          values[3] = v;
+        } else {
+          values[4] = v;
+        }
+        this.high = false;
+      }
+    } else {
+      if (values[2] < v) {
+        values[0] = values[1];
+        values[1] = values[2];
+        if (values[4] < v) {
+          values[2] = values[3];
+          values[3] = values[4];
+          values[4] = v;
+        } else if (values[3] < v) {
+          values[2] = values[3];
+          values[3] = v;
+        } else {
+          values[2] = v;
+        }
+      } else {
+        if (values[1] < v) {
+          values[0] = values[1];
+          values[1] = v;
+        } else {
+          values[0] = v;
+        }
+        this.high = true;
+      }
+    }
+  }
+
+  get() {
+    return this.values[2];
+  }
+}
+
+function createModels(count, symbols) {
+  return Array.from({ length: count }, () => new ArithmeticModel(symbols));
+}
+
+function lazyModel(models, index, symbols) {
+  let m = models[index];
+  if (!m) {
+    m = models[index] = new ArithmeticModel(symbols);
+    m.init();
+  }
+  return m;
+}
+
+// Shared RGB delta coding used by RGB12 (v2), RGB14 and RGBNIR14 (v3).
+// `last` holds the previous red/green/blue as a Uint16Array.
+function decodeRGB(dec, models, last, out) {
+  const sym = dec.decodeSymbol(models.byteUsed);
+  let r, g, b;
+
+  if (sym & 1) r = u8Fold(dec.decodeSymbol(models.diff[0]) + (last[0] & 0xff));
+  else r = last[0] & 0xff;
+  if (sym & 2) r |= u8Fold(dec.decodeSymbol(models.diff[1]) + (last[0] >>> 8)) << 8;
+  else r |= last[0] & 0xff00;
+
+  if (sym & (1 << 6)) {
+    let diff = (r & 0xff) - (last[0] & 0xff);
+    if (sym & (1 << 2)) g = u8Fold(dec.decodeSymbol(models.diff[2]) + u8Clamp(diff + (last[1] & 0xff)));
+    else g = last[1] & 0xff;
+    if (sym & (1 << 4)) {
+      diff = Math.trunc((diff + ((g & 0xff) - (last[1] & 0xff))) / 2);
+      b = u8Fold(dec.decodeSymbol(models.diff[4]) + u8Clamp(diff + (last[2] & 0xff)));
+    } else {
+      b = last[2] & 0xff;
+    }
+
+    diff = (r >>> 8) - (last[0] >>> 8);
+    if (sym & (1 << 3)) g |= u8Fold(dec.decodeSymbol(models.diff[3]) + u8Clamp(diff + (last[1] >>> 8))) << 8;
+    else g |= last[1] & 0xff00;
+    if (sym & (1 << 5)) {
+      diff = Math.trunc((diff + ((g >>> 8) - (last[1] >>> 8))) / 2);
+      b |= u8Fold(dec.decodeSymbol(models.diff[5]) + u8Clamp(diff + (last[2] >>> 8))) << 8;
+    } else {
+      b |= last[2] & 0xff00;
+    }
+  } else {
+    g = r;
+    b = r;
+  }
+
+  out[0] = r;
+  out[1] = g;
+  out[2] = b;
+}
+
+function createRGBModels() {
+  return { byteUsed: new ArithmeticModel(128), diff: createModels(6, 256) };
+}
+
+function initRGBModels(models) {
+  models.byteUsed.init();
+  models.diff.forEach((m) => m.init());
+}
+
+// Multi-sequence GPS time coding shared by GPSTIME11 (v2) and POINT14 (v3).
+// v2 reserves an extra "unchanged" code that v3 signals through the point flags.
+function decodeGpsTime(dec, state, v3) {
+  const codeFull = v3 ? GPSTIME_MULTI - GPSTIME_MULTI_MINUS + 1 : GPSTIME_MULTI - GPSTIME_MULTI_MINUS + 2;
+  const unchanged = v3 ? codeFull : GPSTIME_MULTI - GPSTIME_MULTI_MINUS + 1;
+  const ic = state.icGpsTime;
+
+  for (;;) {
+    const last = state.last;
+    let multi;
+
+    if (state.lastGpsTimeDiff[last] === 0) {
+      multi = dec.decodeSymbol(state.mGpsTime0Diff);
+      if (!v3) multi -= 1; // v2 uses symbol 0 for "unchanged"
+      if (multi === -1) return;
+
+      if (multi === 0) {
+        state.lastGpsTimeDiff[last] = ic.decompress(0, 0);
+        add64(state.lastGpsTime[last], state.lastGpsTimeDiff[last]);
+        state.multiExtremeCounter[last] = 0;
+      } else if (multi === 1) {
+        readFullGpsTime(dec, state);
+      } else {
+        state.last = (last + multi - 1) & 3;
+        continue;
+      }
+      return;
+    }
+
+    multi = dec.decodeSymbol(state.mGpsTimeMulti);
+    if (multi === 1) {
+      add64(state.lastGpsTime[last], ic.decompress(state.lastGpsTimeDiff[last], 1));
+      state.multiExtremeCounter[last] = 0;
+    } else if (multi < unchanged) {
+      let gpsTimeDiff;
+      if (multi === 0) {
+        gpsTimeDiff = ic.decompress(0, 7);
+        state.multiExtremeCounter[last]++;
+        if (state.multiExtremeCounter[last] > 3) {
+          state.lastGpsTimeDiff[last] = gpsTimeDiff;
+          state.multiExtremeCounter[last] = 0;
+        }
+      } else if (multi < GPSTIME_MULTI) {
+        gpsTimeDiff = ic.decompress(Math.imul(multi, state.lastGpsTimeDiff[last]), multi < 10 ? 2 : 3);
+      } else if (multi === GPSTIME_MULTI) {
+        gpsTimeDiff = ic.decompress(Math.imul(GPSTIME_MULTI, state.lastGpsTimeDiff[last]), 4);
+        state.multiExtremeCounter[last]++;
+        if (state.multiExtremeCounter[last] > 3) {
+          state.lastGpsTimeDiff[last] = gpsTimeDiff;
+          state.multiExtremeCounter[last] = 0;
+        }
+      } else {
+        multi = GPSTIME_MULTI - multi;
+        if (multi > GPSTIME_MULTI_MINUS) {
+          gpsTimeDiff = ic.decompress(Math.imul(multi, state.lastGpsTimeDiff[last]), 5);
+        } else {
+          gpsTimeDiff = ic.decompress(Math.imul(GPSTIME_MULTI_MINUS, state.lastGpsTimeDiff[last]), 6);
+          state.multiExtremeCounter[last]++;
+          if (state.multiExtremeCounter[last] > 3) {
+            state.lastGpsTimeDiff[last] = gpsTimeDiff;
+            state.multiExtremeCounter[last] = 0;
+          }
+        }
+      }
+      add64(state.lastGpsTime[last], gpsTimeDiff);
+    } else if (multi === codeFull) {
+      readFullGpsTime(dec, state);
+    } else if (multi > codeFull) {
+      state.last = (last + multi - codeFull) & 3;
+      continue;
+    }
+    return;
+  }
+}
+
+function readFullGpsTime(dec, state) {
+  state.next = (state.next + 1) & 3;
+  const next = state.lastGpsTime[state.next];
+  next.hi = state.icGpsTime.decompress(state.lastGpsTime[state.last].hi | 0, 8) >>> 0;
+  next.lo = dec.readInt();
+  state.last = state.next;
+  state.lastGpsTimeDiff[state.last] = 0;
+  state.multiExtremeCounter[state.last] = 0;
+}
+
+function createGpsTimeState(dec, zeroDiffSymbols) {
+  return {
+    mGpsTimeMulti: null,
+    mGpsTime0Diff: null,
+    icGpsTime: new IntegerDecompressor(dec, 32, 9),
+    zeroDiffSymbols,
+    last: 0,
+    next: 0,
+    lastGpsTime: [0, 1, 2, 3].map(() => ({ hi: 0, lo: 0 })),
+    lastGpsTimeDiff: new Int32Array(4),
+    multiExtremeCounter: new Int32Array(4),
+  };
+}
+
+function initGpsTimeState(state, multiTotal, hi, lo) {
+  if (!state.mGpsTimeMulti) {
+    state.mGpsTimeMulti = new ArithmeticModel(multiTotal);
+    state.mGpsTime0Diff = new ArithmeticModel(state.zeroDiffSymbols);
+  }
+  state.mGpsTimeMulti.init();
+  state.mGpsTime0Diff.init();
+  state.icGpsTime.init();
+  state.last = 0;
+  state.next = 0;
+  state.lastGpsTimeDiff.fill(0);
+  state.multiExtremeCounter.fill(0);
+  state.lastGpsTime[0].hi = hi;
+  state.lastGpsTime[0].lo = lo;
+  for (let i = 1; i < 4; i++) {
+    state.lastGpsTime[i].hi = 0;
+    state.lastGpsTime[i].lo = 0;
+  }
+}
+
+// Waveform packet descriptors (29 bytes) shared by WAVEPACKET13 and WAVEPACKET14
+function createWavePacketState(dec) {
+  return {
+    mPacketIndex: new ArithmeticModel(256),
+    mOffsetDiff: createModels(4, 4),
+    icOffsetDiff: new IntegerDecompressor(dec, 32),
+    icPacketSize: new IntegerDecompressor(dec, 32),
+    icReturnPoint: new IntegerDecompressor(dec, 32),
+    icXYZ: new IntegerDecompressor(dec, 32, 3),
+    lastDiff32: 0,
+    symLastOffsetDiff: 0,
+    last: new Uint8Array(29),
+  };
+}
+
+function initWavePacketState(state, view, offset) {
+  state.mPacketIndex.init();
+  state.mOffsetDiff.forEach((m) => m.init());
+  state.icOffsetDiff.init();
+  state.icPacketSize.init();
+  state.icReturnPoint.init();
+  state.icXYZ.init();
+  state.lastDiff32 = 0;
+  state.symLastOffsetDiff = 0;
+  for (let i = 0; i < 29; i++) state.last[i] = view.getUint8(offset + i);
+}
+
+function decodeWavePacket(dec, state, view, offset, lastBytes = state.last) {
+  const last = new DataView(lastBytes.buffer);
+  view.setUint8(offset, dec.decodeSymbol(state.mPacketIndex));
+
+  state.symLastOffsetDiff = dec.decodeSymbol(state.mOffsetDiff[state.symLastOffsetDiff]);
+  const packetOffset = { lo: last.getUint32(1, true), hi: last.getUint32(5, true) };
+  if (state.symLastOffsetDiff === 1) {
+    add64(packetOffset, last.getUint32(9, true));
+  } else if (state.symLastOffsetDiff === 2) {
+    state.lastDiff32 = state.icOffsetDiff.decompress(state.lastDiff32);
+    add64(packetOffset, state.lastDiff32);
+  } else if (state.symLastOffsetDiff === 3) {
+    packetOffset.lo = dec.readInt();
+    packetOffset.hi = dec.readInt();
+  }
+  view.setUint32(offset + 1, packetOffset.lo, true);
+  view.setUint32(offset + 5, packetOffset.hi, true);
+  view.setUint32(offset + 9, state.icPacketSize.decompress(last.getUint32(9, true) | 0) >>> 0, true);
+  view.setInt32(offset + 13, state.icReturnPoint.decompress(last.getInt32(13, true)), true);
+  view.setInt32(offset + 17, state.icXYZ.decompress(last.getInt32(17, true), 0), true);
+  view.setInt32(offset + 21, state.icXYZ.decompress(last.getInt32(21, true), 1), true);
+  view.setInt32(offset + 25, state.icXYZ.decompress(last.getInt32(25, true), 2), true);
+
+  for (let i = 0; i < 29; i++) lastBytes[i] = view.getUint8(offset + i);
+}
+
+// ---------------------------------------------------------------------------
+// Version 2 items (point formats 0-5): one arithmetic decoder per chunk
+
+class Point10Reader {
+  constructor(dec) {
+    this.dec = dec;
+    this.mChangedValues = new ArithmeticModel(64);
+    this.icIntensity = new IntegerDecompressor(dec, 16, 4);
+    this.mScanAngleRank = createModels(2, 256);
+    this.icPointSourceId = new IntegerDecompressor(dec, 16);
+    this.mBitByte = new Array(256).fill(null);
+    this.mClassification = new Array(256).fill(null);
+    this.mUserData = new Array(256).fill(null);
+    this.icDx = new IntegerDecompressor(dec, 32, 2);
+    this.icDy = new IntegerDecompressor(dec, 32, 22);
+    this.icZ = new IntegerDecompressor(dec, 32, 20);
+    this.lastXDiffMedian5 = Array.from({ length: 16 }, () => new StreamingMedian5());
+    this.lastYDiffMedian5 = Array.from({ length: 16 }, () => new StreamingMedian5());
+    this.lastIntensity = new Uint16Array(16);
+    this.lastHeight = new Int32Array(8);
+  }
+
+  init(view, offset) {
+    for (let i = 0; i < 16; i++) {
+      this.lastXDiffMedian5[i].init();
+      this.lastYDiffMedian5[i].init();
+    }
+    this.lastIntensity.fill(0);
+    this.lastHeight.fill(0);
+
+    this.mChangedValues.init();
+    this.icIntensity.init();
+    this.mScanAngleRank[0].init();
+    this.mScanAngleRank[1].init();
+    this.icPointSourceId.init();
+    for (let i = 0; i < 256; i++) {
+      if (this.mBitByte[i]) this.mBitByte[i].init();
+      if (this.mClassification[i]) this.mClassification[i].init();
+      if (this.mUserData[i]) this.mUserData[i].init();
+    }
+    this.icDx.init();
+    this.icDy.init();
+    this.icZ.init();
+
+    this.x = view.getInt32(offset, true);
+    this.y = view.getInt32(offset + 4, true);
+    this.z = view.getInt32(offset + 8, true);
+    this.intensity = 0; // the reference implementation zeroes the intensity here
+    this.bitFields = view.getUint8(offset + 14);
+    this.classification = view.getUint8(offset + 15);
+    this.scanAngleRank = view.getUint8(offset + 16);
+    this.userData = view.getUint8(offset + 17);
+    this.pointSourceId = view.getUint16(offset + 18, true);
+  }
+
+  read(view, offset) {
+    const dec = this.dec;
+    const changedValues = dec.decodeSymbol(this.mChangedValues);
+    let r, n, m, l;
+
+    if (changedValues) {
+      if (changedValues & 32) {
+        const model = lazyModel(this.mBitByte, this.bitFields, 256);
+        this.bitFields = dec.decodeSymbol(model);
+      }
+
+      r = this.bitFields & 7;
+      n = (this.bitFields >>> 3) & 7;
+      m = NUMBER_RETURN_MAP[n][r];
+      l = NUMBER_RETURN_LEVEL[n][r];
+
+      if (changedValues & 16) {
+        this.intensity = this.icIntensity.decompress(this.lastIntensity[m], m < 3 ? m : 3) & 0xffff;
+        this.lastIntensity[m] = this.intensity;
+      } else {
+        this.intensity = this.lastIntensity[m];
+      }
+
+      if (changedValues & 8) {
+        const model = lazyModel(this.mClassification, this.classification, 256);
+        this.classification = dec.decodeSymbol(model);
+      }
+
+      if (changedValues & 4) {
+        const scanDirection = (this.bitFields >>> 6) & 1;
+        const val = dec.decodeSymbol(this.mScanAngleRank[scanDirection]);
+        this.scanAngleRank = u8Fold(val + this.scanAngleRank);
+      }
+
+      if (changedValues & 2) {
+        const model = lazyModel(this.mUserData, this.userData, 256);
+        this.userData = dec.decodeSymbol(model);
+      }
+
+      if (changedValues & 1) {
+        this.pointSourceId = this.icPointSourceId.decompress(this.pointSourceId) & 0xffff;
+      }
+    } else {
+      r = this.bitFields & 7;
+      n = (this.bitFields >>> 3) & 7;
+      m = NUMBER_RETURN_MAP[n][r];
+      l = NUMBER_RETURN_LEVEL[n][r];
+    }
+
+    let median = this.lastXDiffMedian5[m].get();
+    let diff = this.icDx.decompress(median, n === 1 ? 1 : 0);
+    this.x = (this.x + diff) | 0;
+    let kBits = this.icDx.k;
+    this.lastXDiffMedian5[m].add(diff);
+
+    median = this.lastYDiffMedian5[m].get();
+    diff = this.icDy.decompress(median, (n === 1 ? 1 : 0) + (kBits < 20 ? zeroBit0(kBits) : 20));
+    this.y = (this.y + diff) | 0;
+    kBits = (kBits + this.icDy.k) >>> 1;
+    this.lastYDiffMedian5[m].add(diff);
+
+    this.z = this.icZ.decompress(this.lastHeight[l], (n === 1 ? 1 : 0) + (kBits < 18 ? zeroBit0(kBits) : 18));
+    this.lastHeight[l] = this.z;
+
+    view.setInt32(offset, this.x, true);
+    view.setInt32(offset + 4, this.y, true);
+    view.setInt32(offset + 8, this.z, true);
+    view.setUint16(offset + 12, this.intensity, true);
+    view.setUint8(offset + 14, this.bitFields);
+    view.setUint8(offset + 15, this.classification);
+    view.setUint8(offset + 16, this.scanAngleRank);
+    view.setUint8(offset + 17, this.userData);
+    view.setUint16(offset + 18, this.pointSourceId, true);
+  }
+}
+
+class GpsTime11Reader {
+  constructor(dec) {
+    this.dec = dec;
+    this.state = createGpsTimeState(dec, 6);
+  }
+
+  init(view, offset) {
+    initGpsTimeState(this.state, GPSTIME_MULTI - GPSTIME_MULTI_MINUS + 6,
+      view.getUint32(offset + 4, true), view.getUint32(offset, true));
+  }
+
+  read(view, offset) {
+    decodeGpsTime(this.dec, this.state, false);
+    const t = this.state.lastGpsTime[this.state.last];
+    view.setUint32(offset, t.lo, true);
+    view.setUint32(offset + 4, t.hi, true);
+  }
+}
+
+class RGB12Reader {
+  constructor(dec) {
+    this.dec = dec;
+    this.models = createRGBModels();
+    this.last = new Uint16Array(3);
+  }
+
+  init(view, offset) {
+    initRGBModels(this.models);
+    for (let i = 0; i < 3; i++) this.last[i] = view.getUint16(offset + i * 2, true);
+  }
+
+  read(view, offset) {
+    decodeRGB(this.dec, this.models, this.last, this.last);
+    for (let i = 0; i < 3; i++) view.setUint16(offset + i * 2, this.last[i], true);
+  }
+}
+
+class WavePacket13Reader {
+  constructor(dec) {
+    this.dec = dec;
+    this.state = createWavePacketState(dec);
+  }
+
+  init(view, offset) {
+    initWavePacketState(this.state, view, offset);
+  }
+
+  read(view, offset) {
+    decodeWavePacket(this.dec, this.state, view, offset);
+  }
+}
+
+class ByteReader {
+  constructor(dec, size) {
+    this.dec = dec;
+    this.size = size;
+    this.models = createModels(size, 256);
+    this.last = new Uint8Array(size);
+  }
+
+  init(view, offset) {
+    this.models.forEach((m) => m.init());
+    for (let i = 0; i < this.size; i++) this.last[i] = view.getUint8(offset + i);
+  }
+
+  read(view, offset) {
+    for (let i = 0; i < this.size; i++) {
+      this.last[i] = u8Fold(this.last[i] + this.dec.decodeSymbol(this.models[i]));
+      view.setUint8(offset + i, this.last[i]);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Version 3 items (point formats 6-10): each attribute is its own layer with
+// a separate decoder, and state is kept per scanner channel ("context")
+
+// Reads a layer's bytes from the chunk and starts its decoder; returns
+// whether the layer has data (an empty layer means "unchanged in this chunk")
+function startLayer(stream, dec, size) {
+  const start = stream.pos;
+  stream.pos += size;
+  if (!size) return false;
+  dec.init(start, start + size);
+  return true;
+}
+
+const POINT14_LAYERS = [
+  'channelReturnsXY', 'Z', 'classification', 'flags', 'intensity',
+  'scanAngle', 'userData', 'pointSource', 'gpsTime',
+];
+
+class Point14Reader {
+  constructor(bytes) {
+    this.decoders = {};
+    this.changed = {};
+    this.layerSizes = {};
+    for (const layer of POINT14_LAYERS) this.decoders[layer] = new ArithmeticDecoder(bytes);
+    this.contexts = [0, 1, 2, 3].map(() => ({ unused: true, created: false }));
+    this.currentContext = 0;
+  }
+
+  chunkSizes(stream) {
+    for (const layer of POINT14_LAYERS) this.layerSizes[layer] = stream.readUint32();
+  }
+
+  init(view, offset, context, stream) {
+    for (const layer of POINT14_LAYERS) {
+      this.changed[layer] = startLayer(stream, this.decoders[layer], this.layerSizes[layer]);
+    }
+
+    for (const c of this.contexts) c.unused = true;
+    const item = readPoint14(view, offset);
+    this.currentContext = item.scannerChannel;
+    context.value = this.currentContext;
+    this.createAndInitContext(this.currentContext, item);
+  }
+
+  createAndInitContext(index, item) {
+    const ctx = this.contexts[index];
+    const d = this.decoders;
+
+    if (!ctx.created) {
+      ctx.created = true;
+      ctx.mChangedValues = createModels(8, 128);
+      ctx.mScannerChannel = new ArithmeticModel(3);
+      ctx.mNumberOfReturns = new Array(16).fill(null);
+      ctx.mReturnNumber = new Array(16).fill(null);
+      ctx.mReturnNumberGpsSame = new ArithmeticModel(13);
+      ctx.icDx = new IntegerDecompressor(d.channelReturnsXY, 32, 2);
+      ctx.icDy = new IntegerDecompressor(d.channelReturnsXY, 32, 22);
+      ctx.icZ = new IntegerDecompressor(d.Z, 32, 20);
+      ctx.mClassification = new Array(64).fill(null);
+      ctx.mFlags = new Array(64).fill(null);
+      ctx.mUserData = new Array(64).fill(null);
+      ctx.icIntensity = new IntegerDecompressor(d.intensity, 16, 4);
+      ctx.icScanAngle = new IntegerDecompressor(d.scanAngle, 16, 2);
+      ctx.icPointSourceId = new IntegerDecompressor(d.pointSource, 16);
+      ctx.gps = createGpsTimeState(d.gpsTime, 5);
+      ctx.lastXDiffMedian5 = Array.from({ length: 12 }, () => new StreamingMedian5());
+      ctx.lastYDiffMedian5 = Array.from({ length: 12 }, () => new StreamingMedian5());
+      ctx.lastZ = new Int32Array(8);
+      ctx.lastIntensity = new Uint16Array(8);
+    }
+
+    ctx.mChangedValues.forEach((m) => m.init());
+    ctx.mScannerChannel.init();
+    for (let i = 0; i < 16; i++) {
+      if (ctx.mNumberOfReturns[i]) ctx.mNumberOfReturns[i].init();
+      if (ctx.mReturnNumber[i]) ctx.mReturnNumber[i].init();
+    }
+    ctx.mReturnNumberGpsSame.init();
+    ctx.icDx.init();
+    ctx.icDy.init();
+    for (let i = 0; i < 12; i++) {
+      ctx.lastXDiffMedian5[i].init();
+      ctx.lastYDiffMedian5[i].init();
+    }
+
+    ctx.icZ.init();
+    ctx.lastZ.fill(item.z);
+
+    for (let i = 0; i < 64; i++) {
+      if (ctx.mClassification[i]) ctx.mClassification[i].init();
+      if (ctx.mFlags[i]) ctx.mFlags[i].init();
+      if (ctx.mUserData[i]) ctx.mUserData[i].init();
+    }
+
+    ctx.icIntensity.init();
+    ctx.lastIntensity.fill(item.intensity);
+    ctx.icScanAngle.init();
+    ctx.icPointSourceId.init();
+    initGpsTimeState(ctx.gps, GPSTIME_MULTI - GPSTIME_MULTI_MINUS + 5, item.gpsHi, item.gpsLo);
+
+    ctx.last = { ...item, gpsTimeChange: false };
+    ctx.unused = false;
+  }
+
+  read(view, offset, context) {
+    let ctx = this.contexts[this.currentContext];
+    let last = ctx.last;
+    const d = this.decoders;
+    const dec = d.channelReturnsXY;
+
+    // Single (3) / first (1) / last (2) / intermediate (0) context of the last return
+    let lpr = last.returnNumber === 1 ? 1 : 0;
+    lpr += last.returnNumber >= last.numberOfReturns ? 2 : 0;
+    lpr += last.gpsTimeChange ? 4 : 0;
+
+    const changedValues = dec.decodeSymbol(ctx.mChangedValues[lpr]);
+
+    if (changedValues & (1 << 6)) {
+      const diff = dec.decodeSymbol(ctx.mScannerChannel);
+      const scannerChannel = (this.currentContext + diff + 1) % 4;
+      if (this.contexts[scannerChannel].unused) {
+        this.createAndInitContext(scannerChannel, last);
+      }
+      this.currentContext = scannerChannel;
+      context.value = scannerChannel;
+      ctx = this.contexts[scannerChannel];
+      last = ctx.last;
+      last.scannerChannel = scannerChannel;
+    }
+
+    const pointSourceChange = (changedValues & (1 << 5)) !== 0;
+    const gpsTimeChange = (changedValues & (1 << 4)) !== 0;
+    const scanAngleChange = (changedValues & (1 << 3)) !== 0;
+    const gpsBit = gpsTimeChange ? 1 : 0;
+
+    const lastN = last.numberOfReturns;
+    const lastR = last.returnNumber;
+
+    let n;
+    if (changedValues & (1 << 2)) {
+      n = dec.decodeSymbol(lazyModel(ctx.mNumberOfReturns, lastN, 16));
+      last.numberOfReturns = n;
+    } else {
+      n = lastN;
+    }
+
+    let r;
+    const returnChange = changedValues & 3;
+    if (returnChange === 0) {
+      r = lastR;
+    } else if (returnChange === 1) {
+      r = (lastR + 1) % 16;
+    } else if (returnChange === 2) {
+      r = (lastR + 15) % 16;
+    } else if (gpsTimeChange) {
+      r = dec.decodeSymbol(lazyModel(ctx.mReturnNumber, lastR, 16));
+    } else {
+      const sym = dec.decodeSymbol(ctx.mReturnNumberGpsSame);
+      r = (lastR + sym + 2) % 16;
+    }
+    last.returnNumber = r;
+
+    const m = NUMBER_RETURN_MAP_6CTX[n][r];
+    const l = NUMBER_RETURN_LEVEL_8CTX[n][r];
+
+    // Single (3) / first (2) / last (1) / intermediate (0) context of this return
+    let cpr = r === 1 ? 2 : 0;
+    cpr += r >= n ? 1 : 0;
+
+    const single = n === 1 ? 1 : 0;
+    const medianIndex = (m << 1) | gpsBit;
+
+    let median = ctx.lastXDiffMedian5[medianIndex].get();
+    let diff = ctx.icDx.decompress(median, single);
+    last.x = (last.x + diff) | 0;
+    ctx.lastXDiffMedian5[medianIndex].add(diff);
+
+    median = ctx.lastYDiffMedian5[medianIndex].get();
+    let kBits = ctx.icDx.k;
+    diff = ctx.icDy.decompress(median, single + (kBits < 20 ? zeroBit0(kBits) : 20));
+    last.y = (last.y + diff) | 0;
+    ctx.lastYDiffMedian5[medianIndex].add(diff);
+
+    if (this.changed.Z) {
+      kBits = (ctx.icDx.k + ctx.icDy.k) >>> 1;
+      last.z = ctx.icZ.decompress(ctx.lastZ[l], single + (kBits < 18 ? zeroBit0(kBits) : 18));
+      ctx.lastZ[l] = last.z;
+    }
+
+    if (this.changed.classification) {
+      const ccc = ((last.classification & 0x1f) << 1) + (cpr === 3 ? 1 : 0);
+      last.classification = d.classification.decodeSymbol(lazyModel(ctx.mClassification, ccc, 256));
+    }
+
+    if (this.changed.flags) {
+      const lastFlags = (last.edgeOfFlightLine << 5) | (last.scanDirectionFlag << 4) | last.classificationFlags;
+      const flags = d.flags.decodeSymbol(lazyModel(ctx.mFlags, lastFlags, 64));
+      last.edgeOfFlightLine = (flags >>> 5) & 1;
+      last.scanDirectionFlag = (flags >>> 4) & 1;
+      last.classificationFlags = flags & 0x0f;
+    }
+
+    if (this.changed.intensity) {
+      const index = (cpr << 1) | gpsBit;
+      const intensity = ctx.icIntensity.decompress(ctx.lastIntensity[index], cpr) & 0xffff;
+      ctx.lastIntensity[index] = intensity;
+      last.intensity = intensity;
+    }
+
+    if (this.changed.scanAngle && scanAngleChange) {
+      last.scanAngle = (ctx.icScanAngle.decompress(last.scanAngle, gpsBit) << 16) >> 16;
+    }
+
+    if (this.changed.userData) {
+      const index = last.userData >>> 2;
+      last.userData = d.userData.decodeSymbol(lazyModel(ctx.mUserData, index, 256));
+    }
+
+    if (this.changed.pointSource && pointSourceChange) {
+      last.pointSourceId = ctx.icPointSourceId.decompress(last.pointSourceId) & 0xffff;
+    }
+
+    if (this.changed.gpsTime && gpsTimeChange) {
+      decodeGpsTime(d.gpsTime, ctx.gps, true);
+      const t = ctx.gps.lastGpsTime[ctx.gps.last];
+      last.gpsHi = t.hi;
+      last.gpsLo = t.lo;
+    }
+
+    writePoint14(view, offset, last);
+    last.gpsTimeChange = gpsTimeChange;
+  }
+}
+
+function readPoint14(view, offset) {
+  const returns = view.getUint8(offset + 14);
+  const flags = view.getUint8(offset + 15);
+  return {
+    x: view.getInt32(offset, true),
+    y: view.getInt32(offset + 4, true),
+    z: view.getInt32(offset + 8, true),
+    intensity: view.getUint16(offset + 12, true),
+    returnNumber: returns & 0x0f,
+    numberOfReturns: returns >>> 4,
+    classificationFlags: flags & 0x0f,
+    scannerChannel: (flags >>> 4) & 3,
+    scanDirectionFlag: (flags >>> 6) & 1,
+    edgeOfFlightLine: (flags >>> 7) & 1,
+    classification: view.getUint8(offset + 16),
+    userData: view.getUint8(offset + 17),
+    scanAngle: view.getInt16(offset + 18, true),
+    pointSourceId: view.getUint16(offset + 20, true),
+    gpsLo: view.getUint32(offset + 22, true),
+    gpsHi: view.getUint32(offset + 26, true),
+  };
+}
+
+function writePoint14(view, offset, p) {
+  view.setInt32(offset, p.x, true);
+  view.setInt32(offset + 4, p.y, true);
+  view.setInt32(offset + 8, p.z, true);
+  view.setUint16(offset + 12, p.intensity, true);
+  view.setUint8(offset + 14, (p.numberOfReturns << 4) | p.returnNumber);
+  view.setUint8(offset + 15,
+    (p.edgeOfFlightLine << 7) | (p.scanDirectionFlag << 6) | (p.scannerChannel << 4) | p.classificationFlags);
+  view.setUint8(offset + 16, p.classification);
+  view.setUint8(offset + 17, p.userData);
+  view.setInt16(offset + 18, p.scanAngle, true);
+  view.setUint16(offset + 20, p.pointSourceId, true);
+  view.setUint32(offset + 22, p.gpsLo, true);
+  view.setUint32(offset + 26, p.gpsHi, true);
+}
+
+// Base for the v3 items that follow POINT14: they keep per-channel state and
+// switch whenever the point reader reports a new scanner channel
+class ContextItemReader {
+  constructor() {
+    this.contexts = [0, 1, 2, 3].map(() => ({ unused: true }));
+    this.currentContext = 0;
+  }
+
+  init(view, offset, context, stream) {
+    this.startLayers(stream);
+    for (const c of this.contexts) c.unused = true;
+    this.currentContext = context.value;
+    this.createAndInitContext(this.currentContext, view, offset);
+  }
+
+  // Returns the context holding the last item to predict from. Like LASzip,
+  // only a channel seen for the first time takes over the last item; switching
+  // back to a known channel keeps predicting from the previous one.
+  switchContext(context) {
+    let last = this.contexts[this.currentContext];
+    if (this.currentContext !== context.value) {
+      this.currentContext = context.value;
+      if (this.contexts[this.currentContext].unused) {
+        this.createAndInitContext(this.currentContext, last.lastView, 0);
+        last = this.contexts[this.currentContext];
+      }
+    }
+    return last;
+  }
+}
+
+class RGB14Reader extends ContextItemReader {
+  constructor(bytes, withNIR) {
+    super();
+    this.withNIR = withNIR;
+    this.decRGB = new ArithmeticDecoder(bytes);
+    this.decNIR = withNIR ? new ArithmeticDecoder(bytes) : null;
+  }
+
+  chunkSizes(stream) {
+    this.sizeRGB = stream.readUint32();
+    if (this.withNIR) this.sizeNIR = stream.readUint32();
+  }
+
+  startLayers(stream) {
+    this.changedRGB = startLayer(stream, this.decRGB, this.sizeRGB);
+    if (this.withNIR) this.changedNIR = startLayer(stream, this.decNIR, this.sizeNIR);
+  }
+
+  createAndInitContext(index, view, offset) {
+    const ctx = this.contexts[index];
+    if (!ctx.rgb) {
+      ctx.rgb = createRGBModels();
+      ctx.last = new Uint16Array(4);
+      ctx.lastView = new DataView(ctx.last.buffer);
+      if (this.withNIR) {
+        ctx.mNIRBytesUsed = new ArithmeticModel(4);
+        ctx.mNIRDiff = createModels(2, 256);
+      }
+    }
+    initRGBModels(ctx.rgb);
+    if (this.withNIR) {
+      ctx.mNIRBytesUsed.init();
+      ctx.mNIRDiff.forEach((m) => m.init());
+    }
+    const count = this.withNIR ? 4 : 3;
+    for (let i = 0; i < count; i++) ctx.last[i] = view.getUint16(offset + i * 2, true);
+    ctx.unused = false;
+  }
+
+  read(view, offset, context) {
+    const { last } = this.switchContext(context);
+    const ctx = this.contexts[this.currentContext];
+
+    if (this.changedRGB) decodeRGB(this.decRGB, ctx.rgb, last, last);
+
+    if (this.withNIR && this.changedNIR) {
+      const dec = this.decNIR;
+      const sym = dec.decodeSymbol(ctx.mNIRBytesUsed);
+      let nir;
+      if (sym & 1) nir = u8Fold(dec.decodeSymbol(ctx.mNIRDiff[0]) + (last[3] & 0xff));
+      else nir = last[3] & 0xff;
+      if (sym & 2) nir |= u8Fold(dec.decodeSymbol(ctx.mNIRDiff[1]) + (last[3] >>> 8)) << 8;
+      else nir |= last[3] & 0xff00;
+      last[3] = nir;
+    }
+
+    const count = this.withNIR ? 4 : 3;
+    for (let i = 0; i < count; i++) view.setUint16(offset + i * 2, last[i], true);
+  }
+}
+
+class WavePacket14Reader extends ContextItemReader {
+  constructor(bytes) {
+    super();
+    this.dec = new ArithmeticDecoder(bytes);
+  }
+
+  chunkSizes(stream) {
+    this.size = stream.readUint32();
+  }
+
+  startLayers(stream) {
+    this.changed = startLayer(stream, this.dec, this.size);
+  }
+
+  createAndInitContext(index, view, offset) {
+    const ctx = this.contexts[index];
+    if (!ctx.state) {
+      ctx.state = createWavePacketState(this.dec);
+      ctx.lastView = new DataView(ctx.state.last.buffer);
+    }
+    initWavePacketState(ctx.state, view, offset);
+    ctx.unused = false;
+  }
+
+  read(view, offset, context) {
+    const last = this.switchContext(context).state.last;
+    const state = this.contexts[this.currentContext].state;
+    if (this.changed) {
+      decodeWavePacket(this.dec, state, view, offset, last);
+    } else {
+      for (let i = 0; i < 29; i++) view.setUint8(offset + i, last[i]);
+    }
+  }
+}
+
+class Byte14Reader extends ContextItemReader {
+  constructor(bytes, size) {
+    super();
+    this.size = size;
+    this.decoders = Array.from({ length: size }, () => new ArithmeticDecoder(bytes));
+    this.sizes = new Uint32Array(size);
+    this.changed = new Array(size).fill(false);
+  }
+
+  chunkSizes(stream) {
+    for (let i = 0; i < this.size; i++) this.sizes[i] = stream.readUint32();
+  }
+
+  startLayers(stream) {
+    for (let i = 0; i < this.size; i++) {
+      this.changed[i] = startLayer(stream, this.decoders[i], this.sizes[i]);
+    }
+  }
+
+  createAndInitContext(index, view, offset) {
+    const ctx = this.contexts[index];
+    if (!ctx.models) {
+      ctx.models = createModels(this.size, 256);
+      ctx.last = new Uint8Array(this.size);
+      ctx.lastView = new DataView(ctx.last.buffer);
+    }
+    ctx.models.forEach((m) => m.init());
+    for (let i = 0; i < this.size; i++) ctx.last[i] = view.getUint8(offset + i);
+    ctx.unused = false;
+  }
+
+  read(view, offset, context) {
+    const { last } = this.switchContext(context);
+    const ctx = this.contexts[this.currentContext];
+    for (let i = 0; i < this.size; i++) {
+      if (this.changed[i]) {
+        last[i] = u8Fold(last[i] + this.decoders[i].decodeSymbol(ctx.models[i]));
+      }
+      view.setUint8(offset + i, last[i]);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+
+// Parses the payload of the LASzip VLR (user id "laszip encoded", record 22204)
+export function parseLASzipVLR(view, offset) {
+  const numItems = view.getUint16(offset + 32, true);
+  const items = [];
+  for (let i = 0; i < numItems; i++) {
+    const o = offset + 34 + i * 6;
+    items.push({
+      type: view.getUint16(o, true),
+      size: view.getUint16(o + 2, true),
+      version: view.getUint16(o + 4, true),
+    });
+  }
+  return {
+    compressor: view.getUint16(offset, true),
+    coder: view.getUint16(offset + 2, true),
+    versionMajor: view.getUint8(offset + 4),
+    versionMinor: view.getUint8(offset + 5),
+    versionRevision: view.getUint16(offset + 6, true),
+    options: view.getUint32(offset + 8, true),
+    chunkSize: view.getUint32(offset + 12, true),
+    items,
+  };
+}
+
+export class LAZDecoder {
+  constructor(arrayBuffer, header, laszip) {
+    if (laszip.coder !== 0) {
+      throw new Error(`Unsupported LAZ coder: ${laszip.coder}`);
+    }
+    if (laszip.compressor === COMPRESSOR_NONE) {
+      throw new Error('LAZ file is marked as not compressed');
+    }
+    if (![COMPRESSOR_POINTWISE, COMPRESSOR_POINTWISE_CHUNKED, COMPRESSOR_LAYERED_CHUNKED].includes(laszip.compressor)) {
+      throw new Error(`Unsupported LAZ compressor: ${laszip.compressor}`);
+    }
+
+    this.bytes = new Uint8Array(arrayBuffer);
+    this.view = new DataView(arrayBuffer);
+    this.laszip = laszip;
+    this.layered = laszip.compressor === COMPRESSOR_LAYERED_CHUNKED;
+    this.recordLength = header.pointDataRecordLength;
+    this.numberOfPoints = header.numberOfPoints;
+    this.pos = header.offsetToPointData;
+    this.context = { value: 0 };
+
+    this.dec = new ArithmeticDecoder(this.bytes);
+    this.readers = [];
+    let itemOffset = 0;
+    for (const item of laszip.items) {
+      this.readers.push({ offset: itemOffset, size: item.size, reader: this.createReader(item) });
+      itemOffset += item.size;
+    }
+    if (itemOffset !== this.recordLength) {
+      throw new Error(`LAZ items cover ${itemOffset} bytes but the point record is ${this.recordLength} bytes`);
+    }
+
+    this.chunkStarts = null;
+    this.chunkCounts = null;
+    if (laszip.compressor === COMPRESSOR_POINTWISE) {
+      this.chunkSize = U32_MAX;
+    } else {
+      this.chunkSize = laszip.chunkSize;
+      this.readChunkTable();
+    }
+
+    this.chunkIndex = -1;
+    this.chunkRemaining = 0;
+    this.pointsRead = 0;
+  }
+
+  createReader(item) {
+    const { type, size, version } = item;
+    const v2 = version === 2;
+    const v3 = version === 3;
+
+    if (type === ITEM_POINT10 && v2) return new Point10Reader(this.dec);
+    if (type === ITEM_GPSTIME11 && v2) return new GpsTime11Reader(this.dec);
+    if (type === ITEM_RGB12 && v2) return new RGB12Reader(this.dec);
+    if (type === ITEM_WAVEPACKET13 && version === 1) return new WavePacket13Reader(this.dec);
+    if (type === ITEM_BYTE && v2) return new ByteReader(this.dec, size);
+    if (type === ITEM_POINT14 && v3) return new Point14Reader(this.bytes);
+    if (type === ITEM_RGB14 && v3) return new RGB14Reader(this.bytes, false);
+    if (type === ITEM_RGBNIR14 && v3) return new RGB14Reader(this.bytes, true);
+    if (type === ITEM_WAVEPACKET14 && v3) return new WavePacket14Reader(this.bytes);
+    if (type === ITEM_BYTE14 && v3) return new Byte14Reader(this.bytes, size);
+
+    throw new Error(`Unsupported LAZ item (type ${type}, version ${version})`);
+  }
+
+  readUint32() {
+    const value = this.view.getUint32(this.pos, true);
+    this.pos += 4;
+    return value;
+  }
+
+  readChunkTable() {
+    let tableStart = Number(this.view.getBigInt64(this.pos, true));
+    const chunksStart = this.pos + 8;
+    this.pos = chunksStart;
+
+    // Writer was interrupted before the table was written: chunks are read in
+    // sequence, which only works with a fixed chunk size
+    if (tableStart + 8 === chunksStart) {
+      if (this.chunkSize === U32_MAX) throw new Error('LAZ chunk table is missing');
+      return;
+    }
+    // Writers on non-seekable streams put the table position at the end of the file
+    if (tableStart === -1) {
+      tableStart = Number(this.view.getBigInt64(this.bytes.length - 8, true));
+    }
+    if (tableStart <= 0 || tableStart + 8 > this.bytes.length) {
+      if (this.chunkSize === U32_MAX) throw new Error('LAZ chunk table is out of range');
+      return;
+    }
+
+    const version = this.view.getUint32(tableStart, true);
+    const numberOfChunks = this.view.getUint32(tableStart + 4, true);
+    if (version !== 0) throw new Error(`Unsupported LAZ chunk table version: ${version}`);
+
+    const variable = this.chunkSize === U32_MAX;
+    const starts = [chunksStart];
+    const counts = variable ? [] : null;
+
+    if (numberOfChunks > 0) {
+      const dec = new ArithmeticDecoder(this.bytes);
+      dec.init(tableStart + 8, this.bytes.length);
+      const ic = new IntegerDecompressor(dec, 32, 2);
+      ic.init();
+      let lastCount = 0, lastSize = 0;
+      for (let i = 0; i < numberOfChunks; i++) {
+        if (variable) {
+          lastCount = ic.decompress(lastCount, 0);
+          counts.push(lastCount);
+        }
+        lastSize = ic.decompress(lastSize, 1);
+        starts.push(starts[i] + lastSize);
+      }
+    }
+
+    this.chunkStarts = starts;
+    this.chunkCounts = counts;
+  }
+
+  startChunk(view, offset) {
+    this.chunkIndex++;
+    if (this.chunkStarts) {
+      if (this.chunkIndex >= this.chunkStarts.length - 1) {
+        throw new Error('LAZ file has fewer chunks than points in the header');
+      }
+      this.pos = this.chunkStarts[this.chunkIndex];
+    }
+    this.chunkRemaining = this.chunkCounts ? this.chunkCounts[this.chunkIndex] : this.chunkSize;
+
+    // The first point of every chunk is stored raw
+    if (this.pos + this.recordLength > this.bytes.length) {
+      throw new Error('LAZ point data is truncated');
+    }
+    for (let i = 0; i < this.recordLength; i++) {
+      view.setUint8(offset + i, this.bytes[this.pos + i]);
+    }
+    this.pos += this.recordLength;
+
+    if (this.layered) {
+      this.readUint32(); // number of points in the chunk
+      for (const r of this.readers) r.reader.chunkSizes(this);
+      for (const r of this.readers) r.reader.init(view, offset + r.offset, this.context, this);
+      if (this.pos > this.bytes.length) throw new Error('LAZ point data is truncated');
+    } else {
+      for (const r of this.readers) r.reader.init(view, offset + r.offset);
+      this.dec.init(this.pos, this.bytes.length);
+    }
+  }
+
+  finishChunk() {
+    // Without a chunk table the next chunk starts where this decoder stopped
+    if (!this.layered) this.pos = this.dec.pos;
+  }
+
+  // Decodes the next point into `view` at `offset` as an uncompressed LAS record
+  readPoint(view, offset) {
+    if (this.chunkRemaining === 0) {
+      if (this.chunkIndex >= 0) this.finishChunk();
+      this.startChunk(view, offset);
+    } else {
+      // As in LASzip the channel only reaches the other items on the point
+      // where it changes; every other point reports channel 0
+      this.context.value = 0;
+      for (const r of this.readers) r.reader.read(view, offset + r.offset, this.context);
+      // Sequential chunks (no chunk table) that run past the end of the file
+      if (!this.layered && this.dec.overrun > 4) throw new Error('LAZ point data is truncated');
+    }
+    this.chunkRemaining--;
+    this.pointsRead++;
+  }
+}
@@ -0,0 +1,27 @@
+// Reads a fixed-length, NUL-padded ASCII field
+export function readString(view, offset, length) {
+  let str = '';
+  for (let i = 0; i < length; i++) {
+    const c = view.getUint8(offset + i);
+    if (c === 0) break;
+    str += String.fromCharCode(c);
+  }
+  return str;
+}
+
+// Streams a File into one buffer, reporting the 'reading' phase as it goes
+export async function readWhole(file, progress) {
+  const bytes = new Uint8Array(file.size);
+  const reader = file.stream().getReader();
+  let offset = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    bytes.set(value, offset);
+    offset += value.length;
+    progress({ phase: 'reading', bytesRead: offset, totalBytes: file.size, percent: (offset / file.size) * 100 });
+  }
+
+  return bytes.buffer;
+}
@@ -0,0 +1,345 @@
+// Coordinate reference system detection from the LAS projection VLRs
+// (GeoTIFF keys or OGC WKT) and conversion into a local metric frame.
+
+import { readString } from './binary';
+
+export const PROJECTION_USER_ID = 'LASF_Projection';
+const GEO_KEY_DIRECTORY = 34735;
+const GEO_DOUBLE_PARAMS = 34736;
+const GEO_ASCII_PARAMS = 34737;
+const OGC_WKT_RECORD = 2112;
+
+const GT_MODEL_TYPE = 1024;
+const GT_CITATION = 1026;
+const GEOGRAPHIC_TYPE = 2048;
+const GEOG_CITATION = 2049;
+const PROJECTED_CS_TYPE = 3072;
+const PCS_CITATION = 3073;
+const PROJ_LINEAR_UNITS = 3076;
+const PROJ_LINEAR_UNIT_SIZE = 3077;
+const VERTICAL_CS_TYPE = 4096;
+const VERTICAL_CITATION = 4097;
+const VERTICAL_UNITS = 4099;
+
+const MODEL_PROJECTED = 1;
+const MODEL_GEOGRAPHIC = 2;
+const MODEL_GEOCENTRIC = 3;
+const USER_DEFINED = 32767;
+
+export const UNITS = {
+  metre: { name: 'metre', symbol: 'm', toMeters: 1 },
+  foot: { name: 'foot', symbol: 'ft', toMeters: 0.3048 },
+  usSurveyFoot: { name: 'US survey foot', symbol: 'US ft', toMeters: 1200 / 3937 },
+  degree: { name: 'degree', symbol: '°', toMeters: null },
+};
+
+const EPSG_UNITS = {
+  9001: UNITS.metre,
+  9002: UNITS.foot,
+  9003: UNITS.usSurveyFoot,
+  9102: UNITS.degree,
+};
+
+// Choices offered when a file carries no CRS of its own
+export const CRS_PRESETS = {
+  geographic: { kind: 'geographic', name: 'WGS 84 (lon/lat degrees)', epsg: 4326, horizontalUnit: UNITS.degree, verticalUnit: UNITS.metre },
+  metre: { kind: 'projected', name: 'Projected (metres)', epsg: null, horizontalUnit: UNITS.metre, verticalUnit: UNITS.metre },
+  usSurveyFoot: { kind: 'projected', name: 'Projected (US survey feet)', epsg: null, horizontalUnit: UNITS.usSurveyFoot, verticalUnit: UNITS.usSurveyFoot },
+  foot: { kind: 'projected', name: 'Projected (international feet)', epsg: null, horizontalUnit: UNITS.foot, verticalUnit: UNITS.foot },
+};
+
+// WGS 84 ellipsoid, used for the local scale of geographic coordinates
+const WGS84_A = 6378137;
+const WGS84_E2 = 0.00669437999014;
+
+// Returns the CRS described by the projection VLRs/EVLRs (each with its payload
+// as a DataView in `data`), or null if there is none.
+// WKT takes precedence over GeoTIFF keys, as LAS 1.4 requires for formats 6-10.
+export function detectCRS(vlrs) {
+  const find = (recordId) => vlrs.find(v => v.userId === PROJECTION_USER_ID && v.recordId === recordId);
+
+  const wkt = find(OGC_WKT_RECORD);
+  if (wkt) {
+    const crs = parseWKT(readString(wkt.data, 0, wkt.length));
+    if (crs) return crs;
+  }
+
+  const directory = find(GEO_KEY_DIRECTORY);
+  if (directory) {
+    const doubles = find(GEO_DOUBLE_PARAMS);
+    const ascii = find(GEO_ASCII_PARAMS);
+    const keys = parseGeoKeys(directory, doubles, ascii);
+    return crsFromGeoKeys(keys);
+  }
+
+  return null;
+}
+
+// Best guess for files without a CRS: coordinates inside lon/lat range are
+// taken as degrees, anything else as projected metres
+export function guessCRS(bounds) {
+  const inDegrees = bounds.x[0] >= -180 && bounds.x[1] <= 180 && bounds.y[0] >= -90 && bounds.y[1] <= 90;
+  return inDegrees ? CRS_PRESETS.geographic : CRS_PRESETS.metre;
+}
+
+// Meters per coordinate unit around the data center. Geographic coordinates use
+// the ellipsoid's radii of curvature at the center latitude.
+export function localMetricScale(crs, centerY) {
+  const z = crs.verticalUnit.toMeters;
+  if (crs.kind !== 'geographic') {
+    const xy = crs.horizontalUnit.toMeters;
+    return { x: xy, y: xy, z };
+  }
+
+  const phi = centerY * Math.PI / 180;
+  const sin2 = Math.sin(phi) ** 2;
+  const w = Math.sqrt(1 - WGS84_E2 * sin2);
+  const meridional = WGS84_A * (1 - WGS84_E2) / (w * w * w);
+  const normal = WGS84_A / w;
+  const perDegree = Math.PI / 180;
+
+  return {
+    x: perDegree * normal * Math.cos(phi),
+    y: perDegree * meridional,
+    z,
+  };
+}
+
+export function describeCRS(crs) {
+  return crs.epsg ? `${crs.name} (EPSG:${crs.epsg})` : crs.name;
+}
+
+// 'Geographic', 'Projected' or 'Local', for headings over coordinates
+export function crsKindLabel(crs) {
+  return crs.kind === 'geographic' ? 'Geographic' : crs.kind === 'local' ? 'Local' : 'Projected';
+}
+
+function parseGeoKeys(directory, doubles, ascii) {
+  const read = (i) => directory.data.getUint16(i * 2, true);
+  const count = Math.min(read(3), Math.floor(directory.length / 8) - 1);
+  const asciiText = ascii ? readString(ascii.data, 0, ascii.length) : '';
+  const keys = {};
+
+  for (let k = 1; k <= count; k++) {
+    const id = read(k * 4);
+    const location = read(k * 4 + 1);
+    const valueCount = read(k * 4 + 2);
+    const value = read(k * 4 + 3);
+
+    if (location === 0) {
+      keys[id] = value;
+    } else if (location === GEO_DOUBLE_PARAMS && doubles && (value + 1) * 8 <= doubles.length) {
+      keys[id] = doubles.data.getFloat64(value * 8, true);
+    } else if (location === GEO_ASCII_PARAMS) {
+      keys[id] = asciiText.substr(value, valueCount).replace(/\|$/, '').trim();
+    }
+  }
+
+  return keys;
+}
+
+function crsFromGeoKeys(keys) {
+  const model = keys[GT_MODEL_TYPE];
+  const citation = keys[PCS_CITATION] || keys[GT_CITATION] || keys[GEOG_CITATION] || '';
+  const verticalUnit = EPSG_UNITS[keys[VERTICAL_UNITS]];
+  const vertical = keys[VERTICAL_CS_TYPE] && keys[VERTICAL_CS_TYPE] !== USER_DEFINED
+    ? `EPSG:${keys[VERTICAL_CS_TYPE]}`
+    : keys[VERTICAL_CITATION] || null;
+
+  if (model === MODEL_GEOGRAPHIC || (!model && keys[GEOGRAPHIC_TYPE] && !keys[PROJECTED_CS_TYPE])) {
+    const epsg = keys[GEOGRAPHIC_TYPE] !== USER_DEFINED ? keys[GEOGRAPHIC_TYPE] || null : null;
+    return {
+      kind: 'geographic',
+      name: citation || (epsg === 4326 ? 'WGS 84' : 'Geographic'),
+      epsg,
+      horizontalUnit: UNITS.degree,
+      verticalUnit: verticalUnit || UNITS.metre,
+      vertical,
+      source: 'GeoTIFF keys',
+    };
+  }
+
+  if (model === MODEL_PROJECTED || keys[PROJECTED_CS_TYPE]) {
+    const epsg = keys[PROJECTED_CS_TYPE] !== USER_DEFINED ? keys[PROJECTED_CS_TYPE] || null : null;
+    let horizontalUnit = EPSG_UNITS[keys[PROJ_LINEAR_UNITS]];
+    if (!horizontalUnit && keys[PROJ_LINEAR_UNIT_SIZE]) {
+      horizontalUnit = { name: 'custom', symbol: 'u', toMeters: keys[PROJ_LINEAR_UNIT_SIZE] };
+    }
+    if (!horizontalUnit) horizontalUnit = unitFromName(citation) || UNITS.metre;
+    return {
+      kind: 'projected',
+      name: citation || utmName(epsg) || 'Projected',
+      epsg,
+      horizontalUnit,
+      // Without a vertical unit, heights are assumed to share the horizontal unit
+      verticalUnit: verticalUnit || horizontalUnit,
+      vertical,
+      source: 'GeoTIFF keys',
+    };
+  }
+
+  if (model === MODEL_GEOCENTRIC) {
+    return {
+      kind: 'geocentric',
+      name: citation || 'Geocentric',
+      epsg: null,
+      horizontalUnit: UNITS.metre,
+      verticalUnit: UNITS.metre,
+      vertical: null,
+      source: 'GeoTIFF keys',
+    };
+  }
+
+  return null;
+}
+
+function unitFromName(name) {
+  const lower = name.toLowerCase();
+  if (/us survey|survey f|us f|ftus|usft/.test(lower)) return UNITS.usSurveyFoot;
+  if (/\b(feet|foot|ft)\b/.test(lower)) return UNITS.foot;
+  if (/\b(metre|meter|m)\b/.test(lower)) return UNITS.metre;
+  return null;
+}
+
+function utmName(epsg) {
+  if (!epsg) return null;
+  const zone = epsg % 100;
+  if (epsg > 32600 && epsg <= 32660) return `WGS 84 / UTM zone ${zone}N`;
+  if (epsg > 32700 && epsg <= 32760) return `WGS 84 / UTM zone ${zone}S`;
+  if (epsg > 26900 && epsg <= 26923) return `NAD83 / UTM zone ${zone}N`;
+  if (epsg > 25800 && epsg <= 25838) return `ETRS89 / UTM zone ${zone}N`;
+  return null;
+}
+
+// Minimal WKT reader: KEYWORD[arg, arg, ...] trees with quoted strings and numbers.
+// Handles WKT1 (PROJCS/GEOGCS/COMPD_CS) and WKT2 (PROJCRS/GEOGCRS/COMPOUNDCRS).
+function parseWKTTree(text) {
+  let pos = 0;
+
+  const skipSpace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+
+  const parseValue = () => {
+    skipSpace();
+    if (text[pos] === '"') {
+      let end = pos + 1;
+      let str = '';
+      while (end < text.length) {
+        if (text[end] === '"') {
+          if (text[end + 1] === '"') { str += '"'; end += 2; continue; }
+          break;
+        }
+        str += text[end++];
+      }
+      pos = end + 1;
+      return str;
+    }
+    const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(pos));
+    if (match) {
+      pos += match[0].length;
+      skipSpace();
+      if (text[pos] === '[' || text[pos] === '(') return parseNode(match[0]);
+      return match[0];
+    }
+    const num = /^[-+0-9.eE]+/.exec(text.slice(pos));
+    if (!num) throw new Error('Unexpected WKT token');
+    pos += num[0].length;
+    return Number(num[0]);
+  };
+
+  const parseNode = (keyword) => {
+    const node = { keyword: keyword.toUpperCase(), args: [] };
+    pos++; // [ or (
+    skipSpace();
+    while (pos < text.length && text[pos] !== ']' && text[pos] !== ')') {
+      node.args.push(parseValue());
+      skipSpace();
+      if (text[pos] === ',') pos++;
+      skipSpace();
+    }
+    pos++;
+    return node;
+  };
+
+  const root = parseValue();
+  return typeof root === 'object' ? root : null;
+}
+
+const children = (node, ...keywords) => node.args.filter(a => typeof a === 'object' && keywords.includes(a.keyword));
+const child = (node, ...keywords) => children(node, ...keywords)[0];
+
+function epsgOf(node) {
+  const id = child(node, 'AUTHORITY', 'ID');
+  return id && String(id.args[0]).toUpperCase() === 'EPSG' ? Number(id.args[1]) || null : null;
+}
+
+// The unit of the coordinates is the one after the CS or on its AXIS nodes;
+// units elsewhere (e.g. in WKT2 CONVERSION parameters) are only a fallback
+function unitOf(node, skip = []) {
+  const direct = child(node, 'UNIT', 'LENGTHUNIT');
+  if (direct) return toUnit(direct);
+  for (const axis of children(node, 'AXIS')) {
+    const unit = child(axis, 'UNIT', 'LENGTHUNIT');
+    if (unit) return toUnit(unit);
+  }
+  for (const a of node.args) {
+    if (typeof a !== 'object' || skip.includes(a.keyword)) continue;
+    const found = unitOf(a, skip);
+    if (found) return found;
+  }
+  return null;
+}
+
+function toUnit(node) {
+  const name = String(node.args[0]);
+  const factor = Number(node.args[1]);
+  const known = Object.values(UNITS).find(u => u.toMeters && Math.abs(u.toMeters - factor) < 1e-9);
+  if (known) return known;
+  return { name, symbol: name, toMeters: factor || 1 };
+}
+
+export function parseWKT(text) {
+  let root;
+  try {
+    root = parseWKTTree(text.trim());
+  } catch {
+    return null;
+  }
+  if (!root) return null;
+
+  let horizontal = root;
+  let verticalNode = null;
+  if (root.keyword === 'COMPD_CS' || root.keyword === 'COMPOUNDCRS') {
+    horizontal = child(root, 'PROJCS', 'PROJCRS', 'GEOGCS', 'GEOGCRS', 'GEODCRS', 'GEOCCS') || root;
+    verticalNode = child(root, 'VERT_CS', 'VERTCRS');
+  }
+
+  const verticalUnit = verticalNode ? unitOf(verticalNode) : null;
+  const base = {
+    name: String(horizontal.args[0] || root.args[0] || 'Unknown'),
+    epsg: epsgOf(horizontal),
+    vertical: verticalNode ? String(verticalNode.args[0]) : null,
+    source: 'WKT',
+  };
+
+  switch (horizontal.keyword) {
+    case 'PROJCS':
+    case 'PROJCRS': {
+      // Skip the base geographic CRS so its angular unit is not picked up
+      const horizontalUnit = unitOf(horizontal, ['GEOGCS', 'BASEGEOGCRS', 'BASEGEODCRS']) || UNITS.metre;
+      return { ...base, kind: 'projected', horizontalUnit, verticalUnit: verticalUnit || horizontalUnit };
+    }
+    case 'GEOGCS':
+    case 'GEOGCRS':
+    case 'GEODCRS':
+      if (child(horizontal, 'CS') && /cartesian/i.test(String(child(horizontal, 'CS').args[0]))) {
+        return { ...base, kind: 'geocentric', horizontalUnit: UNITS.metre, verticalUnit: UNITS.metre };
+      }
+      return { ...base, kind: 'geographic', horizontalUnit: UNITS.degree, verticalUnit: verticalUnit || UNITS.metre };
+    case 'GEOCCS':
+      return { ...base, kind: 'geocentric', horizontalUnit: UNITS.metre, verticalUnit: UNITS.metre };
+    default:
+      return null;
+  }
+}
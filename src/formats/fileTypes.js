@@ -0,0 +1,61 @@
+// Point cloud file types the viewer can open. A file is matched by its content
+// when it starts with a known signature, otherwise by extension; readers.js
+// maps each id to its reader.
+export const FILE_TYPES = [
+  {
+    id: 'las',
+    name: 'LAS/LAZ',
+    extensions: ['las', 'laz'],
+    sniff: (head) => startsWith(head, 'LASF')
+  },
+  {
+    id: 'ply',
+    name: 'PLY',
+    extensions: ['ply'],
+    sniff: (head) => startsWith(head, 'ply\n') || startsWith(head, 'ply\r\n')
+  },
+  {
+    id: 'pcd',
+    name: 'PCD',
+    extensions: ['pcd'],
+    sniff: (head) => /^(#[^\n]*\n)*VERSION /.test(headText(head)) || /\nFIELDS /.test(headText(head))
+  },
+  {
+    id: 'xyz',
+    name: 'ASCII XYZ/CSV',
+    extensions: ['xyz', 'txt', 'csv', 'pts', 'asc'],
+    sniff: null
+  }
+];
+
+export const ACCEPTED_EXTENSIONS = FILE_TYPES.flatMap(t => t.extensions.map(ext => '.' + ext)).join(',');
+
+export function fileExtension(name) {
+  const dot = name.lastIndexOf('.');
+  return dot >= 0 ? name.slice(dot + 1).toLowerCase() : '';
+}
+
+export function isSupportedFile(name) {
+  const ext = fileExtension(name);
+  return FILE_TYPES.some(t => t.extensions.includes(ext));
+}
+
+// `head` holds the first bytes of the file
+export function detectFileType(name, head) {
+  const sniffed = FILE_TYPES.find(t => t.sniff && t.sniff(head));
+  if (sniffed) return sniffed;
+  const ext = fileExtension(name);
+  return FILE_TYPES.find(t => t.extensions.includes(ext)) || null;
+}
+
+function startsWith(head, signature) {
+  if (head.length < signature.length) return false;
+  for (let i = 0; i < signature.length; i++) {
+    if (head[i] !== signature.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+function headText(head) {
+  return new TextDecoder('latin1').decode(head.subarray(0, 1024));
+}
@@ -0,0 +1,130 @@
+import { pointFormatLayout } from './pointAttributes';
+
+// Sanity checks on LAS headers. Problems that make the points unreadable throw;
+// the rest are returned as warning strings for the diagnostics panel.
+
+const AXES = ['X', 'Y', 'Z'];
+
+// Header size required by each minor version of LAS 1.x
+const MIN_HEADER_SIZE = { 0: 227, 1: 227, 2: 227, 3: 235, 4: 375 };
+
+export function validateHeader(h, fileSize) {
+  const warnings = [];
+  const version = `${h.versionMajor}.${h.versionMinor}`;
+
+  if (h.versionMajor !== 1) {
+    throw new Error(`Unsupported LAS version ${version}`);
+  }
+  if (h.versionMinor > 4) {
+    warnings.push(`LAS ${version} is newer than 1.4; the file is read as LAS 1.4`);
+  }
+
+  if (h.headerSize < MIN_HEADER_SIZE[0]) {
+    throw new Error(`Header size is ${h.headerSize} bytes; a LAS header needs at least ${MIN_HEADER_SIZE[0]}`);
+  }
+  const expectedHeaderSize = MIN_HEADER_SIZE[Math.min(h.versionMinor, 4)];
+  if (h.headerSize < expectedHeaderSize) {
+    warnings.push(`Header size is ${h.headerSize} bytes; LAS ${version} headers are ${expectedHeaderSize}`);
+  }
+
+  if (h.offsetToPointData < h.headerSize) {
+    throw new Error(`Point data offset (${h.offsetToPointData}) lies inside the ${h.headerSize}-byte header`);
+  }
+  if (h.offsetToPointData > fileSize) {
+    throw new Error(`Point data offset (${h.offsetToPointData}) lies past the end of the file (${fileSize} bytes)`);
+  }
+
+  if (h.pointDataRecordFormat > 10) {
+    throw new Error(`Unsupported point data record format: ${h.pointDataRecordFormat}`);
+  }
+  const { baseLength } = pointFormatLayout(h.pointDataRecordFormat);
+  if (h.pointDataRecordLength < baseLength) {
+    throw new Error(
+      `Point record length is ${h.pointDataRecordLength} bytes; ` +
+      `point format ${h.pointDataRecordFormat} needs at least ${baseLength}`
+    );
+  }
+
+  const scales = [h.scaleX, h.scaleY, h.scaleZ];
+  const offsets = [h.offsetX, h.offsetY, h.offsetZ];
+  for (let a = 0; a < 3; a++) {
+    if (!Number.isFinite(scales[a]) || scales[a] === 0) {
+      throw new Error(`${AXES[a]} scale factor is ${scales[a]}; coordinates cannot be computed`);
+    }
+    if (!Number.isFinite(offsets[a])) {
+      throw new Error(`${AXES[a]} offset is ${offsets[a]}; coordinates cannot be computed`);
+    }
+    if (scales[a] < 0) {
+      warnings.push(`${AXES[a]} scale factor is negative (${scales[a]})`);
+    }
+  }
+
+  if (h.numberOfPoints === 0) {
+    warnings.push('Header reports no points');
+  }
+  if (h.versionMinor >= 4 && h.legacyNumberOfPoints > 0 && h.legacyNumberOfPoints !== h.numberOfPoints) {
+    warnings.push(
+      `Legacy point count (${h.legacyNumberOfPoints.toLocaleString()}) differs from the ` +
+      `LAS 1.4 count (${h.numberOfPoints.toLocaleString()})`
+    );
+  }
+
+  // Compressed records have no fixed size, so only plain LAS can be checked here
+  if (!h.compressed) {
+    const available = Math.floor((fileSize - h.offsetToPointData) / h.pointDataRecordLength);
+    if (available < h.numberOfPoints) {
+      warnings.push(
+        `File is truncated: header reports ${h.numberOfPoints.toLocaleString()} points ` +
+        `but only ${available.toLocaleString()} records fit in the file`
+      );
+    }
+  }
+
+  if (h.numberOfEVLRs > 0 && h.startOfFirstEVLR > fileSize) {
+    warnings.push(`Extended VLRs start past the end of the file (offset ${h.startOfFirstEVLR})`);
+  }
+
+  for (let a = 0; a < 3; a++) {
+    const [min, max] = h.headerBounds[AXES[a].toLowerCase()];
+    if (!Number.isFinite(min) || !Number.isFinite(max)) {
+      warnings.push(`Header ${AXES[a]} bounds are not valid numbers`);
+    } else if (min > max) {
+      warnings.push(`Header ${AXES[a]} minimum (${min}) is greater than the maximum (${max})`);
+    }
+  }
+
+  return warnings;
+}
+
+// Compares the header bounds with the bounds of the points read
+export function checkBounds(h, bounds) {
+  const warnings = [];
+  const scales = [h.scaleX, h.scaleY, h.scaleZ];
+
+  for (let a = 0; a < 3; a++) {
+    const key = AXES[a].toLowerCase();
+    const [headerMin, headerMax] = h.headerBounds[key];
+    const [min, max] = bounds[key];
+    if (!Number.isFinite(headerMin) || !Number.isFinite(headerMax) || headerMin > headerMax) continue;
+
+    // Header bounds are often rounded to the scale factor
+    const tolerance = Math.abs(scales[a]) + 1e-9 * Math.max(Math.abs(headerMin), Math.abs(headerMax));
+    if (min < headerMin - tolerance || max > headerMax + tolerance) {
+      warnings.push(
+        `Points extend outside the header ${AXES[a]} bounds ` +
+        `(${format(min)} to ${format(max)} vs ${format(headerMin)} to ${format(headerMax)})`
+      );
+    } else if (min > headerMin + tolerance || max < headerMax - tolerance) {
+      warnings.push(
+        `Header ${AXES[a]} bounds are wider than the points ` +
+        `(${format(headerMin)} to ${format(headerMax)} vs ${format(min)} to ${format(max)})`
+      );
+    }
+  }
+
+  return warnings;
+}
+
+function format(value) {
+  return Number(value.toFixed(3)).toString();
+}
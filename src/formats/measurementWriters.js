@@ -0,0 +1,67 @@
+// Writers for saved measurements: { name, shape ('distance', 'polyline' or
+// 'polygon'), axis ('3d', 'horizontal' or 'vertical'), points (file
+// coordinates, { x, y, z }), length (meters; the perimeter of a polygon), area
+// ({ planar, horizontal } in square meters, or null) }. Coordinates are written
+// with `decimals` places, which should be more for degrees than for meters.
+
+const CSV_COLUMNS = [
+  'name', 'type', 'axis', 'length_m', 'area_3d_m2', 'area_horizontal_m2', 'points',
+  'start_x', 'start_y', 'start_z', 'end_x', 'end_y', 'end_z', 'wkt'
+];
+
+// One row per measurement with its endpoints, and all its points as WKT
+export function writeMeasurementsCSV(measurements, { decimals = 4 } = {}) {
+  const number = (value) => value.toFixed(decimals);
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const m of measurements) {
+    const start = m.points[0];
+    const end = m.points[m.points.length - 1];
+    const ring = m.shape === 'polygon' ? [...m.points, start] : m.points;
+    const coordinates = ring.map(p => `${number(p.x)} ${number(p.y)} ${number(p.z)}`).join(', ');
+    const wkt = m.shape === 'polygon' ? `POLYGON Z ((${coordinates}))` : `LINESTRING Z (${coordinates})`;
+    lines.push([
+      quote(m.name), m.shape, m.axis,
+      m.length.toFixed(4),
+      m.area ? m.area.planar.toFixed(4) : '',
+      m.area ? m.area.horizontal.toFixed(4) : '',
+      m.points.length,
+      number(start.x), number(start.y), number(start.z),
+      number(end.x), number(end.y), number(end.z),
+      quote(wkt)
+    ].join(','));
+  }
+  lines.push('');
+  return new Blob([lines.join('\n')], { type: 'text/csv' });
+}
+
+// A FeatureCollection of LineStrings and Polygons with 3D positions. Projected
+// coordinates are not WGS 84 as RFC 7946 expects, so their EPSG code goes in
+// the older "crs" member that GIS software still reads.
+export function writeMeasurementsGeoJSON(measurements, { decimals = 4, epsg = null } = {}) {
+  const position = (p) => [p.x, p.y, p.z].map(v => Number(v.toFixed(decimals)));
+  const collection = {
+    type: 'FeatureCollection',
+    ...(epsg ? { crs: { type: 'name', properties: { name: `urn:ogc:def:crs:EPSG::${epsg}` } } } : {}),
+    features: measurements.map(m => ({
+      type: 'Feature',
+      geometry: m.shape === 'polygon'
+        ? { type: 'Polygon', coordinates: [[...m.points, m.points[0]].map(position)] }
+        : { type: 'LineString', coordinates: m.points.map(position) },
+      properties: {
+        name: m.name,
+        type: m.shape,
+        axis: m.axis,
+        length_m: Number(m.length.toFixed(4)),
+        ...(m.area ? {
+          area_3d_m2: Number(m.area.planar.toFixed(4)),
+          area_horizontal_m2: Number(m.area.horizontal.toFixed(4))
+        } : {})
+      }
+    }))
+  };
+  return new Blob([JSON.stringify(collection, null, 2)], { type: 'application/geo+json' });
+}
+
+function quote(text) {
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
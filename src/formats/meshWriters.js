@@ -0,0 +1,162 @@
+// Writers for triangle meshes: { positions (Float32Array, x, y, z in meters,
+// Z up), colors (Float32Array in 0-1, or null), indices (Uint32Array, three per
+// triangle) }. `toFile(x, y, z)` maps a position to the exported coordinates
+// ({ x, y, z }); OBJ and PLY keep them in full double precision, so they can
+// hold georeferenced coordinates. `comments` are lines for the file header.
+
+const identity = (x, y, z) => ({ x, y, z });
+
+// Wavefront OBJ with the common "v x y z r g b" vertex color extension
+export function writeOBJ(mesh, { toFile = identity, comments = [] } = {}) {
+  const { positions, colors, indices } = mesh;
+  const lines = comments.map(c => `# ${c}`);
+  const n = positions.length / 3;
+  for (let i = 0; i < n; i++) {
+    const p = toFile(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+    let line = `v ${formatNumber(p.x)} ${formatNumber(p.y)} ${formatNumber(p.z)}`;
+    if (colors) line += ` ${colors[i * 3].toFixed(4)} ${colors[i * 3 + 1].toFixed(4)} ${colors[i * 3 + 2].toFixed(4)}`;
+    lines.push(line);
+  }
+  for (let t = 0; t < indices.length; t += 3) {
+    lines.push(`f ${indices[t] + 1} ${indices[t + 1] + 1} ${indices[t + 2] + 1}`);
+  }
+  lines.push('');
+  return new Blob([lines.join('\n')], { type: 'text/plain' });
+}
+
+// Binary little-endian PLY with double coordinates and 8-bit colors
+export function writePLY(mesh, { toFile = identity, comments = [] } = {}) {
+  const { positions, colors, indices } = mesh;
+  const n = positions.length / 3;
+  const faces = indices.length / 3;
+  const header = [
+    'ply',
+    'format binary_little_endian 1.0',
+    ...comments.map(c => `comment ${c}`),
+    `element vertex ${n}`,
+    'property double x',
+    'property double y',
+    'property double z',
+    ...(colors ? ['property uchar red', 'property uchar green', 'property uchar blue'] : []),
+    `element face ${faces}`,
+    'property list uchar uint vertex_indices',
+    'end_header',
+    ''
+  ].join('\n');
+
+  const vertexSize = 24 + (colors ? 3 : 0);
+  const body = new ArrayBuffer(n * vertexSize + faces * 13);
+  const view = new DataView(body);
+  let o = 0;
+  for (let i = 0; i < n; i++) {
+    const p = toFile(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+    view.setFloat64(o, p.x, true);
+    view.setFloat64(o + 8, p.y, true);
+    view.setFloat64(o + 16, p.z, true);
+    o += 24;
+    if (colors) {
+      for (let a = 0; a < 3; a++) view.setUint8(o + a, toByte(colors[i * 3 + a]));
+      o += 3;
+    }
+  }
+  for (let t = 0; t < indices.length; t += 3) {
+    view.setUint8(o, 3);
+    view.setUint32(o + 1, indices[t], true);
+    view.setUint32(o + 5, indices[t + 1], true);
+    view.setUint32(o + 9, indices[t + 2], true);
+    o += 13;
+  }
+  return new Blob([header, body], { type: 'application/octet-stream' });
+}
+
+// Binary glTF (.glb). glTF positions are 32-bit floats in a Y-up frame, so the
+// mesh is written in its local meters turned to Y up, and `toFile` of its
+// first vertex goes in the node's extras for reference.
+export function writeGLB(mesh, { toFile = identity, comments = [] } = {}) {
+  const { positions, colors, indices } = mesh;
+  const n = positions.length / 3;
+
+  const yUp = new Float32Array(n * 3);
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < n; i++) {
+    const v = [positions[i * 3], positions[i * 3 + 2], -positions[i * 3 + 1]];
+    for (let a = 0; a < 3; a++) {
+      yUp[i * 3 + a] = v[a];
+      min[a] = Math.min(min[a], yUp[i * 3 + a]);
+      max[a] = Math.max(max[a], yUp[i * 3 + a]);
+    }
+  }
+  // glTF vertex colors are linear
+  const linear = colors ? colors.map(srgbToLinear) : null;
+
+  const views = [
+    { data: yUp, target: 34962 },
+    ...(linear ? [{ data: linear, target: 34962 }] : []),
+    { data: indices, target: 34963 }
+  ];
+  let byteLength = 0;
+  const bufferViews = views.map(({ data, target }) => {
+    const view = { buffer: 0, byteOffset: byteLength, byteLength: data.byteLength, target };
+    byteLength += align4(data.byteLength);
+    return view;
+  });
+
+  const accessors = [
+    { bufferView: 0, componentType: 5126, count: n, type: 'VEC3', min, max },
+    ...(linear ? [{ bufferView: 1, componentType: 5126, count: n, type: 'VEC3' }] : []),
+    { bufferView: bufferViews.length - 1, componentType: 5125, count: indices.length, type: 'SCALAR' }
+  ];
+  const attributes = { POSITION: 0 };
+  if (linear) attributes.COLOR_0 = 1;
+
+  const reference = n > 0 ? toFile(positions[0], positions[1], positions[2]) : null;
+  const json = {
+    asset: { version: '2.0', generator: 'Simple LAS Viewer', extras: { comments } },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ mesh: 0, extras: reference ? { firstVertex: [reference.x, reference.y, reference.z] } : {} }],
+    meshes: [{ primitives: [{ attributes, indices: accessors.length - 1, material: 0 }] }],
+    materials: [{ pbrMetallicRoughness: { baseColorFactor: [1, 1, 1, 1], metallicFactor: 0, roughnessFactor: 1 }, doubleSided: true }],
+    accessors,
+    bufferViews,
+    buffers: [{ byteLength }]
+  };
+
+  const jsonBytes = padded(new TextEncoder().encode(JSON.stringify(json)), 0x20);
+  const bin = new Uint8Array(byteLength);
+  views.forEach(({ data }, i) => bin.set(new Uint8Array(data.buffer, data.byteOffset, data.byteLength), bufferViews[i].byteOffset));
+
+  const head = new DataView(new ArrayBuffer(20));
+  head.setUint32(0, 0x46546c67, true); // 'glTF'
+  head.setUint32(4, 2, true);
+  head.setUint32(8, 12 + 8 + jsonBytes.length + 8 + bin.length, true);
+  head.setUint32(12, jsonBytes.length, true);
+  head.setUint32(16, 0x4e4f534a, true); // 'JSON'
+  const binHead = new DataView(new ArrayBuffer(8));
+  binHead.setUint32(0, bin.length, true);
+  binHead.setUint32(4, 0x004e4942, true); // 'BIN'
+  return new Blob([head, jsonBytes, binHead, bin], { type: 'model/gltf-binary' });
+}
+
+function formatNumber(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(6).replace(/\.?0+$/, '');
+}
+
+function toByte(value) {
+  return Math.max(0, Math.min(255, Math.round(value * 255)));
+}
+
+function srgbToLinear(c) {
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function align4(length) {
+  return (length + 3) & ~3;
+}
+
+function padded(bytes, fill) {
+  const out = new Uint8Array(align4(bytes.length)).fill(fill);
+  out.set(bytes);
+  return out;
+}
@@ -0,0 +1,179 @@
+import { PointCloudBuilder } from './pointCloud';
+import { forEachLine, readHeaderLines } from './text';
+
+// PCD (Point Cloud Library) with ascii, binary or binary_compressed data.
+// Colors are packed into one 4-byte rgb/rgba field as 0x00RRGGBB.
+
+const READERS = {
+  I1: (v, o) => v.getInt8(o),
+  I2: (v, o) => v.getInt16(o, true),
+  I4: (v, o) => v.getInt32(o, true),
+  I8: (v, o) => Number(v.getBigInt64(o, true)),
+  U1: (v, o) => v.getUint8(o),
+  U2: (v, o) => v.getUint16(o, true),
+  U4: (v, o) => v.getUint32(o, true),
+  U8: (v, o) => Number(v.getBigUint64(o, true)),
+  F4: (v, o) => v.getFloat32(o, true),
+  F8: (v, o) => v.getFloat64(o, true)
+};
+
+const INTENSITY_NAMES = ['intensity', 'i'];
+const CLASSIFICATION_NAMES = ['classification', 'class'];
+
+export function readPCD(buffer, options = {}, onProgress) {
+  const bytes = new Uint8Array(buffer);
+  const { fields, points, data, dataStart } = parseHeader(bytes);
+  const find = (names) => fields.findIndex(f => names.includes(f.name));
+
+  const fx = find(['x']), fy = find(['y']), fz = find(['z']);
+  if (fx < 0 || fy < 0 || fz < 0) throw new Error('PCD file has no x, y and z fields');
+  const fc = find(['rgb', 'rgba']);
+  const fi = find(INTENSITY_NAMES);
+  const fl = find(CLASSIFICATION_NAMES);
+
+  // Multi-element fields (descriptors such as FPFH histograms) are not kept
+  const used = new Set([fx, fy, fz, fc, fi, fl]);
+  const extra = fields.map((f, i) => i).filter(i => !used.has(i) && fields[i].count === 1 && fields[i].name !== '_');
+
+  const builder = new PointCloudBuilder(points, {
+    color: fc >= 0,
+    intensity: fi >= 0,
+    classification: fl >= 0,
+    extra: extra.map(i => fields[i].name)
+  });
+  const { xyz, rgb, attributes } = builder;
+  const values = new Float64Array(fields.length);
+  let packedColor = 0;
+
+  let index = 0;
+  const addPoint = () => {
+    const x = values[fx], y = values[fy], z = values[fz];
+    // Organized clouds mark missing points with NaN coordinates
+    if (Number.isNaN(x) || Number.isNaN(y) || Number.isNaN(z)) return;
+    const k = builder.slot(index++);
+    if (k < 0) return;
+    xyz[k * 3] = x;
+    xyz[k * 3 + 1] = y;
+    xyz[k * 3 + 2] = z;
+    if (rgb) {
+      rgb[k * 3] = (packedColor >> 16) & 0xff;
+      rgb[k * 3 + 1] = (packedColor >> 8) & 0xff;
+      rgb[k * 3 + 2] = packedColor & 0xff;
+    }
+    if (attributes.intensity) attributes.intensity[k] = values[fi];
+    if (attributes.classification) attributes.classification[k] = values[fl];
+    for (let e = 0; e < extra.length; e++) attributes.extraBytes[e].values[k] = values[extra[e]];
+  };
+
+  if (data === 'ascii') {
+    const colorBits = new DataView(new ArrayBuffer(4));
+    forEachLine(bytes, dataStart, (line) => {
+      const tokens = line.trim().split(/\s+/);
+      if (tokens.length < fields.length) return;
+      let t = 0;
+      for (let f = 0; f < fields.length; f++) {
+        values[f] = parseFloat(tokens[t]);
+        if (f === fc) {
+          // Float-typed rgb is written as the float whose bits hold the color
+          if (fields[f].type === 'F') colorBits.setFloat32(0, values[f], true);
+          else colorBits.setUint32(0, values[f], true);
+          packedColor = colorBits.getUint32(0, true);
+        }
+        t += fields[f].count;
+      }
+      addPoint();
+    }, (done) => onProgress && onProgress(done, bytes.length));
+  } else {
+    let view, offsets, strides;
+    if (data === 'binary') {
+      // Row-major: all fields of a point, then the next point
+      view = new DataView(buffer, dataStart);
+      const recordSize = fields.reduce((sum, f) => sum + f.size * f.count, 0);
+      let o = 0;
+      offsets = fields.map(f => { const start = o; o += f.size * f.count; return start; });
+      strides = fields.map(() => recordSize);
+    } else if (data === 'binary_compressed') {
+      // LZF-compressed and column-major: each field for all points, then the next field
+      const header = new DataView(buffer, dataStart, 8);
+      const compressedSize = header.getUint32(0, true);
+      const uncompressedSize = header.getUint32(4, true);
+      const decompressed = lzfDecompress(bytes.subarray(dataStart + 8, dataStart + 8 + compressedSize), uncompressedSize);
+      view = new DataView(decompressed.buffer);
+      let o = 0;
+      offsets = fields.map(f => { const start = o; o += f.size * f.count * points; return start; });
+      strides = fields.map(f => f.size * f.count);
+    } else {
+      throw new Error(`Unsupported PCD data encoding: ${data}`);
+    }
+
+    const readers = fields.map(f => READERS[f.type + f.size]);
+    // Truncated files yield the points whose fields are all present
+    const available = Math.min(points, ...fields.map((f, i) => Math.floor((view.byteLength - offsets[i] - f.size * f.count) / strides[i]) + 1));
+    const progressEvery = 100000;
+
+    for (let p = 0; p < available; p++) {
+      for (let f = 0; f < fields.length; f++) {
+        const o = offsets[f] + p * strides[f];
+        if (f === fc) {
+          packedColor = view.getUint32(o, true);
+        } else if (readers[f]) {
+          values[f] = readers[f](view, o);
+        }
+      }
+      addPoint();
+      if (onProgress && p % progressEvery === progressEvery - 1) onProgress(p + 1, points);
+    }
+  }
+
+  const header = { fileType: 'PCD', formatName: data.replace(/_/g, ' ') };
+  return builder.finish(header, { crsOverride: options.crs, colorScale: 255 });
+}
+
+function parseHeader(bytes) {
+  const { lines, dataStart } = readHeaderLines(bytes, line => /^DATA\s/.test(line));
+  const entries = {};
+  for (const line of lines) {
+    if (line.startsWith('#') || line.trim() === '') continue;
+    const parts = line.trim().split(/\s+/);
+    entries[parts[0]] = parts.slice(1);
+  }
+
+  const names = entries.FIELDS || [];
+  const fields = names.map((name, i) => ({
+    name,
+    size: parseInt(entries.SIZE?.[i] ?? '4', 10),
+    type: entries.TYPE?.[i] ?? 'F',
+    count: parseInt(entries.COUNT?.[i] ?? '1', 10)
+  }));
+
+  const width = parseInt(entries.WIDTH?.[0] ?? '0', 10);
+  const height = parseInt(entries.HEIGHT?.[0] ?? '1', 10);
+  const points = entries.POINTS ? parseInt(entries.POINTS[0], 10) : width * height;
+
+  return { fields, points, data: entries.DATA[0], dataStart };
+}
+
+// LZF as used by PCL's binary_compressed
+function lzfDecompress(input, outputLength) {
+  const output = new Uint8Array(outputLength);
+  let ip = 0, op = 0;
+
+  while (ip < input.length && op < outputLength) {
+    const ctrl = input[ip++];
+    if (ctrl < 32) {
+      // Literal run of ctrl + 1 bytes
+      const end = ip + ctrl + 1;
+      while (ip < end) output[op++] = input[ip++];
+    } else {
+      // Back reference
+      let length = ctrl >> 5;
+      if (length === 7) length += input[ip++];
+      let ref = op - ((ctrl & 0x1f) << 8) - input[ip++] - 1;
+      length += 2;
+      if (ref < 0) throw new Error('Corrupt PCD compressed data');
+      while (length-- > 0) output[op++] = output[ref++];
+    }
+  }
+
+  return output;
+}
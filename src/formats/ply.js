@@ -0,0 +1,174 @@
+import { PointCloudBuilder } from './pointCloud';
+import { forEachLine, readHeaderLines } from './text';
+
+// PLY (Stanford polygon format), ASCII or binary. Only the vertex element is
+// read; faces of meshes are ignored.
+
+const TYPES = {
+  char: { size: 1, read: (v, o) => v.getInt8(o) },
+  uchar: { size: 1, read: (v, o) => v.getUint8(o) },
+  short: { size: 2, read: (v, o, le) => v.getInt16(o, le) },
+  ushort: { size: 2, read: (v, o, le) => v.getUint16(o, le) },
+  int: { size: 4, read: (v, o, le) => v.getInt32(o, le) },
+  uint: { size: 4, read: (v, o, le) => v.getUint32(o, le) },
+  float: { size: 4, read: (v, o, le) => v.getFloat32(o, le) },
+  double: { size: 8, read: (v, o, le) => v.getFloat64(o, le) }
+};
+const TYPE_ALIASES = {
+  int8: 'char', uint8: 'uchar', int16: 'short', uint16: 'ushort',
+  int32: 'int', uint32: 'uint', float32: 'float', float64: 'double'
+};
+
+const COLOR_NAMES = [['red', 'green', 'blue'], ['r', 'g', 'b'], ['diffuse_red', 'diffuse_green', 'diffuse_blue']];
+const INTENSITY_NAMES = ['intensity', 'scalar_intensity', 'scalar_Intensity'];
+const CLASSIFICATION_NAMES = ['classification', 'scalar_classification', 'scalar_Classification'];
+const IGNORED = ['alpha', 'diffuse_alpha', 'a'];
+
+export function readPLY(buffer, options = {}, onProgress) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  const { format, elements, dataStart } = parseHeader(bytes);
+
+  const vertexIndex = elements.findIndex(e => e.name === 'vertex');
+  if (vertexIndex < 0) throw new Error('PLY file has no vertex element');
+  const vertex = elements[vertexIndex];
+  const props = vertex.properties;
+  const find = (names) => props.findIndex(p => names.includes(p.name));
+
+  const px = find(['x']), py = find(['y']), pz = find(['z']);
+  if (px < 0 || py < 0 || pz < 0) throw new Error('PLY vertices have no x, y and z properties');
+  const color = COLOR_NAMES.map(names => names.map(n => find([n]))).find(c => c.every(i => i >= 0)) || null;
+  const intensity = find(INTENSITY_NAMES);
+  const classification = find(CLASSIFICATION_NAMES);
+
+  const used = new Set([px, py, pz, intensity, classification, ...(color || [])]);
+  const extra = props.map((p, i) => i).filter(i => !used.has(i) && !props[i].list && !IGNORED.includes(props[i].name));
+
+  const builder = new PointCloudBuilder(vertex.count, {
+    color: !!color,
+    intensity: intensity >= 0,
+    classification: classification >= 0,
+    extra: extra.map(i => props[i].name)
+  });
+  const { xyz, rgb, attributes } = builder;
+  const values = new Float64Array(props.length);
+
+  let index = 0;
+  const addVertex = () => {
+    const x = values[px], y = values[py], z = values[pz];
+    if (Number.isNaN(x) || Number.isNaN(y) || Number.isNaN(z)) return;
+    const k = builder.slot(index++);
+    if (k < 0) return;
+    xyz[k * 3] = x;
+    xyz[k * 3 + 1] = y;
+    xyz[k * 3 + 2] = z;
+    if (rgb) {
+      rgb[k * 3] = values[color[0]];
+      rgb[k * 3 + 1] = values[color[1]];
+      rgb[k * 3 + 2] = values[color[2]];
+    }
+    if (attributes.intensity) attributes.intensity[k] = values[intensity];
+    if (attributes.classification) attributes.classification[k] = values[classification];
+    for (let e = 0; e < extra.length; e++) attributes.extraBytes[e].values[k] = values[extra[e]];
+  };
+
+  if (format === 'ascii') {
+    // Elements follow each other line by line; only vertex lines are parsed
+    const vertexFirst = elements.slice(0, vertexIndex).reduce((sum, e) => sum + e.count, 0);
+    let line = 0;
+    forEachLine(bytes, dataStart, (text) => {
+      const record = line++ - vertexFirst;
+      if (record < 0 || record >= vertex.count) return;
+      const tokens = text.trim().split(/\s+/);
+      let t = 0;
+      for (let p = 0; p < props.length; p++) {
+        if (props[p].list) {
+          t += 1 + (parseInt(tokens[t], 10) || 0);
+        } else {
+          values[p] = parseFloat(tokens[t++]);
+        }
+      }
+      addVertex();
+    }, (done) => onProgress && onProgress(done, bytes.length));
+  } else {
+    const le = format === 'binary_little_endian';
+    let offset = dataStart;
+    for (let e = 0; e < vertexIndex; e++) offset = skipElement(view, offset, elements[e], le);
+
+    const progressEvery = 100000;
+    for (let v = 0; v < vertex.count; v++) {
+      offset = readRecord(view, offset, props, le, values);
+      addVertex();
+      if (onProgress && v % progressEvery === progressEvery - 1) onProgress(offset, bytes.length);
+    }
+  }
+
+  // Integer colors use the full range of their type; float colors are 0-1
+  let colorScale;
+  if (color) {
+    const type = props[color[0]].type;
+    colorScale = type === 'float' || type === 'double' ? 1 : 2 ** (TYPES[type].size * 8) - 1;
+  }
+
+  const header = { fileType: 'PLY', formatName: format.replace(/_/g, ' ') };
+  return builder.finish(header, { crsOverride: options.crs, colorScale });
+}
+
+function parseHeader(bytes) {
+  const { lines, dataStart } = readHeaderLines(bytes, line => line.trim() === 'end_header');
+  let format = null;
+  const elements = [];
+
+  for (const line of lines) {
+    const parts = line.trim().split(/\s+/);
+    if (parts[0] === 'format') {
+      format = parts[1];
+    } else if (parts[0] === 'element') {
+      elements.push({ name: parts[1], count: parseInt(parts[2], 10), properties: [] });
+    } else if (parts[0] === 'property' && elements.length > 0) {
+      const props = elements[elements.length - 1].properties;
+      if (parts[1] === 'list') {
+        props.push({ name: parts[4], list: true, countType: typeName(parts[2]), type: typeName(parts[3]) });
+      } else {
+        props.push({ name: parts[2], type: typeName(parts[1]) });
+      }
+    }
+  }
+
+  if (!['ascii', 'binary_little_endian', 'binary_big_endian'].includes(format)) {
+    throw new Error(`Unsupported PLY format: ${format}`);
+  }
+  return { format, elements, dataStart };
+}
+
+function typeName(name) {
+  const type = TYPE_ALIASES[name] || name;
+  if (!TYPES[type]) throw new Error(`Unsupported PLY property type: ${name}`);
+  return type;
+}
+
+// Reads one binary record into `values` (list properties are skipped) and
+// returns the offset after it
+function readRecord(view, offset, props, le, values) {
+  for (let p = 0; p < props.length; p++) {
+    const prop = props[p];
+    if (prop.list) {
+      const count = TYPES[prop.countType].read(view, offset, le);
+      offset += TYPES[prop.countType].size + count * TYPES[prop.type].size;
+    } else {
+      values[p] = TYPES[prop.type].read(view, offset, le);
+      offset += TYPES[prop.type].size;
+    }
+  }
+  return offset;
+}
+
+function skipElement(view, offset, element, le) {
+  const props = element.properties;
+  if (!props.some(p => p.list)) {
+    return offset + element.count * props.reduce((sum, p) => sum + TYPES[p.type].size, 0);
+  }
+  const scratch = new Float64Array(props.length);
+  for (let i = 0; i < element.count; i++) offset = readRecord(view, offset, props, le, scratch);
+  return offset;
+}
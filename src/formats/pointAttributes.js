@@ -0,0 +1,142 @@
+// Per-point attributes of the LAS point record formats 0-10, decoded into
+// typed arrays (one entry per loaded point).
+
+import { readString } from './binary';
+
+const BASE_RECORD_LENGTH = [20, 28, 26, 34, 57, 63, 30, 36, 38, 59, 67];
+const GPS_TIME_OFFSET = { 1: 20, 3: 20, 4: 20, 5: 20, 6: 22, 7: 22, 8: 22, 9: 22, 10: 22 };
+const RGB_OFFSET = { 2: 20, 3: 28, 5: 28, 7: 30, 8: 30, 10: 30 };
+const NIR_OFFSET = { 8: 36, 10: 36 };
+
+export const EXTRA_BYTES_USER_ID = 'LASF_Spec';
+export const EXTRA_BYTES_RECORD_ID = 4;
+const EXTRA_BYTES_DESCRIPTOR_SIZE = 192;
+
+// Data types 1-10 of the Extra Bytes VLR; 11-30 are the deprecated 2- and 3-element arrays
+const EXTRA_BYTES_TYPES = [
+  null,
+  { size: 1, read: (v, o) => v.getUint8(o) },
+  { size: 1, read: (v, o) => v.getInt8(o) },
+  { size: 2, read: (v, o) => v.getUint16(o, true) },
+  { size: 2, read: (v, o) => v.getInt16(o, true) },
+  { size: 4, read: (v, o) => v.getUint32(o, true) },
+  { size: 4, read: (v, o) => v.getInt32(o, true) },
+  { size: 8, read: (v, o) => Number(v.getBigUint64(o, true)) },
+  { size: 8, read: (v, o) => Number(v.getBigInt64(o, true)) },
+  { size: 4, read: (v, o) => v.getFloat32(o, true) },
+  { size: 8, read: (v, o) => v.getFloat64(o, true) },
+];
+
+export function pointFormatLayout(format) {
+  if (format < 0 || format > 10) {
+    throw new Error(`Unsupported point data record format: ${format}`);
+  }
+  return {
+    extended: format >= 6,
+    baseLength: BASE_RECORD_LENGTH[format],
+    gpsTimeOffset: GPS_TIME_OFFSET[format] ?? null,
+    rgbOffset: RGB_OFFSET[format] ?? null,
+    nirOffset: NIR_OFFSET[format] ?? null,
+  };
+}
+
+// Describes the Extra Bytes fields that follow the standard record. Fields with
+// an undocumented type (0) are skipped over by their byte count.
+export function parseExtraBytes(vlr, recordStart) {
+  const view = vlr.data;
+  const fields = [];
+  let offset = recordStart;
+  const count = Math.floor(vlr.length / EXTRA_BYTES_DESCRIPTOR_SIZE);
+
+  for (let i = 0; i < count; i++) {
+    const d = i * EXTRA_BYTES_DESCRIPTOR_SIZE;
+    const dataType = view.getUint8(d + 2);
+    const options = view.getUint8(d + 3);
+    const name = readString(view, d + 4, 32) || `extra_${i}`;
+    const description = readString(view, d + 160, 32);
+
+    if (dataType === 0) {
+      offset += options;
+      continue;
+    }
+
+    const type = EXTRA_BYTES_TYPES[((dataType - 1) % 10) + 1];
+    const elements = Math.floor((dataType - 1) / 10) + 1;
+    if (!type || elements > 3) break;
+
+    for (let e = 0; e < elements; e++) {
+      const hasScale = (options & 0x08) !== 0;
+      const hasOffset = (options & 0x10) !== 0;
+      fields.push({
+        name: elements > 1 ? `${name}[${e}]` : name,
+        description,
+        offset,
+        size: type.size,
+        read: type.read,
+        scale: hasScale ? view.getFloat64(d + 112 + e * 8, true) : 1,
+        valueOffset: hasOffset ? view.getFloat64(d + 136 + e * 8, true) : 0,
+      });
+      offset += type.size;
+    }
+  }
+
+  return fields;
+}
+
+export function createAttributeArrays(count, layout, extraFields = []) {
+  return {
+    intensity: new Uint16Array(count),
+    returnNumber: new Uint8Array(count),
+    numberOfReturns: new Uint8Array(count),
+    classification: new Uint8Array(count),
+    // Bits: synthetic, key-point, withheld, overlap (1.4 formats only)
+    classificationFlags: new Uint8Array(count),
+    scannerChannel: new Uint8Array(count),
+    scanDirection: new Uint8Array(count),
+    edgeOfFlightLine: new Uint8Array(count),
+    scanAngle: new Float32Array(count), // degrees
+    userData: new Uint8Array(count),
+    pointSourceId: new Uint16Array(count),
+    gpsTime: layout.gpsTimeOffset !== null ? new Float64Array(count) : null,
+    nir: layout.nirOffset !== null ? new Uint16Array(count) : null,
+    extraBytes: extraFields.map(f => ({ name: f.name, description: f.description, values: new Float64Array(count) })),
+  };
+}
+
+// Reads the attributes of the record at `offset` into entry `i` of `attrs`
+export function readAttributes(view, offset, i, layout, attrs, extraFields = []) {
+  attrs.intensity[i] = view.getUint16(offset + 12, true);
+  const returns = view.getUint8(offset + 14);
+  const flags = view.getUint8(offset + 15);
+
+  if (layout.extended) {
+    attrs.returnNumber[i] = returns & 0x0f;
+    attrs.numberOfReturns[i] = returns >> 4;
+    attrs.classificationFlags[i] = flags & 0x0f;
+    attrs.scannerChannel[i] = (flags >> 4) & 0x03;
+    attrs.scanDirection[i] = (flags >> 6) & 1;
+    attrs.edgeOfFlightLine[i] = flags >> 7;
+    attrs.classification[i] = view.getUint8(offset + 16);
+    attrs.userData[i] = view.getUint8(offset + 17);
+    attrs.scanAngle[i] = view.getInt16(offset + 18, true) * 0.006;
+    attrs.pointSourceId[i] = view.getUint16(offset + 20, true);
+  } else {
+    attrs.returnNumber[i] = returns & 0x07;
+    attrs.numberOfReturns[i] = (returns >> 3) & 0x07;
+    attrs.scanDirection[i] = (returns >> 6) & 1;
+    attrs.edgeOfFlightLine[i] = returns >> 7;
+    attrs.classification[i] = flags & 0x1f;
+    attrs.classificationFlags[i] = flags >> 5;
+    attrs.scanAngle[i] = view.getInt8(offset + 16);
+    attrs.userData[i] = view.getUint8(offset + 17);
+    attrs.pointSourceId[i] = view.getUint16(offset + 18, true);
+  }
+
+  if (attrs.gpsTime) attrs.gpsTime[i] = view.getFloat64(offset + layout.gpsTimeOffset, true);
+  if (attrs.nir) attrs.nir[i] = view.getUint16(offset + layout.nirOffset, true);
+
+  for (let f = 0; f < extraFields.length; f++) {
+    const field = extraFields[f];
+    attrs.extraBytes[f].values[i] = field.read(view, offset + field.offset) * field.scale + field.valueOffset;
+  }
+}
@@ -0,0 +1,223 @@
+import { guessCRS, localMetricScale, CRS_PRESETS } from './crs';
+
+// Shared by the readers: every format ends up as positions in the viewer's local
+// frame (X = East, Y = North, Z = Up, in meters from the data center), colors
+// in 0-1 and typed attribute arrays, plus the same header fields.
+
+// Memory limit. Larger files are refused rather than thinned: every point is
+// kept, and the octree renders any number of them within the point budget.
+export const MAX_POINTS = 20000000;
+
+// Throws when a file has more points than maxPoints
+export function checkPointCount(count, maxPoints = MAX_POINTS) {
+  if (count > maxPoints) {
+    throw new Error(
+      `The file has ${count.toLocaleString()} points, more than the ${maxPoints.toLocaleString()} that can be loaded; ` +
+      'split it into tiles to view it at full density'
+    );
+  }
+}
+
+// Fills in crs, bounds, center and extent on `header` and returns the
+// per-axis meters-per-unit scale
+export function placeInLocalFrame(header, bounds, detectedCRS, crsOverride) {
+  let crs = detectedCRS || crsOverride || guessCRS(bounds);
+  if (crs.kind === 'geocentric') {
+    // Geocentric (ECEF) Z points at the pole, not up, so the file is shown in
+    // its own axes as an unreferenced local frame
+    crs = localFrameCRS(crs);
+    header.warnings.push('Geocentric (ECEF) coordinates are not converted to east, north and up; shown as an unreferenced local frame, so elevations and the Z axis are not vertical');
+  }
+  const center = {
+    x: (bounds.x[0] + bounds.x[1]) / 2,
+    y: (bounds.y[0] + bounds.y[1]) / 2,
+    z: (bounds.z[0] + bounds.z[1]) / 2
+  };
+  const scale = localMetricScale(crs, center.y);
+
+  header.crs = crs;
+  header.crsDetected = !!detectedCRS;
+  header.crsKey = Object.keys(CRS_PRESETS).find(key => CRS_PRESETS[key] === crs) || null;
+  header.bounds = bounds;
+  header.center = center;
+  header.metersPerUnit = scale;
+  header.extentMeters = {
+    x: (bounds.x[1] - bounds.x[0]) * scale.x,
+    y: (bounds.y[1] - bounds.y[0]) * scale.y,
+    z: (bounds.z[1] - bounds.z[0]) * scale.z
+  };
+  return scale;
+}
+
+function localFrameCRS(crs) {
+  return {
+    kind: 'local',
+    name: `Local frame (${crs.name}, geocentric axes)`,
+    epsg: null,
+    horizontalUnit: crs.horizontalUnit,
+    verticalUnit: crs.verticalUnit,
+    vertical: null,
+    source: crs.source
+  };
+}
+
+// Offset in meters of a cloud's local frame from the frame of `origin` (the
+// header of the first cloud in the scene). Returns null when the two are not in
+// the same kind of coordinates, since they cannot be placed without reprojecting.
+export function frameOffset(origin, header) {
+  const a = origin.crs, b = header.crs;
+  if (a.kind !== b.kind || a.horizontalUnit.toMeters !== b.horizontalUnit.toMeters || (a.epsg && b.epsg && a.epsg !== b.epsg)) {
+    return null;
+  }
+  const scale = localMetricScale(a, origin.center.y);
+  return {
+    x: (header.center.x - origin.center.x) * scale.x,
+    y: (header.center.y - origin.center.y) * scale.y,
+    z: header.center.z * b.verticalUnit.toMeters - origin.center.z * a.verticalUnit.toMeters
+  };
+}
+
+// Whether two headers put the local frame at the same center and scale
+export function sameFrame(a, b) {
+  return ['x', 'y', 'z'].every(k => a.center[k] === b.center[k] && a.metersPerUnit[k] === b.metersPerUnit[k]);
+}
+
+// Inverse of the local frame: the file coordinates of a local position. LAS
+// coordinates are snapped back onto the file's scale grid.
+export function fileCoordinates(header, x, y, z) {
+  const { center, metersPerUnit } = header;
+  const coords = [
+    center.x + x / metersPerUnit.x,
+    center.y + y / metersPerUnit.y,
+    center.z + z / metersPerUnit.z
+  ];
+  if (header.scaleX) {
+    const scales = [header.scaleX, header.scaleY, header.scaleZ];
+    const offsets = [header.offsetX, header.offsetY, header.offsetZ];
+    for (let a = 0; a < 3; a++) coords[a] = Math.round((coords[a] - offsets[a]) / scales[a]) * scales[a] + offsets[a];
+  }
+  return { x: coords[0], y: coords[1], z: coords[2] };
+}
+
+// Values per point of an attribute array: rgb holds the raw red, green and blue
+// of each point and xyz its coordinates as read from the file, every other
+// attribute one value
+export function attributeItemSize(key) {
+  return key === 'rgb' || key === 'xyz' ? 3 : 1;
+}
+
+// Drops the unused tail when fewer points were read than were allocated
+export function trimAttributes(attributes, n) {
+  const trimmed = {};
+  for (const [key, value] of Object.entries(attributes)) {
+    if (key === 'extraBytes') {
+      trimmed.extraBytes = value.map(f => ({ ...f, values: f.values.length > n ? f.values.slice(0, n) : f.values }));
+    } else {
+      const length = n * attributeItemSize(key);
+      trimmed[key] = value && value.length > length ? value.slice(0, length) : value;
+    }
+  }
+  return trimmed;
+}
+
+export function elevationColor(t) {
+  t = Math.max(0, Math.min(1, t));
+  let r, g, b;
+  if (t < 0.25) {
+    r = 0; g = t * 4; b = 1;
+  } else if (t < 0.5) {
+    r = 0; g = 1; b = 1 - (t - 0.25) * 4;
+  } else if (t < 0.75) {
+    r = (t - 0.5) * 4; g = 1; b = 0;
+  } else {
+    r = 1; g = 1 - (t - 0.75) * 4; b = 0;
+  }
+  return { r, g, b };
+}
+
+// Collects points with floating point coordinates (the non-LAS readers).
+// Readers call slot(i) for every valid point i of the file and fill the
+// returned entry of xyz/rgb/attributes unless it is -1. totalPoints may
+// overestimate the count; above maxPoints the file is refused.
+export class PointCloudBuilder {
+  constructor(totalPoints, { color = false, intensity = false, classification = false, extra = [], maxPoints = MAX_POINTS } = {}) {
+    checkPointCount(totalPoints, maxPoints);
+    const capacity = totalPoints;
+    this.xyz = new Float64Array(capacity * 3);
+    this.rgb = color ? new Float32Array(capacity * 3) : null;
+    this.attributes = {
+      intensity: intensity ? new Float32Array(capacity) : null,
+      classification: classification ? new Uint8Array(capacity) : null,
+      extraBytes: extra.map(name => ({ name, description: '', values: new Float64Array(capacity) })),
+      rgb: this.rgb, // Raw color values as stored in the file
+      xyz: this.xyz // Coordinates as stored in the file
+    };
+    this.capacity = capacity;
+    this.seen = 0;
+    this.count = 0;
+  }
+
+  slot(i) {
+    this.seen = Math.max(this.seen, i + 1);
+    if (i >= this.capacity) return -1;
+    this.count = i + 1;
+    return i;
+  }
+
+  // colorScale divides the raw color values; by default it is picked from
+  // their maximum (1, 255 or 65535)
+  finish(header, { crsOverride = null, colorScale } = {}) {
+    const n = this.count;
+    const { xyz, rgb } = this;
+
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < n; i++) {
+      for (let a = 0; a < 3; a++) {
+        const v = xyz[i * 3 + a];
+        if (v < min[a]) min[a] = v;
+        if (v > max[a]) max[a] = v;
+      }
+    }
+    if (n === 0) {
+      min.fill(0);
+      max.fill(0);
+    }
+    const bounds = { x: [min[0], max[0]], y: [min[1], max[1]], z: [min[2], max[2]] };
+
+    header.numberOfPoints = this.seen;
+    header.loadedPoints = n;
+    const scale = placeInLocalFrame(header, bounds, null, crsOverride);
+    const { center } = header;
+
+    if (rgb && !colorScale) {
+      let maxColor = 0;
+      for (let i = 0; i < n * 3; i++) if (rgb[i] > maxColor) maxColor = rgb[i];
+      colorScale = maxColor > 255 ? 65535 : maxColor > 1 ? 255 : 1;
+    }
+
+    const positions = new Float32Array(n * 3);
+    const colors = new Float32Array(n * 3);
+    const zRange = max[2] - min[2] || 1;
+
+    for (let i = 0; i < n; i++) {
+      const idx = i * 3;
+      positions[idx] = (xyz[idx] - center.x) * scale.x;
+      positions[idx + 1] = (xyz[idx + 1] - center.y) * scale.y;
+      positions[idx + 2] = (xyz[idx + 2] - center.z) * scale.z;
+
+      if (rgb) {
+        colors[idx] = rgb[idx] / colorScale;
+        colors[idx + 1] = rgb[idx + 1] / colorScale;
+        colors[idx + 2] = rgb[idx + 2] / colorScale;
+      } else {
+        const c = elevationColor((xyz[idx + 2] - min[2]) / zRange);
+        colors[idx] = c.r;
+        colors[idx + 1] = c.g;
+        colors[idx + 2] = c.b;
+      }
+    }
+
+    return { header, points: { positions, colors, attributes: trimAttributes(this.attributes, n) } };
+  }
+}
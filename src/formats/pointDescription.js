@@ -0,0 +1,79 @@
+import { crsKindLabel } from './crs';
+import { classificationName } from '../color/attributeColors';
+
+// Describes point `index` of a loaded cloud for the point inspector: where it
+// is in the file's coordinates and every attribute decoded for it. Returns
+// sections of [label, value] rows.
+
+const CLASSIFICATION_FLAGS = ['Synthetic', 'Key-point', 'Withheld', 'Overlap'];
+
+export function describePoint(header, points, index) {
+  const { attributes, sourceIndex } = points;
+  const isLAS = header.fileType === 'LAS' || header.fileType === 'LAZ';
+  const crs = header.crs;
+
+  const record = [[isLAS ? 'Record' : 'Point', `#${sourceIndex[index].toLocaleString()}`]];
+
+  const p = recordCoordinates(header, attributes.xyz, index, isLAS);
+  const digits = isLAS ? scaleDigits(Math.min(header.scaleX, header.scaleY)) : 3;
+  const zDigits = isLAS ? scaleDigits(header.scaleZ) : 3;
+  const z = `${p.z.toFixed(zDigits)} ${crs.verticalUnit.symbol}`;
+  const coordinates = crs.kind === 'geographic'
+    ? [['Longitude', `${p.x.toFixed(Math.max(digits, 8))}°`], ['Latitude', `${p.y.toFixed(Math.max(digits, 8))}°`], ['Elevation', z]]
+    : [
+      ['X', `${p.x.toFixed(digits)} ${crs.horizontalUnit.symbol}`],
+      ['Y', `${p.y.toFixed(digits)} ${crs.horizontalUnit.symbol}`],
+      ['Z', z]
+    ];
+
+  const a = attributes;
+  const rows = [];
+  if (a.rgb) {
+    rows.push(['RGB', [0, 1, 2].map(c => formatNumber(a.rgb[index * 3 + c])).join(', ')]);
+  }
+  if (a.nir) rows.push(['NIR', a.nir[index]]);
+  if (a.intensity) rows.push(['Intensity', formatNumber(a.intensity[index])]);
+  if (a.classification) rows.push(['Classification', `${a.classification[index]} ${classificationName(a.classification[index])}`]);
+  if (a.classificationFlags) {
+    const flags = CLASSIFICATION_FLAGS.filter((name, bit) => a.classificationFlags[index] & (1 << bit));
+    rows.push(['Flags', flags.length > 0 ? flags.join(', ') : 'None']);
+  }
+  if (a.returnNumber) rows.push(['Return', `${a.returnNumber[index]} of ${a.numberOfReturns[index]}`]);
+  if (a.gpsTime) rows.push(['GPS Time', a.gpsTime[index].toFixed(6)]);
+  if (a.scanAngle) rows.push(['Scan Angle', `${formatNumber(a.scanAngle[index])}°`]);
+  if (a.scanDirection) rows.push(['Scan Direction', a.scanDirection[index] ? 'Positive' : 'Negative']);
+  if (a.edgeOfFlightLine) rows.push(['Edge of Flight Line', a.edgeOfFlightLine[index] ? 'Yes' : 'No']);
+  if (a.scannerChannel && header.pointDataRecordFormat >= 6) rows.push(['Scanner Channel', a.scannerChannel[index]]);
+  if (a.userData) rows.push(['User Data', a.userData[index]]);
+  if (a.pointSourceId) rows.push(['Point Source ID', a.pointSourceId[index]]);
+  for (const field of a.extraBytes || []) {
+    rows.push([field.name, formatNumber(field.values[index])]);
+  }
+
+  return [
+    { title: 'Record', rows: record },
+    { title: crsKindLabel(crs), rows: coordinates },
+    { title: 'Attributes', rows }
+  ];
+}
+
+// The coordinates of point `index` as stored in the file: LAS record integers
+// through the header's scale and offset, other formats' values as read
+function recordCoordinates(header, xyz, index, isLAS) {
+  const [x, y, z] = xyz.subarray(index * 3, index * 3 + 3);
+  if (!isLAS) return { x, y, z };
+  return {
+    x: x * header.scaleX + header.offsetX,
+    y: y * header.scaleY + header.offsetY,
+    z: z * header.scaleZ + header.offsetZ
+  };
+}
+
+// Decimal places that show every digit of a LAS scale factor (0.01 -> 2)
+function scaleDigits(scale) {
+  return Math.min(10, Math.max(0, Math.ceil(-Math.log10(Math.abs(scale)) - 1e-9)));
+}
+
+function formatNumber(value) {
+  return Number.isInteger(value) ? String(value) : Number(value.toFixed(6)).toString();
+}
@@ -0,0 +1,24 @@
+// Writer for the points of a profile: their station along the line and offset
+// from it (meters, positive to the left), their file coordinates, and the
+// layer and record they come from. Coordinates are written with `decimals`
+// places, which should be more for degrees than for meters.
+
+const CSV_COLUMNS = ['station_m', 'offset_m', 'x', 'y', 'z', 'layer', 'record'];
+
+// point(i) gives { station, offset, x, y, z, layer, record } of point i
+export function writeProfileCSV(count, point, { decimals = 4 } = {}) {
+  const lines = [CSV_COLUMNS.join(',') + '\n'];
+  for (let i = 0; i < count; i++) {
+    const p = point(i);
+    lines.push([
+      p.station.toFixed(4), p.offset.toFixed(4),
+      p.x.toFixed(decimals), p.y.toFixed(decimals), p.z.toFixed(decimals),
+      quote(p.layer), p.record
+    ].join(',') + '\n');
+  }
+  return new Blob(lines, { type: 'text/csv' });
+}
+
+function quote(text) {
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
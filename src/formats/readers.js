@@ -0,0 +1,68 @@
+import { LASParser } from './LASParser';
+import { readXYZ } from './xyz';
+import { readPLY } from './ply';
+import { readPCD } from './pcd';
+import { readWhole } from './binary';
+
+// Readers for the ids in fileTypes.js. Each takes a File, the load options
+// ({ crs, columns }) and a progress callback, and resolves to
+// { header, points: { positions, colors, attributes } }.
+
+const SLICE_BYTES = 16 * 1024 * 1024;
+
+export const READERS = {
+  las: readLAS,
+  xyz: wholeFileReader(readXYZ),
+  ply: wholeFileReader(readPLY),
+  pcd: wholeFileReader(readPCD)
+};
+
+// Uncompressed point data is read in slices so progress can be reported while
+// the file streams in
+async function readLAS(file, options, progress) {
+  const parser = new LASParser({ crs: options.crs });
+  const read = (start, end) => file.slice(start, end).arrayBuffer();
+
+  const h = parser.readHeader(await read(0, 375));
+  parser.validateHeader(file.size);
+  parser.readVLRs(await read(h.headerSize, h.offsetToPointData));
+  if (h.numberOfEVLRs > 0 && h.startOfFirstEVLR > 0) {
+    parser.readEVLRs(await read(h.startOfFirstEVLR, file.size));
+  }
+  parser.begin();
+
+  if (h.compressed) {
+    // LAZ chunks are decoded in order from one buffer holding the whole file
+    const buffer = await readWhole(file, progress);
+    parser.decodeLAZ(buffer, (decoded, total) => {
+      progress({ phase: 'decompressing', percent: (decoded / total) * 100 });
+    });
+  } else {
+    const recordLen = h.pointDataRecordLength;
+    const end = Math.min(file.size, h.offsetToPointData + h.numberOfPoints * recordLen);
+    const recordsPerSlice = Math.max(1, Math.floor(SLICE_BYTES / recordLen));
+    let index = 0;
+
+    for (let start = h.offsetToPointData; start + recordLen <= end; start += recordsPerSlice * recordLen) {
+      const sliceEnd = Math.min(end, start + recordsPerSlice * recordLen);
+      const buffer = await read(start, sliceEnd);
+      const count = Math.floor(buffer.byteLength / recordLen);
+      parser.addRecords(new DataView(buffer), 0, index, count);
+      index += count;
+      progress({ phase: 'reading', bytesRead: sliceEnd, totalBytes: file.size, percent: (sliceEnd / end) * 100 });
+    }
+  }
+
+  return parser.finish();
+}
+
+// The text and PLY/PCD readers parse one buffer holding the whole file;
+// their progress is reported as the 'parsing' phase
+function wholeFileReader(parse) {
+  return async (file, options, progress) => {
+    const buffer = await readWhole(file, progress);
+    return parse(buffer, options, (done, total) => {
+      progress({ phase: 'parsing', percent: (done / total) * 100 });
+    });
+  };
+}
@@ -0,0 +1,57 @@
+// Line reading for the text-based formats (ASCII XYZ/CSV and the PLY/PCD headers)
+
+const BLOCK_BYTES = 4 * 1024 * 1024;
+const NEWLINE = 10;
+
+// Calls fn(line) for every line from byte `start` on. Lines are decoded a block
+// at a time; onProgress(bytesDone) follows each block.
+export function forEachLine(bytes, start, fn, onProgress) {
+  const decoder = new TextDecoder();
+  let offset = start;
+
+  while (offset < bytes.length) {
+    let end = Math.min(bytes.length, offset + BLOCK_BYTES);
+    if (end < bytes.length) {
+      const newline = bytes.lastIndexOf(NEWLINE, end - 1);
+      // A single line longer than a block is decoded whole
+      end = newline >= offset ? newline + 1 : bytes.indexOf(NEWLINE, end) + 1 || bytes.length;
+    }
+
+    const lines = decoder.decode(bytes.subarray(offset, end)).split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    for (const line of lines) fn(line.endsWith('\r') ? line.slice(0, -1) : line);
+
+    offset = end;
+    if (onProgress) onProgress(offset);
+  }
+}
+
+// Counts the lines from byte `start` on (an upper bound on the records of a text file)
+export function countLines(bytes, start = 0) {
+  let count = 0;
+  for (let i = start; i < bytes.length; i++) {
+    if (bytes[i] === NEWLINE) count++;
+  }
+  if (bytes.length > start && bytes[bytes.length - 1] !== NEWLINE) count++;
+  return count;
+}
+
+// Reads header lines up to and including the one for which isLast(line) is true.
+// Returns the lines and the offset of the first byte after the header.
+export function readHeaderLines(bytes, isLast, maxBytes = 65536) {
+  const lines = [];
+  let offset = 0;
+  const limit = Math.min(bytes.length, maxBytes);
+
+  while (offset < limit) {
+    let end = bytes.indexOf(NEWLINE, offset);
+    if (end < 0) end = bytes.length;
+    let line = new TextDecoder('latin1').decode(bytes.subarray(offset, end));
+    if (line.endsWith('\r')) line = line.slice(0, -1);
+    lines.push(line);
+    offset = end + 1;
+    if (isLast(line)) return { lines, dataStart: offset };
+  }
+
+  throw new Error('File header is incomplete');
+}
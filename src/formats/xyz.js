@@ -0,0 +1,133 @@
+import { PointCloudBuilder } from './pointCloud';
+import { forEachLine, countLines } from './text';
+
+// ASCII point lists: one point per line, values separated by commas,
+// semicolons, tabs or spaces, with an optional header row naming the columns.
+// Columns are mapped by name when there is a header, otherwise by their count
+// (x y z, x y z i, x y z r g b or x y z i r g b as in PTS).
+
+export const XYZ_COLUMN_ROLES = ['x', 'y', 'z', 'red', 'green', 'blue', 'intensity', 'classification'];
+
+const ROLE_NAMES = {
+  x: ['x', 'east', 'easting', 'lon', 'longitude'],
+  y: ['y', 'north', 'northing', 'lat', 'latitude'],
+  z: ['z', 'elev', 'elevation', 'height', 'h', 'alt', 'altitude'],
+  red: ['r', 'red'],
+  green: ['g', 'green'],
+  blue: ['b', 'blue'],
+  intensity: ['i', 'intensity', 'int', 'scalar_intensity', 'amplitude', 'reflectance'],
+  classification: ['class', 'classification', 'scalar_classification', 'label']
+};
+
+const COMMENT = /^\s*(#|\/\/|%)/;
+
+// options.columns maps each role to a column index (-1 for none) and replaces
+// the automatic mapping
+export function readXYZ(buffer, options = {}, onProgress) {
+  const bytes = new Uint8Array(buffer);
+  const { delimiter, names, skipFirst } = sniffLayout(bytes);
+  const split = delimiter ? (line) => line.split(delimiter) : (line) => line.trim().split(/\s+/);
+
+  const columns = options.columns || autoColumns(names);
+  if (columns.x < 0 || columns.y < 0 || columns.z < 0) {
+    throw new Error('Could not find X, Y and Z columns');
+  }
+  const hasColor = columns.red >= 0 && columns.green >= 0 && columns.blue >= 0;
+  const mapped = new Set(Object.values(columns));
+  const extraColumns = names.map((_, c) => c).filter(c => !mapped.has(c));
+
+  const builder = new PointCloudBuilder(countLines(bytes), {
+    color: hasColor,
+    intensity: columns.intensity >= 0,
+    classification: columns.classification >= 0,
+    extra: extraColumns.map(c => names[c])
+  });
+  const { xyz, rgb, attributes } = builder;
+
+  let lineIndex = 0, index = 0;
+  forEachLine(bytes, 0, (line) => {
+    if (lineIndex++ < skipFirst || line.trim() === '' || COMMENT.test(line)) return;
+    const values = split(line);
+    const x = parseFloat(values[columns.x]);
+    const y = parseFloat(values[columns.y]);
+    const z = parseFloat(values[columns.z]);
+    if (Number.isNaN(x) || Number.isNaN(y) || Number.isNaN(z)) return;
+
+    const k = builder.slot(index++);
+    if (k < 0) return;
+    xyz[k * 3] = x;
+    xyz[k * 3 + 1] = y;
+    xyz[k * 3 + 2] = z;
+    if (rgb) {
+      rgb[k * 3] = parseFloat(values[columns.red]) || 0;
+      rgb[k * 3 + 1] = parseFloat(values[columns.green]) || 0;
+      rgb[k * 3 + 2] = parseFloat(values[columns.blue]) || 0;
+    }
+    if (attributes.intensity) attributes.intensity[k] = parseFloat(values[columns.intensity]) || 0;
+    if (attributes.classification) attributes.classification[k] = parseInt(values[columns.classification], 10) || 0;
+    for (let e = 0; e < extraColumns.length; e++) {
+      attributes.extraBytes[e].values[k] = parseFloat(values[extraColumns[e]]);
+    }
+  }, (done) => onProgress && onProgress(done, bytes.length));
+
+  const header = {
+    fileType: 'XYZ',
+    formatName: delimiter === ',' ? 'CSV' : 'ASCII',
+    columns: { names, mapping: columns }
+  };
+  return builder.finish(header, { crsOverride: options.crs });
+}
+
+// Looks at the first lines for the delimiter and a header row. A first line
+// holding a single number (the point count of PTS files) is skipped.
+function sniffLayout(bytes) {
+  const text = new TextDecoder().decode(bytes.subarray(0, 65536));
+  const lines = text.split('\n').map(l => l.replace(/\r$/, ''));
+  const firstIndex = lines.findIndex(l => l.trim() !== '' && !COMMENT.test(l));
+  if (firstIndex < 0) throw new Error('File contains no points');
+
+  const sample = lines.slice(firstIndex, firstIndex + 10).filter(l => l.trim() !== '' && !COMMENT.test(l));
+  const delimiter = [',', ';', '\t'].find(d => sample.every(l => l.includes(d))) || null;
+  const split = delimiter ? (line) => line.split(delimiter).map(v => v.trim()) : (line) => line.trim().split(/\s+/);
+
+  let first = split(lines[firstIndex]);
+  let skipFirst = firstIndex;
+  if (first.length === 1 && sample.length > 1) {
+    skipFirst++;
+    first = split(sample[1]);
+  }
+
+  let headerRow = null;
+  if (first.some(v => v !== '' && Number.isNaN(Number(v)))) {
+    headerRow = first;
+    skipFirst++;
+  } else if (firstIndex > 0 && /^\s*\/\//.test(lines[firstIndex - 1])) {
+    // CloudCompare writes the header as a comment: //X,Y,Z,R,G,B
+    const commented = split(lines[firstIndex - 1].replace(/^\s*\/\//, ''));
+    if (commented.length === first.length) headerRow = commented;
+  }
+
+  const names = headerRow
+    ? headerRow.map((v, c) => v.replace(/^["']|["']$/g, '') || `column_${c + 1}`)
+    : first.map((_, c) => `column_${c + 1}`);
+
+  return { delimiter, names, skipFirst };
+}
+
+function autoColumns(names) {
+  const lower = names.map(n => n.toLowerCase());
+  const columns = {};
+  for (const role of XYZ_COLUMN_ROLES) {
+    columns[role] = lower.findIndex(n => ROLE_NAMES[role].includes(n));
+  }
+  if (columns.x >= 0 && columns.y >= 0 && columns.z >= 0) return columns;
+
+  // No usable header: go by the number of columns
+  const byCount = {
+    3: [0, 1, 2, -1, -1, -1, -1, -1],
+    4: [0, 1, 2, -1, -1, -1, 3, -1],
+    6: [0, 1, 2, 3, 4, 5, -1, -1],
+    7: [0, 1, 2, 4, 5, 6, 3, -1]
+  }[names.length] || [0, 1, 2, -1, -1, -1, -1, -1];
+  return Object.fromEntries(XYZ_COLUMN_ROLES.map((role, r) => [role, names.length > byCount[r] ? byCount[r] : -1]));
+}
@@ -0,0 +1,241 @@
+import * as THREE from 'three';
+
+// Point sprite shapes: square is the plain GL point, round discards the
+// corners and paraboloid also pushes each fragment's depth towards the camera
+// like a small dome, so overlapping points intersect instead of stacking flat.
+export const POINT_SHAPES = {
+  square: 0,
+  round: 1,
+  paraboloid: 2
+};
+
+// Normal-based shading: lit multiplies the point colors by a directional
+// light, normal and verticality replace them
+export const SHADING_MODES = {
+  none: 0,
+  lit: 1,
+  normal: 2,
+  verticality: 3
+};
+
+const MAX_POINT_SIZE = 64;
+const AMBIENT_LIGHT = 0.3;
+const CLASS_COUNT = 256;
+
+const vertexShader = `
+uniform float size;
+uniform bool sizeAttenuation;
+uniform float referenceDistance;
+uniform float screenScale;
+uniform bool clipEnabled;
+uniform vec3 clipMin;
+uniform vec3 clipMax;
+uniform bool classFilter;
+uniform sampler2D hiddenClasses;
+uniform vec3 lightDirection;
+
+attribute float classification;
+
+varying vec3 vColor;
+#if SHAPE == 2
+varying float vDepthCenter;
+varying float vDepthFront;
+#endif
+
+void main() {
+  // Points outside the slicer box (in world coordinates) or of a hidden class
+  // are moved behind the far plane
+  bool visible = true;
+  if (clipEnabled) {
+    vec3 world = (modelMatrix * vec4(position, 1.0)).xyz;
+    visible = all(greaterThanEqual(world, clipMin)) && all(lessThanEqual(world, clipMax));
+  }
+  if (visible && classFilter) {
+    visible = texture2D(hiddenClasses, vec2((classification + 0.5) / ${CLASS_COUNT.toFixed(1)}, 0.5)).r < 0.5;
+  }
+  if (!visible) {
+    gl_Position = vec4(0.0, 0.0, 2.0, 1.0);
+    gl_PointSize = 0.0;
+    return;
+  }
+
+  vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+  gl_Position = projectionMatrix * mvPosition;
+
+  // Attenuated points are drawn at their set size from referenceDistance away
+  float distance = max(-mvPosition.z, 1e-6);
+  float pointSize = size;
+  if (sizeAttenuation && !isOrthographic) pointSize *= referenceDistance / distance;
+  gl_PointSize = clamp(pointSize, 1.0, ${MAX_POINT_SIZE.toFixed(1)});
+
+#ifdef USE_COLOR
+  vColor = color;
+#else
+  vColor = vec3(1.0);
+#endif
+
+#if SHADING > 0
+  // Normals are stored in the cloud's frame; the model matrix only rotates and moves it
+  vec3 n = normalize(mat3(modelMatrix) * normal);
+#endif
+#if SHADING == 1
+  vColor *= ${AMBIENT_LIGHT.toFixed(2)} + ${(1 - AMBIENT_LIGHT).toFixed(2)} * max(dot(n, lightDirection), 0.0);
+#elif SHADING == 2
+  vColor = 0.5 * n + 0.5;
+#elif SHADING == 3
+  // Horizontal surfaces blue, sloped green, vertical red
+  float verticality = 1.0 - abs(n.z);
+  vColor = verticality < 0.5
+    ? mix(vec3(0.1, 0.3, 1.0), vec3(0.1, 0.9, 0.2), verticality * 2.0)
+    : mix(vec3(0.1, 0.9, 0.2), vec3(1.0, 0.15, 0.1), verticality * 2.0 - 1.0);
+#endif
+
+#if SHAPE == 2
+  // Depth of the sprite's center and of the top of a dome as high as its radius
+  float pixelsPerUnit = isOrthographic ? screenScale : screenScale / distance;
+  float radius = 0.5 * gl_PointSize / pixelsPerUnit;
+  vec4 front = projectionMatrix * vec4(mvPosition.xy, mvPosition.z + radius, 1.0);
+  vDepthCenter = gl_Position.z / gl_Position.w;
+  vDepthFront = front.z / front.w;
+#endif
+}
+`;
+
+const fragmentShader = `
+uniform vec3 diffuse;
+uniform float opacity;
+
+varying vec3 vColor;
+#if SHAPE == 2
+varying float vDepthCenter;
+varying float vDepthFront;
+#endif
+
+void main() {
+#if SHAPE != 0
+  vec2 uv = 2.0 * gl_PointCoord - 1.0;
+  float r2 = dot(uv, uv);
+  if (r2 > 1.0) discard;
+#endif
+
+#if SHADING >= 2
+  gl_FragColor = vec4(vColor, opacity);
+#else
+  gl_FragColor = vec4(diffuse * vColor, opacity);
+#endif
+
+#if SHAPE == 2
+  gl_FragDepthEXT = 0.5 * mix(vDepthCenter, vDepthFront, 1.0 - r2) + 0.5;
+#endif
+
+  #include <colorspace_fragment>
+}
+`;
+
+// Drop-in for the PointsMaterial the octree used: size, opacity, color and
+// vertexColors behave the same, plus the sprite shape, size attenuation and
+// the point filter (slicer box and hidden classes), so filtering never touches
+// the geometry buffers.
+export class PointCloudMaterial extends THREE.ShaderMaterial {
+  constructor({ size = 2, opacity = 1, shape = 'square', sizeAttenuation = false } = {}) {
+    // One texel per classification value, red = hidden
+    const hiddenClasses = new THREE.DataTexture(new Uint8Array(CLASS_COUNT * 4), CLASS_COUNT, 1);
+    hiddenClasses.needsUpdate = true;
+
+    super({
+      uniforms: {
+        size: { value: size },
+        opacity: { value: opacity },
+        diffuse: { value: new THREE.Color(0xffffff) },
+        sizeAttenuation: { value: sizeAttenuation },
+        referenceDistance: { value: 1 },
+        screenScale: { value: 1 },
+        clipEnabled: { value: false },
+        clipMin: { value: new THREE.Vector3() },
+        clipMax: { value: new THREE.Vector3() },
+        classFilter: { value: false },
+        hiddenClasses: { value: hiddenClasses },
+        lightDirection: { value: new THREE.Vector3(0, 0, 1) }
+      },
+      defines: { SHAPE: POINT_SHAPES[shape], SHADING: 0 },
+      vertexShader,
+      fragmentShader,
+      vertexColors: true,
+      transparent: true
+    });
+    this.extensions.fragDepth = true;
+
+    // Shading needs normals; it is switched on when the octree gets them
+    this.shading = 'none';
+    this.hasNormals = false;
+
+    const { uniforms } = this;
+    Object.defineProperties(this, {
+      size: { get: () => uniforms.size.value, set: (value) => { uniforms.size.value = value; } },
+      opacity: { get: () => uniforms.opacity.value, set: (value) => { uniforms.opacity.value = value; } },
+      sizeAttenuation: { get: () => uniforms.sizeAttenuation.value, set: (value) => { uniforms.sizeAttenuation.value = value; } },
+      referenceDistance: { get: () => uniforms.referenceDistance.value, set: (value) => { uniforms.referenceDistance.value = value; } },
+      color: { get: () => uniforms.diffuse.value }
+    });
+  }
+
+  get shape() {
+    return Object.keys(POINT_SHAPES).find(key => POINT_SHAPES[key] === this.defines.SHAPE);
+  }
+
+  set shape(shape) {
+    if (POINT_SHAPES[shape] === this.defines.SHAPE) return;
+    this.defines.SHAPE = POINT_SHAPES[shape];
+    this.needsUpdate = true;
+  }
+
+  // lightDirection (a unit THREE.Vector3 in world coordinates) is used by 'lit'
+  setShading(shading, lightDirection) {
+    this.shading = shading;
+    if (lightDirection) this.uniforms.lightDirection.value.copy(lightDirection);
+    this.updateShading();
+  }
+
+  setHasNormals(hasNormals) {
+    this.hasNormals = hasNormals;
+    this.updateShading();
+  }
+
+  updateShading() {
+    const value = this.hasNormals ? SHADING_MODES[this.shading] : 0;
+    if (value === this.defines.SHADING) return;
+    this.defines.SHADING = value;
+    this.needsUpdate = true;
+  }
+
+  // Draws only the points inside filter.box ({ min: [x, y, z], max }, in world
+  // coordinates) and not of a class in filter.hiddenClasses; either may be null
+  setFilter({ box, hiddenClasses }) {
+    const { uniforms } = this;
+    uniforms.clipEnabled.value = !!box;
+    if (box) {
+      uniforms.clipMin.value.fromArray(box.min);
+      uniforms.clipMax.value.fromArray(box.max);
+    }
+
+    uniforms.classFilter.value = !!hiddenClasses;
+    if (hiddenClasses) {
+      const texture = uniforms.hiddenClasses.value;
+      texture.image.data.fill(0);
+      for (const value of hiddenClasses) texture.image.data[value * 4] = 255;
+      texture.needsUpdate = true;
+    }
+  }
+
+  // Pixels per world unit at unit distance (perspective) or anywhere (orthographic)
+  updateView(camera, height) {
+    this.uniforms.screenScale.value = camera.isOrthographicCamera
+      ? height / ((camera.top - camera.bottom) / camera.zoom)
+      : height / 2 / Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+  }
+
+  dispose() {
+    this.uniforms.hiddenClasses.value.dispose();
+    super.dispose();
+  }
+}
@@ -0,0 +1,178 @@
+import * as THREE from 'three';
+
+// Nodes whose bounding sphere covers fewer pixels (radius) than this are not refined
+const MIN_NODE_PIXELS = 30;
+
+const _frustum = new THREE.Frustum();
+const _projScreen = new THREE.Matrix4();
+const _box = new THREE.Box3();
+const _sphere = new THREE.Sphere();
+const _cameraPos = new THREE.Vector3();
+
+// Renders the octree built by buildOctree. Each frame update() picks the nodes
+// closest to the camera (by projected size) that fit in the point budget; they
+// are added as THREE.Points children sharing one PointCloudMaterial.
+export class PointCloudOctree extends THREE.Group {
+  constructor(positions, colors, nodes, material, classification = null) {
+    super();
+    this.positions = positions;
+    this.colors = colors;
+    // Uploaded for the material's class filter when the cloud has classes
+    this.classification = classification;
+    // Int8 normals (scaled by 127) once they have been estimated
+    this.normals = null;
+    this.nodes = nodes;
+    this.material = material;
+    this.pointBudget = 2000000;
+    this.visiblePoints = 0;
+
+    this.boxes = nodes.map(n => new THREE.Box3(new THREE.Vector3(...n.min), new THREE.Vector3(...n.max)));
+    this.loaded = new Map(); // node index -> THREE.Points
+    this.loadedPoints = 0;
+    this.shown = new Set();
+    this.frame = 0;
+  }
+
+  update(camera, renderer) {
+    if (this.nodes.length === 0) return;
+    this.frame++;
+    this.updateMatrixWorld();
+
+    _projScreen.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    _frustum.setFromProjectionMatrix(_projScreen);
+    _cameraPos.setFromMatrixPosition(camera.matrixWorld);
+
+    const height = renderer.domElement.clientHeight;
+    this.material.updateView(camera, height);
+    const ortho = camera.isOrthographicCamera;
+    const projFactor = ortho
+      ? height / ((camera.top - camera.bottom) / camera.zoom)
+      : height / 2 / Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+
+    const queue = [{ index: 0, weight: Infinity }];
+    const selected = [];
+    let total = 0;
+
+    while (queue.length > 0) {
+      let best = 0;
+      for (let q = 1; q < queue.length; q++) {
+        if (queue[q].weight > queue[best].weight) best = q;
+      }
+      const { index } = queue[best];
+      queue[best] = queue[queue.length - 1];
+      queue.pop();
+
+      const node = this.nodes[index];
+      if (total + node.count > this.pointBudget && selected.length > 0) break;
+      selected.push(index);
+      total += node.count;
+
+      for (const child of node.children) {
+        _box.copy(this.boxes[child]).applyMatrix4(this.matrixWorld);
+        if (!_frustum.intersectsBox(_box)) continue;
+
+        _box.getBoundingSphere(_sphere);
+        const distance = _sphere.center.distanceTo(_cameraPos);
+        const pixels = ortho ? _sphere.radius * projFactor : (_sphere.radius * projFactor) / distance;
+        if (pixels < MIN_NODE_PIXELS) continue;
+
+        const weight = !ortho && distance < _sphere.radius ? Infinity : pixels;
+        queue.push({ index: child, weight });
+      }
+    }
+
+    const visible = new Set(selected);
+    for (const index of this.shown) {
+      if (!visible.has(index)) this.remove(this.loaded.get(index));
+    }
+    for (const index of selected) {
+      let points = this.loaded.get(index);
+      if (!points) points = this.loadNode(index);
+      points.userData.lastFrame = this.frame;
+      if (!this.shown.has(index)) this.add(points);
+    }
+    this.shown = visible;
+    this.visiblePoints = total;
+
+    this.unloadHidden();
+  }
+
+  loadNode(index) {
+    const node = this.nodes[index];
+    const start = node.start, end = node.start + node.count;
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(this.positions.subarray(start * 3, end * 3), 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(this.colors.subarray(start * 3, end * 3), 3));
+    if (this.normals) {
+      geometry.setAttribute('normal', new THREE.BufferAttribute(this.normals.subarray(start * 3, end * 3), 3, true));
+    }
+    if (this.classification) {
+      geometry.setAttribute('classification', new THREE.BufferAttribute(this.classification.subarray(start, end), 1));
+    }
+
+    const points = new THREE.Points(geometry, this.material);
+    points.userData.node = index;
+    this.loaded.set(index, points);
+    this.loadedPoints += node.count;
+    return points;
+  }
+
+  // Frees GPU buffers of hidden nodes, least recently shown first, once more
+  // than twice the point budget is held
+  unloadHidden() {
+    if (this.loadedPoints <= this.pointBudget * 2) return;
+
+    const hidden = [...this.loaded.entries()]
+      .filter(([index]) => !this.shown.has(index))
+      .sort((a, b) => a[1].userData.lastFrame - b[1].userData.lastFrame);
+
+    for (const [index, points] of hidden) {
+      if (this.loadedPoints <= this.pointBudget * 2) break;
+      this.unloadNode(index, points);
+    }
+  }
+
+  unloadNode(index, points) {
+    this.remove(points);
+    points.geometry.dispose();
+    this.loaded.delete(index);
+    this.loadedPoints -= this.nodes[index].count;
+  }
+
+  // Drops every loaded node; they are rebuilt from the current colors on the next update
+  refresh() {
+    for (const [index, points] of [...this.loaded.entries()]) this.unloadNode(index, points);
+    this.shown.clear();
+  }
+
+  setColors(colors) {
+    this.colors = colors;
+    this.material.vertexColors = true;
+    this.material.color.set(0xffffff);
+    this.material.needsUpdate = true;
+    this.refresh();
+  }
+
+  setNormals(normals) {
+    this.normals = normals;
+    this.material.setHasNormals(!!normals);
+    this.refresh();
+  }
+
+  setSolidColor(color) {
+    this.material.vertexColors = false;
+    this.material.color.set(color);
+    this.material.needsUpdate = true;
+  }
+
+  // Index into the cloud's arrays of point `index` of a drawn node (as in a
+  // raycast intersection)
+  pointIndex(points, index) {
+    return this.nodes[points.userData.node].start + index;
+  }
+
+  dispose() {
+    this.refresh();
+    this.material.dispose();
+  }
+}
@@ -0,0 +1,141 @@
+import { attributeItemSize } from '../formats/pointCloud';
+
+// Potree-style octree over the loaded points. Every node keeps a spatially
+// uniform sample of the points that reach it (at most one per cell of a
+// GRID_SIZE^3 grid over its cube) and passes the rest on to its children, so
+// drawing a node together with its ancestors gives the full density of its cube.
+
+const GRID_SIZE = 128;
+const MAX_LEAF_POINTS = 20000;
+const MAX_DEPTH = 16;
+
+// Returns the nodes in depth-first order, each with the range [start, start + count)
+// of its points in `order` (a permutation of the point indices), its level,
+// cube bounds and child node indices
+export function buildOctree(positions) {
+  const n = positions.length / 3;
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < n; i++) {
+    for (let a = 0; a < 3; a++) {
+      const v = positions[i * 3 + a];
+      if (v < min[a]) min[a] = v;
+      if (v > max[a]) max[a] = v;
+    }
+  }
+  if (n === 0) {
+    min.fill(0);
+    max.fill(0);
+  }
+
+  const size = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]) || 1;
+  const rootMin = min.map((v, a) => (v + max[a]) / 2 - size / 2);
+
+  const nodes = [];
+  const order = new Uint32Array(n);
+  const stamp = new Int32Array(GRID_SIZE * GRID_SIZE * GRID_SIZE).fill(-1);
+  let written = 0;
+
+  const build = (indices, cubeMin, cubeSize, level) => {
+    const id = nodes.length;
+    const node = {
+      level,
+      start: written,
+      count: 0,
+      min: cubeMin,
+      max: cubeMin.map(v => v + cubeSize),
+      children: []
+    };
+    nodes.push(node);
+
+    let rest = null;
+    if (indices.length <= MAX_LEAF_POINTS || level >= MAX_DEPTH) {
+      order.set(indices, written);
+      node.count = indices.length;
+    } else {
+      // Points that land in an already occupied cell are left for the children
+      const cell = cubeSize / GRID_SIZE;
+      const others = new Uint32Array(indices.length);
+      let kept = 0, skipped = 0;
+      for (let k = 0; k < indices.length; k++) {
+        const i = indices[k];
+        const gx = Math.min(GRID_SIZE - 1, Math.floor((positions[i * 3] - cubeMin[0]) / cell));
+        const gy = Math.min(GRID_SIZE - 1, Math.floor((positions[i * 3 + 1] - cubeMin[1]) / cell));
+        const gz = Math.min(GRID_SIZE - 1, Math.floor((positions[i * 3 + 2] - cubeMin[2]) / cell));
+        const c = gx + (gy + gz * GRID_SIZE) * GRID_SIZE;
+        if (stamp[c] !== id) {
+          stamp[c] = id;
+          order[written + kept++] = i;
+        } else {
+          others[skipped++] = i;
+        }
+      }
+      node.count = kept;
+      rest = others.subarray(0, skipped);
+    }
+    written += node.count;
+
+    if (!rest || rest.length === 0) return id;
+
+    const half = cubeSize / 2;
+    const octantOf = (i) => {
+      let o = 0;
+      if (positions[i * 3] >= cubeMin[0] + half) o |= 1;
+      if (positions[i * 3 + 1] >= cubeMin[1] + half) o |= 2;
+      if (positions[i * 3 + 2] >= cubeMin[2] + half) o |= 4;
+      return o;
+    };
+
+    const counts = new Uint32Array(8);
+    for (let k = 0; k < rest.length; k++) counts[octantOf(rest[k])]++;
+    const buckets = Array.from(counts, c => new Uint32Array(c));
+    counts.fill(0);
+    for (let k = 0; k < rest.length; k++) {
+      const o = octantOf(rest[k]);
+      buckets[o][counts[o]++] = rest[k];
+    }
+
+    for (let o = 0; o < 8; o++) {
+      if (buckets[o].length === 0) continue;
+      const childMin = [
+        cubeMin[0] + (o & 1 ? half : 0),
+        cubeMin[1] + (o & 2 ? half : 0),
+        cubeMin[2] + (o & 4 ? half : 0)
+      ];
+      node.children.push(build(buckets[o], childMin, half, level + 1));
+    }
+    return id;
+  };
+
+  const all = new Uint32Array(n);
+  for (let i = 0; i < n; i++) all[i] = i;
+  build(all, rootMin, size, 0);
+
+  return { nodes, order };
+}
+
+// Rearranges positions, colors and every attribute array into octree order
+export function reorderPoints(points, order) {
+  const permute = (array, itemSize) => {
+    if (!array) return array;
+    const out = new array.constructor(array.length);
+    for (let k = 0; k < order.length; k++) {
+      const i = order[k];
+      for (let c = 0; c < itemSize; c++) out[k * itemSize + c] = array[i * itemSize + c];
+    }
+    return out;
+  };
+
+  const attributes = {};
+  for (const [key, value] of Object.entries(points.attributes)) {
+    attributes[key] = key === 'extraBytes'
+      ? value.map(f => ({ ...f, values: permute(f.values, 1) }))
+      : permute(value, attributeItemSize(key));
+  }
+
+  return {
+    positions: permute(points.positions, 3),
+    colors: permute(points.colors, 3),
+    attributes
+  };
+}
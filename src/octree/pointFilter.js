@@ -0,0 +1,55 @@
+// The slicer box and hidden classes of a layer, as set on layer.filter:
+// { box: { min: [x, y, z], max } | null, rotation, hiddenClasses: [] | null }.
+// The box is in world coordinates, after the layer offset and the data
+// rotation (radians about Z). PointCloudMaterial applies the same test on the
+// GPU for drawing; these are for the CPU-side users, such as picking and export.
+
+export function passesFilter(layer, i) {
+  const { filter } = layer;
+  if (!filter) return true;
+
+  if (filter.hiddenClasses && filter.hiddenClasses.includes(layer.attributes.classification[i])) return false;
+
+  const { box } = filter;
+  if (!box) return true;
+  const { positions, offset } = layer;
+  const x = positions[i * 3] + offset.x;
+  const y = positions[i * 3 + 1] + offset.y;
+  const cos = Math.cos(filter.rotation);
+  const sin = Math.sin(filter.rotation);
+  const worldX = x * cos - y * sin;
+  const worldY = x * sin + y * cos;
+  const worldZ = positions[i * 3 + 2] + offset.z;
+  return worldX >= box.min[0] && worldX <= box.max[0] &&
+    worldY >= box.min[1] && worldY <= box.max[1] &&
+    worldZ >= box.min[2] && worldZ <= box.max[2];
+}
+
+// Flags (1 = passes) for every point of the layer, or null when nothing is filtered
+export function filterMask(layer) {
+  const { filter, positions, offset } = layer;
+  if (!filter || (!filter.box && !filter.hiddenClasses)) return null;
+
+  const count = positions.length / 3;
+  const mask = new Uint8Array(count);
+  const { box } = filter;
+  const classes = filter.hiddenClasses ? layer.attributes.classification : null;
+  const hidden = new Set(filter.hiddenClasses);
+  const cos = Math.cos(filter.rotation);
+  const sin = Math.sin(filter.rotation);
+
+  for (let i = 0; i < count; i++) {
+    if (classes && hidden.has(classes[i])) continue;
+    if (box) {
+      const x = positions[i * 3] + offset.x;
+      const y = positions[i * 3 + 1] + offset.y;
+      const worldX = x * cos - y * sin;
+      const worldY = x * sin + y * cos;
+      const worldZ = positions[i * 3 + 2] + offset.z;
+      if (worldX < box.min[0] || worldX > box.max[0] || worldY < box.min[1] || worldY > box.max[1] ||
+        worldZ < box.min[2] || worldZ > box.max[2]) continue;
+    }
+    mask[i] = 1;
+  }
+  return mask;
+}
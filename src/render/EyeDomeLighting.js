@@ -0,0 +1,129 @@
+import * as THREE from 'three';
+
+// Eye-Dome Lighting: the scene is rendered to a texture with its depth, then
+// each pixel is darkened by how much further away it is than its neighbours
+// (in log depth). Edges and creases come out shaded without any normals, and
+// points against the background get a dark outline.
+
+const NEIGHBOURS = 8;
+
+const vertexShader = `
+varying vec2 vUv;
+
+void main() {
+  vUv = uv;
+  gl_Position = vec4(position.xy, 0.0, 1.0);
+}
+`;
+
+const fragmentShader = `
+#include <packing>
+
+uniform sampler2D tColor;
+uniform sampler2D tDepth;
+uniform vec2 resolution;
+uniform float strength;
+uniform float radius;
+uniform float cameraNear;
+uniform float cameraFar;
+uniform bool orthographic;
+
+varying vec2 vUv;
+
+// log2 of the distance to the camera (to the near plane for an orthographic
+// camera, whose near plane may be behind it), 0 for the background
+float logDepth(vec2 uv) {
+  float depth = texture2D(tDepth, uv).x;
+  if (depth >= 1.0) return 0.0;
+  float distance = orthographic
+    ? depth * (cameraFar - cameraNear)
+    : -perspectiveDepthToViewZ(depth, cameraNear, cameraFar);
+  return log2(max(distance, 1e-6));
+}
+
+void main() {
+  vec4 color = texture2D(tColor, vUv);
+  float depth = logDepth(vUv);
+
+  float sum = 0.0;
+  for (int i = 0; i < ${NEIGHBOURS}; i++) {
+    float angle = float(i) * ${(2 * Math.PI / NEIGHBOURS).toFixed(8)};
+    vec2 offset = vec2(cos(angle), sin(angle)) * radius / resolution;
+    float neighbour = logDepth(vUv + offset);
+    if (neighbour != 0.0) {
+      sum += depth == 0.0 ? 100.0 : max(0.0, depth - neighbour);
+    }
+  }
+  float shade = exp(-sum / ${NEIGHBOURS.toFixed(1)} * 300.0 * strength);
+
+  // On a transparent background the outline around the points becomes opaque
+  gl_FragColor = vec4(color.rgb * shade, depth == 0.0 ? max(color.a, 1.0 - shade) : color.a);
+  #include <colorspace_fragment>
+}
+`;
+
+const _size = new THREE.Vector2();
+
+export class EyeDomeLighting {
+  constructor() {
+    this.strength = 1;
+    this.radius = 1.4;
+    this.target = null;
+
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        tColor: { value: null },
+        tDepth: { value: null },
+        resolution: { value: new THREE.Vector2() },
+        strength: { value: this.strength },
+        radius: { value: this.radius },
+        cameraNear: { value: 0.1 },
+        cameraFar: { value: 1000 },
+        orthographic: { value: false }
+      },
+      vertexShader,
+      fragmentShader,
+      depthTest: false,
+      depthWrite: false
+    });
+    this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+    this.quad.frustumCulled = false;
+    this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+  }
+
+  // Renders `scene` to the canvas (or `output`) with EDL shading
+  render(renderer, scene, camera, output = null) {
+    const { width, height } = output || renderer.getDrawingBufferSize(_size);
+    if (!this.target || this.target.width !== width || this.target.height !== height) {
+      if (this.target) this.target.dispose();
+      this.target = new THREE.WebGLRenderTarget(width, height, {
+        type: THREE.HalfFloatType,
+        depthTexture: new THREE.DepthTexture(width, height)
+      });
+    }
+
+    const previous = renderer.getRenderTarget();
+    renderer.setRenderTarget(this.target);
+    renderer.render(scene, camera);
+
+    const { uniforms } = this.material;
+    uniforms.tColor.value = this.target.texture;
+    uniforms.tDepth.value = this.target.depthTexture;
+    uniforms.resolution.value.set(width, height);
+    uniforms.strength.value = this.strength;
+    uniforms.radius.value = this.radius;
+    uniforms.cameraNear.value = camera.near;
+    uniforms.cameraFar.value = camera.far;
+    uniforms.orthographic.value = !!camera.isOrthographicCamera;
+
+    renderer.setRenderTarget(output);
+    renderer.render(this.quad, this.quadCamera);
+    renderer.setRenderTarget(previous);
+  }
+
+  dispose() {
+    if (this.target) this.target.dispose();
+    this.material.dispose();
+    this.quad.geometry.dispose();
+  }
+}
@@ -0,0 +1,62 @@
+// Camera fly-throughs for OrbitControls. A view is
+// { target: [x, y, z], azimuth, elevation, distance } (angles in radians);
+// a keyframe is a view plus `duration`, the seconds taken to move on to the
+// next keyframe. Views in between follow cubic Hermite curves through the
+// keyframes with Catmull-Rom tangents scaled by the durations, so the camera
+// keeps its speed through each keyframe and eases in and out at the ends.
+
+export function pathDuration(keyframes) {
+  return keyframes.slice(0, -1).reduce((sum, k) => sum + k.duration, 0);
+}
+
+// The view `time` seconds into the path (clamped to its ends)
+export function samplePath(keyframes, time) {
+  if (keyframes.length === 0) return null;
+  if (keyframes.length === 1) return copyView(keyframes[0]);
+
+  // Per keyframe: start time and the values to interpolate. Azimuths are
+  // unwrapped to take the short way round; distance goes by its log so zooms
+  // look even.
+  const times = [0];
+  for (let i = 1; i < keyframes.length; i++) times.push(times[i - 1] + Math.max(keyframes[i - 1].duration, 1e-3));
+  const values = [];
+  let azimuth = keyframes[0].azimuth;
+  keyframes.forEach((k, i) => {
+    if (i > 0) azimuth += wrapAngle(k.azimuth - keyframes[i - 1].azimuth);
+    values.push([k.target[0], k.target[1], k.target[2], azimuth, k.elevation, Math.log(k.distance)]);
+  });
+
+  const end = times[times.length - 1];
+  const t = Math.max(0, Math.min(end, time));
+  let i = 0;
+  while (i < times.length - 2 && t > times[i + 1]) i++;
+
+  const tangent = (j) => {
+    if (j === 0 || j === values.length - 1) return values[j].map(() => 0);
+    const span = times[j + 1] - times[j - 1];
+    return values[j].map((v, c) => (values[j + 1][c] - values[j - 1][c]) / span);
+  };
+  const h = times[i + 1] - times[i];
+  const s = (t - times[i]) / h;
+  const h00 = 2 * s * s * s - 3 * s * s + 1;
+  const h10 = s * s * s - 2 * s * s + s;
+  const h01 = -2 * s * s * s + 3 * s * s;
+  const h11 = s * s * s - s * s;
+  const m0 = tangent(i), m1 = tangent(i + 1);
+  const v = values[i].map((p0, c) => h00 * p0 + h10 * h * m0[c] + h01 * values[i + 1][c] + h11 * h * m1[c]);
+
+  return { target: [v[0], v[1], v[2]], azimuth: v[3], elevation: v[4], distance: Math.exp(v[5]) };
+}
+
+// One turn around `view`'s target, counter-clockwise seen from above, in `period` seconds
+export function turntableView(view, time, period) {
+  return { ...copyView(view), azimuth: view.azimuth + (2 * Math.PI * time) / period };
+}
+
+function copyView({ target, azimuth, elevation, distance }) {
+  return { target: [...target], azimuth, elevation, distance };
+}
+
+function wrapAngle(angle) {
+  return angle - 2 * Math.PI * Math.round(angle / (2 * Math.PI));
+}
@@ -0,0 +1,184 @@
+import * as THREE from 'three';
+
+// Offscreen image export. The view is rendered in tiles through the camera's
+// view offset, so the image can be larger than the biggest render target the
+// GPU allows, and copied to a 2D canvas that the overlays are drawn on.
+
+const TILE_SIZE = 2048;
+
+// Renders `camera`'s view at width x height. background is a THREE.Color, or
+// null for a transparent image; edl is the EyeDomeLighting pass to use, if any.
+export function renderImage(renderer, scene, camera, { width, height, background = null, edl = null }) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+
+  const tileWidth = Math.min(TILE_SIZE, width);
+  const tileHeight = Math.min(TILE_SIZE, height);
+  const target = new THREE.WebGLRenderTarget(tileWidth, tileHeight);
+  target.texture.colorSpace = THREE.SRGBColorSpace;
+  const pixels = new Uint8Array(tileWidth * tileHeight * 4);
+
+  const previousTarget = renderer.getRenderTarget();
+  const previousBackground = scene.background;
+  const previousClearColor = renderer.getClearColor(new THREE.Color());
+  const previousClearAlpha = renderer.getClearAlpha();
+  scene.background = background;
+  renderer.setClearColor(0x000000, 0);
+
+  try {
+    for (let y = 0; y < height; y += tileHeight) {
+      for (let x = 0; x < width; x += tileWidth) {
+        const w = Math.min(tileWidth, width - x);
+        const h = Math.min(tileHeight, height - y);
+        target.setSize(w, h);
+        camera.setViewOffset(width, height, x, y, w, h);
+
+        if (edl) {
+          edl.render(renderer, scene, camera, target);
+        } else {
+          renderer.setRenderTarget(target);
+          renderer.render(scene, camera);
+        }
+        renderer.readRenderTargetPixels(target, 0, 0, w, h, pixels);
+
+        // GL rows run bottom-up; blending over a transparent clear leaves
+        // premultiplied colors, which ImageData does not expect
+        const image = context.createImageData(w, h);
+        for (let row = 0; row < h; row++) {
+          const from = (h - 1 - row) * w * 4;
+          const to = row * w * 4;
+          for (let i = 0; i < w * 4; i += 4) {
+            const alpha = pixels[from + i + 3];
+            const unpremultiply = background || alpha === 0 || alpha === 255 ? 1 : 255 / alpha;
+            image.data[to + i] = Math.min(255, pixels[from + i] * unpremultiply);
+            image.data[to + i + 1] = Math.min(255, pixels[from + i + 1] * unpremultiply);
+            image.data[to + i + 2] = Math.min(255, pixels[from + i + 2] * unpremultiply);
+            image.data[to + i + 3] = background ? 255 : alpha;
+          }
+        }
+        context.putImageData(image, x, y);
+      }
+    }
+  } finally {
+    camera.clearViewOffset();
+    renderer.setRenderTarget(previousTarget);
+    renderer.setClearColor(previousClearColor, previousClearAlpha);
+    scene.background = previousBackground;
+    target.dispose();
+  }
+  return canvas;
+}
+
+// The overlays are drawn `scale` times their on-screen size, in boxes of
+// `paper` with text and lines in `ink`
+
+// Scale bar of `length` pixels (at scale 1) with a north arrow beside it, centered at the bottom
+export function drawScaleBar(context, { length, label, north, scale, ink, paper }) {
+  const { width, height } = context.canvas;
+  const pad = 8 * scale;
+  const arrow = north ? 32 * scale : 0;
+  const bar = length ? length * scale : 0;
+  const boxWidth = pad * 2 + arrow + (arrow && bar ? pad : 0) + bar;
+  const boxHeight = 48 * scale;
+  const left = (width - boxWidth) / 2;
+  const top = height - boxHeight - pad;
+
+  context.save();
+  context.fillStyle = paper;
+  context.fillRect(left, top, boxWidth, boxHeight);
+  context.fillStyle = ink;
+  context.strokeStyle = ink;
+  context.font = `bold ${12 * scale}px sans-serif`;
+  context.textAlign = 'center';
+  context.textBaseline = 'alphabetic';
+
+  if (north) {
+    const cx = left + pad + arrow / 2;
+    const cy = top + boxHeight / 2 - 6 * scale;
+    if (north.along) {
+      // Looking along north: a cross or dot in a circle, as on screen
+      context.font = `${18 * scale}px sans-serif`;
+      context.textBaseline = 'middle';
+      context.fillText(north.along === 'away' ? '⊗' : '⊙', cx, cy);
+      context.font = `bold ${12 * scale}px sans-serif`;
+      context.textBaseline = 'alphabetic';
+    } else {
+      context.save();
+      context.translate(cx, cy);
+      context.rotate((north.angle * Math.PI) / 180);
+      context.beginPath();
+      context.moveTo(0, -11 * scale);
+      context.lineTo(7 * scale, 9 * scale);
+      context.lineTo(0, 4 * scale);
+      context.lineTo(-7 * scale, 9 * scale);
+      context.closePath();
+      context.fill();
+      context.restore();
+    }
+    context.fillText('N', cx, top + boxHeight - pad);
+  }
+
+  if (bar) {
+    const x = left + boxWidth - pad - bar;
+    const y = top + boxHeight - pad - 8 * scale;
+    context.textAlign = 'left';
+    context.font = `${12 * scale}px monospace`;
+    context.fillText(label, x, y - 4 * scale);
+    context.lineWidth = scale;
+    for (let i = 0; i < 4; i++) {
+      if (i % 2 === 0) context.fillRect(x + (bar * i) / 4, y, bar / 4, 8 * scale);
+    }
+    context.strokeRect(x, y, bar, 8 * scale);
+  }
+  context.restore();
+}
+
+// Text in a box centered on (x, y), e.g. a measurement next to its line
+export function drawLabel(context, { text, x, y, scale, color, paper }) {
+  context.save();
+  context.font = `bold ${13 * scale}px monospace`;
+  const pad = 4 * scale;
+  const width = context.measureText(text).width + pad * 2;
+  const height = 18 * scale;
+  context.fillStyle = paper;
+  context.fillRect(x - width / 2, y - height / 2, width, height);
+  context.fillStyle = color;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(text, x, y);
+  context.restore();
+}
+
+// Lines of text in the bottom-right corner, the first one bold
+export function drawTitleBlock(context, { lines, scale, ink, paper }) {
+  const { width, height } = context.canvas;
+  const pad = 8 * scale;
+  const lineHeight = 16 * scale;
+  const fonts = lines.map((line, i) => (i === 0 ? `bold ${14 * scale}px sans-serif` : `${11 * scale}px sans-serif`));
+
+  context.save();
+  let textWidth = 0;
+  lines.forEach((line, i) => {
+    context.font = fonts[i];
+    textWidth = Math.max(textWidth, context.measureText(line).width);
+  });
+  const boxWidth = textWidth + pad * 2;
+  const boxHeight = lines.length * lineHeight + pad * 2;
+  const left = width - boxWidth - pad;
+  const top = height - boxHeight - pad;
+
+  context.fillStyle = paper;
+  context.fillRect(left, top, boxWidth, boxHeight);
+  context.strokeStyle = ink;
+  context.lineWidth = scale;
+  context.strokeRect(left, top, boxWidth, boxHeight);
+  context.fillStyle = ink;
+  context.textBaseline = 'top';
+  lines.forEach((line, i) => {
+    context.font = fonts[i];
+    context.fillText(line, left + pad, top + pad + i * lineHeight);
+  });
+  context.restore();
+}
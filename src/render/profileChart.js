@@ -0,0 +1,215 @@
+// The profile panel's chart: the points of a profile as distance along the
+// line against elevation, with gridlines and axis labels, drawn on a canvas or
+// written as SVG. A profile is { count, stations, elevations (scene Z, meters),
+// colors (RGB bytes) }. A view is { x0, x1, z0, z1 }: the stations and
+// elevations at the edges of the plot. Elevations are labeled in the file's
+// units through elevation = { toFile(z), fromFile(value), unit }.
+
+export const CHART_MARGIN = { left: 64, right: 12, top: 20, bottom: 32 };
+
+// Points drawn in an SVG at most; more in the view are thinned evenly
+const SVG_POINT_LIMIT = 100000;
+
+// Round values 1, 2 or 5 times a power of ten apart covering min to max,
+// about `count` of them, and the decimals to print them with
+export function niceTicks(min, max, count) {
+  const span = max - min;
+  if (!(span > 0) || count < 1) return { values: [], decimals: 0 };
+  const raw = span / count;
+  const power = Math.pow(10, Math.floor(Math.log10(raw)));
+  const mantissa = raw / power;
+  const step = (mantissa <= 1 ? 1 : mantissa <= 2 ? 2 : mantissa <= 5 ? 5 : 10) * power;
+  const values = [];
+  for (let k = Math.ceil(min / step); k * step <= max; k++) values.push(Number((k * step).toPrecision(12)));
+  return { values, decimals: Math.max(0, -Math.floor(Math.log10(step))) };
+}
+
+// Maps between profile coordinates and pixels of a width x height chart
+export function chartTransform(view, width, height) {
+  const { left, right, top, bottom } = CHART_MARGIN;
+  const plotWidth = Math.max(1, width - left - right);
+  const plotHeight = Math.max(1, height - top - bottom);
+  return {
+    left, top, plotWidth, plotHeight,
+    x: (station) => left + ((station - view.x0) / (view.x1 - view.x0)) * plotWidth,
+    y: (z) => top + (1 - (z - view.z0) / (view.z1 - view.z0)) * plotHeight,
+    station: (px) => view.x0 + ((px - left) / plotWidth) * (view.x1 - view.x0),
+    z: (py) => view.z0 + (1 - (py - top) / plotHeight) * (view.z1 - view.z0),
+    inPlot: (px, py) => px >= left && px <= left + plotWidth && py >= top && py <= top + plotHeight
+  };
+}
+
+// View showing all of the profile with a little room around it
+export function fitView(profile) {
+  let x0 = Infinity, x1 = -Infinity, z0 = Infinity, z1 = -Infinity;
+  for (let i = 0; i < profile.count; i++) {
+    if (profile.stations[i] < x0) x0 = profile.stations[i];
+    if (profile.stations[i] > x1) x1 = profile.stations[i];
+    if (profile.elevations[i] < z0) z0 = profile.elevations[i];
+    if (profile.elevations[i] > z1) z1 = profile.elevations[i];
+  }
+  if (profile.count === 0) return { x0: 0, x1: 1, z0: 0, z1: 1 };
+  const padX = Math.max((x1 - x0) * 0.02, 0.05), padZ = Math.max((z1 - z0) * 0.05, 0.05);
+  return { x0: x0 - padX, x1: x1 + padX, z0: z0 - padZ, z1: z1 + padZ };
+}
+
+// Gridlines of a chart: [{ label, position (pixels) }] per axis
+function chartGrid(transform, view, elevation) {
+  const stations = niceTicks(view.x0, view.x1, Math.floor(transform.plotWidth / 80));
+  const low = elevation.toFile(view.z0), high = elevation.toFile(view.z1);
+  const elevations = niceTicks(Math.min(low, high), Math.max(low, high), Math.floor(transform.plotHeight / 40));
+  return {
+    stations: stations.values.map(value => ({ label: value.toFixed(stations.decimals), position: transform.x(value) })),
+    elevations: elevations.values.map(value => ({ label: value.toFixed(elevations.decimals), position: transform.y(elevation.fromFile(value)) }))
+  };
+}
+
+function chartColors(dark) {
+  return dark
+    ? { paper: '#111827', ink: '#d1d5db', grid: 'rgba(255, 255, 255, 0.12)', accent: '#facc15' }
+    : { paper: '#ffffff', ink: '#1f2937', grid: 'rgba(0, 0, 0, 0.15)', accent: '#ca8a04' };
+}
+
+// Draws the chart over the whole canvas. marker is a { station, z } to ring
+// (e.g. the picked point) and measure a list of { station, z } to join.
+export function drawProfileChart(context, profile, { view, elevation, dark, marker = null, measure = [] }) {
+  const { width, height } = context.canvas;
+  const t = chartTransform(view, width, height);
+  const colors = chartColors(dark);
+  const grid = chartGrid(t, view, elevation);
+
+  context.save();
+  context.fillStyle = colors.paper;
+  context.fillRect(0, 0, width, height);
+  context.strokeStyle = colors.grid;
+  context.lineWidth = 1;
+  context.beginPath();
+  for (const { position } of grid.stations) {
+    context.moveTo(Math.round(position) + 0.5, t.top);
+    context.lineTo(Math.round(position) + 0.5, t.top + t.plotHeight);
+  }
+  for (const { position } of grid.elevations) {
+    context.moveTo(t.left, Math.round(position) + 0.5);
+    context.lineTo(t.left + t.plotWidth, Math.round(position) + 0.5);
+  }
+  context.stroke();
+
+  // Points go straight into the pixels, 2 x 2 each, as there can be millions
+  const plotWidth = Math.floor(t.plotWidth), plotHeight = Math.floor(t.plotHeight);
+  const image = context.getImageData(t.left, t.top, plotWidth, plotHeight);
+  const { stations, elevations, colors: rgb } = profile;
+  for (let i = 0; i < profile.count; i++) {
+    const px = Math.floor(t.x(stations[i]) - t.left);
+    const py = Math.floor(t.y(elevations[i]) - t.top);
+    if (px < 0 || py < 0 || px >= plotWidth - 1 || py >= plotHeight - 1) continue;
+    for (let dy = 0; dy < 2; dy++) {
+      for (let dx = 0; dx < 2; dx++) {
+        const o = ((py + dy) * plotWidth + px + dx) * 4;
+        image.data[o] = rgb[i * 3];
+        image.data[o + 1] = rgb[i * 3 + 1];
+        image.data[o + 2] = rgb[i * 3 + 2];
+        image.data[o + 3] = 255;
+      }
+    }
+  }
+  context.putImageData(image, t.left, t.top);
+
+  context.strokeStyle = colors.ink;
+  context.strokeRect(t.left + 0.5, t.top + 0.5, t.plotWidth - 1, t.plotHeight - 1);
+  context.fillStyle = colors.ink;
+  context.font = '10px monospace';
+  context.textAlign = 'center';
+  context.textBaseline = 'top';
+  for (const { label, position } of grid.stations) context.fillText(label, position, t.top + t.plotHeight + 4);
+  context.textAlign = 'right';
+  context.textBaseline = 'middle';
+  for (const { label, position } of grid.elevations) context.fillText(label, t.left - 4, position);
+  context.font = '10px sans-serif';
+  context.textAlign = 'center';
+  context.textBaseline = 'bottom';
+  context.fillText('Distance along line (m)', t.left + t.plotWidth / 2, height - 2);
+  context.textAlign = 'left';
+  context.textBaseline = 'top';
+  context.fillText(`Elev. (${elevation.unit})`, 2, 2);
+
+  // Overlays stay inside the plot
+  context.beginPath();
+  context.rect(t.left, t.top, t.plotWidth, t.plotHeight);
+  context.clip();
+  context.strokeStyle = colors.accent;
+  context.fillStyle = colors.accent;
+  context.lineWidth = 2;
+  if (measure.length > 1) {
+    context.beginPath();
+    measure.forEach((p, k) => (k === 0 ? context.moveTo(t.x(p.station), t.y(p.z)) : context.lineTo(t.x(p.station), t.y(p.z))));
+    context.stroke();
+  }
+  for (const p of measure) {
+    context.beginPath();
+    context.arc(t.x(p.station), t.y(p.z), 3, 0, 2 * Math.PI);
+    context.fill();
+  }
+  if (marker) {
+    context.beginPath();
+    context.arc(t.x(marker.station), t.y(marker.z), 6, 0, 2 * Math.PI);
+    context.stroke();
+  }
+  context.restore();
+}
+
+// The chart as an SVG image of width x height, with lines of `title` above
+// it. Only the points in the view are written.
+export function writeProfileSVG(profile, { view, elevation, width, height, title = [], measure = [] }) {
+  const header = title.length * 16 + (title.length > 0 ? 8 : 0);
+  const t = chartTransform(view, width, height);
+  const grid = chartGrid(t, view, elevation);
+  const colors = chartColors(false);
+  const number = (value) => +value.toFixed(2);
+  const hex = (i) => `#${[0, 1, 2].map(a => profile.colors[i * 3 + a].toString(16).padStart(2, '0')).join('')}`;
+
+  const shown = [];
+  for (let i = 0; i < profile.count; i++) {
+    if (t.inPlot(t.x(profile.stations[i]), t.y(profile.elevations[i]))) shown.push(i);
+  }
+  const step = Math.max(1, Math.ceil(shown.length / SVG_POINT_LIMIT));
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height + header}" viewBox="0 0 ${width} ${height + header}">`,
+    `<rect width="100%" height="100%" fill="${colors.paper}"/>`,
+    ...title.map((line, k) => (
+      `<text x="8" y="${8 + (k + 1) * 16 - 4}" font-family="sans-serif" font-size="${k === 0 ? 14 : 11}"${k === 0 ? ' font-weight="bold"' : ''} fill="${colors.ink}">${escapeXML(line)}</text>`
+    )),
+    `<g transform="translate(0 ${header})">`,
+    `<g stroke="${colors.grid}" stroke-width="1">`,
+    ...grid.stations.map(({ position }) => `<line x1="${number(position)}" y1="${t.top}" x2="${number(position)}" y2="${t.top + t.plotHeight}"/>`),
+    ...grid.elevations.map(({ position }) => `<line x1="${t.left}" y1="${number(position)}" x2="${t.left + t.plotWidth}" y2="${number(position)}"/>`),
+    '</g>',
+    '<g>'
+  ];
+  for (let k = 0; k < shown.length; k += step) {
+    const i = shown[k];
+    lines.push(`<rect x="${number(t.x(profile.stations[i]) - 1)}" y="${number(t.y(profile.elevations[i]) - 1)}" width="2" height="2" fill="${hex(i)}"/>`);
+  }
+  lines.push('</g>');
+  if (measure.length > 1) {
+    lines.push(`<polyline points="${measure.map(p => `${number(t.x(p.station))},${number(t.y(p.z))}`).join(' ')}" fill="none" stroke="${colors.accent}" stroke-width="2"/>`);
+  }
+  lines.push(
+    `<rect x="${t.left}" y="${t.top}" width="${t.plotWidth}" height="${t.plotHeight}" fill="none" stroke="${colors.ink}"/>`,
+    `<g font-family="monospace" font-size="10" fill="${colors.ink}">`,
+    ...grid.stations.map(({ label, position }) => `<text x="${number(position)}" y="${t.top + t.plotHeight + 14}" text-anchor="middle">${label}</text>`),
+    ...grid.elevations.map(({ label, position }) => `<text x="${t.left - 4}" y="${number(position) + 3}" text-anchor="end">${label}</text>`),
+    '</g>',
+    `<text x="${t.left + t.plotWidth / 2}" y="${height - 4}" font-family="sans-serif" font-size="10" text-anchor="middle" fill="${colors.ink}">Distance along line (m)</text>`,
+    `<text x="2" y="10" font-family="sans-serif" font-size="10" fill="${colors.ink}">Elev. (${escapeXML(elevation.unit)})</text>`,
+    '</g>',
+    '</svg>',
+    ''
+  );
+  return new Blob([lines.join('\n')], { type: 'image/svg+xml' });
+}
+
+function escapeXML(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
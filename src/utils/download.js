@@ -0,0 +1,17 @@
+// Saves a Blob through a temporary link
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// "scan.las" -> "scan_subset.las"
+export function derivedFilename(name, suffix, extension) {
+  const base = name.replace(/\.[^.]+$/, '');
+  return `${base}${suffix}.${extension}`;
+}
@@ -0,0 +1,9 @@
+import { runWorker } from './runWorker';
+
+// Meshes points (see analysis/meshing) in a worker. normals may be null; ball
+// pivoting then estimates them. The promise resolves to
+// { positions, colors, indices, spacing }.
+export function buildMeshInWorker(positions, colors, normals, { method, scale, onProgress } = {}) {
+  const worker = new Worker(new URL('./meshWorker.js', import.meta.url), { type: 'module' });
+  return runWorker(worker, { positions, colors, normals, method, scale }, onProgress);
+}
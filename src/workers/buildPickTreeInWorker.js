@@ -0,0 +1,7 @@
+import { runWorker } from './runWorker';
+
+// Builds the picking k-d tree (see analysis/pickTree) of a copy of `positions`
+export function buildPickTreeInWorker(positions) {
+  const worker = new Worker(new URL('./pickTreeWorker.js', import.meta.url), { type: 'module' });
+  return runWorker(worker, { positions });
+}
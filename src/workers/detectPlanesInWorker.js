@@ -0,0 +1,8 @@
+import { runWorker } from './runWorker';
+
+// Finds planes in a copy of `positions` (see analysis/planes). The promise
+// resolves to { planes, labels }.
+export function detectPlanesInWorker(positions, { threshold, minPoints, maxPlanes, onProgress }) {
+  const worker = new Worker(new URL('./planesWorker.js', import.meta.url), { type: 'module' });
+  return runWorker(worker, { positions, threshold, minPoints, maxPlanes }, onProgress);
+}
@@ -0,0 +1,8 @@
+import { runWorker } from './runWorker';
+
+// Estimates point normals (see analysis/normals) of a copy of `positions`.
+// The promise resolves to an Int8Array of quantized normals.
+export function estimateNormalsInWorker(positions, { k, onProgress } = {}) {
+  const worker = new Worker(new URL('./normalsWorker.js', import.meta.url), { type: 'module' });
+  return runWorker(worker, { positions, k }, onProgress);
+}
@@ -0,0 +1,8 @@
+import { runWorker } from './runWorker';
+
+// Writes the records of a LAS/LAZ File listed in `recordIndices` (ascending) to
+// a new LAS file. The promise resolves to a Blob.
+export function exportLASInWorker(file, recordIndices, onProgress) {
+  const worker = new Worker(new URL('./lasExportWorker.js', import.meta.url), { type: 'module' });
+  return runWorker(worker, { file, recordIndices }, onProgress);
+}
@@ -0,0 +1,11 @@
+import { writeLASSubset } from '../formats/LASWriter';
+
+self.onmessage = async (e) => {
+  const { file, recordIndices } = e.data;
+  try {
+    const blob = await writeLASSubset(file, recordIndices, (data) => self.postMessage({ type: 'progress', ...data }));
+    self.postMessage({ type: 'done', result: blob });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message || String(err) });
+  }
+};
@@ -0,0 +1,27 @@
+import { buildMesh } from '../analysis/meshing';
+import { estimateNormals } from '../analysis/normals';
+
+self.onmessage = (e) => {
+  const { positions, colors, method, scale } = e.data;
+  try {
+    let { normals } = e.data;
+    let reported = -1;
+    const progress = (phase) => (percent) => {
+      if (Math.floor(percent) === reported) return;
+      reported = Math.floor(percent);
+      self.postMessage({ type: 'progress', phase, percent });
+    };
+
+    // Ball pivoting needs normals; points without them get fresh ones
+    if (method === 'ballPivoting' && !normals) {
+      normals = estimateNormals(positions, { onProgress: progress('normals') });
+      reported = -1;
+    }
+    const mesh = buildMesh(positions, colors, normals, { method, scale, onProgress: progress('meshing') });
+    const transfer = [mesh.positions.buffer, mesh.indices.buffer];
+    if (mesh.colors) transfer.push(mesh.colors.buffer);
+    self.postMessage({ type: 'done', result: mesh }, transfer);
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message || String(err) });
+  }
+};
@@ -0,0 +1,19 @@
+import { estimateNormals } from '../analysis/normals';
+
+self.onmessage = (e) => {
+  const { positions, k } = e.data;
+  try {
+    let reported = -1;
+    const normals = estimateNormals(positions, {
+      k,
+      onProgress: (percent) => {
+        if (Math.floor(percent) === reported) return;
+        reported = Math.floor(percent);
+        self.postMessage({ type: 'progress', phase: 'normals', percent });
+      }
+    });
+    self.postMessage({ type: 'done', result: normals }, [normals.buffer]);
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message || String(err) });
+  }
+};
@@ -0,0 +1,8 @@
+import { runWorker } from './runWorker';
+
+// Runs pointCloudWorker on a File; options: { crsKey, columns } (see the
+// readers in src/formats). Returns { promise, cancel } as runWorker does.
+export function parsePointCloudInWorker(file, { onProgress, ...options } = {}) {
+  const worker = new Worker(new URL('./pointCloudWorker.js', import.meta.url), { type: 'module' });
+  return runWorker(worker, { file, options }, onProgress);
+}
@@ -0,0 +1,11 @@
+import { buildPickTree } from '../analysis/pickTree';
+
+self.onmessage = (e) => {
+  const { positions } = e.data;
+  try {
+    const tree = buildPickTree(positions);
+    self.postMessage({ type: 'done', result: tree }, [tree.order.buffer, tree.bounds.buffer]);
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message || String(err) });
+  }
+};
@@ -0,0 +1,21 @@
+import { detectPlanes } from '../analysis/planes';
+
+self.onmessage = (e) => {
+  const { positions, threshold, minPoints, maxPlanes } = e.data;
+  try {
+    let reported = -1;
+    const result = detectPlanes(positions, {
+      threshold,
+      minPoints,
+      maxPlanes,
+      onProgress: (percent) => {
+        if (Math.floor(percent) === reported) return;
+        reported = Math.floor(percent);
+        self.postMessage({ type: 'progress', phase: 'planes', percent });
+      }
+    });
+    self.postMessage({ type: 'done', result }, [result.labels.buffer]);
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message || String(err) });
+  }
+};
@@ -0,0 +1,49 @@
+import { READERS } from '../formats/readers';
+import { detectFileType } from '../formats/fileTypes';
+import { CRS_PRESETS } from '../formats/crs';
+import { buildOctree, reorderPoints } from '../octree/buildOctree';
+
+// Parses a point cloud File off the main thread and indexes the points in an
+// octree. The reader is picked from the file's first bytes and extension.
+
+self.onmessage = async (e) => {
+  const { file, options } = e.data;
+  try {
+    const result = await parseFile(file, options);
+    self.postMessage({ type: 'done', result }, transferables(result.points));
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message || String(err) });
+  }
+};
+
+async function parseFile(file, { crsKey = null, columns = null } = {}) {
+  const head = new Uint8Array(await file.slice(0, 4096).arrayBuffer());
+  const type = detectFileType(file.name, head);
+  if (!type) {
+    throw new Error(`Unrecognized point cloud file: ${file.name}`);
+  }
+
+  const result = await READERS[type.id](file, { crs: CRS_PRESETS[crsKey], columns }, progress);
+
+  // Points come back in octree order, so every node is one contiguous range
+  progress({ phase: 'indexing' });
+  const { nodes, order } = buildOctree(result.points.positions);
+  result.points = reorderPoints(result.points, order);
+  // The index of each reordered point among the points of the file, e.g. its LAS record number
+  result.points.sourceIndex = order;
+  result.octree = nodes;
+  return result;
+}
+
+function progress(data) {
+  self.postMessage({ type: 'progress', ...data });
+}
+
+function transferables({ positions, colors, attributes, sourceIndex }) {
+  const list = [positions.buffer, colors.buffer, sourceIndex.buffer];
+  for (const [key, value] of Object.entries(attributes)) {
+    if (key === 'extraBytes') value.forEach(f => list.push(f.values.buffer));
+    else if (value) list.push(value.buffer);
+  }
+  return list;
+}
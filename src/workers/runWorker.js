@@ -0,0 +1,38 @@
+// Posts `message` to a worker speaking the { type: 'progress' | 'done' | 'error' }
+// protocol of the workers in this folder. Returns the result promise and a cancel
+// function that stops the worker and rejects the promise with an AbortError.
+export function runWorker(worker, message, onProgress) {
+  let rejectPromise;
+
+  const promise = new Promise((resolve, reject) => {
+    rejectPromise = reject;
+
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === 'progress') {
+        if (onProgress) onProgress(msg);
+      } else if (msg.type === 'done') {
+        worker.terminate();
+        resolve(msg.result);
+      } else if (msg.type === 'error') {
+        worker.terminate();
+        reject(new Error(msg.message));
+      }
+    };
+
+    worker.onerror = (e) => {
+      worker.terminate();
+      reject(new Error(e.message || 'Worker failed'));
+    };
+  });
+
+  const cancel = () => {
+    worker.terminate();
+    const err = new Error('Cancelled');
+    err.name = 'AbortError';
+    rejectPromise(err);
+  };
+
+  worker.postMessage(message);
+  return { promise, cancel };
+}